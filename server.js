@@ -1,6 +1,9 @@
 require('dotenv').config();
 const app = require('./src/app');
 const { scheduleInterestCalculationJob } = require('./src/jobs/interestCalculationJob');
+const { scheduleSessionCleanupJob } = require('./src/jobs/sessionCleanupJob');
+const { scheduleRecurringTransactionJob } = require('./src/jobs/recurringTransactionJob');
+const { scheduleAttachmentCleanupJob } = require('./src/jobs/attachmentCleanupJob');
 
 const PORT = process.env.PORT || 5000;
 
@@ -15,6 +18,24 @@ const server = app.listen(PORT, () => {
   } catch (err) {
     console.warn('⚠️ Interest calculation scheduler not started:', err.message);
   }
+  try {
+    const job = scheduleSessionCleanupJob();
+    if (job && job.start) job.start();
+  } catch (err) {
+    console.warn('⚠️ Session cleanup scheduler not started:', err.message);
+  }
+  try {
+    const job = scheduleRecurringTransactionJob();
+    if (job && job.start) job.start();
+  } catch (err) {
+    console.warn('⚠️ Recurring transaction scheduler not started:', err.message);
+  }
+  try {
+    const job = scheduleAttachmentCleanupJob();
+    if (job && job.start) job.start();
+  } catch (err) {
+    console.warn('⚠️ Attachment cleanup scheduler not started:', err.message);
+  }
 });
 
 // Graceful shutdown
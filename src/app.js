@@ -4,15 +4,26 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
 const { globalErrorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { requestId } = require('./middleware/requestId');
 
 const app = express();
 
+// Behind a reverse proxy, req.ip (used by the rate limiters) needs the forwarded address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' || trustProxy);
+}
+
+// Request id for logs and audit events
+app.use(requestId);
+
 // Security middleware
 app.use(helmet());
 app.use(cors());
 
 // Logging middleware
-app.use(morgan('combined'));
+morgan.token('id', (req) => req.id);
+app.use(morgan(':id :remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent"'));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -38,6 +49,17 @@ const returnsRoutes = require('./routes/returns');
 const transactionRoutes = require('./routes/transactions');
 const reportRoutes = require('./routes/reports');
 const interestRoutes = require('./routes/interest');
+const apiKeyRoutes = require('./routes/apiKeys');
+const adminRoutes = require('./routes/admin');
+const sharingRoutes = require('./routes/sharing');
+const auditRoutes = require('./routes/audit');
+const reconciliationRoutes = require('./routes/reconciliation');
+const periodRoutes = require('./routes/periods');
+const recurringRoutes = require('./routes/recurring');
+const attachmentRoutes = require('./routes/attachments');
+const importRoutes = require('./routes/imports');
+const exportRoutes = require('./routes/exports');
+const backupRoutes = require('./routes/backups');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/investments', investmentRoutes);
@@ -45,6 +67,17 @@ app.use('/api/returns', returnsRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/interest', interestRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/sharing', sharingRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/periods', periodRoutes);
+app.use('/api/recurring', recurringRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/backups', backupRoutes);
 
 // 404 handler for unmatched routes
 app.use(notFoundHandler);
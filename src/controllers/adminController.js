@@ -0,0 +1,356 @@
+const {
+  getSystemStats,
+  listUsers,
+  getUserDetails,
+  disableUser,
+  enableUser,
+  updateUserRole,
+  getStuckInvestments,
+  listInterestJobRuns,
+  triggerInterestJobRun,
+  listRecurringJobRuns,
+  triggerRecurringJobRun,
+  runBalanceReconciliation,
+  listAdminAuditLog
+} = require('../services/adminService');
+
+const {
+  validatePagination,
+  validateListUsers,
+  validateDisableUser,
+  validateUpdateRole,
+  validateListInterestRuns,
+  validateReconciliationRun,
+  validateAuditLogQuery
+} = require('../validators/adminValidator');
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getAuditContext } = require('../services/auditService');
+
+/**
+ * Acting admin plus request metadata for the audit trail
+ * @param {Object} req - Express request object
+ * @returns {Object} Actor
+ */
+function getActor(req) {
+  return {
+    id: req.user.id,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  };
+}
+
+/**
+ * Get system-wide statistics
+ * @route GET /api/admin/stats
+ * @access Admin
+ */
+const getStatsHandler = asyncHandler(async (req, res) => {
+  const stats = await getSystemStats();
+
+  res.status(200).json({
+    success: true,
+    message: 'System statistics retrieved successfully',
+    data: stats
+  });
+});
+
+/**
+ * List users
+ * @route GET /api/admin/users
+ * @access Admin
+ */
+const listUsersHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validateListUsers(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await listUsers(validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Users retrieved successfully',
+    data: result
+  });
+});
+
+/**
+ * Get a user
+ * @route GET /api/admin/users/:id
+ * @access Admin
+ */
+const getUserHandler = asyncHandler(async (req, res) => {
+  const user = await getUserDetails(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'User retrieved successfully',
+    data: {
+      user
+    }
+  });
+});
+
+/**
+ * Disable a user account
+ * @route POST /api/admin/users/:id/disable
+ * @access Admin
+ */
+const disableUserHandler = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateDisableUser(req.body || {});
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const user = await disableUser(getActor(req), req.params.id, validation.data.reason || null);
+
+  res.status(200).json({
+    success: true,
+    message: 'User disabled and signed out of all sessions',
+    data: {
+      user
+    }
+  });
+});
+
+/**
+ * Re-enable a user account
+ * @route POST /api/admin/users/:id/enable
+ * @access Admin
+ */
+const enableUserHandler = asyncHandler(async (req, res) => {
+  const user = await enableUser(getActor(req), req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'User enabled',
+    data: {
+      user
+    }
+  });
+});
+
+/**
+ * Change a user's role
+ * @route PATCH /api/admin/users/:id/role
+ * @access Admin
+ */
+const updateUserRoleHandler = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateUpdateRole(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const user = await updateUserRole(getActor(req), req.params.id, validation.data.role);
+
+  res.status(200).json({
+    success: true,
+    message: 'User role updated',
+    data: {
+      user
+    }
+  });
+});
+
+/**
+ * List investments whose scheduled interest is overdue
+ * @route GET /api/admin/investments/stuck
+ * @access Admin
+ */
+const getStuckInvestmentsHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validatePagination(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await getStuckInvestments(validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Stuck investments retrieved successfully',
+    data: result
+  });
+});
+
+/**
+ * List scheduled interest job runs
+ * @route GET /api/admin/interest-runs
+ * @access Admin
+ */
+const listInterestRunsHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validateListInterestRuns(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await listInterestJobRuns(validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Interest job runs retrieved successfully',
+    data: result
+  });
+});
+
+/**
+ * Run scheduled interest calculations now
+ * @route POST /api/admin/interest-runs
+ * @access Admin
+ */
+const triggerInterestRunHandler = asyncHandler(async (req, res) => {
+  const summary = await triggerInterestJobRun(getActor(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Scheduled interest calculations completed',
+    data: summary
+  });
+});
+
+/**
+ * List recurring transaction job runs
+ * @route GET /api/admin/recurring-runs
+ * @access Admin
+ */
+const listRecurringRunsHandler = asyncHandler(async (req, res) => {
+  // Same filters as the interest job runs
+  const validation = validateListInterestRuns(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await listRecurringJobRuns(validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Recurring transaction job runs retrieved successfully',
+    data: result
+  });
+});
+
+/**
+ * Post due recurring transactions now
+ * @route POST /api/admin/recurring-runs
+ * @access Admin
+ */
+const triggerRecurringRunHandler = asyncHandler(async (req, res) => {
+  const summary = await triggerRecurringJobRun(getActor(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Recurring transactions processed',
+    data: summary
+  });
+});
+
+/**
+ * Reconcile every investment balance, optionally repairing drift
+ * @route POST /api/admin/reconciliation
+ * @access Admin
+ */
+const runReconciliationHandler = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateReconciliationRun(req.body || {});
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await runBalanceReconciliation(getActor(req), validation.data, getAuditContext(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Balance reconciliation completed',
+    data: result
+  });
+});
+
+/**
+ * List the admin audit trail
+ * @route GET /api/admin/audit-log
+ * @access Admin
+ */
+const getAuditLogHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validateAuditLogQuery(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await listAdminAuditLog(validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Admin audit log retrieved successfully',
+    data: result
+  });
+});
+
+module.exports = {
+  getStatsHandler,
+  listUsersHandler,
+  getUserHandler,
+  disableUserHandler,
+  enableUserHandler,
+  updateUserRoleHandler,
+  getStuckInvestmentsHandler,
+  listInterestRunsHandler,
+  triggerInterestRunHandler,
+  listRecurringRunsHandler,
+  triggerRecurringRunHandler,
+  runReconciliationHandler,
+  getAuditLogHandler
+};
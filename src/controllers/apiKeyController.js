@@ -0,0 +1,97 @@
+const {
+  createApiKey,
+  getUserApiKeys,
+  revokeApiKey
+} = require('../services/apiKeyService');
+
+const {
+  validateCreateApiKey,
+  validateListApiKeys
+} = require('../validators/apiKeyValidator');
+
+const { API_KEY_SCOPES } = require('../utils/apiKeys');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Create a personal API key
+ * @route POST /api/api-keys
+ * @access Private
+ */
+const createApiKeyHandler = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateCreateApiKey(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const apiKey = await createApiKey(req.user.id, validation.data);
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created - copy the key now, it will not be shown again',
+    data: {
+      apiKey
+    }
+  });
+});
+
+/**
+ * List API keys of the current user
+ * @route GET /api/api-keys
+ * @access Private
+ */
+const getApiKeysHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validateListApiKeys(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const apiKeys = await getUserApiKeys(req.user.id, validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'API keys retrieved successfully',
+    data: {
+      apiKeys,
+      availableScopes: API_KEY_SCOPES
+    }
+  });
+});
+
+/**
+ * Revoke an API key
+ * @route DELETE /api/api-keys/:id
+ * @access Private
+ */
+const revokeApiKeyHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const apiKey = await revokeApiKey(id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'API key revoked successfully',
+    data: {
+      apiKey
+    }
+  });
+});
+
+module.exports = {
+  createApiKeyHandler,
+  getApiKeysHandler,
+  revokeApiKeyHandler
+};
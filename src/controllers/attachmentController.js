@@ -0,0 +1,130 @@
+const { pipeline } = require('stream/promises');
+
+const {
+  addAttachment,
+  getAttachments,
+  openAttachment,
+  deleteAttachment
+} = require('../services/attachmentService');
+
+const {
+  validateUploadAttachment,
+  validateAttachmentQuery
+} = require('../validators/attachmentValidator');
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getAuditContext } = require('../services/auditService');
+
+/**
+ * Upload a file and attach it to an investment or transaction
+ * @route POST /api/attachments
+ * @access Private
+ */
+const uploadAttachmentHandler = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateUploadAttachment({
+    ...req.query,
+    contentType: req.get('content-type')?.split(';')[0].trim()
+  });
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const attachment = await addAttachment(
+    req.user.id,
+    { ...validation.data, content: req.body },
+    getAuditContext(req)
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Attachment uploaded successfully',
+    data: {
+      attachment
+    }
+  });
+});
+
+/**
+ * List attachments of an investment or transaction
+ * @route GET /api/attachments
+ * @access Private
+ */
+const getAttachmentsHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validateAttachmentQuery(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const attachments = await getAttachments(req.user.id, validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Attachments retrieved successfully',
+    data: {
+      attachments
+    }
+  });
+});
+
+/**
+ * Download an attachment
+ * @route GET /api/attachments/:id/download
+ * @access Private
+ */
+const downloadAttachmentHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { attachment, stream } = await openAttachment(id, req.user.id);
+
+  // ASCII fallback plus the UTF-8 name (RFC 6266)
+  const asciiName = attachment.filename.replace(/[^\x20-\x7e]/g, '_');
+  res.set({
+    'Content-Type': attachment.contentType,
+    'Content-Length': String(attachment.size),
+    'Content-Disposition': `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+    'Cache-Control': 'private, no-store',
+    ETag: `"${attachment.checksum}"`
+  });
+
+  await pipeline(stream, res);
+});
+
+/**
+ * Delete an attachment
+ * @route DELETE /api/attachments/:id
+ * @access Private
+ */
+const deleteAttachmentHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const attachment = await deleteAttachment(id, req.user.id, getAuditContext(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Attachment deleted successfully',
+    data: {
+      attachment
+    }
+  });
+});
+
+module.exports = {
+  uploadAttachmentHandler,
+  getAttachmentsHandler,
+  downloadAttachmentHandler,
+  deleteAttachmentHandler
+};
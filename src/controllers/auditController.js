@@ -0,0 +1,37 @@
+const { getAuditEvents } = require('../services/auditService');
+const { validateAuditQuery } = require('../validators/auditValidator');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * List audit events for the investments the user can access
+ * @route GET /api/audit
+ * @access Private
+ */
+const getAuditEventsHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validateAuditQuery(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await getAuditEvents(req.user.id, validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Audit events retrieved successfully',
+    data: {
+      events: result.events,
+      pagination: result.pagination
+    }
+  });
+});
+
+module.exports = {
+  getAuditEventsHandler
+};
@@ -1,7 +1,58 @@
-const { registerUser, loginUser, getUserById } = require('../services/authService');
-const { validateRegistration, validateLogin } = require('../validators/authValidator');
+const {
+  registerUser,
+  loginUser,
+  changePassword: changeUserPassword,
+  requestPasswordReset,
+  resetPassword: resetUserPassword,
+  updateUserProfile,
+  requestEmailChange,
+  confirmEmailChange
+} = require('../services/authService');
+const { exportUserData, deleteAccount } = require('../services/accountService');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  completeTwoFactorLogin
+} = require('../services/twoFactorService');
+const { rotateRefreshToken } = require('../services/tokenService');
+const {
+  logoutSession,
+  logoutAllSessions,
+  getActiveSessions,
+  revokeUserSession
+} = require('../services/sessionService');
+const {
+  validateRegistration,
+  validateLogin,
+  validateRefreshToken,
+  validateChangePassword,
+  validatePasswordResetRequest,
+  validatePasswordReset,
+  validateProfileUpdate,
+  validateEmailChange,
+  validateEmailChangeConfirm,
+  validateDeleteAccount,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable
+} = require('../validators/authValidator');
 const { asyncHandler } = require('../middleware/errorHandler');
 
+/**
+ * Collect client metadata recorded on new sessions
+ * @param {Object} req - Express request object
+ * @returns {Object} User agent and IP address
+ */
+function getClientMeta(req) {
+  return {
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+  };
+}
+
 /**
  * Register a new user
  * @route POST /api/auth/register
@@ -21,14 +72,15 @@ const register = asyncHandler(async (req, res) => {
   }
 
   // Register user
-  const result = await registerUser(validation.data);
+  const result = await registerUser(validation.data, getClientMeta(req));
 
   res.status(201).json({
     success: true,
     message: 'User registered successfully',
     data: {
       user: result.user,
-      token: result.token
+      token: result.token,
+      refreshToken: result.refreshToken
     }
   });
 });
@@ -52,14 +104,27 @@ const login = asyncHandler(async (req, res) => {
   }
 
   // Authenticate user
-  const result = await loginUser(validation.data);
+  const result = await loginUser(validation.data, getClientMeta(req));
+
+  if (result.twoFactorRequired) {
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        twoFactorRequired: true,
+        pendingToken: result.pendingToken,
+        expiresIn: result.expiresIn
+      }
+    });
+  }
 
   res.status(200).json({
     success: true,
     message: 'Login successful',
     data: {
       user: result.user,
-      token: result.token
+      token: result.token,
+      refreshToken: result.refreshToken
     }
   });
 });
@@ -83,14 +148,143 @@ const getMe = asyncHandler(async (req, res) => {
 });
 
 /**
- * Logout user (client-side token removal)
+ * Update current user profile (names)
+ * @route PATCH /api/auth/me
+ * @access Private
+ */
+const updateMe = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateProfileUpdate(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const user = await updateUserProfile(req.user.id, validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Profile updated successfully',
+    data: {
+      user
+    }
+  });
+});
+
+/**
+ * Request an email change - sends a confirmation link to the new address
+ * @route POST /api/auth/me/email
+ * @access Private
+ */
+const changeEmail = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateEmailChange(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await requestEmailChange(req.user.id, validation.data);
+
+  res.status(202).json({
+    success: true,
+    message: 'Confirmation link sent to the new email address',
+    data: result
+  });
+});
+
+/**
+ * Confirm an email change with the emailed token
+ * @route POST /api/auth/me/email/confirm
+ * @access Public (requires a valid confirmation token)
+ */
+const confirmEmail = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateEmailChangeConfirm(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const user = await confirmEmailChange(validation.data.token);
+
+  res.status(200).json({
+    success: true,
+    message: 'Email address updated successfully',
+    data: {
+      user
+    }
+  });
+});
+
+/**
+ * Export all data of the current user
+ * @route GET /api/auth/me/export
+ * @access Private
+ */
+const exportMe = asyncHandler(async (req, res) => {
+  const data = await exportUserData(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Account data exported successfully',
+    data
+  });
+});
+
+/**
+ * Permanently delete the current user account
+ * @route DELETE /api/auth/me
+ * @access Private
+ */
+const deleteMe = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateDeleteAccount(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await deleteAccount(req.user.id, validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Account deleted successfully',
+    data: {
+      deletedInvestments: result.deletedInvestments,
+      ...(result.export && { export: result.export })
+    }
+  });
+});
+
+/**
+ * Logout user - revokes the current access token and its session
  * @route POST /api/auth/logout
  * @access Private
  */
 const logout = asyncHandler(async (req, res) => {
-  // In JWT implementation, logout is handled client-side by removing the token
-  // This endpoint can be used for logging/analytics purposes
-  
+  await logoutSession(req.user.id, req.tokenPayload);
+
   res.status(200).json({
     success: true,
     message: 'Logout successful'
@@ -98,30 +292,337 @@ const logout = asyncHandler(async (req, res) => {
 });
 
 /**
- * Refresh token (if needed in the future)
- * @route POST /api/auth/refresh
+ * Logout from all devices - revokes every session of the user
+ * @route POST /api/auth/logout-all
+ * @access Private
+ */
+const logoutAll = asyncHandler(async (req, res) => {
+  const result = await logoutAllSessions(req.user.id, req.tokenPayload);
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out from all devices',
+    data: {
+      revokedSessions: result.revokedSessions
+    }
+  });
+});
+
+/**
+ * List active sessions for the current user
+ * @route GET /api/auth/sessions
+ * @access Private
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await getActiveSessions(req.user.id, req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Active sessions retrieved successfully',
+    data: {
+      sessions
+    }
+  });
+});
+
+/**
+ * Revoke a single session (log out one device)
+ * @route DELETE /api/auth/sessions/:id
  * @access Private
  */
+const revokeSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  await revokeUserSession(req.user.id, id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+});
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * @route POST /api/auth/refresh
+ * @access Public (requires a valid refresh token)
+ */
 const refreshToken = asyncHandler(async (req, res) => {
-  // For now, we'll return the current user info
-  // In the future, this could generate a new token
-  
-  const user = req.user;
-  
+  // Validate input
+  const validation = validateRefreshToken(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  // Rotate refresh token
+  const result = await rotateRefreshToken(validation.data.refreshToken);
+
   res.status(200).json({
     success: true,
     message: 'Token refreshed successfully',
     data: {
-      user: user,
-      token: req.token // Return existing token for now
+      user: result.user,
+      token: result.token,
+      refreshToken: result.refreshToken
     }
   });
 });
 
+/**
+ * Change password for the current user
+ * @route POST /api/auth/change-password
+ * @access Private
+ */
+const changePassword = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateChangePassword(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await changeUserPassword(
+    req.user.id,
+    validation.data,
+    req.tokenPayload,
+    getClientMeta(req)
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Password changed successfully - other sessions have been signed out',
+    data: {
+      token: result.token,
+      refreshToken: result.refreshToken
+    }
+  });
+});
+
+/**
+ * Request a password reset email
+ * @route POST /api/auth/forgot-password
+ * @access Public
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validatePasswordResetRequest(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  await requestPasswordReset(validation.data.email);
+
+  // Same response whether or not the email is registered
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  });
+});
+
+/**
+ * Reset password with a reset token
+ * @route POST /api/auth/reset-password
+ * @access Public
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validatePasswordReset(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  await resetUserPassword(validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset - please log in with your new password'
+  });
+});
+
+/**
+ * Second login step for accounts with 2FA
+ * @route POST /api/auth/login/2fa
+ * @access Public (requires a pending 2FA token)
+ */
+const loginTwoFactor = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateTwoFactorLogin(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await completeTwoFactorLogin(validation.data, getClientMeta(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: result.user,
+      token: result.token,
+      refreshToken: result.refreshToken
+    }
+  });
+});
+
+/**
+ * Get 2FA status for the current user
+ * @route GET /api/auth/2fa
+ * @access Private
+ */
+const getTwoFactor = asyncHandler(async (req, res) => {
+  const status = await getTwoFactorStatus(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication status retrieved successfully',
+    data: status
+  });
+});
+
+/**
+ * Start 2FA enrollment
+ * @route POST /api/auth/2fa/setup
+ * @access Private
+ */
+const setupTwoFactorHandler = asyncHandler(async (req, res) => {
+  const result = await setupTwoFactor(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: result
+  });
+});
+
+/**
+ * Confirm 2FA enrollment with a code
+ * @route POST /api/auth/2fa/enable
+ * @access Private
+ */
+const enableTwoFactorHandler = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateTwoFactorCode(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await enableTwoFactor(req.user.id, validation.data.code);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled - store these recovery codes somewhere safe',
+    data: result
+  });
+});
+
+/**
+ * Disable 2FA
+ * @route POST /api/auth/2fa/disable
+ * @access Private
+ */
+const disableTwoFactorHandler = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateTwoFactorDisable(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  await disableTwoFactor(req.user.id, validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+/**
+ * Replace 2FA recovery codes
+ * @route POST /api/auth/2fa/recovery-codes
+ * @access Private
+ */
+const regenerateRecoveryCodesHandler = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateTwoFactorCode(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await regenerateRecoveryCodes(req.user.id, validation.data.code);
+
+  res.status(200).json({
+    success: true,
+    message: 'Recovery codes regenerated - previous codes no longer work',
+    data: result
+  });
+});
+
 module.exports = {
   register,
   login,
+  loginTwoFactor,
   getMe,
+  updateMe,
+  changeEmail,
+  confirmEmail,
+  exportMe,
+  deleteMe,
   logout,
-  refreshToken
+  logoutAll,
+  getSessions,
+  revokeSession,
+  refreshToken,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  getTwoFactor,
+  setupTwoFactor: setupTwoFactorHandler,
+  enableTwoFactor: enableTwoFactorHandler,
+  disableTwoFactor: disableTwoFactorHandler,
+  regenerateRecoveryCodes: regenerateRecoveryCodesHandler
 };
@@ -0,0 +1,82 @@
+const {
+  writeBackup,
+  previewBackup,
+  restoreBackup
+} = require('../services/backupService');
+
+const { validateRestoreQuery } = require('../validators/backupValidator');
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getAuditContext } = require('../services/auditService');
+
+/**
+ * Download a backup archive of the user's books
+ * @route GET /api/backups
+ * @access Private
+ */
+const downloadBackupHandler = asyncHandler(async (req, res) => {
+  const filename = `e-accounting-backup-${new Date().toISOString().slice(0, 10)}.zip`;
+
+  res.status(200).set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'private, no-store'
+  });
+
+  await writeBackup(req.user.id, res);
+});
+
+/**
+ * Validate a backup archive and preview conflicts with the account
+ * @route POST /api/backups/preview
+ * @access Private
+ */
+const previewBackupHandler = asyncHandler(async (req, res) => {
+  const preview = await previewBackup(req.user.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: preview.hasConflicts
+      ? 'Backup is valid; some names are already in use'
+      : 'Backup is valid and can be restored',
+    data: preview
+  });
+});
+
+/**
+ * Restore a backup archive into the account
+ * @route POST /api/backups/restore
+ * @access Private
+ */
+const restoreBackupHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validateRestoreQuery(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await restoreBackup(
+    req.user.id,
+    req.body,
+    validation.data,
+    getAuditContext(req)
+  );
+
+  res.status(201).json({
+    success: true,
+    message: `Backup restored: ${result.restored.investments} investments, ${result.restored.transactions} transactions`,
+    data: result
+  });
+});
+
+module.exports = {
+  downloadBackupHandler,
+  previewBackupHandler,
+  restoreBackupHandler
+};
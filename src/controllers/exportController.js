@@ -0,0 +1,135 @@
+const {
+  exportInvestments,
+  exportTransactions,
+  exportInterestCalculations,
+  exportFinancialReport
+} = require('../services/exportService');
+
+const {
+  validateInvestmentExport,
+  validateTransactionExport,
+  validateInterestExport,
+  validateReportExport
+} = require('../validators/exportValidator');
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const { CONTENT_TYPES, createExportWriter } = require('../utils/exportWriters');
+
+/**
+ * Set download headers and create the writer for an export
+ * @param {Object} res - Express response object
+ * @param {string} name - File name prefix
+ * @param {Object} options - Validated query (format and filters)
+ * @param {boolean} multipleTables - Export has several tables
+ * @returns {Object} Export writer
+ */
+function startExport(res, name, options, multipleTables = false) {
+  const { format, ...filters } = options;
+  const filename = `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.status(200).set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'private, no-store'
+  });
+
+  return createExportWriter(format, res, {
+    multipleTables,
+    metadata: { export: name, exportedAt: new Date().toISOString(), filters }
+  });
+}
+
+/**
+ * Export investments
+ * @route GET /api/exports/investments
+ * @access Private
+ */
+const exportInvestmentsHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validateInvestmentExport(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const writer = startExport(res, 'investments', validation.data);
+  await exportInvestments(req.user.id, validation.data, writer);
+});
+
+/**
+ * Export transactions
+ * @route GET /api/exports/transactions
+ * @access Private
+ */
+const exportTransactionsHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validateTransactionExport(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const writer = startExport(res, 'transactions', validation.data);
+  await exportTransactions(req.user.id, validation.data, writer);
+});
+
+/**
+ * Export interest calculations
+ * @route GET /api/exports/interest-calculations
+ * @access Private
+ */
+const exportInterestCalculationsHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validateInterestExport(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const writer = startExport(res, 'interest-calculations', validation.data);
+  await exportInterestCalculations(req.user.id, validation.data, writer);
+});
+
+/**
+ * Export the financial report
+ * @route GET /api/exports/financial-report
+ * @access Private
+ */
+const exportFinancialReportHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validateReportExport(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const writer = startExport(res, 'financial-report', validation.data, true);
+  await exportFinancialReport(req.user.id, validation.data, writer);
+});
+
+module.exports = {
+  exportInvestmentsHandler,
+  exportTransactionsHandler,
+  exportInterestCalculationsHandler,
+  exportFinancialReportHandler
+};
@@ -0,0 +1,255 @@
+const {
+  createImport,
+  getImportBatches,
+  getImportBatch,
+  updateImportLine,
+  commitImport,
+  undoImport,
+  discardImport,
+  getImportRules,
+  createImportRule,
+  deleteImportRule
+} = require('../services/importService');
+
+const {
+  validateCreateImport,
+  validateImportQuery,
+  validateUpdateImportLine,
+  validateImportRule
+} = require('../validators/importValidator');
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getAuditContext } = require('../services/auditService');
+
+/**
+ * Upload a statement and stage its lines for review
+ * @route POST /api/imports
+ * @access Private
+ */
+const createImportHandler = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateCreateImport(req.body || {});
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await createImport(req.user.id, validation.data);
+
+  res.status(201).json({
+    success: true,
+    message: 'Statement staged for review',
+    data: result
+  });
+});
+
+/**
+ * Get imports with optional filtering
+ * @route GET /api/imports
+ * @access Private
+ */
+const getImportsHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validateImportQuery(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await getImportBatches(req.user.id, validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Imports retrieved successfully',
+    data: result
+  });
+});
+
+/**
+ * Get an import with its lines
+ * @route GET /api/imports/:id
+ * @access Private
+ */
+const getImportByIdHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const result = await getImportBatch(id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Import retrieved successfully',
+    data: result
+  });
+});
+
+/**
+ * Review a staged line (investment, type, include/exclude)
+ * @route PATCH /api/imports/:id/lines/:lineId
+ * @access Private
+ */
+const updateImportLineHandler = asyncHandler(async (req, res) => {
+  const { id, lineId } = req.params;
+
+  // Validate input
+  const validation = validateUpdateImportLine(req.body || {});
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const line = await updateImportLine(id, lineId, req.user.id, validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Import line updated successfully',
+    data: {
+      line
+    }
+  });
+});
+
+/**
+ * Post the ready lines of a staged import
+ * @route POST /api/imports/:id/commit
+ * @access Private
+ */
+const commitImportHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const result = await commitImport(id, req.user.id, getAuditContext(req));
+
+  res.status(200).json({
+    success: true,
+    message: `Import committed: ${result.committed} transaction(s) posted`,
+    data: result
+  });
+});
+
+/**
+ * Reverse every transaction posted by an import
+ * @route POST /api/imports/:id/undo
+ * @access Private
+ */
+const undoImportHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const result = await undoImport(id, req.user.id, getAuditContext(req));
+
+  res.status(200).json({
+    success: true,
+    message: `Import undone: ${result.reversed} transaction(s) reversed`,
+    data: result
+  });
+});
+
+/**
+ * Discard a staged import
+ * @route DELETE /api/imports/:id
+ * @access Private
+ */
+const discardImportHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const batch = await discardImport(id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Import discarded successfully',
+    data: {
+      batch
+    }
+  });
+});
+
+/**
+ * Get import rules
+ * @route GET /api/imports/rules
+ * @access Private
+ */
+const getImportRulesHandler = asyncHandler(async (req, res) => {
+  const rules = await getImportRules(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Import rules retrieved successfully',
+    data: {
+      rules
+    }
+  });
+});
+
+/**
+ * Create an import rule
+ * @route POST /api/imports/rules
+ * @access Private
+ */
+const createImportRuleHandler = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateImportRule(req.body || {});
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const rule = await createImportRule(req.user.id, validation.data);
+
+  res.status(201).json({
+    success: true,
+    message: 'Import rule created successfully',
+    data: {
+      rule
+    }
+  });
+});
+
+/**
+ * Delete an import rule
+ * @route DELETE /api/imports/rules/:id
+ * @access Private
+ */
+const deleteImportRuleHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const rule = await deleteImportRule(id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Import rule deleted successfully',
+    data: {
+      rule
+    }
+  });
+});
+
+module.exports = {
+  createImportHandler,
+  getImportsHandler,
+  getImportByIdHandler,
+  updateImportLineHandler,
+  commitImportHandler,
+  undoImportHandler,
+  discardImportHandler,
+  getImportRulesHandler,
+  createImportRuleHandler,
+  deleteImportRuleHandler
+};
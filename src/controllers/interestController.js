@@ -1,6 +1,7 @@
 const { prisma } = require('../config/database');
 const { ReturnType } = require('@prisma/client');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { getAuditContext } = require('../services/auditService');
 const {
   calculateInterestNow: calculateInterestNowService,
   getInterestCalculationHistory,
@@ -16,6 +17,8 @@ const {
   scheduleSettingsSchema
 } = require('../validators/interestValidator');
 const { formatInterestCalculationResponse } = require('../utils/responseFormatter');
+const { investmentAccessWhere } = require('../utils/access');
+const { toNumber } = require('../utils/money');
 
 function validate(schema, payload) {
   const { error, value } = schema.validate(payload, { abortEarly: false, stripUnknown: true });
@@ -35,7 +38,7 @@ function validate(schema, payload) {
  */
 const calculateInterestNowHandler = asyncHandler(async (req, res) => {
   const { investmentId } = validate(calculateInterestNowSchema, { investmentId: req.params.investmentId });
-  const result = await calculateInterestNowService(investmentId, req.user.id);
+  const result = await calculateInterestNowService(investmentId, req.user.id, getAuditContext(req));
   res.status(200).json({ success: true, message: 'Interest calculated successfully', data: formatInterestCalculationResponse(result) });
 });
 
@@ -46,7 +49,7 @@ const calculateInterestNowHandler = asyncHandler(async (req, res) => {
  */
 const revertLastCalculationHandler = asyncHandler(async (req, res) => {
   const payload = validate(revertCalculationSchema, { investmentId: req.params.investmentId, ...req.body });
-  const result = await revertLastInterestCalculation(payload.investmentId, req.user.id);
+  const result = await revertLastInterestCalculation(payload.investmentId, req.user.id, getAuditContext(req));
   res.status(200).json({ success: true, message: 'Interest calculation reverted successfully', data: result });
 });
 
@@ -70,7 +73,7 @@ const getCalculationHistoryHandler = asyncHandler(async (req, res) => {
  */
 const updateReturnPercentageHandler = asyncHandler(async (req, res) => {
   const payload = validate(updateReturnPercentageSchema, { investmentId: req.params.investmentId, ...req.body });
-  const result = await updateReturnPercentage(payload.investmentId, req.user.id, payload.percentage, payload.effectiveDate, payload.description);
+  const result = await updateReturnPercentage(payload.investmentId, req.user.id, payload.percentage, payload.effectiveDate, payload.description, getAuditContext(req));
   res.status(200).json({ success: true, message: 'Return percentage updated successfully', data: result });
 });
 
@@ -81,7 +84,7 @@ const updateReturnPercentageHandler = asyncHandler(async (req, res) => {
  */
 const updateBalanceCalculateReturnHandler = asyncHandler(async (req, res) => {
   const payload = validate(updateBalanceSchema, { investmentId: req.params.investmentId, ...req.body });
-  const result = await updateBalanceCalculateReturn(payload.investmentId, req.user.id, payload.newBalance, payload.effectiveDate, payload.description);
+  const result = await updateBalanceCalculateReturn(payload.investmentId, req.user.id, payload.newBalance, payload.effectiveDate, payload.description, getAuditContext(req));
   res.status(200).json({ success: true, message: 'Variable return calculated from balance update successfully', data: result });
 });
 
@@ -94,7 +97,7 @@ const previewInterestCalculationHandler = asyncHandler(async (req, res) => {
   // Preview simply calls calculateInterestNow but does not persist; we rely on service preview in the future
   const { investmentId } = validate(calculateInterestNowSchema, { investmentId: req.params.investmentId });
   // For now, compute preview by reading investment and calculating period without writing
-  const investment = await prisma.investment.findFirst({ where: { id: investmentId, userId: req.user.id } });
+  const investment = await prisma.investment.findFirst({ where: { id: investmentId, ...investmentAccessWhere(req.user.id) } });
   if (!investment) {
     return res.status(404).json({
       success: false,
@@ -121,8 +124,8 @@ const previewInterestCalculationHandler = asyncHandler(async (req, res) => {
   const periodStart = investment.lastInterestCalculated || investment.startDate;
   const { calculateDaysBetween, calculatePeriodInterest } = require('../utils/calculations');
   const days = calculateDaysBetween(periodStart, now);
-  const { interest, newBalance } = calculatePeriodInterest(parseFloat(investment.currentBalance), parseFloat(investment.interestRate), investment.compoundingFrequency || 'MONTHLY', days);
-  res.status(200).json({ success: true, message: 'Interest calculation preview generated successfully', data: { preview: true, investmentId, days, interest, newBalance, periodStart, periodEnd: now } });
+  const { interest, newBalance } = calculatePeriodInterest(investment.currentBalance, investment.interestRate, investment.compoundingFrequency || 'MONTHLY', days, investment.currency);
+  res.status(200).json({ success: true, message: 'Interest calculation preview generated successfully', data: { preview: true, investmentId, days, interest: toNumber(interest), newBalance: toNumber(newBalance), periodStart, periodEnd: now } });
 });
 
 /**
@@ -133,6 +136,17 @@ const previewInterestCalculationHandler = asyncHandler(async (req, res) => {
 const updateInvestmentScheduleHandler = asyncHandler(async (req, res) => {
   const payload = validate(scheduleSettingsSchema, req.body);
   const { investmentId } = validate(calculateInterestNowSchema, { investmentId: req.params.investmentId });
+  const investment = await prisma.investment.findFirst({
+    where: { id: investmentId, ...investmentAccessWhere(req.user.id, 'write') },
+    select: { id: true }
+  });
+  if (!investment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Investment not found',
+      code: 'RECORD_NOT_FOUND'
+    });
+  }
   const updated = await prisma.investment.update({
     where: { id: investmentId },
     data: {
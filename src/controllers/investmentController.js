@@ -13,10 +13,13 @@ const {
   validateUpdateInvestment,
   validateStatusUpdate,
   validateBalanceUpdate,
-  validateQueryFilters
+  validateQueryFilters,
+  validateLedgerQuery
 } = require('../validators/investmentValidator');
+const { getInvestmentLedger } = require('../services/ledgerService');
 
 const { asyncHandler } = require('../middleware/errorHandler');
+const { getAuditContext } = require('../services/auditService');
 
 /**
  * Create a new investment
@@ -37,7 +40,7 @@ const createInvestmentHandler = asyncHandler(async (req, res) => {
   }
 
   // Create investment
-  const investment = await createInvestment(req.user.id, validation.data);
+  const investment = await createInvestment(req.user.id, validation.data, getAuditContext(req));
 
   res.status(201).json({
     success: true,
@@ -120,7 +123,7 @@ const updateInvestmentHandler = asyncHandler(async (req, res) => {
   }
 
   // Update investment
-  const investment = await updateInvestment(id, req.user.id, validation.data);
+  const investment = await updateInvestment(id, req.user.id, validation.data, getAuditContext(req));
 
   res.status(200).json({
     success: true,
@@ -152,7 +155,7 @@ const updateInvestmentStatusHandler = asyncHandler(async (req, res) => {
   }
 
   // Update status
-  const investment = await updateInvestmentStatus(id, req.user.id, validation.data);
+  const investment = await updateInvestmentStatus(id, req.user.id, validation.data, {}, getAuditContext(req));
 
   res.status(200).json({
     success: true,
@@ -184,7 +187,7 @@ const updateInvestmentBalanceHandler = asyncHandler(async (req, res) => {
   }
 
   // Update balance
-  const investment = await updateInvestmentBalance(id, req.user.id, validation.data);
+  const investment = await updateInvestmentBalance(id, req.user.id, validation.data, getAuditContext(req));
 
   res.status(200).json({
     success: true,
@@ -218,6 +221,37 @@ const getInvestmentSummaryHandler = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get the double-entry journal of an investment
+ * @route GET /api/investments/:id/ledger
+ * @access Private
+ */
+const getInvestmentLedgerHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Validate query parameters
+  const validation = validateLedgerQuery(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const ledger = await getInvestmentLedger(id, req.user.id, validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Ledger retrieved successfully',
+    data: {
+      ledger
+    }
+  });
+});
+
 /**
  * Delete/Cancel investment
  * @route DELETE /api/investments/:id
@@ -226,11 +260,11 @@ const getInvestmentSummaryHandler = asyncHandler(async (req, res) => {
 const deleteInvestmentHandler = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  // Cancel investment by updating status
+  // Cancel investment by updating status (only the owner may cancel)
   const investment = await updateInvestmentStatus(id, req.user.id, {
     status: 'CANCELLED',
     notes: 'Investment cancelled by user'
-  });
+  }, { ownerOnly: true }, getAuditContext(req));
 
   res.status(200).json({
     success: true,
@@ -249,5 +283,6 @@ module.exports = {
   updateInvestmentStatusHandler,
   updateInvestmentBalanceHandler,
   getInvestmentSummaryHandler,
+  getInvestmentLedgerHandler,
   deleteInvestmentHandler
 };
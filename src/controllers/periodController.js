@@ -0,0 +1,88 @@
+const {
+  getPeriodStatus,
+  closePeriod,
+  reopenPeriod
+} = require('../services/periodService');
+
+const {
+  validateClosePeriod,
+  validateReopenPeriod
+} = require('../validators/periodValidator');
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getAuditContext } = require('../services/auditService');
+
+/**
+ * Get the lock date of the user's books and the close/reopen history
+ * @route GET /api/periods
+ * @access Private
+ */
+const getPeriodStatusHandler = asyncHandler(async (req, res) => {
+  const result = await getPeriodStatus(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Closed periods retrieved successfully',
+    data: result
+  });
+});
+
+/**
+ * Close the books through the end of a period
+ * @route POST /api/periods/close
+ * @access Private
+ */
+const closePeriodHandler = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateClosePeriod(req.body || {});
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await closePeriod(req.user.id, validation.data, getAuditContext(req));
+
+  res.status(200).json({
+    success: true,
+    message: `Books closed through ${result.lockDate}`,
+    data: result
+  });
+});
+
+/**
+ * Reopen closed periods by moving the lock date back
+ * @route POST /api/periods/reopen
+ * @access Private
+ */
+const reopenPeriodHandler = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateReopenPeriod(req.body || {});
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await reopenPeriod(req.user.id, validation.data, getAuditContext(req));
+
+  res.status(200).json({
+    success: true,
+    message: result.lockDate ? `Books reopened after ${result.lockDate}` : 'All periods reopened',
+    data: result
+  });
+});
+
+module.exports = {
+  getPeriodStatusHandler,
+  closePeriodHandler,
+  reopenPeriodHandler
+};
@@ -0,0 +1,80 @@
+const { reconcileUserInvestments } = require('../services/reconciliationService');
+
+const {
+  validateReconciliationQuery,
+  validateReconciliationRepair
+} = require('../validators/reconciliationValidator');
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getAuditContext } = require('../services/auditService');
+
+/**
+ * Check investment balances against their transaction history
+ * @route GET /api/reconciliation
+ * @access Private
+ */
+const getReconciliationHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validateReconciliationQuery(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const { investmentId, discrepanciesOnly } = validation.data;
+  const result = await reconcileUserInvestments(req.user.id, {
+    investmentIds: investmentId ? [investmentId] : undefined,
+    discrepanciesOnly
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Reconciliation completed successfully',
+    data: result
+  });
+});
+
+/**
+ * Rewrite balances and balance snapshots that drifted from the transaction history
+ * @route POST /api/reconciliation/repair
+ * @access Private
+ */
+const repairReconciliationHandler = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateReconciliationRepair(req.body || {});
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await reconcileUserInvestments(
+    req.user.id,
+    {
+      investmentIds: validation.data.investmentIds,
+      repair: true,
+      discrepanciesOnly: true
+    },
+    getAuditContext(req)
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `${result.summary.repaired} investment(s) repaired`,
+    data: result
+  });
+});
+
+module.exports = {
+  getReconciliationHandler,
+  repairReconciliationHandler
+};
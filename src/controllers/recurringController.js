@@ -0,0 +1,216 @@
+const {
+  createRecurringTransaction,
+  getRecurringTransactions,
+  getRecurringTransactionById,
+  updateRecurringTransaction,
+  deleteRecurringTransaction,
+  setOccurrence,
+  clearOccurrence
+} = require('../services/recurringService');
+
+const {
+  validateCreateRecurring,
+  validateUpdateRecurring,
+  validateRecurringQuery,
+  validateOccurrence,
+  validateOccurrenceDate
+} = require('../validators/recurringValidator');
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getAuditContext } = require('../services/auditService');
+
+/**
+ * Create a recurring transaction
+ * @route POST /api/recurring
+ * @access Private
+ */
+const createRecurringHandler = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateCreateRecurring(req.body || {});
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const recurringTransaction = await createRecurringTransaction(req.user.id, validation.data, getAuditContext(req));
+
+  res.status(201).json({
+    success: true,
+    message: 'Recurring transaction created successfully',
+    data: {
+      recurringTransaction
+    }
+  });
+});
+
+/**
+ * Get recurring transactions with optional filtering
+ * @route GET /api/recurring
+ * @access Private
+ */
+const getRecurringHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validateRecurringQuery(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const result = await getRecurringTransactions(req.user.id, validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Recurring transactions retrieved successfully',
+    data: result
+  });
+});
+
+/**
+ * Get a recurring transaction with upcoming occurrences and history
+ * @route GET /api/recurring/:id
+ * @access Private
+ */
+const getRecurringByIdHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const result = await getRecurringTransactionById(id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Recurring transaction retrieved successfully',
+    data: result
+  });
+});
+
+/**
+ * Update a recurring transaction (amount, description, end, pause/resume)
+ * @route PUT /api/recurring/:id
+ * @access Private
+ */
+const updateRecurringHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Validate input
+  const validation = validateUpdateRecurring(req.body || {});
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const recurringTransaction = await updateRecurringTransaction(id, req.user.id, validation.data, getAuditContext(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Recurring transaction updated successfully',
+    data: {
+      recurringTransaction
+    }
+  });
+});
+
+/**
+ * Delete a recurring transaction (posted transactions are kept)
+ * @route DELETE /api/recurring/:id
+ * @access Private
+ */
+const deleteRecurringHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const recurringTransaction = await deleteRecurringTransaction(id, req.user.id, getAuditContext(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Recurring transaction deleted successfully',
+    data: {
+      recurringTransaction
+    }
+  });
+});
+
+/**
+ * Skip or override a single occurrence
+ * @route PUT /api/recurring/:id/occurrences/:date
+ * @access Private
+ */
+const setOccurrenceHandler = asyncHandler(async (req, res) => {
+  const { id, date } = req.params;
+
+  // Validate input
+  const validation = validateOccurrence({ ...req.body, date });
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const { date: occurrenceDate, ...data } = validation.data;
+  const occurrence = await setOccurrence(id, req.user.id, occurrenceDate, data, getAuditContext(req));
+
+  res.status(200).json({
+    success: true,
+    message: data.skip ? 'Occurrence will be skipped' : 'Occurrence updated successfully',
+    data: {
+      occurrence
+    }
+  });
+});
+
+/**
+ * Remove a skip or override so the occurrence posts as scheduled
+ * @route DELETE /api/recurring/:id/occurrences/:date
+ * @access Private
+ */
+const clearOccurrenceHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Validate input
+  const validation = validateOccurrenceDate({ date: req.params.date });
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const occurrence = await clearOccurrence(id, req.user.id, validation.data.date, getAuditContext(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Occurrence restored to the schedule',
+    data: {
+      occurrence
+    }
+  });
+});
+
+module.exports = {
+  createRecurringHandler,
+  getRecurringHandler,
+  getRecurringByIdHandler,
+  updateRecurringHandler,
+  deleteRecurringHandler,
+  setOccurrenceHandler,
+  clearOccurrenceHandler
+};
@@ -5,10 +5,26 @@ const {
   getAssetAllocation,
   generateFinancialReport
 } = require('../services/reportService');
+const {
+  validateReportQuery,
+  validatePerformanceTrendsQuery,
+  validateFinancialReport
+} = require('../validators/reportValidator');
 
 const { asyncHandler } = require('../middleware/errorHandler');
 const Joi = require('joi');
 const { convertAmount, getRatesAt, normalizeCurrency } = require('../utils/currency');
+const { investmentAccessWhere, transactionAccessWhere } = require('../utils/access');
+const { Decimal, money, roundMoney, sumMoney, toNumber } = require('../utils/money');
+const {
+  excludeReversedWhere,
+  summarizeReturns,
+  splitReturns,
+  formatReturns,
+  getChargesByInvestment,
+  sumCharges,
+  formatUnconvertedCharges
+} = require('../services/transactionService');
 
 /**
  * Get dashboard data for user
@@ -16,13 +32,19 @@ const { convertAmount, getRatesAt, normalizeCurrency } = require('../utils/curre
  * @access Private
  */
 const getDashboardHandler = asyncHandler(async (req, res) => {
-  const { baseCurrency } = req.query;
-  const options = {};
-  if (baseCurrency && /^[A-Za-z]{3}$/.test(baseCurrency)) {
-    options.baseCurrency = baseCurrency.toUpperCase();
+  // Validate query parameters
+  const validation = validateReportQuery(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
   }
 
-  const dashboardData = await getDashboardData(req.user.id, options);
+  const dashboardData = await getDashboardData(req.user.id, validation.data);
 
   res.status(200).json({
     success: true,
@@ -37,13 +59,19 @@ const getDashboardHandler = asyncHandler(async (req, res) => {
  * @access Private
  */
 const getPortfolioSummaryHandler = asyncHandler(async (req, res) => {
-  const { baseCurrency } = req.query;
-  const options = {};
-  if (baseCurrency && /^[A-Za-z]{3}$/.test(baseCurrency)) {
-    options.baseCurrency = baseCurrency.toUpperCase();
+  // Validate query parameters
+  const validation = validateReportQuery(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
   }
 
-  const portfolioSummary = await getPortfolioSummary(req.user.id, options);
+  const portfolioSummary = await getPortfolioSummary(req.user.id, validation.data);
 
   res.status(200).json({
     success: true,
@@ -59,34 +87,18 @@ const getPortfolioSummaryHandler = asyncHandler(async (req, res) => {
  */
 const getPerformanceTrendsHandler = asyncHandler(async (req, res) => {
   // Validate query parameters
-  const schema = Joi.object({
-    months: Joi.number()
-      .integer()
-      .min(1)
-      .max(24)
-      .default(12)
-      .optional(),
-    investmentId: Joi.string()
-      .uuid()
-      .optional()
-  });
+  const validation = validatePerformanceTrendsQuery(req.query);
 
-  const { error, value } = schema.validate(req.query);
-  
-  if (error) {
+  if (!validation.isValid) {
     return res.status(400).json({
       success: false,
       error: 'Invalid query parameters',
-      details: error.details.map(detail => ({
-        field: detail.path.join('.'),
-        message: detail.message
-      })),
+      details: validation.errors,
       code: 'VALIDATION_ERROR'
     });
   }
 
-  // Get performance trends
-  const performanceTrends = await getPerformanceTrends(req.user.id, value);
+  const performanceTrends = await getPerformanceTrends(req.user.id, validation.data);
 
   res.status(200).json({
     success: true,
@@ -101,8 +113,19 @@ const getPerformanceTrendsHandler = asyncHandler(async (req, res) => {
  * @access Private
  */
 const getAssetAllocationHandler = asyncHandler(async (req, res) => {
-  // Get asset allocation
-  const assetAllocation = await getAssetAllocation(req.user.id);
+  // Validate query parameters
+  const validation = validateReportQuery(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const assetAllocation = await getAssetAllocation(req.user.id, validation.data);
 
   res.status(200).json({
     success: true,
@@ -118,36 +141,19 @@ const getAssetAllocationHandler = asyncHandler(async (req, res) => {
  */
 const generateFinancialReportHandler = asyncHandler(async (req, res) => {
   // Validate request body
-  const schema = Joi.object({
-    includeTransactions: Joi.boolean()
-      .default(false)
-      .optional(),
-    period: Joi.string()
-      .valid('all', 'ytd', 'last12months', 'last6months')
-      .default('all')
-      .optional(),
-    format: Joi.string()
-      .valid('json')
-      .default('json')
-      .optional()
-  });
+  const validation = validateFinancialReport(req.body);
 
-  const { error, value } = schema.validate(req.body);
-  
-  if (error) {
+  if (!validation.isValid) {
     return res.status(400).json({
       success: false,
       error: 'Invalid request parameters',
-      details: error.details.map(detail => ({
-        field: detail.path.join('.'),
-        message: detail.message
-      })),
+      details: validation.errors,
       code: 'VALIDATION_ERROR'
     });
   }
 
   // Generate financial report
-  const financialReport = await generateFinancialReport(req.user.id, value);
+  const financialReport = await generateFinancialReport(req.user.id, validation.data);
 
   res.status(200).json({
     success: true,
@@ -170,26 +176,33 @@ const getQuickStatsHandler = asyncHandler(async (req, res) => {
 
   // Get all investments for the user with currency for conversion
   const investments = await prisma.investment.findMany({
-    where: { userId: req.user.id },
-    select: { initialAmount: true, currentBalance: true, currency: true }
+    where: investmentAccessWhere(req.user.id),
+    select: { id: true, initialAmount: true, currentBalance: true, currency: true }
   });
 
-  let totalPrincipalBase = 0;
-  let totalCurrentValueBase = 0;
-  for (const inv of investments) {
-    const p = convertAmount(parseFloat(inv.initialAmount), inv.currency, baseCurrency) || 0;
-    const c = convertAmount(parseFloat(inv.currentBalance), inv.currency, baseCurrency) || 0;
-    totalPrincipalBase += p;
-    totalCurrentValueBase += c;
-  }
-  const totalReturnsBase = totalCurrentValueBase - totalPrincipalBase;
-  const returnPercentage = totalPrincipalBase > 0 ? (totalReturnsBase / totalPrincipalBase) * 100 : 0;
+  const totalPrincipalBase = roundMoney(
+    sumMoney(investments.map(inv => convertAmount(inv.initialAmount, inv.currency, baseCurrency))),
+    baseCurrency
+  );
+  const totalCurrentValueBase = roundMoney(
+    sumMoney(investments.map(inv => convertAmount(inv.currentBalance, inv.currency, baseCurrency))),
+    baseCurrency
+  );
+  const totalReturnsBase = totalCurrentValueBase.minus(totalPrincipalBase);
+  const charges = sumCharges(
+    investments,
+    await getChargesByInvestment(transactionAccessWhere(req.user.id)),
+    baseCurrency
+  );
+  const returnPercentage = totalPrincipalBase.gt(0)
+    ? toNumber(totalReturnsBase.div(totalPrincipalBase).times(100).toDecimalPlaces(4))
+    : 0;
 
   // This month's transactions, converted to NGN
   const startOfMonth = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
   const monthTx = await prisma.transaction.findMany({
     where: {
-      investment: { userId: req.user.id },
+      ...transactionAccessWhere(req.user.id),
       transactionDate: { gte: startOfMonth }
     },
     select: {
@@ -198,23 +211,27 @@ const getQuickStatsHandler = asyncHandler(async (req, res) => {
     }
   });
   const transactionCount = monthTx.length;
-  let transactionAmountBase = 0;
-  for (const t of monthTx) {
-    const a = convertAmount(parseFloat(t.amount), t.investment.currency, baseCurrency) || 0;
-    transactionAmountBase += a;
-  }
+  const transactionAmountBase = roundMoney(
+    sumMoney(monthTx.map(t => convertAmount(t.amount, t.investment.currency, baseCurrency))),
+    baseCurrency
+  );
 
   res.status(200).json({
     success: true,
     message: 'Quick stats retrieved successfully',
     data: {
       totalInvestments: investments.length,
-      totalPortfolioValue: totalCurrentValueBase,
-      totalReturns: totalReturnsBase,
+      totalPortfolioValue: toNumber(totalCurrentValueBase),
+      totalReturns: toNumber(totalReturnsBase),
+      ...formatReturns(splitReturns(totalReturnsBase, {
+        fees: roundMoney(charges.fees, baseCurrency),
+        taxes: roundMoney(charges.taxes, baseCurrency)
+      })),
+      unconvertedCharges: formatUnconvertedCharges(charges.unconverted),
       returnPercentage,
       thisMonth: {
         transactionCount,
-        transactionAmount: transactionAmountBase
+        transactionAmount: toNumber(transactionAmountBase)
       },
       currency: baseCurrency,
       ratesAt
@@ -261,7 +278,7 @@ const getInvestmentComparisonHandler = asyncHandler(async (req, res) => {
       id: {
         in: value.investmentIds
       },
-      userId: req.user.id // Ensure user owns all investments
+      ...investmentAccessWhere(req.user.id) // Ensure user can access all investments
     },
     select: {
       id: true,
@@ -289,25 +306,30 @@ const getInvestmentComparisonHandler = asyncHandler(async (req, res) => {
     });
   }
 
+  // Fees and taxes separate gross from net returns
+  const charges = await getChargesByInvestment({ investmentId: { in: value.investmentIds } });
+
   // Calculate comparison metrics
   const comparison = investments.map(investment => {
     const returnCalc = require('../utils/calculations').calculateReturnPercentage(
-      parseFloat(investment.initialAmount),
-      parseFloat(investment.currentBalance)
+      investment.initialAmount,
+      investment.currentBalance
     );
     
     const age = require('../utils/calculations').calculateYearsBetween(investment.startDate, new Date());
-    const annualizedReturn = age > 0 
-      ? (Math.pow(parseFloat(investment.currentBalance) / parseFloat(investment.initialAmount), 1 / age) - 1) * 100
+    const growth = money(investment.currentBalance).div(money(investment.initialAmount));
+    const annualizedReturn = age > 0 && growth.gt(0)
+      ? toNumber(growth.pow(new Decimal(1).div(age)).minus(1).times(100).toDecimalPlaces(4))
       : 0;
 
     return {
       id: investment.id,
       name: investment.name,
       category: investment.category,
-      initialAmount: parseFloat(investment.initialAmount),
-      currentBalance: parseFloat(investment.currentBalance),
+      initialAmount: toNumber(investment.initialAmount),
+      currentBalance: toNumber(investment.currentBalance),
       absoluteReturn: returnCalc.absoluteReturn,
+      ...formatReturns(splitReturns(returnCalc.absoluteReturn, charges.get(investment.id))),
       returnPercentage: returnCalc.returnPercentage,
       annualizedReturn,
       age,
@@ -327,7 +349,7 @@ const getInvestmentComparisonHandler = asyncHandler(async (req, res) => {
       current.returnPercentage < worst.returnPercentage ? current : worst
     ),
     averageReturn: comparison.reduce((sum, inv) => sum + inv.returnPercentage, 0) / comparison.length,
-    totalValue: comparison.reduce((sum, inv) => sum + inv.currentBalance, 0)
+    totalValue: toNumber(sumMoney(comparison.map(inv => inv.currentBalance)))
   };
 
   res.status(200).json({
@@ -366,9 +388,8 @@ const getMonthlyBreakdownHandler = asyncHandler(async (req, res) => {
 
   const transactions = await require('../config/database').prisma.transaction.findMany({
     where: {
-      investment: {
-        userId: req.user.id
-      },
+      ...transactionAccessWhere(req.user.id),
+      ...(req.query.includeReversed !== 'true' && excludeReversedWhere()),
       transactionDate: {
         gte: startDate,
         lte: endDate
@@ -393,28 +414,35 @@ const getMonthlyBreakdownHandler = asyncHandler(async (req, res) => {
     const monthTransactions = transactions.filter(t => 
       t.transactionDate.getMonth() === index
     );
+    const sumType = type => sumMoney(monthTransactions.filter(t => t.type === type).map(t => t.amount));
 
     return {
       month,
       monthName: new Date(requestedYear, index).toLocaleString('default', { month: 'long' }),
       transactions: monthTransactions.length,
-      totalAmount: monthTransactions.reduce((sum, t) => sum + t.amount, 0),
+      totalAmount: toNumber(sumMoney(monthTransactions.map(t => t.amount))),
       breakdown: {
-        returns: monthTransactions.filter(t => t.type === 'RETURN').reduce((sum, t) => sum + t.amount, 0),
-        withdrawals: monthTransactions.filter(t => t.type === 'WITHDRAWAL').reduce((sum, t) => sum + Math.abs(t.amount), 0),
-        deposits: monthTransactions.filter(t => t.type === 'DEPOSIT').reduce((sum, t) => sum + t.amount, 0),
-        dividends: monthTransactions.filter(t => t.type === 'DIVIDEND').reduce((sum, t) => sum + t.amount, 0)
+        returns: toNumber(sumType('RETURN')),
+        withdrawals: toNumber(sumMoney(monthTransactions.filter(t => t.type === 'WITHDRAWAL').map(t => money(t.amount).abs()))),
+        deposits: toNumber(sumType('DEPOSIT')),
+        dividends: toNumber(sumType('DIVIDEND')),
+        interestAccruals: toNumber(sumType('INTEREST_ACCRUAL')),
+        transfers: toNumber(sumType('TRANSFER')),
+        ...formatReturns(summarizeReturns(monthTransactions))
       }
     };
   });
 
   const yearSummary = {
     totalTransactions: transactions.length,
-    totalAmount: transactions.reduce((sum, t) => sum + t.amount, 0),
-    totalReturns: monthlyBreakdown.reduce((sum, m) => sum + m.breakdown.returns, 0),
-    totalWithdrawals: monthlyBreakdown.reduce((sum, m) => sum + m.breakdown.withdrawals, 0),
-    totalDeposits: monthlyBreakdown.reduce((sum, m) => sum + m.breakdown.deposits, 0),
-    totalDividends: monthlyBreakdown.reduce((sum, m) => sum + m.breakdown.dividends, 0)
+    totalAmount: toNumber(sumMoney(transactions.map(t => t.amount))),
+    totalReturns: toNumber(sumMoney(monthlyBreakdown.map(m => m.breakdown.returns))),
+    totalWithdrawals: toNumber(sumMoney(monthlyBreakdown.map(m => m.breakdown.withdrawals))),
+    totalDeposits: toNumber(sumMoney(monthlyBreakdown.map(m => m.breakdown.deposits))),
+    totalDividends: toNumber(sumMoney(monthlyBreakdown.map(m => m.breakdown.dividends))),
+    totalInterestAccruals: toNumber(sumMoney(monthlyBreakdown.map(m => m.breakdown.interestAccruals))),
+    totalTransfers: toNumber(sumMoney(monthlyBreakdown.map(m => m.breakdown.transfers))),
+    ...formatReturns(summarizeReturns(transactions))
   };
 
   res.status(200).json({
@@ -15,7 +15,10 @@ const {
 } = require('../validators/returnsValidator');
 
 const { asyncHandler } = require('../middleware/errorHandler');
+const { getAuditContext } = require('../services/auditService');
 const { prisma } = require('../config/database');
+const { transactionAccessWhere } = require('../utils/access');
+const { summarizeReturns, formatReturns, excludeReversedWhere } = require('../services/transactionService');
 
 const {
   calculateCompoundInterest,
@@ -43,14 +46,15 @@ const addManualReturnHandler = asyncHandler(async (req, res) => {
   const { investmentId, ...returnData } = validation.data;
 
   // Add manual return
-  const result = await addManualReturn(investmentId, req.user.id, returnData);
+  const result = await addManualReturn(investmentId, req.user.id, returnData, getAuditContext(req));
 
   res.status(201).json({
     success: true,
     message: 'Manual return added successfully',
     data: {
       investment: result.investment,
-      transaction: result.transaction
+      transaction: result.transaction,
+      recomputation: result.recomputation
     }
   });
 });
@@ -206,7 +210,7 @@ const applyMonthlyReturnHandler = asyncHandler(async (req, res) => {
     type: 'RETURN'
   };
 
-  const result = await addManualReturn(investmentId, req.user.id, returnData);
+  const result = await addManualReturn(investmentId, req.user.id, returnData, getAuditContext(req));
 
   res.status(201).json({
     success: true,
@@ -238,7 +242,7 @@ const bulkAddReturnsHandler = asyncHandler(async (req, res) => {
   }
 
   // Process bulk returns
-  const result = await bulkAddReturns(validation.data.returnEntries, req.user.id);
+  const result = await bulkAddReturns(validation.data.returnEntries, req.user.id, getAuditContext(req));
 
   const statusCode = result.failed > 0 ? 207 : 201; // 207 Multi-Status if some failed
 
@@ -257,11 +261,7 @@ const bulkAddReturnsHandler = asyncHandler(async (req, res) => {
 const getReturnsSummaryHandler = asyncHandler(async (req, res) => {
   // Get all user transactions summary
   const transactionSummary = await prisma.transaction.aggregate({
-    where: {
-      investment: {
-        userId: req.user.id
-      }
-    },
+    where: transactionAccessWhere(req.user.id),
     _sum: {
       amount: true
     },
@@ -273,11 +273,7 @@ const getReturnsSummaryHandler = asyncHandler(async (req, res) => {
   // Group by transaction type
   const transactionsByType = await prisma.transaction.groupBy({
     by: ['type'],
-    where: {
-      investment: {
-        userId: req.user.id
-      }
-    },
+    where: transactionAccessWhere(req.user.id),
     _sum: {
       amount: true
     },
@@ -286,6 +282,18 @@ const getReturnsSummaryHandler = asyncHandler(async (req, res) => {
     }
   });
 
+  // Gross and net returns leave reversed pairs out
+  const returnTypes = await prisma.transaction.groupBy({
+    by: ['type'],
+    where: {
+      ...transactionAccessWhere(req.user.id),
+      ...excludeReversedWhere()
+    },
+    _sum: {
+      amount: true
+    }
+  });
+
   // Get monthly returns summary (last 12 months)
   const twelveMonthsAgo = new Date();
   twelveMonthsAgo.setMonth(twelveMonthsAgo.getMonth() - 12);
@@ -293,9 +301,7 @@ const getReturnsSummaryHandler = asyncHandler(async (req, res) => {
   const monthlyReturns = await prisma.transaction.groupBy({
     by: ['transactionDate'],
     where: {
-      investment: {
-        userId: req.user.id
-      },
+      ...transactionAccessWhere(req.user.id),
       transactionDate: {
         gte: twelveMonthsAgo
       }
@@ -322,7 +328,11 @@ const getReturnsSummaryHandler = asyncHandler(async (req, res) => {
     return: { total: 0, count: 0 },
     withdrawal: { total: 0, count: 0 },
     deposit: { total: 0, count: 0 },
-    dividend: { total: 0, count: 0 }
+    dividend: { total: 0, count: 0 },
+    fee: { total: 0, count: 0 },
+    tax_withheld: { total: 0, count: 0 },
+    interest_accrual: { total: 0, count: 0 },
+    transfer: { total: 0, count: 0 }
   });
 
   res.status(200).json({
@@ -331,7 +341,8 @@ const getReturnsSummaryHandler = asyncHandler(async (req, res) => {
     data: {
       overall: {
         totalAmount: transactionSummary._sum.amount || 0,
-        totalTransactions: transactionSummary._count._all || 0
+        totalTransactions: transactionSummary._count._all || 0,
+        ...formatReturns(summarizeReturns(returnTypes.map(item => ({ type: item.type, amount: item._sum.amount }))))
       },
       typeBreakdown,
       monthlyReturns: monthlyReturns.map(item => ({
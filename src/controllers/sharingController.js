@@ -0,0 +1,190 @@
+const {
+  createGrant,
+  getGrantsGiven,
+  getGrantsReceived,
+  respondToInvitation,
+  updateGrantRole,
+  revokeGrant
+} = require('../services/sharingService');
+
+const {
+  validateCreateGrant,
+  validateUpdateGrant,
+  validateListGrants
+} = require('../validators/sharingValidator');
+
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Invite a user to view or edit an investment or the whole portfolio
+ * @route POST /api/sharing/grants
+ * @access Private
+ */
+const createGrantHandler = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateCreateGrant(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const grant = await createGrant(req.user.id, validation.data);
+
+  res.status(201).json({
+    success: true,
+    message: 'Invitation sent successfully',
+    data: {
+      grant
+    }
+  });
+});
+
+/**
+ * List access the current user has given to others
+ * @route GET /api/sharing/grants
+ * @access Private
+ */
+const getGrantsGivenHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validateListGrants(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const grants = await getGrantsGiven(req.user.id, validation.data);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shared access retrieved successfully',
+    data: {
+      grants
+    }
+  });
+});
+
+/**
+ * Change the role of a grant
+ * @route PATCH /api/sharing/grants/:id
+ * @access Private
+ */
+const updateGrantRoleHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Validate input
+  const validation = validateUpdateGrant(req.body);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const grant = await updateGrantRole(id, req.user.id, validation.data.role);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shared access updated successfully',
+    data: {
+      grant
+    }
+  });
+});
+
+/**
+ * Revoke a grant (owner) or give up shared access (grantee)
+ * @route DELETE /api/sharing/grants/:id
+ * @access Private
+ */
+const revokeGrantHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const grant = await revokeGrant(id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shared access revoked successfully',
+    data: {
+      grant
+    }
+  });
+});
+
+/**
+ * List access shared with the current user and pending invitations
+ * @route GET /api/sharing/received
+ * @access Private
+ */
+const getGrantsReceivedHandler = asyncHandler(async (req, res) => {
+  const { grants, invitations } = await getGrantsReceived(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shared access retrieved successfully',
+    data: {
+      grants,
+      invitations
+    }
+  });
+});
+
+/**
+ * Accept an invitation
+ * @route POST /api/sharing/invitations/:id/accept
+ * @access Private
+ */
+const acceptInvitationHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const grant = await respondToInvitation(id, req.user.id, true);
+
+  res.status(200).json({
+    success: true,
+    message: 'Invitation accepted successfully',
+    data: {
+      grant
+    }
+  });
+});
+
+/**
+ * Decline an invitation
+ * @route POST /api/sharing/invitations/:id/decline
+ * @access Private
+ */
+const declineInvitationHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const grant = await respondToInvitation(id, req.user.id, false);
+
+  res.status(200).json({
+    success: true,
+    message: 'Invitation declined',
+    data: {
+      grant
+    }
+  });
+});
+
+module.exports = {
+  createGrantHandler,
+  getGrantsGivenHandler,
+  updateGrantRoleHandler,
+  revokeGrantHandler,
+  getGrantsReceivedHandler,
+  acceptInvitationHandler,
+  declineInvitationHandler
+};
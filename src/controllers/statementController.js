@@ -0,0 +1,72 @@
+const {
+  generateInvestmentStatement,
+  generatePortfolioStatement
+} = require('../services/statementService');
+
+const { validateStatementQuery } = require('../validators/statementValidator');
+
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Send a rendered statement as a PDF download
+ * @param {Object} res - Express response object
+ * @param {Object} statement - filename and content
+ */
+function sendStatement(res, { filename, content }) {
+  res.status(200).set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': content.length,
+    'Cache-Control': 'private, no-store'
+  });
+  res.end(content);
+}
+
+/**
+ * Download the PDF statement of an investment
+ * @route GET /api/reports/statements/investments/:id
+ * @access Private
+ */
+const getInvestmentStatementHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validateStatementQuery(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const statement = await generateInvestmentStatement(req.params.id, req.user.id, validation.data);
+  sendStatement(res, statement);
+});
+
+/**
+ * Download the PDF statement of the portfolio
+ * @route GET /api/reports/statements/portfolio
+ * @access Private
+ */
+const getPortfolioStatementHandler = asyncHandler(async (req, res) => {
+  // Validate query parameters
+  const validation = validateStatementQuery(req.query);
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const statement = await generatePortfolioStatement(req.user.id, validation.data);
+  sendStatement(res, statement);
+});
+
+module.exports = {
+  getInvestmentStatementHandler,
+  getPortfolioStatementHandler
+};
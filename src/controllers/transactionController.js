@@ -3,20 +3,31 @@ const {
   getUserTransactions,
   getTransactionById,
   updateTransaction,
+  reverseTransaction,
   deleteTransaction,
   getTransactionStatistics,
-  getInvestmentTransactionSummary
+  getInvestmentTransactionSummary,
+  excludeReversedWhere,
+  summarizeReturns,
+  formatReturns
 } = require('../services/transactionService');
+const { createTransfer } = require('../services/transferService');
 
 const {
   validateCreateTransaction,
   validateUpdateTransaction,
   validateTransactionQueryFilters,
-  validateTransactionStatsQuery
+  validateReverseTransaction,
+  validateTransfer,
+  validateTransactionStatsQuery,
+  QUERY_TRANSACTION_TYPES
 } = require('../validators/transactionValidator');
 
 const { asyncHandler } = require('../middleware/errorHandler');
+const { getAuditContext } = require('../services/auditService');
 const { prisma } = require('../config/database');
+const { transactionAccessWhere } = require('../utils/access');
+const { money, toNumber } = require('../utils/money');
 
 /**
  * Create a new transaction
@@ -37,13 +48,14 @@ const createTransactionHandler = asyncHandler(async (req, res) => {
   }
 
   // Create transaction
-  const transaction = await createTransaction(req.user.id, validation.data);
+  const result = await createTransaction(req.user.id, validation.data, getAuditContext(req));
 
   res.status(201).json({
     success: true,
     message: 'Transaction created successfully',
     data: {
-      transaction
+      transaction: result.transaction,
+      recomputation: result.recomputation
     }
   });
 });
@@ -120,19 +132,50 @@ const updateTransactionHandler = asyncHandler(async (req, res) => {
   }
 
   // Update transaction
-  const transaction = await updateTransaction(id, req.user.id, validation.data);
+  const result = await updateTransaction(id, req.user.id, validation.data, getAuditContext(req));
 
   res.status(200).json({
     success: true,
     message: 'Transaction updated successfully',
     data: {
-      transaction
+      transaction: result.transaction,
+      recomputation: result.recomputation
     }
   });
 });
 
 /**
- * Delete transaction
+ * Reverse transaction with an offsetting entry
+ * @route POST /api/transactions/:id/reverse
+ * @access Private
+ */
+const reverseTransactionHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Validate input
+  const validation = validateReverseTransaction(req.body || {});
+  
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  // Reverse transaction
+  const result = await reverseTransaction(id, req.user.id, validation.data, getAuditContext(req));
+
+  res.status(201).json({
+    success: true,
+    message: 'Transaction reversed successfully',
+    data: result
+  });
+});
+
+/**
+ * Delete transaction (posts a reversal dated today; the history is kept)
  * @route DELETE /api/transactions/:id
  * @access Private
  */
@@ -140,20 +183,53 @@ const deleteTransactionHandler = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   // Delete transaction
-  const result = await deleteTransaction(id, req.user.id);
+  const result = await deleteTransaction(id, req.user.id, {
+    recalculateInterest: req.query.recalculateInterest === 'true'
+  }, getAuditContext(req));
 
   res.status(200).json({
     success: true,
-    message: 'Transaction deleted successfully',
+    message: 'Transaction reversed successfully',
     data: {
-      deletedTransaction: result.deletedTransaction,
+      deletedTransaction: result.reversedTransaction,
+      reversal: result.reversal,
       investmentName: result.investmentName,
       balanceAdjustment: result.balanceAdjustment,
-      newBalance: result.newBalance
+      newBalance: result.newBalance,
+      recomputation: result.recomputation,
+      ...(result.counterpart && { counterpart: result.counterpart })
     }
   });
 });
 
+/**
+ * Transfer an amount from one investment to another
+ * @route POST /api/transactions/transfer
+ * @access Private
+ */
+const createTransferHandler = asyncHandler(async (req, res) => {
+  // Validate input
+  const validation = validateTransfer(req.body || {});
+
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validation.errors,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  // Post both legs of the transfer
+  const result = await createTransfer(req.user.id, validation.data, getAuditContext(req));
+
+  res.status(201).json({
+    success: true,
+    message: 'Transfer completed successfully',
+    data: result
+  });
+});
+
 /**
  * Get transaction statistics for user
  * @route GET /api/transactions/statistics
@@ -193,7 +269,9 @@ const getInvestmentTransactionSummaryHandler = asyncHandler(async (req, res) =>
   const { investmentId } = req.params;
 
   // Get investment transaction summary
-  const summary = await getInvestmentTransactionSummary(investmentId, req.user.id);
+  const summary = await getInvestmentTransactionSummary(investmentId, req.user.id, {
+    includeReversed: req.query.includeReversed === 'true'
+  });
 
   res.status(200).json({
     success: true,
@@ -251,7 +329,8 @@ const getTransactionSummaryByTypeHandler = asyncHandler(async (req, res) => {
   const statistics = await getTransactionStatistics(req.user.id, {
     startDate,
     endDate,
-    groupBy: 'type'
+    groupBy: 'type',
+    includeReversed: req.query.includeReversed === 'true'
   });
 
   res.status(200).json({
@@ -266,12 +345,10 @@ const getTransactionSummaryByTypeHandler = asyncHandler(async (req, res) => {
           averageAmount: group.averageAmount
         };
         return acc;
-      }, {
-        return: { totalAmount: 0, transactionCount: 0, averageAmount: 0 },
-        withdrawal: { totalAmount: 0, transactionCount: 0, averageAmount: 0 },
-        deposit: { totalAmount: 0, transactionCount: 0, averageAmount: 0 },
-        dividend: { totalAmount: 0, transactionCount: 0, averageAmount: 0 }
-      })
+      }, Object.fromEntries(QUERY_TRANSACTION_TYPES.map(type => [
+        type.toLowerCase(),
+        { totalAmount: 0, transactionCount: 0, averageAmount: 0 }
+      ])))
     }
   });
 });
@@ -282,7 +359,7 @@ const getTransactionSummaryByTypeHandler = asyncHandler(async (req, res) => {
  * @access Private
  */
 const getTransactionTrendsHandler = asyncHandler(async (req, res) => {
-  const { months = 12 } = req.query;
+  const { months = 12, includeReversed } = req.query;
   
   // Validate months parameter
   const monthsNum = parseInt(months);
@@ -302,9 +379,8 @@ const getTransactionTrendsHandler = asyncHandler(async (req, res) => {
   // Get monthly transaction data
   const monthlyData = await prisma.transaction.findMany({
     where: {
-      investment: {
-        userId: req.user.id
-      },
+      ...transactionAccessWhere(req.user.id),
+      ...(includeReversed !== 'true' && excludeReversedWhere()),
       transactionDate: {
         gte: startDate
       }
@@ -327,24 +403,32 @@ const getTransactionTrendsHandler = asyncHandler(async (req, res) => {
     if (!monthlyTrends[monthKey]) {
       monthlyTrends[monthKey] = {
         month: monthKey,
-        totalAmount: 0,
+        totalAmount: money(0),
         transactionCount: 0,
-        types: {
-          RETURN: { amount: 0, count: 0 },
-          WITHDRAWAL: { amount: 0, count: 0 },
-          DEPOSIT: { amount: 0, count: 0 },
-          DIVIDEND: { amount: 0, count: 0 }
-        }
+        types: Object.fromEntries(QUERY_TRANSACTION_TYPES.map(type => [type, { amount: money(0), count: 0 }]))
       };
     }
     
-    monthlyTrends[monthKey].totalAmount += transaction.amount;
-    monthlyTrends[monthKey].transactionCount += 1;
-    monthlyTrends[monthKey].types[transaction.type].amount += transaction.amount;
-    monthlyTrends[monthKey].types[transaction.type].count += 1;
+    const monthData = monthlyTrends[monthKey];
+    monthData.totalAmount = monthData.totalAmount.plus(money(transaction.amount));
+    monthData.transactionCount += 1;
+    monthData.types[transaction.type].amount = monthData.types[transaction.type].amount.plus(money(transaction.amount));
+    monthData.types[transaction.type].count += 1;
   });
 
-  const trends = Object.values(monthlyTrends).sort((a, b) => a.month.localeCompare(b.month));
+  const trends = Object.values(monthlyTrends)
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .map(month => ({
+      ...month,
+      totalAmount: toNumber(month.totalAmount),
+      ...formatReturns(summarizeReturns(
+        Object.entries(month.types).map(([type, data]) => ({ type, amount: data.amount }))
+      )),
+      types: Object.fromEntries(Object.entries(month.types).map(([type, data]) => [
+        type,
+        { amount: toNumber(data.amount), count: data.count }
+      ]))
+    }));
 
   res.status(200).json({
     success: true,
@@ -365,7 +449,9 @@ module.exports = {
   getTransactionsHandler,
   getTransactionByIdHandler,
   updateTransactionHandler,
+  reverseTransactionHandler,
   deleteTransactionHandler,
+  createTransferHandler,
   getTransactionStatisticsHandler,
   getInvestmentTransactionSummaryHandler,
   getRecentTransactionsHandler,
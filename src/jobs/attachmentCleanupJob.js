@@ -0,0 +1,16 @@
+const cron = require('node-cron');
+const { purgeOrphanedAttachmentFiles } = require('../services/attachmentService');
+
+function scheduleAttachmentCleanupJob() {
+  // Run every day at 03:45
+  return cron.schedule('45 3 * * *', async () => {
+    try {
+      const purged = await purgeOrphanedAttachmentFiles();
+      console.log(`[AttachmentCleanupJob] Scanned files: ${purged.scanned}, deleted orphans: ${purged.deleted}`);
+    } catch (err) {
+      console.error('[AttachmentCleanupJob] Fatal error:', err);
+    }
+  }, { timezone: 'UTC' });
+}
+
+module.exports = { scheduleAttachmentCleanupJob };
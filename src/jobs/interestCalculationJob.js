@@ -7,7 +7,7 @@ function scheduleInterestCalculationJob() {
   return cron.schedule('5 * * * *', async () => {
     try {
       const summary = await processScheduledInterestCalculations();
-      console.log(`[InterestJob] Processed: ${summary.processed}, Succeeded: ${summary.succeeded}, Failed: ${summary.failed}`);
+      console.log(`[InterestJob] Run ${summary.runId} - Processed: ${summary.processed}, Succeeded: ${summary.succeeded}, Failed: ${summary.failed}`);
       if (summary.errors.length) {
         console.warn('[InterestJob] Errors:', summary.errors);
       }
@@ -0,0 +1,19 @@
+const cron = require('node-cron');
+const { processRecurringTransactions } = require('../services/scheduledRecurringService');
+
+function scheduleRecurringTransactionJob() {
+  // Run every hour at 20m
+  return cron.schedule('20 * * * *', async () => {
+    try {
+      const summary = await processRecurringTransactions();
+      console.log(`[RecurringJob] Run ${summary.runId} - Processed: ${summary.processed}, Posted: ${summary.posted}, Skipped: ${summary.skipped}, Failed: ${summary.failed}`);
+      if (summary.errors.length) {
+        console.warn('[RecurringJob] Errors:', summary.errors);
+      }
+    } catch (err) {
+      console.error('[RecurringJob] Fatal error:', err);
+    }
+  }, { timezone: 'UTC' });
+}
+
+module.exports = { scheduleRecurringTransactionJob };
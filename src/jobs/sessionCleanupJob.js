@@ -0,0 +1,16 @@
+const cron = require('node-cron');
+const { purgeExpiredSessionData } = require('../services/sessionService');
+
+function scheduleSessionCleanupJob() {
+  // Run every day at 03:15
+  return cron.schedule('15 3 * * *', async () => {
+    try {
+      const purged = await purgeExpiredSessionData();
+      console.log(`[SessionCleanupJob] Purged sessions: ${purged.sessions}, refresh tokens: ${purged.refreshTokens}, revoked tokens: ${purged.revokedTokens}`);
+    } catch (err) {
+      console.error('[SessionCleanupJob] Fatal error:', err);
+    }
+  }, { timezone: 'UTC' });
+}
+
+module.exports = { scheduleSessionCleanupJob };
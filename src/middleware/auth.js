@@ -1,5 +1,51 @@
 const { verifyJWT, extractTokenFromHeader } = require('../utils/auth');
 const { prisma } = require('../config/database');
+const { isAccessTokenRevoked } = require('../services/sessionService');
+const { authenticateApiKey } = require('../services/apiKeyService');
+const { isApiKey, hasScope } = require('../utils/apiKeys');
+
+/**
+ * Respond to a request from a disabled account
+ * @param {Object} res - Express response object
+ */
+function accountDisabled(res) {
+  return res.status(403).json({
+    success: false,
+    error: 'This account has been disabled',
+    code: 'ACCOUNT_DISABLED'
+  });
+}
+
+/**
+ * Authenticate a request made with a personal API key
+ * @param {string} rawKey - Plain API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function authenticateWithApiKey(rawKey, req, res, next) {
+  const result = await authenticateApiKey(rawKey, req.ip);
+
+  if (!result) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid, expired or revoked API key',
+      code: 'API_KEY_INVALID'
+    });
+  }
+
+  const { disabledAt, ...user } = result.user;
+
+  if (disabledAt) {
+    return accountDisabled(res);
+  }
+
+  req.user = user;
+  req.apiKey = result.apiKey;
+  req.authMethod = 'api_key';
+
+  next();
+}
 
 /**
  * Authentication middleware - requires valid JWT token
@@ -9,8 +55,8 @@ const { prisma } = require('../config/database');
  */
 async function requireAuth(req, res, next) {
   try {
-    // Extract token from Authorization header
-    const token = extractTokenFromHeader(req);
+    // Extract token from Authorization header (or an API key from X-API-Key)
+    const token = extractTokenFromHeader(req) || req.get('x-api-key') || null;
     
     if (!token) {
       return res.status(401).json({
@@ -20,6 +66,10 @@ async function requireAuth(req, res, next) {
       });
     }
 
+    if (isApiKey(token)) {
+      return await authenticateWithApiKey(token, req, res, next);
+    }
+
     // Verify and decode token
     let decoded;
     try {
@@ -28,7 +78,16 @@ async function requireAuth(req, res, next) {
       return res.status(401).json({
         success: false,
         error: error.message || 'Invalid or expired token',
-        code: 'AUTH_TOKEN_INVALID'
+        code: error.message === 'Token has expired' ? 'AUTH_TOKEN_EXPIRED' : 'AUTH_TOKEN_INVALID'
+      });
+    }
+
+    // Reject tokens that were logged out or belong to a revoked session
+    if (await isAccessTokenRevoked(decoded)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Token has been revoked - please log in again',
+        code: 'AUTH_TOKEN_REVOKED'
       });
     }
 
@@ -40,6 +99,8 @@ async function requireAuth(req, res, next) {
         email: true,
         firstName: true,
         lastName: true,
+        role: true,
+        disabledAt: true,
         createdAt: true,
         updatedAt: true
       }
@@ -53,9 +114,18 @@ async function requireAuth(req, res, next) {
       });
     }
 
+    const { disabledAt, ...activeUser } = user;
+
+    if (disabledAt) {
+      return accountDisabled(res);
+    }
+
     // Attach user to request object
-    req.user = user;
+    req.user = activeUser;
     req.token = token;
+    req.tokenPayload = decoded;
+    req.sessionId = decoded.sid;
+    req.authMethod = 'jwt';
     
     next();
   } catch (error) {
@@ -69,6 +139,87 @@ async function requireAuth(req, res, next) {
   }
 }
 
+/**
+ * Authentication middleware for account management routes
+ * Like requireAuth, but API keys are refused so a leaked key cannot be used
+ * to change credentials, sessions or mint further keys.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function requireSessionAuth(req, res, next) {
+  await requireAuth(req, res, (error) => {
+    if (error) {
+      return next(error);
+    }
+
+    if (req.authMethod === 'api_key') {
+      return res.status(403).json({
+        success: false,
+        error: 'API keys cannot be used for this endpoint - log in instead',
+        code: 'API_KEY_NOT_ALLOWED'
+      });
+    }
+
+    next();
+  });
+}
+
+/**
+ * Scope check for API key requests (use after requireAuth)
+ * Requests authenticated with a login token are not restricted.
+ * @param {string} scope - Required scope, e.g. transactions:write
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey || hasScope(req.apiKey.scopes, scope)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      error: `API key is missing the required scope: ${scope}`,
+      code: 'INSUFFICIENT_SCOPE',
+      requiredScope: scope
+    });
+  };
+}
+
+/**
+ * Scope check derived from the HTTP method: GET/HEAD need `<resource>:read`,
+ * everything else `<resource>:write`
+ * @param {string} resource - Scope resource, e.g. investments
+ * @returns {Function} Express middleware
+ */
+function requireResourceScope(resource) {
+  const read = requireScope(`${resource}:read`);
+  const write = requireScope(`${resource}:write`);
+
+  return (req, res, next) => (
+    req.method === 'GET' || req.method === 'HEAD' ? read : write
+  )(req, res, next);
+}
+
+/**
+ * Role-based authorization (use after requireAuth)
+ * @param {...string} roles - Roles allowed to continue, e.g. ADMIN
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (req.user && roles.includes(req.user.role)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      error: 'You do not have permission to access this resource',
+      code: 'INSUFFICIENT_ROLE'
+    });
+  };
+}
+
 /**
  * Optional authentication middleware - doesn't fail if no token
  * @param {Object} req - Express request object
@@ -85,6 +236,10 @@ async function optionalAuth(req, res, next) {
 
     try {
       const decoded = verifyJWT(token);
+
+      if (await isAccessTokenRevoked(decoded)) {
+        return next();
+      }
       
       const user = await prisma.user.findUnique({
         where: { id: decoded.id },
@@ -93,14 +248,19 @@ async function optionalAuth(req, res, next) {
           email: true,
           firstName: true,
           lastName: true,
+          role: true,
+          disabledAt: true,
           createdAt: true,
           updatedAt: true
         }
       });
 
-      if (user) {
-        req.user = user;
+      if (user && !user.disabledAt) {
+        const { disabledAt, ...activeUser } = user;
+        req.user = activeUser;
         req.token = token;
+        req.tokenPayload = decoded;
+        req.sessionId = decoded.sid;
       }
     } catch (error) {
       // Silently ignore token errors for optional auth
@@ -133,6 +293,10 @@ function getCurrentUserId(req) {
 
 module.exports = {
   requireAuth,
+  requireSessionAuth,
+  requireScope,
+  requireResourceScope,
+  requireRole,
   optionalAuth,
   isAuthenticated,
   getCurrentUserId
@@ -20,6 +20,12 @@ class AppError extends Error {
  * @param {Function} next - Express next function
  */
 function globalErrorHandler(error, req, res, next) {
+  // A streamed response (download, export) already started: let Express abort it
+  if (res.headersSent) {
+    console.error('Error after response started:', error.message);
+    return next(error);
+  }
+
   let statusCode = error.statusCode || 500;
   let message = error.message || 'Internal server error';
   let code = error.code || null;
@@ -44,11 +50,17 @@ function globalErrorHandler(error, req, res, next) {
   // Log error details
   logError(error, req, statusCode);
 
+  // Rate limit lockouts tell the client when to retry
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
   // Format error response
   const errorResponse = {
     success: false,
     error: message,
     ...(code && { code }),
+    ...(error.retryAfter && { retryAfter: error.retryAfter }),
     ...(req.method && { method: req.method }),
     ...(req.path && { path: req.path })
   };
@@ -0,0 +1,340 @@
+const { setTimeout: sleep } = require('timers/promises');
+const { AppError } = require('./errorHandler');
+const jwt = require('jsonwebtoken');
+const { sanitizeEmail } = require('../utils/validation');
+
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10);
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+
+/**
+ * In-memory attempt store
+ * Any object with async get/set/delete can be passed as `store` to share
+ * counters between instances (e.g. a Redis-backed store).
+ * @returns {Object} Attempt store
+ */
+function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+
+      if (entry && entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+
+      return entry || null;
+    },
+    async set(key, entry) {
+      entries.set(key, entry);
+
+      // Prune stale entries occasionally so the map cannot grow unbounded
+      if (entries.size > 10000) {
+        const now = Date.now();
+        for (const [storedKey, storedEntry] of entries) {
+          if (storedEntry.expiresAt <= now) {
+            entries.delete(storedKey);
+          }
+        }
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * Build the lockout error for a key scope
+ * @param {string} scope - Key scope (ip, account or user)
+ * @param {number} retryAfter - Seconds until the lockout ends
+ * @returns {AppError} Lockout error carrying retryAfter
+ */
+function createLockoutError(scope, retryAfter) {
+  const error = scope === 'ip'
+    ? new AppError(
+      'Too many attempts from this address - please try again later',
+      429,
+      'TOO_MANY_ATTEMPTS'
+    )
+    : new AppError(
+      'Too many failed attempts - this account is temporarily locked',
+      429,
+      'ACCOUNT_LOCKED'
+    );
+
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+/**
+ * Create a rate limiting middleware with progressive delay and lockout
+ * Each request is tracked under one or more keys (e.g. client IP and the
+ * account it targets) and counted before it runs, so parallel requests
+ * cannot slip past the limit. Once a key reaches `delayAfter` attempts,
+ * responses are slowed down exponentially; at `maxAttempts` the key is locked
+ * for `lockoutMs` and requests are rejected through the global error handler.
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Limiter name, used to namespace keys
+ * @param {number} options.maxAttempts - Attempts allowed before lockout
+ * @param {number} options.windowMs - Window in which attempts are counted
+ * @param {number} options.lockoutMs - Lockout duration
+ * @param {number} options.delayAfter - Attempts before delays start
+ * @param {number} options.delayMs - First delay, doubled on each further attempt
+ * @param {number} options.maxDelayMs - Upper bound for the delay
+ * @param {boolean} options.skipSuccessfulRequests - Give the attempt back on success (2xx/3xx); success also resets account/user keys
+ * @param {Function} options.keyGenerator - (req) => [{ key, scope }]
+ * @param {Object} options.store - Attempt store (defaults to in-memory)
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter(options = {}) {
+  const {
+    name = 'default',
+    maxAttempts = 10,
+    windowMs = 15 * 60 * 1000,
+    lockoutMs = 15 * 60 * 1000,
+    delayAfter = Math.max(1, Math.floor(maxAttempts / 2)),
+    delayMs = 500,
+    maxDelayMs = 5000,
+    skipSuccessfulRequests = false,
+    keyGenerator = req => [{ key: `ip:${req.ip}`, scope: 'ip' }],
+    store = createMemoryStore()
+  } = options;
+
+  const namespaced = key => `${name}:${key}`;
+  const queues = new Map();
+
+  // Updates of one key run one after another, so parallel requests cannot
+  // both read a count before either has written it back
+  function withKey(key, update) {
+    const storeKey = namespaced(key);
+    const result = (queues.get(storeKey) || Promise.resolve()).then(() => update(storeKey));
+    const settled = result.catch(() => {});
+
+    queues.set(storeKey, settled);
+    settled.then(() => {
+      if (queues.get(storeKey) === settled) {
+        queues.delete(storeKey);
+      }
+    });
+
+    return result;
+  }
+
+  // Count the attempt before the request runs; a locked key is not counted
+  function reserveAttempt({ key, scope }, now) {
+    return withKey(key, async (storeKey) => {
+      const entry = await store.get(storeKey) || {
+        count: 0,
+        lockedUntil: null,
+        expiresAt: now + windowMs
+      };
+
+      if (entry.lockedUntil && entry.lockedUntil > now) {
+        return {
+          key,
+          scope,
+          lockout: createLockoutError(scope, Math.ceil((entry.lockedUntil - now) / 1000))
+        };
+      }
+
+      const previousCount = entry.count;
+      entry.count += 1;
+
+      const locked = entry.count >= maxAttempts;
+      if (locked) {
+        entry.count = 0;
+        entry.lockedUntil = now + lockoutMs;
+        entry.expiresAt = entry.lockedUntil;
+      }
+
+      await store.set(storeKey, entry);
+      return { key, scope, previousCount, locked };
+    });
+  }
+
+  // Give a reserved attempt back, lifting the lockout if this attempt caused it
+  function releaseAttempt({ key, locked }, reset) {
+    return withKey(key, async (storeKey) => {
+      if (reset) {
+        await store.delete(storeKey);
+        return;
+      }
+
+      const entry = await store.get(storeKey);
+
+      if (!entry) {
+        return;
+      }
+
+      if (locked && entry.lockedUntil) {
+        entry.count = maxAttempts - 1;
+        entry.lockedUntil = null;
+        entry.expiresAt = Date.now() + windowMs;
+      } else {
+        entry.count = Math.max(0, entry.count - 1);
+      }
+
+      await store.set(storeKey, entry);
+    });
+  }
+
+  return async function rateLimiter(req, res, next) {
+    try {
+      const keys = keyGenerator(req).filter(item => item && item.key);
+      const now = Date.now();
+      const reservations = [];
+
+      for (const item of keys) {
+        const reservation = await reserveAttempt(item, now);
+
+        if (reservation.lockout) {
+          await Promise.all(reservations.map(reserved => releaseAttempt(reserved, false)));
+          return next(reservation.lockout);
+        }
+
+        reservations.push(reservation);
+      }
+
+      if (skipSuccessfulRequests) {
+        res.on('finish', () => {
+          if (res.statusCode >= 400) {
+            return;
+          }
+
+          // A success clears the account's counter, but not the IP's: one valid
+          // login must not reset an attacker's budget for other accounts
+          Promise.all(reservations.map(reserved => releaseAttempt(reserved, reserved.scope !== 'ip')))
+            .catch(error => {
+              console.error(`Rate limiter (${name}) error:`, error);
+            });
+        });
+      }
+
+      // Progressive delay: slow down repeated attempts before locking out
+      const highestCount = Math.max(0, ...reservations.map(reserved => reserved.previousCount));
+      if (highestCount >= delayAfter) {
+        const delay = Math.min(delayMs * 2 ** (highestCount - delayAfter), maxDelayMs);
+        await sleep(delay);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Key generator for client IP plus the account named in the request body
+ * @param {Object} req - Express request object
+ * @returns {Array} Keys to track
+ */
+function ipAndAccountKeys(req) {
+  const keys = [];
+
+  // Account first so a locked account reports ACCOUNT_LOCKED
+  if (req.body && typeof req.body.email === 'string') {
+    keys.push({ key: `account:${sanitizeEmail(req.body.email)}`, scope: 'account' });
+  }
+
+  keys.push({ key: `ip:${req.ip}`, scope: 'ip' });
+  return keys;
+}
+
+/**
+ * Key generator for the authenticated user (use after requireAuth)
+ * @param {Object} req - Express request object
+ * @returns {Array} Keys to track
+ */
+function userKeys(req) {
+  return [
+    { key: `user:${req.user?.id}`, scope: 'user' },
+    { key: `ip:${req.ip}`, scope: 'ip' }
+  ];
+}
+
+/**
+ * Key generator for the 2FA login step: the user named in the pending token
+ * The token is only decoded here (not verified) to pick the counter; the
+ * controller verifies it.
+ * @param {Object} req - Express request object
+ * @returns {Array} Keys to track
+ */
+function pendingTwoFactorKeys(req) {
+  const keys = [];
+  const decoded = typeof req.body?.pendingToken === 'string'
+    ? jwt.decode(req.body.pendingToken)
+    : null;
+
+  if (decoded && decoded.id) {
+    keys.push({ key: `user:${decoded.id}`, scope: 'user' });
+  }
+
+  keys.push({ key: `ip:${req.ip}`, scope: 'ip' });
+  return keys;
+}
+
+/**
+ * Login limiter: failed logins per IP and per account
+ */
+const loginRateLimiter = createRateLimiter({
+  name: 'login',
+  maxAttempts: LOGIN_MAX_ATTEMPTS,
+  lockoutMs: LOGIN_LOCKOUT_MINUTES * 60 * 1000,
+  delayAfter: Math.max(1, LOGIN_MAX_ATTEMPTS - 3),
+  skipSuccessfulRequests: true,
+  keyGenerator: ipAndAccountKeys
+});
+
+/**
+ * 2FA login step limiter: failed codes per user and per IP
+ */
+const twoFactorRateLimiter = createRateLimiter({
+  name: 'login-2fa',
+  maxAttempts: LOGIN_MAX_ATTEMPTS,
+  lockoutMs: LOGIN_LOCKOUT_MINUTES * 60 * 1000,
+  delayAfter: Math.max(1, LOGIN_MAX_ATTEMPTS - 3),
+  skipSuccessfulRequests: true,
+  keyGenerator: pendingTwoFactorKeys
+});
+
+/**
+ * Password confirmation limiter for authenticated routes that check the
+ * current password or a 2FA code (change password, change email, delete
+ * account, 2FA management)
+ */
+const passwordConfirmRateLimiter = createRateLimiter({
+  name: 'password-confirm',
+  maxAttempts: LOGIN_MAX_ATTEMPTS,
+  lockoutMs: LOGIN_LOCKOUT_MINUTES * 60 * 1000,
+  delayAfter: Math.max(1, LOGIN_MAX_ATTEMPTS - 3),
+  skipSuccessfulRequests: true,
+  keyGenerator: userKeys
+});
+
+/**
+ * Limiter for public endpoints that create accounts, send mail or consume
+ * tokens (register, password reset, email confirmation)
+ */
+const sensitiveRateLimiter = createRateLimiter({
+  name: 'sensitive',
+  maxAttempts: 20,
+  windowMs: 15 * 60 * 1000,
+  lockoutMs: 15 * 60 * 1000,
+  delayAfter: 10,
+  keyGenerator: req => [{ key: `ip:${req.ip}`, scope: 'ip' }]
+});
+
+module.exports = {
+  createRateLimiter,
+  createMemoryStore,
+  ipAndAccountKeys,
+  userKeys,
+  pendingTwoFactorKeys,
+  loginRateLimiter,
+  twoFactorRateLimiter,
+  passwordConfirmRateLimiter,
+  sensitiveRateLimiter
+};
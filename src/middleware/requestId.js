@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+// Accept caller-supplied ids only if they look like ids (no log injection)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/**
+ * Assign every request an id (req.id) and echo it in the X-Request-Id header
+ * An incoming X-Request-Id from a proxy or client is reused when valid, so a
+ * request can be followed across services, logs and audit events.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requestId(req, res, next) {
+  const incoming = req.get('x-request-id');
+
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = {
+  requestId
+};
@@ -0,0 +1,31 @@
+const express = require('express');
+const { AppError } = require('./errorHandler');
+
+/**
+ * Read the request body as a raw file upload into req.body (a Buffer)
+ * The file is sent as the whole request body with its own Content-Type, so
+ * no multipart parser is needed. Bodies over the limit are rejected with
+ * 413 before they are read completely.
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum body size in bytes
+ * @param {string} options.code - Error code for bodies over the limit
+ * @returns {Function} Express middleware
+ */
+function rawUpload({ limit, code = 'ATTACHMENT_TOO_LARGE' }) {
+  const parse = express.raw({ type: () => true, limit });
+
+  return (req, res, next) => parse(req, res, (error) => {
+    if (error?.type === 'entity.too.large') {
+      return next(new AppError(
+        `File cannot exceed ${limit} bytes`,
+        413,
+        code
+      ));
+    }
+    next(error);
+  });
+}
+
+module.exports = {
+  rawUpload
+};
@@ -0,0 +1,115 @@
+const express = require('express');
+const { requireSessionAuth, requireRole } = require('../middleware/auth');
+const {
+  getStatsHandler,
+  listUsersHandler,
+  getUserHandler,
+  disableUserHandler,
+  enableUserHandler,
+  updateUserRoleHandler,
+  getStuckInvestmentsHandler,
+  listInterestRunsHandler,
+  triggerInterestRunHandler,
+  listRecurringRunsHandler,
+  triggerRecurringRunHandler,
+  runReconciliationHandler,
+  getAuditLogHandler
+} = require('../controllers/adminController');
+
+const router = express.Router();
+
+// Admin console: logged-in admins only (API keys are not accepted)
+router.use(requireSessionAuth, requireRole('ADMIN'));
+
+/**
+ * @route   GET /api/admin/stats
+ * @desc    User counts, investments by status, stuck investments and last interest run
+ * @access  Admin
+ */
+router.get('/stats', getStatsHandler);
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List users (search, role and status filters)
+ * @access  Admin
+ */
+router.get('/users', listUsersHandler);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Get a user
+ * @access  Admin
+ */
+router.get('/users/:id', getUserHandler);
+
+/**
+ * @route   POST /api/admin/users/:id/disable
+ * @desc    Disable a user and revoke all of their sessions
+ * @access  Admin
+ */
+router.post('/users/:id/disable', disableUserHandler);
+
+/**
+ * @route   POST /api/admin/users/:id/enable
+ * @desc    Re-enable a disabled user
+ * @access  Admin
+ */
+router.post('/users/:id/enable', enableUserHandler);
+
+/**
+ * @route   PATCH /api/admin/users/:id/role
+ * @desc    Change a user's role
+ * @access  Admin
+ */
+router.patch('/users/:id/role', updateUserRoleHandler);
+
+/**
+ * @route   GET /api/admin/investments/stuck
+ * @desc    Investments whose scheduled interest is overdue
+ * @access  Admin
+ */
+router.get('/investments/stuck', getStuckInvestmentsHandler);
+
+/**
+ * @route   GET /api/admin/interest-runs
+ * @desc    System-wide scheduled interest job results
+ * @access  Admin
+ */
+router.get('/interest-runs', listInterestRunsHandler);
+
+/**
+ * @route   POST /api/admin/interest-runs
+ * @desc    Run scheduled interest calculations now
+ * @access  Admin
+ */
+router.post('/interest-runs', triggerInterestRunHandler);
+
+/**
+ * @route   GET /api/admin/recurring-runs
+ * @desc    System-wide recurring transaction job results
+ * @access  Admin
+ */
+router.get('/recurring-runs', listRecurringRunsHandler);
+
+/**
+ * @route   POST /api/admin/recurring-runs
+ * @desc    Post due recurring transactions now
+ * @access  Admin
+ */
+router.post('/recurring-runs', triggerRecurringRunHandler);
+
+/**
+ * @route   POST /api/admin/reconciliation
+ * @desc    Reconcile all investment balances against their transactions ({ repair } to fix drift)
+ * @access  Admin
+ */
+router.post('/reconciliation', runReconciliationHandler);
+
+/**
+ * @route   GET /api/admin/audit-log
+ * @desc    Admin action audit trail
+ * @access  Admin
+ */
+router.get('/audit-log', getAuditLogHandler);
+
+module.exports = router;
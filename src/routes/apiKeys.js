@@ -0,0 +1,35 @@
+const express = require('express');
+const { requireSessionAuth } = require('../middleware/auth');
+const {
+  createApiKeyHandler,
+  getApiKeysHandler,
+  revokeApiKeyHandler
+} = require('../controllers/apiKeyController');
+
+const router = express.Router();
+
+// Keys are managed with a login session only - an API key cannot mint or revoke keys
+router.use(requireSessionAuth);
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    List API keys (secrets are never returned)
+ * @access  Private
+ */
+router.get('/', getApiKeysHandler);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create a scoped API key
+ * @access  Private
+ */
+router.post('/', createApiKeyHandler);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private
+ */
+router.delete('/:id', revokeApiKeyHandler);
+
+module.exports = router;
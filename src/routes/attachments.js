@@ -0,0 +1,48 @@
+const express = require('express');
+const { requireAuth, requireResourceScope } = require('../middleware/auth');
+const { rawUpload } = require('../middleware/upload');
+const { MAX_ATTACHMENT_BYTES } = require('../services/attachmentService');
+const {
+  uploadAttachmentHandler,
+  getAttachmentsHandler,
+  downloadAttachmentHandler,
+  deleteAttachmentHandler
+} = require('../controllers/attachmentController');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(requireAuth);
+
+// API keys need transactions:read to list and download, transactions:write to upload or delete
+router.use(requireResourceScope('transactions'));
+
+/**
+ * @route   POST /api/attachments?investmentId=|transactionId=&filename=
+ * @desc    Upload a file (request body, with its Content-Type) and attach it
+ * @access  Private
+ */
+router.post('/', rawUpload({ limit: MAX_ATTACHMENT_BYTES }), uploadAttachmentHandler);
+
+/**
+ * @route   GET /api/attachments?investmentId=|transactionId=
+ * @desc    List attachments of an investment (with its transactions') or of a transaction
+ * @access  Private
+ */
+router.get('/', getAttachmentsHandler);
+
+/**
+ * @route   GET /api/attachments/:id/download
+ * @desc    Download an attachment
+ * @access  Private
+ */
+router.get('/:id/download', downloadAttachmentHandler);
+
+/**
+ * @route   DELETE /api/attachments/:id
+ * @desc    Delete an attachment
+ * @access  Private
+ */
+router.delete('/:id', deleteAttachmentHandler);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { getAuditEventsHandler } = require('../controllers/auditController');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(requireAuth);
+router.use(requireScope('audit:read'));
+
+/**
+ * @route   GET /api/audit
+ * @desc    List audit events (filter by investmentId, entityType, entityId, action, actorId, requestId, startDate, endDate)
+ * @access  Private
+ */
+router.get('/', getAuditEventsHandler);
+
+module.exports = router;
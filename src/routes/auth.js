@@ -1,11 +1,34 @@
 const express = require('express');
-const { requireAuth } = require('../middleware/auth');
+const { requireSessionAuth } = require('../middleware/auth');
+const {
+  loginRateLimiter,
+  passwordConfirmRateLimiter,
+  twoFactorRateLimiter,
+  sensitiveRateLimiter
+} = require('../middleware/rateLimiter');
 const { 
   register, 
   login, 
+  loginTwoFactor,
   getMe, 
+  updateMe,
+  changeEmail,
+  confirmEmail,
+  exportMe,
+  deleteMe,
   logout, 
-  refreshToken 
+  logoutAll,
+  getSessions,
+  revokeSession,
+  refreshToken,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 } = require('../controllers/authController');
 
 const router = express.Router();
@@ -15,34 +38,153 @@ const router = express.Router();
  * @desc    Register a new user
  * @access  Public
  */
-router.post('/register', register);
+router.post('/register', sensitiveRateLimiter, register);
 
 /**
  * @route   POST /api/auth/login
  * @desc    Login user and return JWT token
  * @access  Public
  */
-router.post('/login', login);
+router.post('/login', loginRateLimiter, login);
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public
+ */
+router.post('/login/2fa', twoFactorRateLimiter, loginTwoFactor);
 
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user profile
  * @access  Private
  */
-router.get('/me', requireAuth, getMe);
+router.get('/me', requireSessionAuth, getMe);
+
+/**
+ * @route   PATCH /api/auth/me
+ * @desc    Update current user profile
+ * @access  Private
+ */
+router.patch('/me', requireSessionAuth, updateMe);
+
+/**
+ * @route   DELETE /api/auth/me
+ * @desc    Delete account (requires password, optionally returns a data export)
+ * @access  Private
+ */
+router.delete('/me', requireSessionAuth, passwordConfirmRateLimiter, deleteMe);
+
+/**
+ * @route   GET /api/auth/me/export
+ * @desc    Export all account data as JSON
+ * @access  Private
+ */
+router.get('/me/export', requireSessionAuth, exportMe);
+
+/**
+ * @route   POST /api/auth/me/email
+ * @desc    Request an email change (confirmation sent to the new address)
+ * @access  Private
+ */
+router.post('/me/email', requireSessionAuth, passwordConfirmRateLimiter, changeEmail);
+
+/**
+ * @route   POST /api/auth/me/email/confirm
+ * @desc    Confirm an email change with the emailed token
+ * @access  Public
+ */
+router.post('/me/email/confirm', sensitiveRateLimiter, confirmEmail);
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (client-side token removal)
+ * @desc    Logout user and revoke the current session
+ * @access  Private
+ */
+router.post('/logout', requireSessionAuth, logout);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout from all devices
+ * @access  Private
+ */
+router.post('/logout-all', requireSessionAuth, logoutAll);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions
+ * @access  Private
+ */
+router.get('/sessions', requireSessionAuth, getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke a single session
  * @access  Private
  */
-router.post('/logout', requireAuth, logout);
+router.delete('/sessions/:id', requireSessionAuth, revokeSession);
 
 /**
  * @route   POST /api/auth/refresh
- * @desc    Refresh user token
+ * @desc    Rotate refresh token and issue a new access token
+ * @access  Public
+ */
+router.post('/refresh', refreshToken);
+
+/**
+ * @route   POST /api/auth/change-password
+ * @desc    Change password and sign out other sessions
+ * @access  Private
+ */
+router.post('/change-password', requireSessionAuth, passwordConfirmRateLimiter, changePassword);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Send a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', sensitiveRateLimiter, forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Reset password with a reset token
+ * @access  Public
+ */
+router.post('/reset-password', sensitiveRateLimiter, resetPassword);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa', requireSessionAuth, getTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment (returns secret and otpauth URI)
+ * @access  Private
+ */
+router.post('/2fa/setup', requireSessionAuth, setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm 2FA enrollment and receive recovery codes
+ * @access  Private
+ */
+router.post('/2fa/enable', requireSessionAuth, passwordConfirmRateLimiter, enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable 2FA (requires password and a code)
+ * @access  Private
+ */
+router.post('/2fa/disable', requireSessionAuth, passwordConfirmRateLimiter, disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes
  * @access  Private
  */
-router.post('/refresh', requireAuth, refreshToken);
+router.post('/2fa/recovery-codes', requireSessionAuth, passwordConfirmRateLimiter, regenerateRecoveryCodes);
 
 module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const { requireSessionAuth } = require('../middleware/auth');
+const { rawUpload } = require('../middleware/upload');
+const { MAX_BACKUP_BYTES } = require('../services/backupService');
+const {
+  downloadBackupHandler,
+  previewBackupHandler,
+  restoreBackupHandler
+} = require('../controllers/backupController');
+
+const router = express.Router();
+
+// Backups cover the whole account, so API keys cannot be used
+router.use(requireSessionAuth);
+
+/**
+ * @route   GET /api/backups
+ * @desc    Download a backup archive (ZIP) of the user's books
+ * @access  Private
+ */
+router.get('/', downloadBackupHandler);
+
+/**
+ * @route   POST /api/backups/preview
+ * @desc    Validate a backup archive (request body) and list conflicts with the account
+ * @access  Private
+ */
+router.post('/preview', rawUpload({ limit: MAX_BACKUP_BYTES, code: 'BACKUP_TOO_LARGE' }), previewBackupHandler);
+
+/**
+ * @route   POST /api/backups/restore?onConflict=fail|rename|skip
+ * @desc    Restore a backup archive (request body) into the account
+ * @access  Private
+ */
+router.post('/restore', rawUpload({ limit: MAX_BACKUP_BYTES, code: 'BACKUP_TOO_LARGE' }), restoreBackupHandler);
+
+module.exports = router;
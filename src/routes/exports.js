@@ -0,0 +1,47 @@
+const express = require('express');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const {
+  exportInvestmentsHandler,
+  exportTransactionsHandler,
+  exportInterestCalculationsHandler,
+  exportFinancialReportHandler
+} = require('../controllers/exportController');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(requireAuth);
+
+/**
+ * @route   GET /api/exports/investments
+ * @desc    Download investments as CSV, XLSX or JSON
+ * @query   format - csv (default), xlsx or json; plus the investment list filters
+ * @access  Private
+ */
+router.get('/investments', requireScope('investments:read'), exportInvestmentsHandler);
+
+/**
+ * @route   GET /api/exports/transactions
+ * @desc    Download transactions as CSV, XLSX or JSON
+ * @query   format - csv (default), xlsx or json; plus the transaction list filters
+ * @access  Private
+ */
+router.get('/transactions', requireScope('transactions:read'), exportTransactionsHandler);
+
+/**
+ * @route   GET /api/exports/interest-calculations
+ * @desc    Download interest calculations as CSV, XLSX or JSON
+ * @query   format, investmentId, startDate, endDate, includeReverted
+ * @access  Private
+ */
+router.get('/interest-calculations', requireScope('investments:read'), exportInterestCalculationsHandler);
+
+/**
+ * @route   GET /api/exports/financial-report
+ * @desc    Download the financial report with every transaction of the period
+ * @query   format, period or from/to, baseCurrency, includeTransactions (default: true)
+ * @access  Private
+ */
+router.get('/financial-report', requireScope('reports:read'), exportFinancialReportHandler);
+
+module.exports = router;
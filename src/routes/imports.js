@@ -0,0 +1,94 @@
+const express = require('express');
+const { requireAuth, requireResourceScope } = require('../middleware/auth');
+const {
+  createImportHandler,
+  getImportsHandler,
+  getImportByIdHandler,
+  updateImportLineHandler,
+  commitImportHandler,
+  undoImportHandler,
+  discardImportHandler,
+  getImportRulesHandler,
+  createImportRuleHandler,
+  deleteImportRuleHandler
+} = require('../controllers/importController');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(requireAuth);
+
+// API keys need transactions:read for GET and transactions:write for changes
+router.use(requireResourceScope('transactions'));
+
+/**
+ * @route   GET /api/imports/rules
+ * @desc    Get import rules in the order they are tried
+ * @access  Private
+ */
+router.get('/rules', getImportRulesHandler);
+
+/**
+ * @route   POST /api/imports/rules
+ * @desc    Create a rule matching statement lines to an investment
+ * @access  Private
+ */
+router.post('/rules', createImportRuleHandler);
+
+/**
+ * @route   DELETE /api/imports/rules/:id
+ * @desc    Delete an import rule
+ * @access  Private
+ */
+router.delete('/rules/:id', deleteImportRuleHandler);
+
+/**
+ * @route   POST /api/imports
+ * @desc    Upload a CSV, OFX/QFX or CAMT.053 statement and stage its lines
+ * @access  Private
+ */
+router.post('/', createImportHandler);
+
+/**
+ * @route   GET /api/imports
+ * @desc    Get imports with optional filtering
+ * @access  Private
+ */
+router.get('/', getImportsHandler);
+
+/**
+ * @route   GET /api/imports/:id
+ * @desc    Get an import with its staged lines
+ * @access  Private
+ */
+router.get('/:id', getImportByIdHandler);
+
+/**
+ * @route   PATCH /api/imports/:id/lines/:lineId
+ * @desc    Change a staged line's investment or type, or include/exclude it
+ * @access  Private
+ */
+router.patch('/:id/lines/:lineId', updateImportLineHandler);
+
+/**
+ * @route   POST /api/imports/:id/commit
+ * @desc    Post all ready lines as transactions in one step
+ * @access  Private
+ */
+router.post('/:id/commit', commitImportHandler);
+
+/**
+ * @route   POST /api/imports/:id/undo
+ * @desc    Reverse every transaction posted by a committed import
+ * @access  Private
+ */
+router.post('/:id/undo', undoImportHandler);
+
+/**
+ * @route   DELETE /api/imports/:id
+ * @desc    Discard a staged import
+ * @access  Private
+ */
+router.delete('/:id', discardImportHandler);
+
+module.exports = router;
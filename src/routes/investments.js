@@ -1,5 +1,5 @@
 const express = require('express');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireResourceScope } = require('../middleware/auth');
 const {
   createInvestmentHandler,
   getInvestmentsHandler,
@@ -8,6 +8,7 @@ const {
   updateInvestmentStatusHandler,
   updateInvestmentBalanceHandler,
   getInvestmentSummaryHandler,
+  getInvestmentLedgerHandler,
   deleteInvestmentHandler
 } = require('../controllers/investmentController');
 
@@ -16,6 +17,9 @@ const router = express.Router();
 // Apply authentication middleware to all routes
 router.use(requireAuth);
 
+// API keys need investments:read for GET and investments:write for changes
+router.use(requireResourceScope('investments'));
+
 /**
  * @route   GET /api/investments/summary
  * @desc    Get investment summary for user
@@ -44,6 +48,13 @@ router.get('/', getInvestmentsHandler);
  */
 router.get('/:id', getInvestmentByIdHandler);
 
+/**
+ * @route   GET /api/investments/:id/ledger
+ * @desc    Get the double-entry journal and account balances of an investment
+ * @access  Private
+ */
+router.get('/:id/ledger', getInvestmentLedgerHandler);
+
 /**
  * @route   PUT /api/investments/:id
  * @desc    Update investment
@@ -0,0 +1,35 @@
+const express = require('express');
+const { requireSessionAuth } = require('../middleware/auth');
+const {
+  getPeriodStatusHandler,
+  closePeriodHandler,
+  reopenPeriodHandler
+} = require('../controllers/periodController');
+
+const router = express.Router();
+
+// The lock date covers every investment of the account, so API keys cannot be used
+router.use(requireSessionAuth);
+
+/**
+ * @route   GET /api/periods
+ * @desc    Get the lock date of the books and the close/reopen history
+ * @access  Private
+ */
+router.get('/', getPeriodStatusHandler);
+
+/**
+ * @route   POST /api/periods/close
+ * @desc    Close the books through a date, month or year
+ * @access  Private
+ */
+router.post('/close', closePeriodHandler);
+
+/**
+ * @route   POST /api/periods/reopen
+ * @desc    Move the lock date back (or clear it) with a reason
+ * @access  Private
+ */
+router.post('/reopen', reopenPeriodHandler);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const { requireAuth, requireResourceScope } = require('../middleware/auth');
+const {
+  getReconciliationHandler,
+  repairReconciliationHandler
+} = require('../controllers/reconciliationController');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(requireAuth);
+
+// API keys need investments:read to check and investments:write to repair
+router.use(requireResourceScope('investments'));
+
+/**
+ * @route   GET /api/reconciliation
+ * @desc    Replay transactions and report balances and balance snapshots that drifted
+ * @access  Private
+ */
+router.get('/', getReconciliationHandler);
+
+/**
+ * @route   POST /api/reconciliation/repair
+ * @desc    Rewrite drifted balances and snapshots (all writable investments or investmentIds)
+ * @access  Private
+ */
+router.post('/repair', repairReconciliationHandler);
+
+module.exports = router;
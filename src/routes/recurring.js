@@ -0,0 +1,70 @@
+const express = require('express');
+const { requireAuth, requireResourceScope } = require('../middleware/auth');
+const {
+  createRecurringHandler,
+  getRecurringHandler,
+  getRecurringByIdHandler,
+  updateRecurringHandler,
+  deleteRecurringHandler,
+  setOccurrenceHandler,
+  clearOccurrenceHandler
+} = require('../controllers/recurringController');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(requireAuth);
+
+// API keys need transactions:read for GET and transactions:write for changes
+router.use(requireResourceScope('transactions'));
+
+/**
+ * @route   POST /api/recurring
+ * @desc    Create a recurring transaction
+ * @access  Private
+ */
+router.post('/', createRecurringHandler);
+
+/**
+ * @route   GET /api/recurring
+ * @desc    Get recurring transactions with optional filtering
+ * @access  Private
+ */
+router.get('/', getRecurringHandler);
+
+/**
+ * @route   GET /api/recurring/:id
+ * @desc    Get a recurring transaction with upcoming occurrences and history
+ * @access  Private
+ */
+router.get('/:id', getRecurringByIdHandler);
+
+/**
+ * @route   PUT /api/recurring/:id
+ * @desc    Update amount, description or end, or pause/resume the schedule
+ * @access  Private
+ */
+router.put('/:id', updateRecurringHandler);
+
+/**
+ * @route   DELETE /api/recurring/:id
+ * @desc    Delete a recurring transaction (posted transactions are kept)
+ * @access  Private
+ */
+router.delete('/:id', deleteRecurringHandler);
+
+/**
+ * @route   PUT /api/recurring/:id/occurrences/:date
+ * @desc    Skip ({ skip: true }) or override the amount/description of one occurrence
+ * @access  Private
+ */
+router.put('/:id/occurrences/:date', setOccurrenceHandler);
+
+/**
+ * @route   DELETE /api/recurring/:id/occurrences/:date
+ * @desc    Remove a skip or override from an occurrence
+ * @access  Private
+ */
+router.delete('/:id/occurrences/:date', clearOccurrenceHandler);
+
+module.exports = router;
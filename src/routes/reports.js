@@ -1,5 +1,5 @@
 const express = require('express');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireScope } = require('../middleware/auth');
 const {
   getDashboardHandler,
   getPortfolioSummaryHandler,
@@ -10,15 +10,25 @@ const {
   getInvestmentComparisonHandler,
   getMonthlyBreakdownHandler
 } = require('../controllers/reportController');
+const {
+  getInvestmentStatementHandler,
+  getPortfolioStatementHandler
+} = require('../controllers/statementController');
 
 const router = express.Router();
 
 // Apply authentication middleware to all routes
 router.use(requireAuth);
 
+// Reports are read-only (POST endpoints only take report options)
+router.use(requireScope('reports:read'));
+
 /**
  * @route   GET /api/reports/dashboard
  * @desc    Get comprehensive dashboard data for user
+ * @query   period - Preset ('mtd', 'qtd', 'ytd', 'last12months', 'last6months', 'inception'), or
+ * @query   from, to - Report period (YYYY-MM-DD, inclusive; default inception to today)
+ * @query   baseCurrency - Currency of the totals (default BASE_CURRENCY)
  * @access  Private
  */
 router.get('/dashboard', getDashboardHandler);
@@ -33,6 +43,8 @@ router.get('/quick-stats', getQuickStatsHandler);
 /**
  * @route   GET /api/reports/portfolio-summary
  * @desc    Get comprehensive portfolio summary with detailed metrics
+ * @query   period or from, to - Report period (as for the dashboard)
+ * @query   baseCurrency - Currency of the totals (default BASE_CURRENCY)
  * @access  Private
  */
 router.get('/portfolio-summary', getPortfolioSummaryHandler);
@@ -40,7 +52,8 @@ router.get('/portfolio-summary', getPortfolioSummaryHandler);
 /**
  * @route   GET /api/reports/performance-trends
  * @desc    Get performance trends over time
- * @query   months - Number of months to analyze (1-24, default: 12)
+ * @query   period or from, to - Report period (as for the dashboard)
+ * @query   months - Number of months up to `to` when no period or from is given (1-24, default: 12)
  * @query   investmentId - Optional specific investment ID
  * @access  Private
  */
@@ -49,6 +62,7 @@ router.get('/performance-trends', getPerformanceTrendsHandler);
 /**
  * @route   GET /api/reports/asset-allocation
  * @desc    Get asset allocation breakdown by category and type
+ * @query   to, or period - Values as of the end of the period (default today)
  * @access  Private
  */
 router.get('/asset-allocation', getAssetAllocationHandler);
@@ -65,7 +79,9 @@ router.get('/monthly-breakdown/:year', getMonthlyBreakdownHandler);
  * @route   POST /api/reports/financial-report
  * @desc    Generate comprehensive financial report
  * @body    includeTransactions - Include transaction history (default: false)
- * @body    period - Report period ('all', 'ytd', 'last12months', 'last6months')
+ * @body    period - Preset ('mtd', 'qtd', 'ytd', 'last12months', 'last6months', 'inception'), or
+ * @body    from, to - Report period (YYYY-MM-DD, inclusive; default inception to today)
+ * @body    baseCurrency - Currency of the totals (default BASE_CURRENCY)
  * @body    format - Report format ('json')
  * @access  Private
  */
@@ -79,4 +95,22 @@ router.post('/financial-report', generateFinancialReportHandler);
  */
 router.post('/investment-comparison', getInvestmentComparisonHandler);
 
+/**
+ * @route   GET /api/reports/statements/portfolio
+ * @desc    Download a PDF statement of every investment the user can access
+ * @query   from, to - Statement period (YYYY-MM-DD, inclusive; default inception to today)
+ * @query   baseCurrency - Currency of the totals (default BASE_CURRENCY)
+ * @access  Private
+ */
+router.get('/statements/portfolio', getPortfolioStatementHandler);
+
+/**
+ * @route   GET /api/reports/statements/investments/:id
+ * @desc    Download a PDF statement of one investment
+ * @query   from, to - Statement period (YYYY-MM-DD, inclusive; default inception to today)
+ * @query   baseCurrency - Currency for the converted closing balance (default BASE_CURRENCY)
+ * @access  Private
+ */
+router.get('/statements/investments/:id', getInvestmentStatementHandler);
+
 module.exports = router;
@@ -1,5 +1,5 @@
 const express = require('express');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireScope } = require('../middleware/auth');
 const {
   addManualReturnHandler,
   getInvestmentReturnsHandler,
@@ -21,55 +21,55 @@ router.use(requireAuth);
  * @desc    Get returns summary across all investments for user
  * @access  Private
  */
-router.get('/summary', getReturnsSummaryHandler);
+router.get('/summary', requireScope('returns:read'), getReturnsSummaryHandler);
 
 /**
  * @route   POST /api/returns/manual
  * @desc    Add manual return to investment
  * @access  Private
  */
-router.post('/manual', addManualReturnHandler);
+router.post('/manual', requireScope('returns:write'), addManualReturnHandler);
 
 /**
  * @route   POST /api/returns/calculate
  * @desc    Calculate compound interest (utility endpoint)
  * @access  Private
  */
-router.post('/calculate', calculateCompoundInterestHandler);
+router.post('/calculate', requireScope('returns:read'), calculateCompoundInterestHandler);
 
 /**
  * @route   POST /api/returns/bulk
  * @desc    Bulk add returns to multiple investments
  * @access  Private
  */
-router.post('/bulk', bulkAddReturnsHandler);
+router.post('/bulk', requireScope('returns:write'), bulkAddReturnsHandler);
 
 /**
  * @route   GET /api/returns/:investmentId
  * @desc    Get returns for specific investment
  * @access  Private
  */
-router.get('/:investmentId', getInvestmentReturnsHandler);
+router.get('/:investmentId', requireScope('returns:read'), getInvestmentReturnsHandler);
 
 /**
  * @route   POST /api/returns/:investmentId/projections
  * @desc    Calculate projected returns for investment
  * @access  Private
  */
-router.post('/:investmentId/projections', calculateProjectedReturnsHandler);
+router.post('/:investmentId/projections', requireScope('returns:read'), calculateProjectedReturnsHandler);
 
 /**
  * @route   GET /api/returns/:investmentId/next-monthly
  * @desc    Calculate next monthly return for fixed-rate investment
  * @access  Private
  */
-router.get('/:investmentId/next-monthly', calculateNextMonthlyReturnHandler);
+router.get('/:investmentId/next-monthly', requireScope('returns:read'), calculateNextMonthlyReturnHandler);
 
 /**
  * @route   POST /api/returns/:investmentId/apply-monthly
  * @desc    Apply next monthly return to fixed-rate investment
  * @access  Private
  */
-router.post('/:investmentId/apply-monthly', applyMonthlyReturnHandler);
+router.post('/:investmentId/apply-monthly', requireScope('returns:write'), applyMonthlyReturnHandler);
 
 module.exports = router;
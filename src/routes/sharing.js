@@ -0,0 +1,67 @@
+const express = require('express');
+const { requireSessionAuth } = require('../middleware/auth');
+const {
+  createGrantHandler,
+  getGrantsGivenHandler,
+  updateGrantRoleHandler,
+  revokeGrantHandler,
+  getGrantsReceivedHandler,
+  acceptInvitationHandler,
+  declineInvitationHandler
+} = require('../controllers/sharingController');
+
+const router = express.Router();
+
+// Sharing is managed with a login session only - an API key cannot grant access
+router.use(requireSessionAuth);
+
+/**
+ * @route   GET /api/sharing/grants
+ * @desc    List access given to other users
+ * @access  Private
+ */
+router.get('/grants', getGrantsGivenHandler);
+
+/**
+ * @route   POST /api/sharing/grants
+ * @desc    Invite a user as viewer or editor of an investment or the whole portfolio
+ * @access  Private
+ */
+router.post('/grants', createGrantHandler);
+
+/**
+ * @route   PATCH /api/sharing/grants/:id
+ * @desc    Change the role of a grant
+ * @access  Private
+ */
+router.patch('/grants/:id', updateGrantRoleHandler);
+
+/**
+ * @route   DELETE /api/sharing/grants/:id
+ * @desc    Revoke a grant (owner) or give up shared access (grantee)
+ * @access  Private
+ */
+router.delete('/grants/:id', revokeGrantHandler);
+
+/**
+ * @route   GET /api/sharing/received
+ * @desc    List access shared with me and pending invitations
+ * @access  Private
+ */
+router.get('/received', getGrantsReceivedHandler);
+
+/**
+ * @route   POST /api/sharing/invitations/:id/accept
+ * @desc    Accept an invitation
+ * @access  Private
+ */
+router.post('/invitations/:id/accept', acceptInvitationHandler);
+
+/**
+ * @route   POST /api/sharing/invitations/:id/decline
+ * @desc    Decline an invitation
+ * @access  Private
+ */
+router.post('/invitations/:id/decline', declineInvitationHandler);
+
+module.exports = router;
@@ -1,11 +1,13 @@
 const express = require('express');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireResourceScope } = require('../middleware/auth');
 const {
   createTransactionHandler,
   getTransactionsHandler,
   getTransactionByIdHandler,
   updateTransactionHandler,
+  reverseTransactionHandler,
   deleteTransactionHandler,
+  createTransferHandler,
   getTransactionStatisticsHandler,
   getInvestmentTransactionSummaryHandler,
   getRecentTransactionsHandler,
@@ -18,6 +20,9 @@ const router = express.Router();
 // Apply authentication middleware to all routes
 router.use(requireAuth);
 
+// API keys need transactions:read for GET and transactions:write for changes
+router.use(requireResourceScope('transactions'));
+
 /**
  * @route   GET /api/transactions/statistics
  * @desc    Get transaction statistics for user
@@ -60,6 +65,13 @@ router.get('/investment/:investmentId/summary', getInvestmentTransactionSummaryH
  */
 router.post('/', createTransactionHandler);
 
+/**
+ * @route   POST /api/transactions/transfer
+ * @desc    Transfer an amount between two investments (linked TRANSFER pair)
+ * @access  Private
+ */
+router.post('/transfer', createTransferHandler);
+
 /**
  * @route   GET /api/transactions
  * @desc    Get user transactions with optional filtering
@@ -81,9 +93,16 @@ router.get('/:id', getTransactionByIdHandler);
  */
 router.put('/:id', updateTransactionHandler);
 
+/**
+ * @route   POST /api/transactions/:id/reverse
+ * @desc    Reverse transaction with an offsetting entry
+ * @access  Private
+ */
+router.post('/:id/reverse', reverseTransactionHandler);
+
 /**
  * @route   DELETE /api/transactions/:id
- * @desc    Delete transaction
+ * @desc    Delete transaction (posts a reversal dated today)
  * @access  Private
  */
 router.delete('/:id', deleteTransactionHandler);
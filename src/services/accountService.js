@@ -0,0 +1,191 @@
+const { prisma } = require('../config/database');
+const { comparePassword } = require('../utils/auth');
+const { AppError } = require('../middleware/errorHandler');
+const { sendMail } = require('./mailService');
+const { removeUnreferencedFiles } = require('./attachmentService');
+
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Build a full export of a user's data
+ * Contains the profile and every investment with its transactions and
+ * interest calculations, i.e. everything removed when the account is deleted.
+ * @param {string} userId - User ID
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Object} Export document
+ * @throws {AppError} If user not found
+ */
+async function buildUserExport(userId, client = prisma) {
+  const user = await client.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      firstName: true,
+      lastName: true,
+      createdAt: true,
+      updatedAt: true
+    }
+  });
+
+  if (!user) {
+    throw new AppError(
+      'User not found',
+      404,
+      'USER_NOT_FOUND'
+    );
+  }
+
+  const investments = await client.investment.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'asc' },
+    include: {
+      transactions: {
+        orderBy: [
+          { transactionDate: 'asc' },
+          { createdAt: 'asc' }
+        ]
+      },
+      interestCalculations: {
+        orderBy: { calculatedAt: 'asc' }
+      },
+      journalEntries: {
+        orderBy: [
+          { effectiveDate: 'asc' },
+          { createdAt: 'asc' }
+        ],
+        include: {
+          lines: {
+            select: { account: true, debit: true, credit: true }
+          }
+        }
+      }
+    }
+  });
+
+  return {
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    user,
+    investments
+  };
+}
+
+/**
+ * Export all data of the current user
+ * @param {string} userId - User ID
+ * @returns {Object} Export document
+ * @throws {AppError} If export fails
+ */
+async function exportUserData(userId) {
+  try {
+    return await buildUserExport(userId);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Export user data error:', error);
+    throw new AppError(
+      'Failed to export account data',
+      500,
+      'ACCOUNT_EXPORT_ERROR'
+    );
+  }
+}
+
+/**
+ * Permanently delete a user account
+ * Investments, transactions, interest calculations, attachments and sessions
+ * are removed by cascade; the attachment files are deleted afterwards. When
+ * requested, the full export is taken in the same transaction and returned
+ * so nothing is lost without the user's copy.
+ * @param {string} userId - User ID
+ * @param {Object} deleteData - Password confirmation and export flag
+ * @returns {Object} Export document (if requested) and deletion counts
+ * @throws {AppError} If the password is wrong or deletion fails
+ */
+async function deleteAccount(userId, deleteData) {
+  const { password, exportData = false } = deleteData;
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, firstName: true, passwordHash: true }
+    });
+
+    if (!user) {
+      throw new AppError(
+        'User not found',
+        404,
+        'USER_NOT_FOUND'
+      );
+    }
+
+    const isPasswordValid = await comparePassword(password, user.passwordHash);
+
+    if (!isPasswordValid) {
+      throw new AppError(
+        'Password is incorrect',
+        400,
+        'INVALID_PASSWORD'
+      );
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const archive = exportData ? await buildUserExport(userId, tx) : null;
+      const deletedInvestments = await tx.investment.count({ where: { userId } });
+      const attachments = await tx.attachment.findMany({
+        where: { investment: { userId } },
+        select: { storageKey: true },
+        distinct: ['storageKey']
+      });
+
+      await tx.user.delete({ where: { id: userId } });
+
+      return { archive, deletedInvestments, storageKeys: attachments.map(attachment => attachment.storageKey) };
+    });
+
+    // Files shared with other users' attachments are kept
+    try {
+      await removeUnreferencedFiles(result.storageKeys);
+    } catch (error) {
+      console.error('Account attachment cleanup error:', error);
+    }
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your E-Accounting account was deleted',
+        text: [
+          `Hi ${user.firstName},`,
+          '',
+          'Your account and all of its investments, transactions and interest history have been permanently deleted.'
+        ].join('\n')
+      });
+    } catch (error) {
+      console.error('Account deletion notice error:', error);
+    }
+
+    return {
+      deletedInvestments: result.deletedInvestments,
+      export: result.archive
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Delete account error:', error);
+    throw new AppError(
+      'Failed to delete account',
+      500,
+      'ACCOUNT_DELETE_ERROR'
+    );
+  }
+}
+
+module.exports = {
+  exportUserData,
+  deleteAccount
+};
@@ -0,0 +1,739 @@
+const { prisma } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { isValidUUID } = require('../utils/validation');
+const { revokeAllSessions } = require('./sessionService');
+const { processScheduledInterestCalculations } = require('./scheduledInterestService');
+const { processRecurringTransactions } = require('./scheduledRecurringService');
+const { reconcileAllInvestments } = require('./reconciliationService');
+
+// Investments overdue for scheduled interest by more than this are reported as stuck
+const STUCK_INTEREST_GRACE_HOURS = 24;
+
+const adminUserSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  disabledAt: true,
+  disabledReason: true,
+  twoFactorEnabled: true,
+  createdAt: true,
+  updatedAt: true,
+  _count: {
+    select: {
+      investments: true
+    }
+  }
+};
+
+/**
+ * Record an admin action in the audit trail
+ * @param {Object} actor - Acting admin ({ id }) and request metadata
+ * @param {string} action - Action name, e.g. USER_DISABLED
+ * @param {Object} target - { type, id }
+ * @param {Object} details - Extra details stored as JSON
+ * @param {Object} client - Prisma client or transaction
+ */
+async function recordAdminAction(actor, action, target, details = null, client = prisma) {
+  await client.adminAuditLog.create({
+    data: {
+      actorId: actor.id,
+      action,
+      targetType: target.type,
+      targetId: target.id || null,
+      details,
+      ipAddress: actor.ipAddress || null,
+      userAgent: actor.userAgent ? actor.userAgent.substring(0, 255) : null
+    }
+  });
+}
+
+/**
+ * Ensure an ID is a UUID
+ * @param {string} id - ID to check
+ * @param {string} label - Entity label for the error message
+ * @throws {AppError} If the ID is malformed
+ */
+function assertValidId(id, label) {
+  if (!isValidUUID(id)) {
+    throw new AppError(
+      `Invalid ${label} ID format`,
+      400,
+      'INVALID_ID_FORMAT'
+    );
+  }
+}
+
+/**
+ * Get system-wide statistics for the admin console
+ * @returns {Object} User, investment and interest job statistics
+ * @throws {AppError} If retrieval fails
+ */
+async function getSystemStats() {
+  try {
+    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const stuckBefore = new Date(Date.now() - STUCK_INTEREST_GRACE_HOURS * 60 * 60 * 1000);
+
+    const [
+      totalUsers,
+      adminUsers,
+      disabledUsers,
+      newUsers,
+      investmentsByStatus,
+      stuckInvestments,
+      lastRun
+    ] = await Promise.all([
+      prisma.user.count(),
+      prisma.user.count({ where: { role: 'ADMIN' } }),
+      prisma.user.count({ where: { disabledAt: { not: null } } }),
+      prisma.user.count({ where: { createdAt: { gte: thirtyDaysAgo } } }),
+      prisma.investment.groupBy({
+        by: ['status'],
+        _count: { _all: true }
+      }),
+      prisma.investment.count({ where: getStuckInvestmentWhere(stuckBefore) }),
+      prisma.interestJobRun.findFirst({ orderBy: { startedAt: 'desc' } })
+    ]);
+
+    return {
+      users: {
+        total: totalUsers,
+        admins: adminUsers,
+        disabled: disabledUsers,
+        newLast30Days: newUsers
+      },
+      investments: {
+        byStatus: investmentsByStatus.reduce((acc, row) => {
+          acc[row.status] = row._count._all;
+          return acc;
+        }, {}),
+        stuck: stuckInvestments
+      },
+      interestJob: {
+        lastRun
+      }
+    };
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    throw new AppError(
+      'Failed to retrieve system statistics',
+      500,
+      'ADMIN_STATS_ERROR'
+    );
+  }
+}
+
+/**
+ * List users
+ * @param {Object} filters - search, role, status, limit, offset
+ * @returns {Object} Users with pagination info
+ * @throws {AppError} If retrieval fails
+ */
+async function listUsers(filters = {}) {
+  try {
+    const { search, role, status, limit = 20, offset = 0 } = filters;
+
+    const where = {};
+
+    if (search) {
+      where.OR = [
+        { email: { contains: search, mode: 'insensitive' } },
+        { firstName: { contains: search, mode: 'insensitive' } },
+        { lastName: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    if (role) {
+      where.role = role;
+    }
+
+    if (status === 'disabled') {
+      where.disabledAt = { not: null };
+    } else if (status === 'active') {
+      where.disabledAt = null;
+    }
+
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: offset,
+        take: limit,
+        select: adminUserSelect
+      }),
+      prisma.user.count({ where })
+    ]);
+
+    return {
+      users,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasNext: offset + limit < total,
+        hasPrev: offset > 0
+      }
+    };
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    throw new AppError(
+      'Failed to retrieve users',
+      500,
+      'USER_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * Get a single user with session and investment counts
+ * @param {string} userId - User ID
+ * @returns {Object} User
+ * @throws {AppError} If user not found
+ */
+async function getUserDetails(userId) {
+  try {
+    assertValidId(userId, 'user');
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        ...adminUserSelect,
+        _count: {
+          select: {
+            investments: true,
+            apiKeys: true
+          }
+        }
+      }
+    });
+
+    if (!user) {
+      throw new AppError(
+        'User not found',
+        404,
+        'USER_NOT_FOUND'
+      );
+    }
+
+    const activeSessions = await prisma.session.count({
+      where: { userId, revokedAt: null, expiresAt: { gt: new Date() } }
+    });
+
+    return {
+      ...user,
+      activeSessions
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Admin get user error:', error);
+    throw new AppError(
+      'Failed to retrieve user',
+      500,
+      'USER_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * Disable a user account and sign it out everywhere
+ * @param {Object} actor - Acting admin and request metadata
+ * @param {string} userId - User to disable
+ * @param {string} reason - Reason shown in the audit trail
+ * @returns {Object} Updated user
+ * @throws {AppError} If user not found, already disabled or is the actor
+ */
+async function disableUser(actor, userId, reason = null) {
+  try {
+    assertValidId(userId, 'user');
+
+    if (userId === actor.id) {
+      throw new AppError(
+        'You cannot disable your own account',
+        400,
+        'CANNOT_DISABLE_SELF'
+      );
+    }
+
+    const existing = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, disabledAt: true }
+    });
+
+    if (!existing) {
+      throw new AppError(
+        'User not found',
+        404,
+        'USER_NOT_FOUND'
+      );
+    }
+
+    if (existing.disabledAt) {
+      throw new AppError(
+        'User is already disabled',
+        409,
+        'USER_ALREADY_DISABLED'
+      );
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const user = await tx.user.update({
+        where: { id: userId },
+        data: {
+          disabledAt: new Date(),
+          disabledReason: reason
+        },
+        select: adminUserSelect
+      });
+
+      const revokedSessions = await revokeAllSessions(userId, { client: tx });
+
+      await recordAdminAction(actor, 'USER_DISABLED', { type: 'User', id: userId }, {
+        reason,
+        revokedSessions
+      }, tx);
+
+      return user;
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Admin disable user error:', error);
+    throw new AppError(
+      'Failed to disable user',
+      500,
+      'USER_UPDATE_ERROR'
+    );
+  }
+}
+
+/**
+ * Re-enable a disabled user account
+ * @param {Object} actor - Acting admin and request metadata
+ * @param {string} userId - User to enable
+ * @returns {Object} Updated user
+ * @throws {AppError} If user not found or not disabled
+ */
+async function enableUser(actor, userId) {
+  try {
+    assertValidId(userId, 'user');
+
+    const existing = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, disabledAt: true, disabledReason: true }
+    });
+
+    if (!existing) {
+      throw new AppError(
+        'User not found',
+        404,
+        'USER_NOT_FOUND'
+      );
+    }
+
+    if (!existing.disabledAt) {
+      throw new AppError(
+        'User is not disabled',
+        409,
+        'USER_NOT_DISABLED'
+      );
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const user = await tx.user.update({
+        where: { id: userId },
+        data: {
+          disabledAt: null,
+          disabledReason: null
+        },
+        select: adminUserSelect
+      });
+
+      await recordAdminAction(actor, 'USER_ENABLED', { type: 'User', id: userId }, {
+        previouslyDisabledAt: existing.disabledAt,
+        previousReason: existing.disabledReason
+      }, tx);
+
+      return user;
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Admin enable user error:', error);
+    throw new AppError(
+      'Failed to enable user',
+      500,
+      'USER_UPDATE_ERROR'
+    );
+  }
+}
+
+/**
+ * Change the role of a user
+ * @param {Object} actor - Acting admin and request metadata
+ * @param {string} userId - User to update
+ * @param {string} role - New role (USER or ADMIN)
+ * @returns {Object} Updated user
+ * @throws {AppError} If user not found or the actor demotes themselves
+ */
+async function updateUserRole(actor, userId, role) {
+  try {
+    assertValidId(userId, 'user');
+
+    if (userId === actor.id && role !== 'ADMIN') {
+      throw new AppError(
+        'You cannot remove your own admin role',
+        400,
+        'CANNOT_DEMOTE_SELF'
+      );
+    }
+
+    const existing = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, role: true }
+    });
+
+    if (!existing) {
+      throw new AppError(
+        'User not found',
+        404,
+        'USER_NOT_FOUND'
+      );
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const user = await tx.user.update({
+        where: { id: userId },
+        data: { role },
+        select: adminUserSelect
+      });
+
+      await recordAdminAction(actor, 'USER_ROLE_CHANGED', { type: 'User', id: userId }, {
+        from: existing.role,
+        to: role
+      }, tx);
+
+      return user;
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Admin update role error:', error);
+    throw new AppError(
+      'Failed to update user role',
+      500,
+      'USER_UPDATE_ERROR'
+    );
+  }
+}
+
+/**
+ * Where clause for investments whose scheduled interest is overdue
+ * @param {Date} before - Due date cut-off
+ * @returns {Object} Prisma where clause
+ */
+function getStuckInvestmentWhere(before) {
+  return {
+    returnType: 'FIXED',
+    autoCalculateInterest: true,
+    status: 'ACTIVE',
+    nextInterestDue: { lt: before }
+  };
+}
+
+/**
+ * List investments whose scheduled interest has not run in time
+ * @param {Object} filters - limit, offset
+ * @returns {Object} Stuck investments with pagination info
+ * @throws {AppError} If retrieval fails
+ */
+async function getStuckInvestments(filters = {}) {
+  try {
+    const { limit = 20, offset = 0 } = filters;
+    const where = getStuckInvestmentWhere(
+      new Date(Date.now() - STUCK_INTEREST_GRACE_HOURS * 60 * 60 * 1000)
+    );
+
+    const [investments, total] = await Promise.all([
+      prisma.investment.findMany({
+        where,
+        orderBy: { nextInterestDue: 'asc' },
+        skip: offset,
+        take: limit,
+        select: {
+          id: true,
+          name: true,
+          currency: true,
+          currentBalance: true,
+          interestRate: true,
+          compoundingFrequency: true,
+          lastInterestCalculated: true,
+          nextInterestDue: true,
+          user: {
+            select: { id: true, email: true }
+          }
+        }
+      }),
+      prisma.investment.count({ where })
+    ]);
+
+    return {
+      investments: investments.map(inv => ({
+        ...inv,
+        currentBalance: Number(inv.currentBalance),
+        interestRate: inv.interestRate == null ? null : Number(inv.interestRate)
+      })),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasNext: offset + limit < total,
+        hasPrev: offset > 0
+      }
+    };
+  } catch (error) {
+    console.error('Admin stuck investments error:', error);
+    throw new AppError(
+      'Failed to retrieve stuck investments',
+      500,
+      'INVESTMENT_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * List scheduled interest job runs
+ * @param {Object} filters - status, limit, offset
+ * @returns {Object} Job runs with pagination info
+ * @throws {AppError} If retrieval fails
+ */
+async function listInterestJobRuns(filters = {}) {
+  try {
+    const { status, limit = 20, offset = 0 } = filters;
+    const where = status ? { status } : {};
+
+    const [runs, total] = await Promise.all([
+      prisma.interestJobRun.findMany({
+        where,
+        orderBy: { startedAt: 'desc' },
+        skip: offset,
+        take: limit
+      }),
+      prisma.interestJobRun.count({ where })
+    ]);
+
+    return {
+      runs,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasNext: offset + limit < total,
+        hasPrev: offset > 0
+      }
+    };
+  } catch (error) {
+    console.error('Admin interest runs error:', error);
+    throw new AppError(
+      'Failed to retrieve interest job runs',
+      500,
+      'INTEREST_RUN_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * Run the scheduled interest job now
+ * @param {Object} actor - Acting admin and request metadata
+ * @returns {Object} Run summary
+ * @throws {AppError} If the run fails
+ */
+async function triggerInterestJobRun(actor) {
+  try {
+    const summary = await processScheduledInterestCalculations({ trigger: 'admin' });
+
+    await recordAdminAction(actor, 'INTEREST_JOB_TRIGGERED', { type: 'InterestJobRun', id: summary.runId }, {
+      processed: summary.processed,
+      succeeded: summary.succeeded,
+      failed: summary.failed
+    });
+
+    return summary;
+  } catch (error) {
+    console.error('Admin trigger interest run error:', error);
+    throw new AppError(
+      'Failed to run scheduled interest calculations',
+      500,
+      'INTEREST_RUN_ERROR'
+    );
+  }
+}
+
+/**
+ * List recurring transaction job runs
+ * @param {Object} filters - status, limit, offset
+ * @returns {Object} Job runs with pagination info
+ * @throws {AppError} If retrieval fails
+ */
+async function listRecurringJobRuns(filters = {}) {
+  try {
+    const { status, limit = 20, offset = 0 } = filters;
+    const where = status ? { status } : {};
+
+    const [runs, total] = await Promise.all([
+      prisma.recurringJobRun.findMany({
+        where,
+        orderBy: { startedAt: 'desc' },
+        skip: offset,
+        take: limit
+      }),
+      prisma.recurringJobRun.count({ where })
+    ]);
+
+    return {
+      runs,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasNext: offset + limit < total,
+        hasPrev: offset > 0
+      }
+    };
+  } catch (error) {
+    console.error('Admin recurring runs error:', error);
+    throw new AppError(
+      'Failed to retrieve recurring transaction job runs',
+      500,
+      'RECURRING_RUN_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * Run the recurring transaction job now
+ * @param {Object} actor - Acting admin and request metadata
+ * @returns {Object} Run summary
+ * @throws {AppError} If the run fails
+ */
+async function triggerRecurringJobRun(actor) {
+  try {
+    const summary = await processRecurringTransactions({ trigger: 'admin' });
+
+    await recordAdminAction(actor, 'RECURRING_JOB_TRIGGERED', { type: 'RecurringJobRun', id: summary.runId }, {
+      processed: summary.processed,
+      posted: summary.posted,
+      skipped: summary.skipped,
+      failed: summary.failed
+    });
+
+    return summary;
+  } catch (error) {
+    console.error('Admin trigger recurring run error:', error);
+    throw new AppError(
+      'Failed to run recurring transactions',
+      500,
+      'RECURRING_RUN_ERROR'
+    );
+  }
+}
+
+/**
+ * Reconcile every investment balance against its transactions
+ * @param {Object} actor - Acting admin and request metadata
+ * @param {Object} options - { repair } to rewrite drifted balances
+ * @param {Object} context - Audit context for the repair events
+ * @returns {Object} Summary, drifting investments and failures
+ * @throws {AppError} If the run fails
+ */
+async function runBalanceReconciliation(actor, options = {}, context = {}) {
+  const { repair = false } = options;
+  const result = await reconcileAllInvestments({ repair }, context);
+
+  await recordAdminAction(
+    actor,
+    repair ? 'BALANCES_REPAIRED' : 'BALANCES_RECONCILED',
+    { type: 'Investment', id: null },
+    result.summary
+  );
+
+  return result;
+}
+
+/**
+ * List the admin audit trail
+ * @param {Object} filters - actorId, action, targetType, targetId, limit, offset
+ * @returns {Object} Audit entries with pagination info
+ * @throws {AppError} If retrieval fails
+ */
+async function listAdminAuditLog(filters = {}) {
+  try {
+    const { actorId, action, targetType, targetId, limit = 50, offset = 0 } = filters;
+
+    const where = {
+      ...(actorId && { actorId }),
+      ...(action && { action }),
+      ...(targetType && { targetType }),
+      ...(targetId && { targetId })
+    };
+
+    const [entries, total] = await Promise.all([
+      prisma.adminAuditLog.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: offset,
+        take: limit,
+        include: {
+          actor: {
+            select: { id: true, email: true }
+          }
+        }
+      }),
+      prisma.adminAuditLog.count({ where })
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasNext: offset + limit < total,
+        hasPrev: offset > 0
+      }
+    };
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    throw new AppError(
+      'Failed to retrieve admin audit log',
+      500,
+      'AUDIT_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+module.exports = {
+  recordAdminAction,
+  getSystemStats,
+  listUsers,
+  getUserDetails,
+  disableUser,
+  enableUser,
+  updateUserRole,
+  getStuckInvestments,
+  listInterestJobRuns,
+  triggerInterestJobRun,
+  listRecurringJobRuns,
+  triggerRecurringJobRun,
+  runBalanceReconciliation,
+  listAdminAuditLog
+};
@@ -0,0 +1,226 @@
+const { prisma } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { isValidUUID } = require('../utils/validation');
+const { hashToken } = require('../utils/auth');
+const { generateApiKey } = require('../utils/apiKeys');
+
+const MAX_API_KEYS_PER_USER = 25;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  expiresAt: true,
+  revokedAt: true,
+  createdAt: true
+};
+
+/**
+ * Create a personal API key
+ * @param {string} userId - User ID
+ * @param {Object} keyData - Name, scopes and optional expiry
+ * @returns {Object} Key record plus the plain key (only returned once)
+ * @throws {AppError} If the key limit is reached or creation fails
+ */
+async function createApiKey(userId, keyData) {
+  const { name, scopes, expiresAt } = keyData;
+
+  try {
+    const activeKeys = await prisma.apiKey.count({
+      where: { userId, revokedAt: null }
+    });
+
+    if (activeKeys >= MAX_API_KEYS_PER_USER) {
+      throw new AppError(
+        `You can have at most ${MAX_API_KEYS_PER_USER} active API keys`,
+        400,
+        'API_KEY_LIMIT_REACHED'
+      );
+    }
+
+    const { key, prefix } = generateApiKey();
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        userId,
+        name: name.trim(),
+        prefix,
+        keyHash: hashToken(key),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresAt ? new Date(expiresAt) : null
+      },
+      select: apiKeySelect
+    });
+
+    return {
+      ...apiKey,
+      key
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Create API key error:', error);
+    throw new AppError(
+      'Failed to create API key',
+      500,
+      'API_KEY_CREATION_ERROR'
+    );
+  }
+}
+
+/**
+ * List the API keys of a user (never includes the secret)
+ * @param {string} userId - User ID
+ * @param {Object} options - List options
+ * @param {boolean} options.includeRevoked - Include revoked keys
+ * @returns {Array} API keys
+ * @throws {AppError} If retrieval fails
+ */
+async function getUserApiKeys(userId, options = {}) {
+  const { includeRevoked = false } = options;
+
+  try {
+    return await prisma.apiKey.findMany({
+      where: {
+        userId,
+        ...(!includeRevoked && { revokedAt: null })
+      },
+      orderBy: { createdAt: 'desc' },
+      select: apiKeySelect
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    throw new AppError(
+      'Failed to retrieve API keys',
+      500,
+      'API_KEY_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * Revoke an API key
+ * @param {string} apiKeyId - API key ID
+ * @param {string} userId - User ID
+ * @returns {Object} Revoked key
+ * @throws {AppError} If key not found
+ */
+async function revokeApiKey(apiKeyId, userId) {
+  try {
+    if (!isValidUUID(apiKeyId)) {
+      throw new AppError(
+        'Invalid API key ID format',
+        400,
+        'INVALID_ID_FORMAT'
+      );
+    }
+
+    const existing = await prisma.apiKey.findFirst({
+      where: { id: apiKeyId, userId, revokedAt: null },
+      select: { id: true }
+    });
+
+    if (!existing) {
+      throw new AppError(
+        'API key not found',
+        404,
+        'API_KEY_NOT_FOUND'
+      );
+    }
+
+    return await prisma.apiKey.update({
+      where: { id: apiKeyId },
+      data: { revokedAt: new Date() },
+      select: apiKeySelect
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Revoke API key error:', error);
+    throw new AppError(
+      'Failed to revoke API key',
+      500,
+      'API_KEY_REVOKE_ERROR'
+    );
+  }
+}
+
+/**
+ * Resolve a presented API key to its owner
+ * Updates the last-used timestamp (at most once a minute per key).
+ * @param {string} rawKey - Plain API key
+ * @param {string} ipAddress - Client IP address
+ * @returns {Object|null} { apiKey, user } or null if the key is invalid, revoked or expired
+ */
+async function authenticateApiKey(rawKey, ipAddress = null) {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashToken(rawKey) },
+    select: {
+      id: true,
+      name: true,
+      scopes: true,
+      expiresAt: true,
+      revokedAt: true,
+      user: {
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          lastName: true,
+          role: true,
+          disabledAt: true,
+          createdAt: true,
+          updatedAt: true
+        }
+      }
+    }
+  });
+
+  const now = new Date();
+
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= now)) {
+    return null;
+  }
+
+  prisma.apiKey.updateMany({
+    where: {
+      id: apiKey.id,
+      OR: [
+        { lastUsedAt: null },
+        { lastUsedAt: { lt: new Date(now.getTime() - LAST_USED_RESOLUTION_MS) } }
+      ]
+    },
+    data: {
+      lastUsedAt: now,
+      lastUsedIp: ipAddress
+    }
+  }).catch(error => {
+    console.error('API key last-used update error:', error);
+  });
+
+  const { user, ...key } = apiKey;
+
+  return {
+    apiKey: {
+      id: key.id,
+      name: key.name,
+      scopes: key.scopes
+    },
+    user
+  };
+}
+
+module.exports = {
+  createApiKey,
+  getUserApiKeys,
+  revokeApiKey,
+  authenticateApiKey
+};
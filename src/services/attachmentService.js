@@ -0,0 +1,399 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { investmentAccessWhere, transactionAccessWhere } = require('../utils/access');
+const { recordAuditEvent } = require('./auditService');
+const { getStorage } = require('./storageService');
+
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024;
+
+// Stored files without an attachment are only purged after this long, so a
+// file written just before its attachment row is never removed
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+// Accepted file types; the content must match the declared type
+const ATTACHMENT_TYPES = {
+  'application/pdf': buffer => startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d]),
+  'image/png': buffer => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  'image/jpeg': buffer => startsWith(buffer, [0xff, 0xd8, 0xff]),
+  'image/webp': buffer => startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) &&
+    startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8),
+  'text/csv': buffer => !buffer.includes(0),
+  'text/plain': buffer => !buffer.includes(0)
+};
+
+const attachmentSelect = {
+  id: true,
+  investmentId: true,
+  transactionId: true,
+  uploadedById: true,
+  filename: true,
+  contentType: true,
+  size: true,
+  checksum: true,
+  createdAt: true
+};
+
+/**
+ * Find the investment (and transaction) a file is attached to
+ * @param {string} userId - User ID
+ * @param {Object} parent - investmentId or transactionId
+ * @param {string} access - Required access level ('read' or 'write')
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Object} investmentId and transactionId (null for investment attachments)
+ * @throws {AppError} If the parent is not found or not accessible
+ */
+async function resolveParent(userId, parent, access, client = prisma) {
+  if (parent.transactionId) {
+    const transaction = await client.transaction.findFirst({
+      where: {
+        id: parent.transactionId,
+        ...transactionAccessWhere(userId, access)
+      },
+      select: { id: true, investmentId: true }
+    });
+
+    if (!transaction || (parent.investmentId && parent.investmentId !== transaction.investmentId)) {
+      throw new AppError(
+        'Transaction not found',
+        404,
+        'TRANSACTION_NOT_FOUND'
+      );
+    }
+
+    return { investmentId: transaction.investmentId, transactionId: transaction.id };
+  }
+
+  const investment = await client.investment.findFirst({
+    where: {
+      id: parent.investmentId,
+      ...investmentAccessWhere(userId, access)
+    },
+    select: { id: true }
+  });
+
+  if (!investment) {
+    throw new AppError(
+      'Investment not found',
+      404,
+      'INVESTMENT_NOT_FOUND'
+    );
+  }
+
+  return { investmentId: investment.id, transactionId: null };
+}
+
+/**
+ * Delete stored files that no attachment refers to any more
+ * Call after deleting attachment rows (directly or by cascade) with the
+ * storage keys they used.
+ * @param {Array<string>} storageKeys - Keys to check
+ * @returns {number} Number of files deleted
+ */
+async function removeUnreferencedFiles(storageKeys) {
+  if (storageKeys.length === 0) {
+    return 0;
+  }
+
+  const referenced = await prisma.attachment.findMany({
+    where: { storageKey: { in: storageKeys } },
+    select: { storageKey: true },
+    distinct: ['storageKey']
+  });
+  const inUse = new Set(referenced.map(attachment => attachment.storageKey));
+  const unreferenced = storageKeys.filter(key => !inUse.has(key));
+
+  const storage = getStorage();
+  for (const key of unreferenced) {
+    await storage.delete(key);
+  }
+
+  return unreferenced.length;
+}
+
+/**
+ * Attach a file to an investment or a transaction
+ * The declared content type must be allowed and match the file content.
+ * Uploading a file that is already attached to the same investment or
+ * transaction is rejected; identical files on different records share one
+ * stored copy.
+ * @param {string} userId - User ID
+ * @param {Object} data - investmentId or transactionId, filename, contentType, content (Buffer)
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Attachment
+ * @throws {AppError} If the file is empty, too large, of the wrong type or a duplicate
+ */
+async function addAttachment(userId, data, context = {}) {
+  const { filename, contentType, content } = data;
+
+  try {
+    const matchesType = ATTACHMENT_TYPES[contentType];
+    if (!matchesType) {
+      throw new AppError(
+        `File type must be one of: ${Object.keys(ATTACHMENT_TYPES).join(', ')}`,
+        415,
+        'UNSUPPORTED_MEDIA_TYPE'
+      );
+    }
+
+    if (!Buffer.isBuffer(content) || content.length === 0) {
+      throw new AppError(
+        'File is empty',
+        400,
+        'EMPTY_FILE'
+      );
+    }
+
+    if (content.length > MAX_ATTACHMENT_BYTES) {
+      throw new AppError(
+        `File cannot exceed ${MAX_ATTACHMENT_BYTES} bytes`,
+        413,
+        'ATTACHMENT_TOO_LARGE'
+      );
+    }
+
+    if (!matchesType(content)) {
+      throw new AppError(
+        `File content is not ${contentType}`,
+        415,
+        'UNSUPPORTED_MEDIA_TYPE'
+      );
+    }
+
+    const parent = await resolveParent(userId, data, 'write');
+    const checksum = crypto.createHash('sha256').update(content).digest('hex');
+
+    const duplicate = await prisma.attachment.findFirst({
+      where: { ...parent, checksum },
+      select: { id: true, filename: true }
+    });
+
+    if (duplicate) {
+      throw new AppError(
+        `This file is already attached as ${duplicate.filename} (${duplicate.id})`,
+        409,
+        'DUPLICATE_ATTACHMENT'
+      );
+    }
+
+    // Store the file first; if the row is never written the file is purged as an orphan
+    await getStorage().put(checksum, content);
+
+    return await prisma.$transaction(async (tx) => {
+      const attachment = await tx.attachment.create({
+        data: {
+          ...parent,
+          uploadedById: userId,
+          filename,
+          contentType,
+          size: content.length,
+          checksum,
+          storageKey: checksum
+        },
+        select: attachmentSelect
+      });
+
+      await recordAuditEvent({
+        action: 'ATTACHMENT_ADDED',
+        entityType: 'Attachment',
+        entityId: attachment.id,
+        investmentId: attachment.investmentId,
+        after: attachment
+      }, context, tx);
+
+      return attachment;
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Add attachment error:', error);
+    throw new AppError(
+      'Failed to store attachment',
+      500,
+      'ATTACHMENT_UPLOAD_ERROR'
+    );
+  }
+}
+
+/**
+ * List attachments of an investment (including its transactions') or of one transaction
+ * @param {string} userId - User ID
+ * @param {Object} filters - investmentId or transactionId
+ * @returns {Array<Object>} Attachments, newest first
+ * @throws {AppError} If the parent is not found or not accessible
+ */
+async function getAttachments(userId, filters) {
+  try {
+    const parent = await resolveParent(userId, filters, 'read');
+
+    return await prisma.attachment.findMany({
+      where: parent.transactionId
+        ? { transactionId: parent.transactionId }
+        : { investmentId: parent.investmentId },
+      orderBy: { createdAt: 'desc' },
+      select: attachmentSelect
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Get attachments error:', error);
+    throw new AppError(
+      'Failed to retrieve attachments',
+      500,
+      'ATTACHMENT_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * Open an attachment for download
+ * @param {string} attachmentId - Attachment ID
+ * @param {string} userId - User ID (needs read access to the investment)
+ * @returns {Object} Attachment and a readable stream of its content
+ * @throws {AppError} If not found or the stored file is missing
+ */
+async function openAttachment(attachmentId, userId) {
+  try {
+    const attachment = await prisma.attachment.findFirst({
+      where: {
+        id: attachmentId,
+        investment: investmentAccessWhere(userId, 'read')
+      },
+      select: { ...attachmentSelect, storageKey: true }
+    });
+
+    if (!attachment) {
+      throw new AppError(
+        'Attachment not found',
+        404,
+        'ATTACHMENT_NOT_FOUND'
+      );
+    }
+
+    const { storageKey, ...metadata } = attachment;
+    const stream = await getStorage().get(storageKey).catch((error) => {
+      console.error('Attachment file missing:', storageKey, error.message);
+      throw new AppError(
+        'Attachment file is missing from storage',
+        404,
+        'ATTACHMENT_FILE_MISSING'
+      );
+    });
+
+    return { attachment: metadata, stream };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Open attachment error:', error);
+    throw new AppError(
+      'Failed to retrieve attachment',
+      500,
+      'ATTACHMENT_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * Delete an attachment
+ * The stored file is removed once no other attachment shares it.
+ * @param {string} attachmentId - Attachment ID
+ * @param {string} userId - User ID (needs write access to the investment)
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Deleted attachment
+ * @throws {AppError} If not found
+ */
+async function deleteAttachment(attachmentId, userId, context = {}) {
+  try {
+    const attachment = await prisma.$transaction(async (tx) => {
+      const existing = await tx.attachment.findFirst({
+        where: {
+          id: attachmentId,
+          investment: investmentAccessWhere(userId, 'write')
+        },
+        select: { ...attachmentSelect, storageKey: true }
+      });
+
+      if (!existing) {
+        throw new AppError(
+          'Attachment not found',
+          404,
+          'ATTACHMENT_NOT_FOUND'
+        );
+      }
+
+      await tx.attachment.delete({ where: { id: existing.id } });
+
+      const { storageKey, ...metadata } = existing;
+      await recordAuditEvent({
+        action: 'ATTACHMENT_DELETED',
+        entityType: 'Attachment',
+        entityId: existing.id,
+        investmentId: existing.investmentId,
+        before: metadata
+      }, context, tx);
+
+      return existing;
+    });
+
+    const { storageKey, ...metadata } = attachment;
+    await removeUnreferencedFiles([storageKey]).catch(error =>
+      console.error('Attachment file cleanup error:', error)
+    );
+
+    return metadata;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Delete attachment error:', error);
+    throw new AppError(
+      'Failed to delete attachment',
+      500,
+      'ATTACHMENT_DELETION_ERROR'
+    );
+  }
+}
+
+/**
+ * Delete stored files whose attachments are gone
+ * Attachment rows are removed by cascade with their investment, transaction
+ * or account; this sweep removes the files they leave behind.
+ * @param {Object} options - Options
+ * @param {number} options.graceMs - Keep files modified more recently than this (default 1 hour)
+ * @returns {Object} Number of files scanned and deleted
+ */
+async function purgeOrphanedAttachmentFiles(options = {}) {
+  const { graceMs = ORPHAN_GRACE_MS } = options;
+  const cutoff = new Date(Date.now() - graceMs);
+
+  const files = await getStorage().list();
+  const candidates = files
+    .filter(file => file.modifiedAt < cutoff)
+    .map(file => file.key);
+
+  const deleted = await removeUnreferencedFiles(candidates);
+
+  return { scanned: files.length, deleted };
+}
+
+module.exports = {
+  addAttachment,
+  getAttachments,
+  openAttachment,
+  deleteAttachment,
+  removeUnreferencedFiles,
+  purgeOrphanedAttachmentFiles,
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_BYTES
+};
@@ -0,0 +1,167 @@
+const { prisma } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { investmentAccessWhere } = require('../utils/access');
+
+/**
+ * Audit context for a request: who acted and where the request came from
+ * Services take this as their last argument and pass it to recordAuditEvent.
+ * @param {Object} req - Express request object (after requireAuth)
+ * @returns {Object} { actorType, actorId, apiKeyId, requestId, ipAddress, userAgent }
+ */
+function getAuditContext(req) {
+  return {
+    actorType: req.apiKey ? 'API_KEY' : 'USER',
+    actorId: req.user ? req.user.id : null,
+    apiKeyId: req.apiKey ? req.apiKey.id : null,
+    requestId: req.id || null,
+    ipAddress: req.ip || null,
+    userAgent: req.get('user-agent') || null
+  };
+}
+
+/**
+ * Turn a Prisma record into plain JSON (Decimals become strings, Dates ISO strings)
+ * @param {Object|null} record - Record to snapshot
+ * @returns {Object|undefined} JSON-safe copy, or undefined when there is nothing to store
+ */
+function toSnapshot(record) {
+  return record == null ? undefined : JSON.parse(JSON.stringify(record));
+}
+
+/**
+ * Append an audit event
+ * Pass the transaction client so the event is committed (or rolled back)
+ * together with the change it describes.
+ * @param {Object} event - What changed
+ * @param {string} event.action - Action name, e.g. TRANSACTION_CREATED
+ * @param {string} event.entityType - Entity type, e.g. Transaction
+ * @param {string} event.entityId - Entity ID
+ * @param {string} event.investmentId - Investment the change belongs to
+ * @param {Object} event.before - Snapshot before the change
+ * @param {Object} event.after - Snapshot after the change
+ * @param {number|string} event.balanceBefore - Investment balance before the change
+ * @param {number|string} event.balanceAfter - Investment balance after the change
+ * @param {Object} context - Audit context from getAuditContext (empty for system jobs)
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Object} Created audit event
+ */
+async function recordAuditEvent(event, context = {}, client = prisma) {
+  const {
+    action,
+    entityType,
+    entityId,
+    investmentId = null,
+    before = null,
+    after = null,
+    balanceBefore = null,
+    balanceAfter = null
+  } = event;
+
+  return client.auditEvent.create({
+    data: {
+      actorType: context.actorType || (context.actorId ? 'USER' : 'SYSTEM'),
+      actorId: context.actorId || null,
+      apiKeyId: context.apiKeyId || null,
+      action,
+      entityType,
+      entityId,
+      investmentId,
+      before: toSnapshot(before),
+      after: toSnapshot(after),
+      balanceBefore: balanceBefore == null ? null : String(balanceBefore),
+      balanceAfter: balanceAfter == null ? null : String(balanceAfter),
+      requestId: context.requestId || null,
+      ipAddress: context.ipAddress || null,
+      userAgent: context.userAgent ? context.userAgent.substring(0, 255) : null
+    }
+  });
+}
+
+/**
+ * List audit events visible to a user
+ * Users see events of investments they can read plus everything they did
+ * themselves (so changes to investments that were later unshared stay visible).
+ * @param {string} userId - User ID
+ * @param {Object} filters - Query filters
+ * @returns {Object} Audit events with pagination info
+ * @throws {AppError} If retrieval fails
+ */
+async function getAuditEvents(userId, filters = {}) {
+  try {
+    const {
+      investmentId,
+      entityType,
+      entityId,
+      action,
+      actorId,
+      requestId,
+      startDate,
+      endDate,
+      limit = 50,
+      offset = 0,
+      sortOrder = 'desc'
+    } = filters;
+
+    const accessibleInvestments = await prisma.investment.findMany({
+      where: investmentAccessWhere(userId),
+      select: { id: true }
+    });
+
+    const where = {
+      OR: [
+        { investmentId: { in: accessibleInvestments.map(inv => inv.id) } },
+        { actorId: userId }
+      ],
+      ...(investmentId && { investmentId }),
+      ...(entityType && { entityType }),
+      ...(entityId && { entityId }),
+      ...(action && { action }),
+      ...(actorId && { actorId }),
+      ...(requestId && { requestId })
+    };
+
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) {
+        where.createdAt.gte = new Date(startDate);
+      }
+      if (endDate) {
+        where.createdAt.lte = new Date(endDate);
+      }
+    }
+
+    const [events, total] = await Promise.all([
+      prisma.auditEvent.findMany({
+        where,
+        orderBy: { createdAt: sortOrder },
+        skip: offset,
+        take: limit
+      }),
+      prisma.auditEvent.count({ where })
+    ]);
+
+    return {
+      events,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasNext: offset + limit < total,
+        hasPrev: offset > 0
+      }
+    };
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    throw new AppError(
+      'Failed to retrieve audit events',
+      500,
+      'AUDIT_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+module.exports = {
+  getAuditContext,
+  recordAuditEvent,
+  getAuditEvents
+};
@@ -1,15 +1,30 @@
 const { prisma } = require('../config/database');
-const { hashPassword, comparePassword, generateJWT } = require('../utils/auth');
-const { sanitizeEmail, sanitizeName } = require('../utils/validation');
+const {
+  hashPassword,
+  comparePassword,
+  generateSecureToken,
+  hashToken,
+  generateTwoFactorPendingToken,
+  TWO_FACTOR_PENDING_TTL
+} = require('../utils/auth');
+const { sanitizeEmail, sanitizeName, validatePassword } = require('../utils/validation');
 const { AppError } = require('../middleware/errorHandler');
+const { issueTokens } = require('./tokenService');
+const { revokeAllSessions, revokeAccessToken } = require('./sessionService');
+const { sendMail } = require('./mailService');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10);
+const EMAIL_CHANGE_TTL_HOURS = parseInt(process.env.EMAIL_CHANGE_TTL_HOURS || '24', 10);
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
 
 /**
  * Register a new user
  * @param {Object} userData - User registration data
- * @returns {Object} Created user and token
+ * @param {Object} meta - Client metadata for the new session (userAgent, ipAddress)
+ * @returns {Object} Created user, access token and refresh token
  * @throws {AppError} If email already exists or registration fails
  */
-async function registerUser(userData) {
+async function registerUser(userData, meta = {}) {
   const { email, password, firstName, lastName } = userData;
 
   try {
@@ -52,15 +67,13 @@ async function registerUser(userData) {
       }
     });
 
-    // Generate JWT token
-    const token = generateJWT({
-      id: user.id,
-      email: user.email
-    });
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueTokens(user, { meta });
 
     return {
       user,
-      token
+      token,
+      refreshToken
     };
   } catch (error) {
     // Re-throw AppErrors
@@ -89,11 +102,14 @@ async function registerUser(userData) {
 
 /**
  * Authenticate user login
+ * Accounts with 2FA get a pending token for POST /api/auth/login/2fa
+ * instead of an access token.
  * @param {Object} loginData - User login credentials
- * @returns {Object} User and token
+ * @param {Object} meta - Client metadata for the new session (userAgent, ipAddress)
+ * @returns {Object} User, access token and refresh token, or { twoFactorRequired, pendingToken }
  * @throws {AppError} If credentials are invalid
  */
-async function loginUser(loginData) {
+async function loginUser(loginData, meta = {}) {
   const { email, password } = loginData;
 
   try {
@@ -110,7 +126,10 @@ async function loginUser(loginData) {
         firstName: true,
         lastName: true,
         createdAt: true,
-        updatedAt: true
+        updatedAt: true,
+        role: true,
+        disabledAt: true,
+        twoFactorEnabled: true
       }
     });
 
@@ -133,18 +152,33 @@ async function loginUser(loginData) {
       );
     }
 
-    // Remove password hash from response
-    const { passwordHash, ...userWithoutPassword } = user;
+    if (user.disabledAt) {
+      throw new AppError(
+        'This account has been disabled',
+        403,
+        'ACCOUNT_DISABLED'
+      );
+    }
 
-    // Generate JWT token
-    const token = generateJWT({
-      id: user.id,
-      email: user.email
-    });
+    // Second step required: hand out a short-lived pending token instead of a session
+    if (user.twoFactorEnabled) {
+      return {
+        twoFactorRequired: true,
+        pendingToken: generateTwoFactorPendingToken(user.id),
+        expiresIn: TWO_FACTOR_PENDING_TTL
+      };
+    }
+
+    // Remove password hash and 2FA flag from response
+    const { passwordHash, twoFactorEnabled, disabledAt, ...userWithoutPassword } = user;
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueTokens(user, { meta });
 
     return {
       user: userWithoutPassword,
-      token
+      token,
+      refreshToken
     };
   } catch (error) {
     // Re-throw AppErrors
@@ -285,10 +319,473 @@ async function emailExists(email) {
   }
 }
 
+/**
+ * Ensure a new password meets the password rules
+ * @param {string} password - New password
+ * @throws {AppError} If the password is too weak
+ */
+function assertStrongPassword(password) {
+  const result = validatePassword(password);
+
+  if (!result.isValid) {
+    throw new AppError(
+      result.error,
+      400,
+      'WEAK_PASSWORD'
+    );
+  }
+}
+
+/**
+ * Change password for an authenticated user
+ * All existing sessions are revoked and a fresh token pair is issued for
+ * the caller so that only the device that changed the password stays signed in.
+ * @param {string} userId - User ID
+ * @param {Object} passwordData - Current and new password
+ * @param {Object} tokenPayload - Decoded JWT of the current request
+ * @param {Object} meta - Client metadata for the new session (userAgent, ipAddress)
+ * @returns {Object} New access token and refresh token
+ * @throws {AppError} If the current password is wrong or the new one is invalid
+ */
+async function changePassword(userId, passwordData, tokenPayload, meta = {}) {
+  const { currentPassword, newPassword } = passwordData;
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, firstName: true, passwordHash: true }
+    });
+
+    if (!user) {
+      throw new AppError(
+        'User not found',
+        404,
+        'USER_NOT_FOUND'
+      );
+    }
+
+    const isPasswordValid = await comparePassword(currentPassword, user.passwordHash);
+
+    if (!isPasswordValid) {
+      throw new AppError(
+        'Current password is incorrect',
+        400,
+        'INVALID_CURRENT_PASSWORD'
+      );
+    }
+
+    assertStrongPassword(newPassword);
+
+    if (await comparePassword(newPassword, user.passwordHash)) {
+      throw new AppError(
+        'New password must be different from the current password',
+        400,
+        'PASSWORD_UNCHANGED'
+      );
+    }
+
+    const passwordHash = await hashPassword(newPassword);
+
+    const tokens = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: userId },
+        data: {
+          passwordHash,
+          passwordChangedAt: new Date()
+        }
+      });
+
+      await revokeAccessToken(tokenPayload, tx);
+      await revokeAllSessions(userId, { client: tx });
+
+      return issueTokens(user, { meta, client: tx });
+    });
+
+    await sendPasswordChangedNotice(user);
+
+    return {
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Change password error:', error);
+    throw new AppError(
+      'Failed to change password',
+      500,
+      'PASSWORD_CHANGE_ERROR'
+    );
+  }
+}
+
+/**
+ * Start the password reset flow
+ * Always resolves without revealing whether the email is registered.
+ * @param {string} email - Account email
+ * @throws {AppError} If the reset token cannot be created
+ */
+async function requestPasswordReset(email) {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { email: sanitizeEmail(email) },
+      select: { id: true, email: true, firstName: true }
+    });
+
+    if (!user) {
+      return;
+    }
+
+    const token = generateSecureToken();
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+    await prisma.$transaction([
+      // Only the most recent reset link is valid
+      prisma.passwordResetToken.deleteMany({
+        where: { userId: user.id, usedAt: null }
+      }),
+      prisma.passwordResetToken.create({
+        data: {
+          userId: user.id,
+          tokenHash: hashToken(token),
+          expiresAt
+        }
+      })
+    ]);
+
+    const resetUrl = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your E-Accounting password',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'We received a request to reset your password. Use the link below to choose a new one:',
+        resetUrl,
+        '',
+        `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.`,
+        'If you did not request a password reset you can ignore this email.'
+      ].join('\n')
+    });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    throw new AppError(
+      'Failed to process password reset request',
+      500,
+      'PASSWORD_RESET_REQUEST_ERROR'
+    );
+  }
+}
+
+/**
+ * Complete the password reset flow with a reset token
+ * The token is consumed and every existing session is revoked.
+ * @param {Object} resetData - Reset token and new password
+ * @throws {AppError} If the token is invalid, expired or already used
+ */
+async function resetPassword(resetData) {
+  const { token, password } = resetData;
+
+  try {
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      select: {
+        id: true,
+        expiresAt: true,
+        usedAt: true,
+        user: {
+          select: { id: true, email: true, firstName: true }
+        }
+      }
+    });
+
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt <= new Date()) {
+      throw new AppError(
+        'Password reset token is invalid or has expired',
+        400,
+        'INVALID_RESET_TOKEN'
+      );
+    }
+
+    assertStrongPassword(password);
+
+    const passwordHash = await hashPassword(password);
+
+    await prisma.$transaction(async (tx) => {
+      // Consume the token atomically so it cannot be used twice
+      const { count } = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null },
+        data: { usedAt: new Date() }
+      });
+
+      if (count === 0) {
+        throw new AppError(
+          'Password reset token is invalid or has expired',
+          400,
+          'INVALID_RESET_TOKEN'
+        );
+      }
+
+      await tx.user.update({
+        where: { id: resetToken.user.id },
+        data: {
+          passwordHash,
+          passwordChangedAt: new Date()
+        }
+      });
+
+      await revokeAllSessions(resetToken.user.id, { client: tx });
+    });
+
+    await sendPasswordChangedNotice(resetToken.user);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Password reset error:', error);
+    throw new AppError(
+      'Failed to reset password',
+      500,
+      'PASSWORD_RESET_ERROR'
+    );
+  }
+}
+
+/**
+ * Notify a user that their password was changed
+ * Delivery failures are logged but do not fail the password change.
+ * @param {Object} user - User with email and firstName
+ */
+async function sendPasswordChangedNotice(user) {
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Your E-Accounting password was changed',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'The password for your account was just changed and all other sessions were signed out.',
+        'If this was not you, reset your password immediately.'
+      ].join('\n')
+    });
+  } catch (error) {
+    console.error('Password change notice error:', error);
+  }
+}
+
+/**
+ * Start an email change
+ * A confirmation link is sent to the new address; the email is only
+ * changed once that link is used. The current address gets a notice.
+ * @param {string} userId - User ID
+ * @param {Object} changeData - New email and current password
+ * @returns {Object} Pending email and link expiry
+ * @throws {AppError} If the password is wrong or the email is taken
+ */
+async function requestEmailChange(userId, changeData) {
+  const { newEmail, password } = changeData;
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, firstName: true, passwordHash: true }
+    });
+
+    if (!user) {
+      throw new AppError(
+        'User not found',
+        404,
+        'USER_NOT_FOUND'
+      );
+    }
+
+    const isPasswordValid = await comparePassword(password, user.passwordHash);
+
+    if (!isPasswordValid) {
+      throw new AppError(
+        'Password is incorrect',
+        400,
+        'INVALID_PASSWORD'
+      );
+    }
+
+    const sanitizedEmail = sanitizeEmail(newEmail);
+
+    if (sanitizedEmail === user.email) {
+      throw new AppError(
+        'New email must be different from the current email',
+        400,
+        'EMAIL_UNCHANGED'
+      );
+    }
+
+    if (await emailExists(sanitizedEmail)) {
+      throw new AppError(
+        'An account with this email already exists',
+        409,
+        'EMAIL_ALREADY_EXISTS'
+      );
+    }
+
+    const token = generateSecureToken();
+    const expiresAt = new Date(Date.now() + EMAIL_CHANGE_TTL_HOURS * 60 * 60 * 1000);
+
+    await prisma.$transaction([
+      // Only the most recent email change request is valid
+      prisma.emailChangeToken.deleteMany({
+        where: { userId, usedAt: null }
+      }),
+      prisma.emailChangeToken.create({
+        data: {
+          userId,
+          newEmail: sanitizedEmail,
+          tokenHash: hashToken(token),
+          expiresAt
+        }
+      })
+    ]);
+
+    const confirmUrl = `${APP_URL}/confirm-email?token=${encodeURIComponent(token)}`;
+
+    await sendMail({
+      to: sanitizedEmail,
+      subject: 'Confirm your new E-Accounting email address',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'Use the link below to confirm this address as the new email for your account:',
+        confirmUrl,
+        '',
+        `This link expires in ${EMAIL_CHANGE_TTL_HOURS} hours and can only be used once.`
+      ].join('\n')
+    });
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Email change requested for your E-Accounting account',
+        text: [
+          `Hi ${user.firstName},`,
+          '',
+          `A request was made to change your account email to ${sanitizedEmail}.`,
+          'The change only takes effect once it is confirmed from the new address.',
+          'If this was not you, change your password immediately.'
+        ].join('\n')
+      });
+    } catch (error) {
+      console.error('Email change notice error:', error);
+    }
+
+    return {
+      pendingEmail: sanitizedEmail,
+      expiresAt
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Email change request error:', error);
+    throw new AppError(
+      'Failed to request email change',
+      500,
+      'EMAIL_CHANGE_REQUEST_ERROR'
+    );
+  }
+}
+
+/**
+ * Confirm an email change with the token sent to the new address
+ * @param {string} token - Email change token
+ * @returns {Object} Updated user data
+ * @throws {AppError} If the token is invalid or the email was taken meanwhile
+ */
+async function confirmEmailChange(token) {
+  try {
+    const changeToken = await prisma.emailChangeToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      select: {
+        id: true,
+        userId: true,
+        newEmail: true,
+        expiresAt: true,
+        usedAt: true
+      }
+    });
+
+    if (!changeToken || changeToken.usedAt || changeToken.expiresAt <= new Date()) {
+      throw new AppError(
+        'Email confirmation token is invalid or has expired',
+        400,
+        'INVALID_EMAIL_CHANGE_TOKEN'
+      );
+    }
+
+    const user = await prisma.$transaction(async (tx) => {
+      // Consume the token atomically so it cannot be used twice
+      const { count } = await tx.emailChangeToken.updateMany({
+        where: { id: changeToken.id, usedAt: null },
+        data: { usedAt: new Date() }
+      });
+
+      if (count === 0) {
+        throw new AppError(
+          'Email confirmation token is invalid or has expired',
+          400,
+          'INVALID_EMAIL_CHANGE_TOKEN'
+        );
+      }
+
+      return tx.user.update({
+        where: { id: changeToken.userId },
+        data: { email: changeToken.newEmail },
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          lastName: true,
+          createdAt: true,
+          updatedAt: true
+        }
+      });
+    });
+
+    return user;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    if (error.code === 'P2002') {
+      throw new AppError(
+        'An account with this email already exists',
+        409,
+        'EMAIL_ALREADY_EXISTS'
+      );
+    }
+
+    console.error('Email change confirmation error:', error);
+    throw new AppError(
+      'Failed to confirm email change',
+      500,
+      'EMAIL_CHANGE_ERROR'
+    );
+  }
+}
+
 module.exports = {
   registerUser,
   loginUser,
   getUserById,
   updateUserProfile,
-  emailExists
+  emailExists,
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+  requestEmailChange,
+  confirmEmailChange
 };
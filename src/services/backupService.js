@@ -0,0 +1,880 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { recordAuditEvent } = require('./auditService');
+const { iterateRows } = require('./exportService');
+const { assertPeriodOpen } = require('./periodService');
+const { checkInvestmentBalances } = require('./reconciliationService');
+const { ZipFormatError, createZipWriter, readZip } = require('../utils/zip');
+const { isBalanced } = require('../utils/ledger');
+const { validateManifest, validateBackupRecord } = require('../validators/backupValidator');
+
+const BACKUP_FORMAT = 'e-accounting-backup';
+const BACKUP_SCHEMA_VERSION = 1;
+const MAX_BACKUP_BYTES = parseInt(process.env.BACKUP_MAX_BYTES, 10) || 50 * 1024 * 1024;
+
+// Rows per createMany while restoring
+const RESTORE_BATCH_SIZE = 1000;
+
+// A restore writes the whole archive in one transaction
+const RESTORE_TRANSACTION_OPTIONS = { maxWait: 10000, timeout: 300000 };
+
+// Data files of a schema version 1 archive (manifest.json lists them with their checksums)
+const BACKUP_FILES = [
+  'settings.json',
+  'investments.jsonl',
+  'transfers.jsonl',
+  'transactions.jsonl',
+  'interest-calculations.jsonl',
+  'journal-entries.jsonl',
+  'recurring-transactions.jsonl',
+  'import-rules.jsonl'
+];
+
+/**
+ * Map record IDs to archive references (inv-1, txn-1, ...)
+ * @param {string} prefix - Reference prefix
+ * @returns {Object} ref(id) assigns a reference the first time an ID is seen;
+ * find(id) returns the reference of an ID already seen, or null
+ */
+function createRefMap(prefix) {
+  const refs = new Map();
+
+  return {
+    ref(id) {
+      if (id == null) {
+        return null;
+      }
+      if (!refs.has(id)) {
+        refs.set(id, `${prefix}-${refs.size + 1}`);
+      }
+      return refs.get(id);
+    },
+    find(id) {
+      return refs.get(id) || null;
+    }
+  };
+}
+
+/**
+ * Serialize rows as JSON lines, counting and hashing them for the manifest
+ * @param {AsyncIterable} rows - Database rows
+ * @param {Function} toRecord - Row to archive record
+ * @param {Object} stats - Receives the record count and SHA-256 hash
+ * @returns {AsyncGenerator} Lines
+ */
+async function* toJsonLines(rows, toRecord, stats) {
+  for await (const row of rows) {
+    const line = `${JSON.stringify(toRecord(row))}\n`;
+    stats.sha256.update(line);
+    stats.records += 1;
+    yield line;
+  }
+}
+
+/**
+ * Stream a backup archive of the user's books
+ * The archive is a ZIP of JSON-lines files, one per record type, with IDs
+ * replaced by references local to the archive, and a manifest (written last)
+ * holding the schema version and each file's record count and checksum.
+ * Only investments the user owns are included; transfers with an investment
+ * of another user are left out (their legs are kept as plain transactions).
+ * Attachments are not included.
+ * @param {string} userId - User ID
+ * @param {Writable} output - Destination (e.g. an HTTP response)
+ * @throws {AppError} If user not found or the backup fails
+ */
+async function writeBackup(userId, output) {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { lockDate: true }
+    });
+
+    if (!user) {
+      throw new AppError(
+        'User not found',
+        404,
+        'USER_NOT_FOUND'
+      );
+    }
+
+    const zip = createZipWriter(output);
+    const files = {};
+    const refs = {
+      investments: createRefMap('inv'),
+      transfers: createRefMap('trf'),
+      transactions: createRefMap('txn'),
+      interestCalculations: createRefMap('int')
+    };
+
+    const addFile = async (name, rows, toRecord) => {
+      const stats = { records: 0, sha256: crypto.createHash('sha256') };
+      await zip.addEntry(name, toJsonLines(rows, toRecord, stats));
+      files[name] = { records: stats.records, sha256: stats.sha256.digest('hex') };
+    };
+
+    const settings = JSON.stringify({ lockDate: user.lockDate });
+    await zip.addEntry('settings.json', settings);
+    files['settings.json'] = {
+      records: 1,
+      sha256: crypto.createHash('sha256').update(settings).digest('hex')
+    };
+
+    await addFile('investments.jsonl', iterateRows(prisma.investment, {
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    }), row => ({
+      ref: refs.investments.ref(row.id),
+      name: row.name,
+      category: row.category,
+      currency: row.currency,
+      initialAmount: row.initialAmount,
+      currentBalance: row.currentBalance,
+      returnType: row.returnType,
+      interestRate: row.interestRate,
+      startDate: row.startDate,
+      endDate: row.endDate,
+      status: row.status,
+      notes: row.notes,
+      compoundingFrequency: row.compoundingFrequency,
+      lastInterestCalculated: row.lastInterestCalculated,
+      nextInterestDue: row.nextInterestDue,
+      autoCalculateInterest: row.autoCalculateInterest,
+      createdAt: row.createdAt
+    }));
+
+    await addFile('transfers.jsonl', iterateRows(prisma.transfer, {
+      where: { fromInvestment: { userId }, toInvestment: { userId } },
+      orderBy: { transferDate: 'asc' }
+    }), row => ({
+      ref: refs.transfers.ref(row.id),
+      fromInvestment: refs.investments.find(row.fromInvestmentId),
+      toInvestment: refs.investments.find(row.toInvestmentId),
+      amount: row.amount,
+      fromCurrency: row.fromCurrency,
+      convertedAmount: row.convertedAmount,
+      toCurrency: row.toCurrency,
+      exchangeRate: row.exchangeRate,
+      ratesAt: row.ratesAt,
+      transferDate: row.transferDate,
+      description: row.description,
+      createdAt: row.createdAt
+    }));
+
+    await addFile('transactions.jsonl', iterateRows(prisma.transaction, {
+      where: { investment: { userId } },
+      orderBy: [{ transactionDate: 'asc' }, { createdAt: 'asc' }]
+    }), row => ({
+      ref: refs.transactions.ref(row.id),
+      investment: refs.investments.find(row.investmentId),
+      type: row.type,
+      amount: row.amount,
+      balance: row.balance,
+      percentage: row.percentage,
+      transactionDate: row.transactionDate,
+      description: row.description,
+      reversalOf: refs.transactions.ref(row.reversalOfId),
+      transfer: refs.transfers.find(row.transferId),
+      createdAt: row.createdAt
+    }));
+
+    // Links to deleted transactions are dropped from here on
+    await addFile('interest-calculations.jsonl', iterateRows(prisma.interestCalculation, {
+      where: { investment: { userId } },
+      orderBy: { calculatedAt: 'asc' }
+    }), row => ({
+      ref: refs.interestCalculations.ref(row.id),
+      investment: refs.investments.find(row.investmentId),
+      calculationType: row.calculationType,
+      calculatedAt: row.calculatedAt,
+      periodStart: row.periodStart,
+      periodEnd: row.periodEnd,
+      principalAmount: row.principalAmount,
+      interestRate: row.interestRate,
+      interestEarned: row.interestEarned,
+      newBalance: row.newBalance,
+      transaction: refs.transactions.find(row.transactionId),
+      isReverted: row.isReverted,
+      revertedAt: row.revertedAt,
+      notes: row.notes
+    }));
+
+    await addFile('journal-entries.jsonl', iterateRows(prisma.journalEntry, {
+      where: { investment: { userId } },
+      orderBy: [{ effectiveDate: 'asc' }, { createdAt: 'asc' }],
+      include: {
+        lines: {
+          select: { account: true, debit: true, credit: true },
+          orderBy: { id: 'asc' }
+        }
+      }
+    }), row => ({
+      investment: refs.investments.find(row.investmentId),
+      entryType: row.entryType,
+      transaction: refs.transactions.find(row.transactionId),
+      interestCalculation: refs.interestCalculations.find(row.interestCalculationId),
+      description: row.description,
+      effectiveDate: row.effectiveDate,
+      createdAt: row.createdAt,
+      lines: row.lines
+    }));
+
+    await addFile('recurring-transactions.jsonl', iterateRows(prisma.recurringTransaction, {
+      where: { investment: { userId } },
+      orderBy: { createdAt: 'asc' },
+      include: {
+        occurrences: { orderBy: { occurrenceDate: 'asc' } }
+      }
+    }), row => ({
+      investment: refs.investments.find(row.investmentId),
+      type: row.type,
+      amount: row.amount,
+      description: row.description,
+      frequency: row.frequency,
+      interval: row.interval,
+      startDate: row.startDate,
+      endDate: row.endDate,
+      count: row.count,
+      occurrenceCount: row.occurrenceCount,
+      nextOccurrence: row.nextOccurrence,
+      status: row.status,
+      lastError: row.lastError,
+      createdAt: row.createdAt,
+      occurrences: row.occurrences.map(occurrence => ({
+        occurrenceDate: occurrence.occurrenceDate,
+        status: occurrence.status,
+        amount: occurrence.amount,
+        description: occurrence.description,
+        transaction: refs.transactions.find(occurrence.transactionId)
+      }))
+    }));
+
+    await addFile('import-rules.jsonl', iterateRows(prisma.importRule, {
+      where: { userId, investment: { userId } },
+      orderBy: { createdAt: 'asc' }
+    }), row => ({
+      investment: refs.investments.find(row.investmentId),
+      name: row.name,
+      accountReference: row.accountReference,
+      descriptionPattern: row.descriptionPattern,
+      transactionType: row.transactionType,
+      priority: row.priority
+    }));
+
+    await zip.addEntry('manifest.json', JSON.stringify({
+      format: BACKUP_FORMAT,
+      schemaVersion: BACKUP_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      files
+    }, null, 2));
+    await zip.finish();
+    output.end();
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Write backup error:', error);
+    throw new AppError(
+      'Failed to create backup',
+      500,
+      'BACKUP_ERROR'
+    );
+  }
+}
+
+/**
+ * Error for an archive that fails validation
+ * @param {string} message - What is wrong
+ * @returns {AppError} 400 INVALID_BACKUP
+ */
+function invalidBackup(message) {
+  return new AppError(
+    `Invalid backup: ${message}`,
+    400,
+    'INVALID_BACKUP'
+  );
+}
+
+/**
+ * Check the references between the records of an archive
+ * Required references (e.g. a transaction's investment) must resolve;
+ * informational links to records missing from the archive are cleared.
+ * @param {Object} archive - Validated records by type
+ * @throws {AppError} If a reference does not resolve
+ */
+function checkReferences(archive) {
+  const collectRefs = (records, file) => {
+    const refs = new Map();
+    records.forEach((record, index) => {
+      if (refs.has(record.ref)) {
+        throw invalidBackup(`${file} record ${index + 1} repeats reference ${record.ref}`);
+      }
+      refs.set(record.ref, record);
+    });
+    return refs;
+  };
+
+  const investments = collectRefs(archive.investments, 'investments.jsonl');
+  const transfers = collectRefs(archive.transfers, 'transfers.jsonl');
+  const transactions = collectRefs(archive.transactions, 'transactions.jsonl');
+  const interestCalculations = collectRefs(archive.interestCalculations, 'interest-calculations.jsonl');
+
+  const requireInvestment = (ref, where) => {
+    if (!investments.has(ref)) {
+      throw invalidBackup(`${where} refers to unknown investment ${ref}`);
+    }
+  };
+
+  archive.transfers.forEach((transfer, index) => {
+    requireInvestment(transfer.fromInvestment, `transfers.jsonl record ${index + 1}`);
+    requireInvestment(transfer.toInvestment, `transfers.jsonl record ${index + 1}`);
+  });
+
+  const reversed = new Set();
+  archive.transactions.forEach((transaction, index) => {
+    const where = `transactions.jsonl record ${index + 1}`;
+    requireInvestment(transaction.investment, where);
+
+    if (transaction.transfer && !transfers.has(transaction.transfer)) {
+      throw invalidBackup(`${where} refers to unknown transfer ${transaction.transfer}`);
+    }
+
+    if (transaction.reversalOf) {
+      const original = transactions.get(transaction.reversalOf);
+      if (!original || original.reversalOf || original.investment !== transaction.investment) {
+        throw invalidBackup(`${where} reverses unknown transaction ${transaction.reversalOf}`);
+      }
+      if (reversed.has(transaction.reversalOf)) {
+        throw invalidBackup(`${where} reverses ${transaction.reversalOf} a second time`);
+      }
+      reversed.add(transaction.reversalOf);
+    }
+  });
+
+  // A transfer moves money between two investments, so it needs a leg on each
+  archive.transfers.forEach((transfer) => {
+    const legs = archive.transactions.filter(transaction => transaction.transfer === transfer.ref && !transaction.reversalOf);
+    const sides = [transfer.fromInvestment, transfer.toInvestment];
+
+    if (sides.some(side => !legs.some(leg => leg.investment === side)) ||
+      legs.some(leg => !sides.includes(leg.investment))) {
+      throw invalidBackup(`transfer ${transfer.ref} does not have one leg on each investment`);
+    }
+  });
+
+  archive.interestCalculations.forEach((calculation, index) => {
+    requireInvestment(calculation.investment, `interest-calculations.jsonl record ${index + 1}`);
+    if (!transactions.has(calculation.transaction)) {
+      calculation.transaction = null;
+    }
+  });
+
+  archive.journalEntries.forEach((entry, index) => {
+    const where = `journal-entries.jsonl record ${index + 1}`;
+    requireInvestment(entry.investment, where);
+
+    if (!isBalanced(entry.lines)) {
+      throw invalidBackup(`${where} does not balance`);
+    }
+    if (!transactions.has(entry.transaction)) {
+      entry.transaction = null;
+    }
+    if (!interestCalculations.has(entry.interestCalculation)) {
+      entry.interestCalculation = null;
+    }
+  });
+
+  // A transaction is posted by one occurrence at most
+  const posted = new Set();
+  archive.recurringTransactions.forEach((recurring, index) => {
+    const where = `recurring-transactions.jsonl record ${index + 1}`;
+    requireInvestment(recurring.investment, where);
+
+    const dates = new Set();
+    recurring.occurrences.forEach((occurrence) => {
+      const day = occurrence.occurrenceDate.getTime();
+      if (dates.has(day)) {
+        throw invalidBackup(`${where} has two occurrences on ${occurrence.occurrenceDate.toISOString().slice(0, 10)}`);
+      }
+      dates.add(day);
+
+      if (!transactions.has(occurrence.transaction) || posted.has(occurrence.transaction)) {
+        occurrence.transaction = null;
+      }
+      posted.add(occurrence.transaction);
+    });
+  });
+
+  archive.importRules.forEach((rule, index) => {
+    requireInvestment(rule.investment, `import-rules.jsonl record ${index + 1}`);
+  });
+}
+
+/**
+ * Unpack and validate a backup archive
+ * Checks the format and schema version, each file's checksum and record
+ * count against the manifest, every record and the references between them.
+ * @param {Buffer} content - Archive (ZIP)
+ * @returns {Object} Manifest, settings and records by type
+ * @throws {AppError} If the archive is invalid or from a newer version
+ */
+function readBackup(content) {
+  if (!Buffer.isBuffer(content) || content.length === 0) {
+    throw new AppError(
+      'Backup archive is empty',
+      400,
+      'EMPTY_FILE'
+    );
+  }
+
+  let entries;
+  try {
+    entries = readZip(content);
+  } catch (error) {
+    if (error instanceof ZipFormatError) {
+      throw invalidBackup(error.message);
+    }
+    throw error;
+  }
+
+  if (!entries.has('manifest.json')) {
+    throw invalidBackup('manifest.json is missing');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(entries.get('manifest.json').toString('utf8'));
+  } catch {
+    throw invalidBackup('manifest.json is not valid JSON');
+  }
+
+  if (manifest?.format !== BACKUP_FORMAT) {
+    throw invalidBackup('not an E-Accounting backup');
+  }
+
+  if (Number.isInteger(manifest.schemaVersion) && manifest.schemaVersion > BACKUP_SCHEMA_VERSION) {
+    throw new AppError(
+      `Backup schema version ${manifest.schemaVersion} is newer than the supported version ${BACKUP_SCHEMA_VERSION}`,
+      400,
+      'UNSUPPORTED_BACKUP_VERSION'
+    );
+  }
+
+  const validation = validateManifest(manifest);
+
+  if (!validation.isValid) {
+    throw invalidBackup(`manifest.json: ${validation.errors[0].message}`);
+  }
+
+  const records = {};
+  for (const file of BACKUP_FILES) {
+    const listed = validation.data.files[file];
+    const body = entries.get(file);
+
+    if (!listed || !body) {
+      throw invalidBackup(`${file} is missing`);
+    }
+    if (crypto.createHash('sha256').update(body).digest('hex') !== listed.sha256) {
+      throw invalidBackup(`${file} does not match its checksum`);
+    }
+
+    const text = body.toString('utf8');
+    const lines = file.endsWith('.jsonl') ? text.split('\n').filter(line => line.trim()) : [text];
+
+    if (lines.length !== listed.records) {
+      throw invalidBackup(`${file} has ${lines.length} records, the manifest lists ${listed.records}`);
+    }
+
+    records[file] = lines.map((line, index) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        throw invalidBackup(`${file} record ${index + 1} is not valid JSON`);
+      }
+
+      const result = validateBackupRecord(file, record);
+
+      if (!result.isValid) {
+        throw invalidBackup(`${file} record ${index + 1}: ${result.errors[0].message}`);
+      }
+
+      return result.data;
+    });
+  }
+
+  const archive = {
+    manifest: validation.data,
+    settings: records['settings.json'][0],
+    investments: records['investments.jsonl'],
+    transfers: records['transfers.jsonl'],
+    transactions: records['transactions.jsonl'],
+    interestCalculations: records['interest-calculations.jsonl'],
+    journalEntries: records['journal-entries.jsonl'],
+    recurringTransactions: records['recurring-transactions.jsonl'],
+    importRules: records['import-rules.jsonl']
+  };
+
+  checkReferences(archive);
+
+  return archive;
+}
+
+/**
+ * Count the records of an archive by type
+ * @param {Object} archive - Archive from readBackup
+ * @returns {Object} Counts
+ */
+function countRecords(archive) {
+  return {
+    investments: archive.investments.length,
+    transfers: archive.transfers.length,
+    transactions: archive.transactions.length,
+    interestCalculations: archive.interestCalculations.length,
+    journalEntries: archive.journalEntries.length,
+    recurringTransactions: archive.recurringTransactions.length,
+    importRules: archive.importRules.length
+  };
+}
+
+/**
+ * Find archive records whose name is already used in the account
+ * Investments and import rules are matched by name, ignoring case.
+ * @param {string} userId - User ID
+ * @param {Object} archive - Archive from readBackup
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Object} Conflicting investments and import rules, plus the names in use
+ */
+async function findConflicts(userId, archive, client = prisma) {
+  const [investments, importRules] = await Promise.all([
+    client.investment.findMany({ where: { userId }, select: { id: true, name: true } }),
+    client.importRule.findMany({ where: { userId }, select: { id: true, name: true } })
+  ]);
+
+  const byName = rows => new Map(rows.map(row => [row.name.toLowerCase(), row.id]));
+  const existingInvestments = byName(investments);
+  const existingRules = byName(importRules);
+
+  return {
+    investments: archive.investments
+      .filter(record => existingInvestments.has(record.name.toLowerCase()))
+      .map(record => ({ ref: record.ref, name: record.name, existingId: existingInvestments.get(record.name.toLowerCase()) })),
+    importRules: archive.importRules
+      .filter(record => existingRules.has(record.name.toLowerCase()))
+      .map(record => ({ name: record.name, existingId: existingRules.get(record.name.toLowerCase()) })),
+    usedNames: {
+      investments: new Set([...existingInvestments.keys(), ...archive.investments.map(record => record.name.toLowerCase())]),
+      importRules: new Set([...existingRules.keys(), ...archive.importRules.map(record => record.name.toLowerCase())])
+    }
+  };
+}
+
+/**
+ * Validate a backup archive and preview its restore into the account
+ * @param {string} userId - User ID
+ * @param {Buffer} content - Archive (ZIP)
+ * @returns {Object} Archive details, record counts and conflicts
+ * @throws {AppError} If the archive is invalid
+ */
+async function previewBackup(userId, content) {
+  try {
+    const archive = readBackup(content);
+    const { investments, importRules } = await findConflicts(userId, archive);
+
+    return {
+      schemaVersion: archive.manifest.schemaVersion,
+      exportedAt: archive.manifest.exportedAt,
+      lockDate: archive.settings.lockDate,
+      counts: countRecords(archive),
+      conflicts: { investments, importRules },
+      hasConflicts: investments.length > 0 || importRules.length > 0
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Preview backup error:', error);
+    throw new AppError(
+      'Failed to read backup',
+      500,
+      'BACKUP_PREVIEW_ERROR'
+    );
+  }
+}
+
+/**
+ * Create rows in batches
+ * @param {Object} delegate - Prisma model delegate of the transaction
+ * @param {Array} rows - Rows to create
+ */
+async function createInBatches(delegate, rows) {
+  for (let start = 0; start < rows.length; start += RESTORE_BATCH_SIZE) {
+    await delegate.createMany({ data: rows.slice(start, start + RESTORE_BATCH_SIZE) });
+  }
+}
+
+/**
+ * Restore a backup archive into the account
+ * Everything is written in one transaction with new IDs, next to the data
+ * already in the account. Investments and import rules whose name is taken
+ * stop the restore (onConflict fail), are restored under a new name
+ * (rename), or are left out with everything recorded on them (skip), unless
+ * that would split a transfer. Nothing can be restored into a closed period,
+ * the restored balances must agree with the restored transactions, and the
+ * running balance snapshots are replayed from them. The lock date only moves
+ * forward.
+ * @param {string} userId - User ID
+ * @param {Buffer} content - Archive (ZIP)
+ * @param {Object} options - onConflict: fail, rename or skip
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Restored and skipped counts, renamed records and the lock date
+ * @throws {AppError} If the archive is invalid, conflicts or restore fails
+ */
+async function restoreBackup(userId, content, options = {}, context = {}) {
+  const { onConflict = 'fail' } = options;
+
+  try {
+    const archive = readBackup(content);
+
+    return await prisma.$transaction(async (tx) => {
+      const user = await tx.user.findUnique({
+        where: { id: userId },
+        select: { lockDate: true }
+      });
+
+      if (!user) {
+        throw new AppError(
+          'User not found',
+          404,
+          'USER_NOT_FOUND'
+        );
+      }
+
+      const conflicts = await findConflicts(userId, archive, tx);
+
+      if (onConflict === 'fail' && (conflicts.investments.length > 0 || conflicts.importRules.length > 0)) {
+        const names = [...conflicts.investments, ...conflicts.importRules].map(conflict => conflict.name);
+        throw new AppError(
+          `Names already in use: ${names.join(', ')}. Restore with onConflict=rename or onConflict=skip`,
+          409,
+          'BACKUP_CONFLICT'
+        );
+      }
+
+      const conflictingInvestments = new Set(conflicts.investments.map(conflict => conflict.ref));
+      const conflictingRules = new Set(conflicts.importRules.map(conflict => conflict.name.toLowerCase()));
+      const renamed = [];
+
+      const rename = (name, usedNames) => {
+        let candidate = `${name} (restored)`;
+        for (let counter = 2; usedNames.has(candidate.toLowerCase()); counter++) {
+          candidate = `${name} (restored ${counter})`;
+        }
+        usedNames.add(candidate.toLowerCase());
+        return candidate;
+      };
+
+      // New IDs by archive reference; skipped investments get none, so
+      // records on them are left out too
+      const ids = { investments: new Map(), transfers: new Map(), transactions: new Map(), interestCalculations: new Map() };
+      const assignId = (map, ref) => map.set(ref, crypto.randomUUID()).get(ref);
+
+      const investments = archive.investments
+        .filter(record => onConflict !== 'skip' || !conflictingInvestments.has(record.ref))
+        .map(({ ref, name, ...fields }) => {
+          let restoredName = name;
+          if (conflictingInvestments.has(ref)) {
+            restoredName = rename(name, conflicts.usedNames.investments);
+            renamed.push({ type: 'Investment', from: name, to: restoredName });
+          }
+          return { ...fields, id: assignId(ids.investments, ref), userId, name: restoredName };
+        });
+
+      const kept = investmentRef => ids.investments.has(investmentRef);
+
+      // Restoring one leg of a transfer would change that investment's balance
+      const halfTransfer = archive.transfers.find(record => kept(record.fromInvestment) !== kept(record.toInvestment));
+      if (halfTransfer) {
+        const names = [halfTransfer.fromInvestment, halfTransfer.toInvestment]
+          .map(ref => archive.investments.find(record => record.ref === ref).name);
+        throw new AppError(
+          `A transfer between ${names.join(' and ')} would only be restored on one side. Restore with onConflict=rename`,
+          409,
+          'BACKUP_CONFLICT'
+        );
+      }
+
+      const transfers = archive.transfers
+        .filter(record => kept(record.fromInvestment) && kept(record.toInvestment))
+        .map(({ ref, fromInvestment, toInvestment, ...fields }) => ({
+          ...fields,
+          id: assignId(ids.transfers, ref),
+          fromInvestmentId: ids.investments.get(fromInvestment),
+          toInvestmentId: ids.investments.get(toInvestment)
+        }));
+
+      const transactionRecords = archive.transactions.filter(record => kept(record.investment));
+      transactionRecords.forEach(record => assignId(ids.transactions, record.ref));
+
+      const transactions = transactionRecords.map(({ ref, investment, reversalOf, transfer, ...fields }) => ({
+        ...fields,
+        id: ids.transactions.get(ref),
+        investmentId: ids.investments.get(investment),
+        reversalOfId: reversalOf ? ids.transactions.get(reversalOf) : null,
+        transferId: ids.transfers.get(transfer) || null
+      }));
+
+      const interestCalculations = archive.interestCalculations
+        .filter(record => kept(record.investment))
+        .map(({ ref, investment, transaction, ...fields }) => ({
+          ...fields,
+          id: assignId(ids.interestCalculations, ref),
+          investmentId: ids.investments.get(investment),
+          transactionId: ids.transactions.get(transaction) || null
+        }));
+
+      const journalEntries = [];
+      const journalLines = [];
+      archive.journalEntries
+        .filter(record => kept(record.investment))
+        .forEach(({ investment, transaction, interestCalculation, lines, ...fields }) => {
+          const entry = {
+            ...fields,
+            id: crypto.randomUUID(),
+            investmentId: ids.investments.get(investment),
+            transactionId: ids.transactions.get(transaction) || null,
+            interestCalculationId: ids.interestCalculations.get(interestCalculation) || null
+          };
+          journalEntries.push(entry);
+          lines.forEach(entryLine => journalLines.push({ ...entryLine, entryId: entry.id, investmentId: entry.investmentId }));
+        });
+
+      const recurringTransactions = [];
+      const occurrences = [];
+      archive.recurringTransactions
+        .filter(record => kept(record.investment))
+        .forEach(({ investment, occurrences: recordOccurrences, ...fields }) => {
+          const recurring = { ...fields, id: crypto.randomUUID(), userId, investmentId: ids.investments.get(investment) };
+          recurringTransactions.push(recurring);
+          recordOccurrences.forEach(({ transaction, ...occurrence }) => occurrences.push({
+            ...occurrence,
+            recurringTransactionId: recurring.id,
+            transactionId: ids.transactions.get(transaction) || null
+          }));
+        });
+
+      const importRules = archive.importRules
+        .filter(record => kept(record.investment))
+        .filter(record => onConflict !== 'skip' || !conflictingRules.has(record.name.toLowerCase()))
+        .map(({ investment, name, ...fields }) => {
+          let restoredName = name;
+          if (conflictingRules.has(name.toLowerCase())) {
+            restoredName = rename(name, conflicts.usedNames.importRules);
+            renamed.push({ type: 'ImportRule', from: name, to: restoredName });
+          }
+          return { ...fields, userId, investmentId: ids.investments.get(investment), name: restoredName };
+        });
+
+      await createInBatches(tx.investment, investments);
+
+      // Restored entries are new to the account, so they cannot land in a closed period
+      for (const investment of investments) {
+        const dates = [
+          ...transactions.filter(transaction => transaction.investmentId === investment.id).map(transaction => transaction.transactionDate),
+          ...journalEntries.filter(entry => entry.investmentId === investment.id).map(entry => entry.effectiveDate)
+        ];
+        await assertPeriodOpen(investment.id, dates, tx);
+      }
+
+      await createInBatches(tx.transfer, transfers);
+      // Reversals point at the transaction they cancel, which must exist first
+      await createInBatches(tx.transaction, transactions.filter(transaction => !transaction.reversalOfId));
+      await createInBatches(tx.transaction, transactions.filter(transaction => transaction.reversalOfId));
+      await createInBatches(tx.interestCalculation, interestCalculations);
+      await createInBatches(tx.journalEntry, journalEntries);
+      await createInBatches(tx.journalLine, journalLines);
+      await createInBatches(tx.recurringTransaction, recurringTransactions);
+      await createInBatches(tx.recurringOccurrence, occurrences);
+      await createInBatches(tx.importRule, importRules);
+
+      // The stored balance and the journal must agree with the restored
+      // transactions; running balance snapshots are replayed from them
+      for (const investment of investments) {
+        const check = await checkInvestmentBalances(investment.id, tx);
+        if (check.balanceDrift) {
+          throw invalidBackup(`the balance of investment ${investment.name} does not match its transactions and journal; reconcile it before backing up`);
+        }
+        for (const mismatch of check.snapshotMismatches) {
+          await tx.transaction.update({
+            where: { id: mismatch.transactionId },
+            data: { balance: mismatch.expectedBalance }
+          });
+        }
+      }
+
+      let lockDate = user.lockDate;
+      if (archive.settings.lockDate && (!lockDate || archive.settings.lockDate > lockDate)) {
+        lockDate = archive.settings.lockDate;
+        await tx.user.update({
+          where: { id: userId },
+          data: { lockDate }
+        });
+      }
+
+      const result = {
+        restored: {
+          investments: investments.length,
+          transfers: transfers.length,
+          transactions: transactions.length,
+          interestCalculations: interestCalculations.length,
+          journalEntries: journalEntries.length,
+          recurringTransactions: recurringTransactions.length,
+          importRules: importRules.length
+        },
+        skipped: {
+          investments: archive.investments.length - investments.length,
+          importRules: archive.importRules.length - importRules.length
+        },
+        renamed,
+        lockDate: lockDate ? lockDate.toISOString().slice(0, 10) : null
+      };
+
+      await recordAuditEvent({
+        action: 'BACKUP_RESTORED',
+        entityType: 'User',
+        entityId: userId,
+        before: { lockDate: user.lockDate },
+        after: {
+          schemaVersion: archive.manifest.schemaVersion,
+          exportedAt: archive.manifest.exportedAt,
+          onConflict,
+          ...result
+        }
+      }, context, tx);
+
+      return result;
+    }, RESTORE_TRANSACTION_OPTIONS);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Restore backup error:', error);
+    throw new AppError(
+      'Failed to restore backup',
+      500,
+      'BACKUP_RESTORE_ERROR'
+    );
+  }
+}
+
+module.exports = {
+  writeBackup,
+  previewBackup,
+  restoreBackup,
+  BACKUP_SCHEMA_VERSION,
+  MAX_BACKUP_BYTES
+};
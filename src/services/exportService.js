@@ -0,0 +1,335 @@
+const { prisma } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { investmentAccessWhere, transactionAccessWhere } = require('../utils/access');
+const { periodWhere } = require('../utils/reportPeriod');
+const { buildInvestmentWhere } = require('./investmentService');
+const { buildTransactionWhere } = require('./transactionService');
+const { generateFinancialReport, getReportPeriod } = require('./reportService');
+
+// Rows read from the database per query while streaming
+const EXPORT_BATCH_SIZE = 500;
+
+const investmentColumns = [
+  { key: 'id', header: 'ID' },
+  { key: 'name', header: 'Name' },
+  { key: 'category', header: 'Category' },
+  { key: 'currency', header: 'Currency' },
+  { key: 'returnType', header: 'Return type' },
+  { key: 'interestRate', header: 'Interest rate' },
+  { key: 'initialAmount', header: 'Initial amount' },
+  { key: 'currentBalance', header: 'Current balance' },
+  { key: 'startDate', header: 'Start date', type: 'date' },
+  { key: 'endDate', header: 'End date', type: 'date' },
+  { key: 'status', header: 'Status' },
+  { key: 'owner', header: 'Owner', value: row => row.user.email },
+  { key: 'transactionCount', header: 'Transactions', value: row => row._count.transactions },
+  { key: 'notes', header: 'Notes' },
+  { key: 'createdAt', header: 'Created at' }
+];
+
+const transactionColumns = [
+  { key: 'id', header: 'ID' },
+  { key: 'transactionDate', header: 'Date', type: 'date' },
+  { key: 'investmentId', header: 'Investment ID', value: row => row.investment.id },
+  { key: 'investment', header: 'Investment', value: row => row.investment.name },
+  { key: 'category', header: 'Category', value: row => row.investment.category },
+  { key: 'currency', header: 'Currency', value: row => row.investment.currency },
+  { key: 'type', header: 'Type' },
+  { key: 'amount', header: 'Amount' },
+  { key: 'balance', header: 'Balance' },
+  { key: 'percentage', header: 'Percentage' },
+  { key: 'description', header: 'Description' },
+  { key: 'reversalOfId', header: 'Reversal of' },
+  { key: 'reversedById', header: 'Reversed by', value: row => row.reversedBy?.id },
+  { key: 'transferId', header: 'Transfer ID' },
+  { key: 'createdAt', header: 'Created at' }
+];
+
+const interestColumns = [
+  { key: 'id', header: 'ID' },
+  { key: 'investmentId', header: 'Investment ID', value: row => row.investment.id },
+  { key: 'investment', header: 'Investment', value: row => row.investment.name },
+  { key: 'currency', header: 'Currency', value: row => row.investment.currency },
+  { key: 'calculationType', header: 'Calculation type' },
+  { key: 'calculatedAt', header: 'Calculated at' },
+  { key: 'periodStart', header: 'Period start', type: 'date' },
+  { key: 'periodEnd', header: 'Period end', type: 'date' },
+  { key: 'principalAmount', header: 'Principal' },
+  { key: 'interestRate', header: 'Interest rate' },
+  { key: 'interestEarned', header: 'Interest earned' },
+  { key: 'newBalance', header: 'New balance' },
+  { key: 'transactionId', header: 'Transaction ID' },
+  { key: 'isReverted', header: 'Reverted' },
+  { key: 'revertedAt', header: 'Reverted at' },
+  { key: 'notes', header: 'Notes' }
+];
+
+const transactionSelect = {
+  id: true,
+  type: true,
+  amount: true,
+  balance: true,
+  percentage: true,
+  transactionDate: true,
+  description: true,
+  createdAt: true,
+  reversalOfId: true,
+  reversedBy: { select: { id: true } },
+  transferId: true,
+  investment: {
+    select: {
+      id: true,
+      name: true,
+      category: true,
+      currency: true
+    }
+  }
+};
+
+/**
+ * Read rows in batches, so exports of any size use constant memory
+ * Batches are chained with a cursor on the row ID, which must be selected
+ * and is added as the last sort key to keep the order stable.
+ * @param {Object} delegate - Prisma model delegate, e.g. prisma.transaction
+ * @param {Object} args - findMany arguments (where, select, orderBy)
+ * @returns {AsyncGenerator} Rows
+ */
+async function* iterateRows(delegate, args) {
+  const orderBy = [...[].concat(args.orderBy || []), { id: 'asc' }];
+  let cursor = null;
+
+  while (true) {
+    const rows = await delegate.findMany({
+      ...args,
+      orderBy,
+      take: EXPORT_BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    yield* rows;
+
+    if (rows.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+    cursor = rows[rows.length - 1].id;
+  }
+}
+
+/**
+ * Run an export, turning unexpected failures into an AppError
+ * @param {string} name - Export name for the log
+ * @param {Function} run - Export body
+ */
+async function runExport(name, run) {
+  try {
+    await run();
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error(`Export ${name} error:`, error);
+    throw new AppError(
+      'Failed to export data',
+      500,
+      'EXPORT_ERROR'
+    );
+  }
+}
+
+/**
+ * Stream the user's investments (own and shared)
+ * @param {string} userId - User ID
+ * @param {Object} filters - Same filters and sorting as the investment list
+ * @param {Object} writer - Export writer (utils/exportWriters)
+ */
+async function exportInvestments(userId, filters, writer) {
+  const { sortBy = 'createdAt', sortOrder = 'desc' } = filters;
+
+  await runExport('investments', async () => {
+    const rows = iterateRows(prisma.investment, {
+      where: buildInvestmentWhere(userId, filters),
+      orderBy: { [sortBy]: sortOrder },
+      select: {
+        id: true,
+        name: true,
+        category: true,
+        currency: true,
+        returnType: true,
+        interestRate: true,
+        initialAmount: true,
+        currentBalance: true,
+        startDate: true,
+        endDate: true,
+        status: true,
+        notes: true,
+        createdAt: true,
+        user: { select: { email: true } },
+        _count: { select: { transactions: true } }
+      }
+    });
+
+    await writer.table({ key: 'investments', title: 'Investments' }, investmentColumns, rows);
+    await writer.end();
+  });
+}
+
+/**
+ * Stream transactions on investments the user can access
+ * @param {string} userId - User ID
+ * @param {Object} filters - Same filters and sorting as the transaction list
+ * @param {Object} writer - Export writer (utils/exportWriters)
+ */
+async function exportTransactions(userId, filters, writer) {
+  const { sortBy = 'transactionDate', sortOrder = 'desc' } = filters;
+
+  await runExport('transactions', async () => {
+    const rows = iterateRows(prisma.transaction, {
+      where: buildTransactionWhere(userId, filters),
+      orderBy: { [sortBy]: sortOrder },
+      select: transactionSelect
+    });
+
+    await writer.table({ key: 'transactions', title: 'Transactions' }, transactionColumns, rows);
+    await writer.end();
+  });
+}
+
+/**
+ * Stream interest calculations on investments the user can access
+ * @param {string} userId - User ID
+ * @param {Object} filters - investmentId, startDate, endDate (calculation time), includeReverted
+ * @param {Object} writer - Export writer (utils/exportWriters)
+ */
+async function exportInterestCalculations(userId, filters, writer) {
+  const { investmentId, startDate, endDate, includeReverted = true } = filters;
+
+  await runExport('interest calculations', async () => {
+    const where = {
+      investment: investmentAccessWhere(userId),
+      ...(investmentId && { investmentId }),
+      ...(!includeReverted && { isReverted: false })
+    };
+
+    if (startDate || endDate) {
+      where.calculatedAt = {
+        ...(startDate && { gte: new Date(startDate) }),
+        ...(endDate && { lte: new Date(endDate) })
+      };
+    }
+
+    const rows = iterateRows(prisma.interestCalculation, {
+      where,
+      orderBy: { calculatedAt: 'desc' },
+      include: {
+        investment: { select: { id: true, name: true, currency: true } }
+      }
+    });
+
+    await writer.table({ key: 'interestCalculations', title: 'Interest calculations' }, interestColumns, rows);
+    await writer.end();
+  });
+}
+
+/**
+ * Stream the financial report as tables
+ * Summary, investments, categories, allocation and monthly trends come from
+ * the financial report; the transaction history is every transaction in the
+ * report period, read in batches (the report response itself is capped).
+ * @param {string} userId - User ID
+ * @param {Object} options - period (preset) or from/to, baseCurrency, includeTransactions
+ * @param {Object} writer - Export writer (utils/exportWriters)
+ */
+async function exportFinancialReport(userId, options, writer) {
+  const { includeTransactions = true } = options;
+  const period = getReportPeriod(options);
+
+  await runExport('financial report', async () => {
+    const report = await generateFinancialReport(userId, {
+      ...options,
+      period: period.preset,
+      from: period.from,
+      to: period.to,
+      includeTransactions: false
+    });
+    const { summary, categoryBreakdown, investments } = report.portfolioSummary;
+
+    const summaryRows = Object.entries({ ...report.executiveSummary, ...summary })
+      .filter(([, value]) => value === null || typeof value !== 'object')
+      .map(([metric, value]) => ({ metric, value }));
+
+    await writer.table({ key: 'summary', title: 'Summary' }, [
+      { key: 'metric', header: 'Metric' },
+      { key: 'value', header: 'Value' }
+    ], summaryRows);
+
+    await writer.table({ key: 'investments', title: 'Investments' }, [
+      { key: 'id', header: 'ID' },
+      { key: 'name', header: 'Name' },
+      { key: 'category', header: 'Category' },
+      { key: 'currency', header: 'Currency' },
+      { key: 'status', header: 'Status' },
+      { key: 'initialAmount', header: 'Initial amount' },
+      { key: 'currentBalance', header: 'Current balance' },
+      { key: 'absoluteReturn', header: 'Return' },
+      { key: 'grossReturns', header: 'Gross returns' },
+      { key: 'fees', header: 'Fees' },
+      { key: 'taxes', header: 'Taxes' },
+      { key: 'netReturns', header: 'Net returns' },
+      { key: 'returnPercentage', header: 'Return %' },
+      { key: 'annualizedReturn', header: 'Annualized return %' },
+      { key: 'transactionCount', header: 'Transactions' }
+    ], investments);
+
+    await writer.table({ key: 'categories', title: 'Categories' }, [
+      { key: 'category', header: 'Category' },
+      { key: 'count', header: 'Investments' },
+      { key: 'principal', header: 'Principal' },
+      { key: 'currentValue', header: 'Current value' },
+      { key: 'returns', header: 'Returns' },
+      { key: 'netReturns', header: 'Net returns' },
+      { key: 'returnPercentage', header: 'Return %' }
+    ], categoryBreakdown);
+
+    await writer.table({ key: 'allocation', title: 'Allocation' }, [
+      { key: 'category', header: 'Category' },
+      { key: 'value', header: 'Value' },
+      { key: 'percentage', header: 'Percentage' }
+    ], report.assetAllocation.categoryAllocation);
+
+    await writer.table({ key: 'monthlyTrends', title: 'Monthly trends' }, [
+      { key: 'month', header: 'Month' },
+      { key: 'totalDeposit', header: 'Deposits' },
+      { key: 'totalWithdrawal', header: 'Withdrawals' },
+      { key: 'grossReturn', header: 'Gross return' },
+      { key: 'totalFee', header: 'Fees' },
+      { key: 'totalTax', header: 'Taxes' },
+      { key: 'netReturn', header: 'Net return' },
+      { key: 'netFlow', header: 'Net flow' },
+      { key: 'transactionCount', header: 'Transactions' }
+    ], report.performanceTrends.trends);
+
+    if (includeTransactions) {
+      const rows = iterateRows(prisma.transaction, {
+        where: {
+          ...transactionAccessWhere(userId),
+          transactionDate: periodWhere(period)
+        },
+        orderBy: { transactionDate: 'desc' },
+        select: transactionSelect
+      });
+
+      await writer.table({ key: 'transactionHistory', title: 'Transactions' }, transactionColumns, rows);
+    }
+
+    await writer.end();
+  });
+}
+
+module.exports = {
+  iterateRows,
+  exportInvestments,
+  exportTransactions,
+  exportInterestCalculations,
+  exportFinancialReport
+};
@@ -0,0 +1,877 @@
+const { prisma } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { investmentAccessWhere, transactionAccessWhere } = require('../utils/access');
+const { DAY_MS, startOfDay } = require('../utils/dates');
+const { money } = require('../utils/money');
+const { parseStatement, StatementParseError } = require('../utils/statementParsers');
+const { containsPattern, usesRegexSyntax } = require('../utils/descriptionPattern');
+const { recordAuditEvent } = require('./auditService');
+const {
+  insertTransaction,
+  postReversalTransaction,
+  recomputeRunningBalances,
+  excludeReversedWhere,
+  getBalanceImpact,
+  GROSS_RETURN_TYPES
+} = require('./transactionService');
+
+const MAX_IMPORT_LINES = 5000;
+
+// Committing or undoing a large statement posts many transactions in one
+// database transaction, so allow more than Prisma's default 5 seconds
+const BATCH_TRANSACTION_OPTIONS = { maxWait: 10000, timeout: 120000 };
+
+const batchSelect = {
+  id: true,
+  format: true,
+  filename: true,
+  accountReference: true,
+  currency: true,
+  status: true,
+  lineCount: true,
+  committedAt: true,
+  undoneAt: true,
+  createdAt: true
+};
+
+const lineSelect = {
+  id: true,
+  lineNumber: true,
+  transactionDate: true,
+  amount: true,
+  currency: true,
+  description: true,
+  reference: true,
+  accountReference: true,
+  investmentId: true,
+  type: true,
+  status: true,
+  note: true,
+  matchedRuleId: true,
+  duplicateOfId: true,
+  transactionId: true
+};
+
+/**
+ * Amount to record for a statement line
+ * Returns keep their sign (a negative return is a loss); every other type
+ * is recorded as a positive amount whose direction comes from the type.
+ * @param {string} type - Transaction type
+ * @param {Decimal|string} amount - Signed statement amount
+ * @returns {Decimal} Transaction amount
+ */
+function getPostingAmount(type, amount) {
+  return GROSS_RETURN_TYPES.includes(type) ? money(amount) : money(amount).abs();
+}
+
+/**
+ * Load the investments the user can edit, by ID
+ * @param {string} userId - User ID
+ * @param {Array<string>} investmentIds - Investment IDs (duplicates and nulls are ignored)
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Map} Investment ID to investment
+ */
+async function loadWritableInvestments(userId, investmentIds, client = prisma) {
+  const ids = [...new Set(investmentIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  const investments = await client.investment.findMany({
+    where: {
+      id: { in: ids },
+      ...investmentAccessWhere(userId, 'write')
+    },
+    select: { id: true, name: true, currency: true, status: true }
+  });
+
+  return new Map(investments.map(investment => [investment.id, investment]));
+}
+
+/**
+ * Find the first import rule that matches a statement line
+ * Rules whose description pattern is still a regular expression are skipped.
+ * @param {Object} line - Parsed line
+ * @param {Array<Object>} rules - Rules by priority
+ * @returns {Object|null} Matching rule
+ */
+function matchRule(line, rules) {
+  const normalize = value => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+  return rules.find(rule =>
+    (!rule.accountReference || normalize(rule.accountReference) === normalize(line.accountReference)) &&
+    (!rule.descriptionPattern ||
+      (!usesRegexSyntax(rule.descriptionPattern) && containsPattern(line.description || '', rule.descriptionPattern)))
+  ) || null;
+}
+
+/**
+ * Decide whether a staged line is ready to commit
+ * Lines without a usable investment are UNMATCHED; lines that look like a
+ * transaction already recorded (same reference imported before, or same
+ * type, amount and day on the investment) are flagged DUPLICATE.
+ * @param {Object} line - Line with investmentId, type, amount, transactionDate, currency, reference
+ * @param {Map} investments - Writable investments by ID
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Object} status, note and duplicateOfId
+ */
+async function classifyLine(line, investments, client = prisma) {
+  if (!line.investmentId) {
+    return { status: 'UNMATCHED', note: 'No rule matched; choose an investment', duplicateOfId: null };
+  }
+
+  const investment = investments.get(line.investmentId);
+  if (!investment) {
+    return { status: 'UNMATCHED', note: 'Investment not found or not editable', duplicateOfId: null };
+  }
+  if (investment.status === 'CANCELLED') {
+    return { status: 'UNMATCHED', note: `${investment.name} is cancelled`, duplicateOfId: null };
+  }
+  if (line.currency && line.currency !== investment.currency) {
+    return {
+      status: 'UNMATCHED',
+      note: `Line is in ${line.currency} but ${investment.name} is in ${investment.currency}`,
+      duplicateOfId: null
+    };
+  }
+
+  const amount = getPostingAmount(line.type, line.amount);
+  if (amount.isZero()) {
+    return { status: 'EXCLUDED', note: 'Zero amount', duplicateOfId: null };
+  }
+
+  if (line.reference) {
+    const imported = await client.importLine.findFirst({
+      where: {
+        reference: line.reference,
+        investmentId: line.investmentId,
+        status: 'COMMITTED',
+        batch: { status: 'COMMITTED' }
+      },
+      select: { lineNumber: true, transactionId: true, batchId: true }
+    });
+
+    if (imported) {
+      return {
+        status: 'DUPLICATE',
+        note: `Reference ${line.reference} was already imported (batch ${imported.batchId}, line ${imported.lineNumber})`,
+        duplicateOfId: imported.transactionId
+      };
+    }
+  }
+
+  const day = startOfDay(line.transactionDate);
+  const existing = await client.transaction.findFirst({
+    where: {
+      investmentId: line.investmentId,
+      type: line.type,
+      amount,
+      transactionDate: { gte: day, lt: new Date(day.getTime() + DAY_MS) },
+      ...excludeReversedWhere()
+    },
+    select: { id: true }
+  });
+
+  if (existing) {
+    return {
+      status: 'DUPLICATE',
+      note: 'A transaction with the same type, amount and date already exists',
+      duplicateOfId: existing.id
+    };
+  }
+
+  return { status: 'READY', note: null, duplicateOfId: null };
+}
+
+/**
+ * Count lines by status
+ * @param {Array<Object>} lines - Lines with status
+ * @returns {Object} Count per status
+ */
+function summarizeLines(lines) {
+  const summary = { READY: 0, UNMATCHED: 0, DUPLICATE: 0, EXCLUDED: 0, COMMITTED: 0 };
+  lines.forEach((line) => {
+    summary[line.status] += 1;
+  });
+  return summary;
+}
+
+/**
+ * Load an import batch of the user
+ * @param {string} batchId - Batch ID
+ * @param {string} userId - User ID
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Object} Batch
+ * @throws {AppError} If not found
+ */
+async function findBatch(batchId, userId, client = prisma) {
+  const batch = await client.importBatch.findFirst({
+    where: { id: batchId, userId },
+    select: batchSelect
+  });
+
+  if (!batch) {
+    throw new AppError(
+      'Import not found',
+      404,
+      'IMPORT_NOT_FOUND'
+    );
+  }
+
+  return batch;
+}
+
+/**
+ * Parse a statement and stage its lines for review
+ * Each line is assigned an investment by the user's import rules (or the
+ * default investmentId), typed as a deposit or withdrawal by its sign unless
+ * the rule sets a type, and checked for duplicates. Nothing is posted until
+ * the batch is committed.
+ * @param {string} userId - User ID
+ * @param {Object} data - format, content, filename, investmentId (default) and CSV mapping
+ * @returns {Object} Staged batch with its lines and a summary
+ * @throws {AppError} If the statement cannot be read or the default investment is not editable
+ */
+async function createImport(userId, data) {
+  const { format, content, filename, investmentId, mapping } = data;
+
+  try {
+    let statement;
+    try {
+      statement = parseStatement(format, content, mapping);
+    } catch (error) {
+      if (error instanceof StatementParseError) {
+        throw new AppError(error.message, 400, 'INVALID_STATEMENT');
+      }
+      throw error;
+    }
+
+    if (statement.lines.length > MAX_IMPORT_LINES) {
+      throw new AppError(
+        `A statement can have at most ${MAX_IMPORT_LINES} lines`,
+        400,
+        'TOO_MANY_LINES'
+      );
+    }
+
+    const rules = await prisma.importRule.findMany({
+      where: { userId },
+      orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }]
+    });
+
+    const staged = statement.lines.map((line) => {
+      const rule = matchRule(line, rules);
+      return {
+        ...line,
+        investmentId: rule?.investmentId || investmentId || null,
+        type: rule?.transactionType || (line.amount.isNegative() ? 'WITHDRAWAL' : 'DEPOSIT'),
+        matchedRuleId: rule?.id || null
+      };
+    });
+
+    const investments = await loadWritableInvestments(userId, [investmentId, ...staged.map(line => line.investmentId)]);
+
+    if (investmentId && !investments.has(investmentId)) {
+      throw new AppError(
+        'Investment not found',
+        404,
+        'INVESTMENT_NOT_FOUND'
+      );
+    }
+
+    for (const line of staged) {
+      Object.assign(line, await classifyLine(line, investments));
+    }
+
+    const batchId = await prisma.$transaction(async (tx) => {
+      const batch = await tx.importBatch.create({
+        data: {
+          userId,
+          format,
+          filename: filename || null,
+          accountReference: statement.accountReference,
+          currency: statement.currency,
+          lineCount: staged.length
+        },
+        select: { id: true }
+      });
+
+      await tx.importLine.createMany({
+        data: staged.map(line => ({ ...line, batchId: batch.id }))
+      });
+
+      return batch.id;
+    });
+
+    return await getImportBatch(batchId, userId);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Create import error:', error);
+    throw new AppError(
+      'Failed to import statement',
+      500,
+      'IMPORT_CREATION_ERROR'
+    );
+  }
+}
+
+/**
+ * List the user's imports
+ * @param {string} userId - User ID
+ * @param {Object} filters - status, limit, offset
+ * @returns {Object} Batches with pagination info
+ * @throws {AppError} If retrieval fails
+ */
+async function getImportBatches(userId, filters = {}) {
+  try {
+    const { status, limit = 20, offset = 0 } = filters;
+    const where = { userId, ...(status && { status }) };
+
+    const [batches, total] = await Promise.all([
+      prisma.importBatch.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: offset,
+        take: limit,
+        select: batchSelect
+      }),
+      prisma.importBatch.count({ where })
+    ]);
+
+    return {
+      batches,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasNext: offset + limit < total,
+        hasPrev: offset > 0
+      }
+    };
+  } catch (error) {
+    console.error('Get imports error:', error);
+    throw new AppError(
+      'Failed to retrieve imports',
+      500,
+      'IMPORT_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * Get an import with its lines
+ * @param {string} batchId - Batch ID
+ * @param {string} userId - User ID
+ * @returns {Object} Batch, lines in statement order and a count per status
+ * @throws {AppError} If not found
+ */
+async function getImportBatch(batchId, userId) {
+  try {
+    const batch = await findBatch(batchId, userId);
+    const lines = await prisma.importLine.findMany({
+      where: { batchId: batch.id },
+      orderBy: { lineNumber: 'asc' },
+      select: lineSelect
+    });
+
+    return { batch, lines, summary: summarizeLines(lines) };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Get import error:', error);
+    throw new AppError(
+      'Failed to retrieve import',
+      500,
+      'IMPORT_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * Review a staged line: change its investment or type, or include/exclude it
+ * Without an action the line is checked again (investment, currency,
+ * duplicates). `include` posts a line flagged as a duplicate anyway;
+ * `exclude` leaves the line out of the commit.
+ * @param {string} batchId - Batch ID
+ * @param {string} lineId - Line ID
+ * @param {string} userId - User ID
+ * @param {Object} data - investmentId, type, action ('include' or 'exclude')
+ * @returns {Object} Updated line
+ * @throws {AppError} If not found, the batch is not staged or the line cannot be included
+ */
+async function updateImportLine(batchId, lineId, userId, data) {
+  try {
+    const batch = await findBatch(batchId, userId);
+
+    if (batch.status !== 'STAGED') {
+      throw new AppError(
+        'Only staged imports can be reviewed',
+        409,
+        'IMPORT_NOT_STAGED'
+      );
+    }
+
+    const existing = await prisma.importLine.findFirst({
+      where: { id: lineId, batchId: batch.id },
+      select: lineSelect
+    });
+
+    if (!existing) {
+      throw new AppError(
+        'Import line not found',
+        404,
+        'IMPORT_LINE_NOT_FOUND'
+      );
+    }
+
+    const line = {
+      ...existing,
+      ...(data.investmentId !== undefined && { investmentId: data.investmentId }),
+      ...(data.type !== undefined && { type: data.type })
+    };
+
+    let classification;
+    if (data.action === 'exclude') {
+      classification = { status: 'EXCLUDED', note: 'Excluded during review', duplicateOfId: existing.duplicateOfId };
+    } else {
+      const investments = await loadWritableInvestments(userId, [line.investmentId]);
+      classification = await classifyLine(line, investments);
+
+      if (data.action === 'include' && classification.status === 'DUPLICATE') {
+        classification = { ...classification, status: 'READY', note: `Included during review: ${classification.note}` };
+      } else if (data.action === 'include' && classification.status !== 'READY') {
+        throw new AppError(
+          `Line cannot be included: ${classification.note}`,
+          400,
+          'IMPORT_LINE_UNRESOLVED'
+        );
+      }
+    }
+
+    return await prisma.importLine.update({
+      where: { id: existing.id },
+      data: {
+        investmentId: line.investmentId,
+        type: line.type,
+        ...classification
+      },
+      select: lineSelect
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Update import line error:', error);
+    throw new AppError(
+      'Failed to update import line',
+      500,
+      'IMPORT_UPDATE_ERROR'
+    );
+  }
+}
+
+/**
+ * Commit a staged import
+ * Every READY line is posted as a transaction, oldest first, in a single
+ * database transaction: if any line fails (insufficient balance, closed
+ * period) nothing is posted. Running balances are recomputed once per
+ * investment from its earliest imported date. Lines flagged as duplicates
+ * or excluded are left out; unmatched lines must be resolved first.
+ * @param {string} batchId - Batch ID
+ * @param {string} userId - User ID
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Committed batch and the number of transactions posted
+ * @throws {AppError} If the batch is not staged, has unmatched lines or a line fails
+ */
+async function commitImport(batchId, userId, context = {}) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const batch = await findBatch(batchId, userId, tx);
+
+      const claimed = await tx.importBatch.updateMany({
+        where: { id: batch.id, status: 'STAGED' },
+        data: { status: 'COMMITTED', committedAt: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        throw new AppError(
+          'Only staged imports can be committed',
+          409,
+          'IMPORT_NOT_STAGED'
+        );
+      }
+
+      const lines = await tx.importLine.findMany({
+        where: { batchId: batch.id },
+        orderBy: [{ transactionDate: 'asc' }, { lineNumber: 'asc' }],
+        select: lineSelect
+      });
+
+      const unmatched = lines.filter(line => line.status === 'UNMATCHED').length;
+      if (unmatched > 0) {
+        throw new AppError(
+          `${unmatched} line(s) have no investment; assign or exclude them before committing`,
+          400,
+          'IMPORT_UNRESOLVED_LINES'
+        );
+      }
+
+      const ready = lines.filter(line => line.status === 'READY');
+      if (ready.length === 0) {
+        throw new AppError(
+          'There are no lines to commit',
+          400,
+          'IMPORT_EMPTY'
+        );
+      }
+
+      // Running balances are recomputed once per investment after all lines are in
+      const earliestByInvestment = new Map();
+
+      for (const line of ready) {
+        let posted;
+        try {
+          posted = await insertTransaction(userId, {
+            investmentId: line.investmentId,
+            type: line.type,
+            amount: getPostingAmount(line.type, line.amount),
+            transactionDate: line.transactionDate,
+            description: line.description || `Imported ${batch.format} line ${line.lineNumber}`
+          }, context, tx, { recompute: false });
+        } catch (error) {
+          if (error instanceof AppError) {
+            throw new AppError(`Line ${line.lineNumber}: ${error.message}`, error.statusCode, error.code);
+          }
+          throw error;
+        }
+
+        if (!earliestByInvestment.has(line.investmentId)) {
+          earliestByInvestment.set(line.investmentId, line.transactionDate);
+        }
+
+        await tx.importLine.update({
+          where: { id: line.id },
+          data: { status: 'COMMITTED', transactionId: posted.transaction.id }
+        });
+      }
+
+      for (const [investmentId, fromDate] of earliestByInvestment) {
+        await recomputeRunningBalances(investmentId, fromDate, {}, context, tx);
+      }
+
+      const committed = await tx.importBatch.findUnique({
+        where: { id: batch.id },
+        select: batchSelect
+      });
+
+      await recordAuditEvent({
+        action: 'IMPORT_COMMITTED',
+        entityType: 'ImportBatch',
+        entityId: batch.id,
+        before: batch,
+        after: { ...committed, transactions: ready.length }
+      }, context, tx);
+
+      return { batch: committed, committed: ready.length };
+    }, BATCH_TRANSACTION_OPTIONS);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Commit import error:', error);
+    throw new AppError(
+      'Failed to commit import',
+      500,
+      'IMPORT_COMMIT_ERROR'
+    );
+  }
+}
+
+/**
+ * Undo a committed import by reversing every transaction it posted
+ * Reversals are dated today and written in one database transaction.
+ * Transactions already reversed individually are skipped.
+ * @param {string} batchId - Batch ID
+ * @param {string} userId - User ID
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Batch and the number of transactions reversed
+ * @throws {AppError} If the batch is not committed or a reversal fails
+ */
+async function undoImport(batchId, userId, context = {}) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const batch = await findBatch(batchId, userId, tx);
+
+      const claimed = await tx.importBatch.updateMany({
+        where: { id: batch.id, status: 'COMMITTED' },
+        data: { status: 'UNDONE', undoneAt: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        throw new AppError(
+          'Only committed imports can be undone',
+          409,
+          'IMPORT_NOT_COMMITTED'
+        );
+      }
+
+      const lines = await tx.importLine.findMany({
+        where: { batchId: batch.id, status: 'COMMITTED', transactionId: { not: null } },
+        select: { transactionId: true }
+      });
+      const transactionIds = lines.map(line => line.transactionId);
+
+      const transactions = await tx.transaction.findMany({
+        where: {
+          id: { in: transactionIds },
+          ...transactionAccessWhere(userId, 'write')
+        },
+        select: {
+          id: true,
+          investmentId: true,
+          type: true,
+          amount: true,
+          balance: true,
+          transactionDate: true,
+          description: true,
+          reversedBy: { select: { id: true } }
+        }
+      });
+
+      if (transactions.length !== transactionIds.length) {
+        throw new AppError(
+          'Some imported transactions are on investments you can no longer edit',
+          403,
+          'IMPORT_ACCESS_DENIED'
+        );
+      }
+
+      // Undo withdrawals before deposits so the balance never dips below zero
+      const pending = transactions
+        .filter(transaction => !transaction.reversedBy)
+        .sort((a, b) => getBalanceImpact(a.type, a.amount).comparedTo(getBalanceImpact(b.type, b.amount)));
+
+      const undoneAt = new Date();
+      const investmentIds = new Set();
+
+      for (const { reversedBy, ...transaction } of pending) {
+        const { reversal, balanceBefore, balanceAfter } = await postReversalTransaction(transaction, {
+          transactionDate: undoneAt,
+          description: `Import undone: ${transaction.description || transaction.type}`
+        }, tx);
+        investmentIds.add(transaction.investmentId);
+
+        await recordAuditEvent({
+          action: 'TRANSACTION_REVERSED',
+          entityType: 'Transaction',
+          entityId: transaction.id,
+          investmentId: transaction.investmentId,
+          before: transaction,
+          after: { reversal },
+          balanceBefore,
+          balanceAfter
+        }, context, tx);
+      }
+
+      for (const investmentId of investmentIds) {
+        await recomputeRunningBalances(investmentId, undoneAt, {}, context, tx);
+      }
+
+      const undone = await tx.importBatch.findUnique({
+        where: { id: batch.id },
+        select: batchSelect
+      });
+
+      await recordAuditEvent({
+        action: 'IMPORT_UNDONE',
+        entityType: 'ImportBatch',
+        entityId: batch.id,
+        before: batch,
+        after: { ...undone, reversed: pending.length }
+      }, context, tx);
+
+      return {
+        batch: undone,
+        reversed: pending.length,
+        alreadyReversed: transactions.length - pending.length
+      };
+    }, BATCH_TRANSACTION_OPTIONS);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Undo import error:', error);
+    throw new AppError(
+      'Failed to undo import',
+      500,
+      'IMPORT_UNDO_ERROR'
+    );
+  }
+}
+
+/**
+ * Discard a staged import
+ * @param {string} batchId - Batch ID
+ * @param {string} userId - User ID
+ * @returns {Object} Discarded batch
+ * @throws {AppError} If not found or not staged
+ */
+async function discardImport(batchId, userId) {
+  try {
+    const batch = await findBatch(batchId, userId);
+
+    const deleted = await prisma.importBatch.deleteMany({
+      where: { id: batch.id, status: 'STAGED' }
+    });
+
+    if (deleted.count === 0) {
+      throw new AppError(
+        'Only staged imports can be discarded; undo a committed import instead',
+        409,
+        'IMPORT_NOT_STAGED'
+      );
+    }
+
+    return batch;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Discard import error:', error);
+    throw new AppError(
+      'Failed to discard import',
+      500,
+      'IMPORT_DELETION_ERROR'
+    );
+  }
+}
+
+/**
+ * List the user's import rules in the order they are tried
+ * Rules still written as a regular expression are flagged with
+ * `legacyPattern`; they are not applied until the pattern is rewritten.
+ * @param {string} userId - User ID
+ * @returns {Array<Object>} Rules
+ * @throws {AppError} If retrieval fails
+ */
+async function getImportRules(userId) {
+  try {
+    const rules = await prisma.importRule.findMany({
+      where: { userId },
+      orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }],
+      include: {
+        investment: { select: { id: true, name: true, currency: true } }
+      }
+    });
+
+    return rules.map(rule => ({
+      ...rule,
+      legacyPattern: Boolean(rule.descriptionPattern) && usesRegexSyntax(rule.descriptionPattern)
+    }));
+  } catch (error) {
+    console.error('Get import rules error:', error);
+    throw new AppError(
+      'Failed to retrieve import rules',
+      500,
+      'IMPORT_RULE_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * Create an import rule
+ * @param {string} userId - User ID
+ * @param {Object} data - name, investmentId, accountReference, descriptionPattern, transactionType, priority
+ * @returns {Object} Created rule
+ * @throws {AppError} If the investment is not editable
+ */
+async function createImportRule(userId, data) {
+  try {
+    const investments = await loadWritableInvestments(userId, [data.investmentId]);
+
+    if (!investments.has(data.investmentId)) {
+      throw new AppError(
+        'Investment not found',
+        404,
+        'INVESTMENT_NOT_FOUND'
+      );
+    }
+
+    return await prisma.importRule.create({
+      data: { ...data, userId },
+      include: {
+        investment: { select: { id: true, name: true, currency: true } }
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Create import rule error:', error);
+    throw new AppError(
+      'Failed to create import rule',
+      500,
+      'IMPORT_RULE_CREATION_ERROR'
+    );
+  }
+}
+
+/**
+ * Delete an import rule
+ * @param {string} ruleId - Rule ID
+ * @param {string} userId - User ID
+ * @returns {Object} Deleted rule
+ * @throws {AppError} If not found
+ */
+async function deleteImportRule(ruleId, userId) {
+  try {
+    const rule = await prisma.importRule.findFirst({
+      where: { id: ruleId, userId }
+    });
+
+    if (!rule) {
+      throw new AppError(
+        'Import rule not found',
+        404,
+        'IMPORT_RULE_NOT_FOUND'
+      );
+    }
+
+    await prisma.importRule.delete({ where: { id: rule.id } });
+    return rule;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Delete import rule error:', error);
+    throw new AppError(
+      'Failed to delete import rule',
+      500,
+      'IMPORT_RULE_DELETION_ERROR'
+    );
+  }
+}
+
+module.exports = {
+  createImport,
+  getImportBatches,
+  getImportBatch,
+  updateImportLine,
+  commitImport,
+  undoImport,
+  discardImport,
+  getImportRules,
+  createImportRule,
+  deleteImportRule
+};
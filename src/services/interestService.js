@@ -1,14 +1,19 @@
 const { prisma } = require('../config/database');
-const { Prisma } = require('@prisma/client');
 const {
   calculateDaysBetween,
   calculatePeriodInterest,
   determineNextDueDate
 } = require('../utils/calculations');
+const { investmentAccessWhere } = require('../utils/access');
+const { money, roundMoney, toNumber } = require('../utils/money');
+const { recordAuditEvent } = require('./auditService');
+const { postTransactionEntry, reverseTransactionEntries, postAdjustmentEntry } = require('./ledgerService');
+const { postReversalTransaction, recomputeRunningBalances } = require('./transactionService');
+const { assertPeriodOpen } = require('./periodService');
 
-async function getInvestmentOrThrow(investmentId, userId) {
+async function getInvestmentOrThrow(investmentId, userId, access = 'read') {
   const investment = await prisma.investment.findFirst({
-    where: { id: investmentId, userId },
+    where: { id: investmentId, ...investmentAccessWhere(userId, access) },
   });
   if (!investment) {
     const err = new Error('Investment not found');
@@ -36,8 +41,8 @@ function ensureFixedInvestment(investment) {
   }
 }
 
-async function calculateInterestNow(investmentId, userId) {
-  const investment = await getInvestmentOrThrow(investmentId, userId);
+async function calculateInterestNow(investmentId, userId, context = {}) {
+  const investment = await getInvestmentOrThrow(investmentId, userId, 'write');
   ensureFixedInvestment(investment);
 
   const now = new Date();
@@ -51,18 +56,20 @@ async function calculateInterestNow(investmentId, userId) {
   }
 
   const compounding = investment.compoundingFrequency || 'MONTHLY';
-  const rate = parseFloat(investment.interestRate);
-  const principal = parseFloat(investment.currentBalance);
-  const { interest, newBalance } = calculatePeriodInterest(principal, rate, compounding, days);
+  const rate = money(investment.interestRate);
+  const principal = money(investment.currentBalance);
+  const { interest, newBalance } = calculatePeriodInterest(principal, rate, compounding, days, investment.currency);
 
   return await prisma.$transaction(async (tx) => {
+    await assertPeriodOpen(investment.id, [now], tx);
+
     // Create RETURN transaction
     const transaction = await tx.transaction.create({
       data: {
         investmentId: investment.id,
         type: 'RETURN',
-        amount: new Prisma.Decimal(interest),
-        balance: new Prisma.Decimal(newBalance),
+        amount: interest,
+        balance: newBalance,
         transactionDate: now,
         description: `Auto interest for ${days} day(s)`
       }
@@ -75,24 +82,39 @@ async function calculateInterestNow(investmentId, userId) {
         calculationType: 'AUTOMATIC',
         periodStart,
         periodEnd,
-        principalAmount: new Prisma.Decimal(principal),
-        interestRate: new Prisma.Decimal(rate),
-        interestEarned: new Prisma.Decimal(interest),
-        newBalance: new Prisma.Decimal(newBalance),
+        principalAmount: principal,
+        interestRate: rate,
+        interestEarned: interest,
+        newBalance,
         transactionId: transaction.id,
       }
     });
 
+    const ledgerBalance = await postTransactionEntry(transaction, tx, {
+      entryType: 'INTEREST',
+      interestCalculationId: calculation.id
+    });
+
     // Update investment
     const updatedInvestment = await tx.investment.update({
       where: { id: investment.id },
       data: {
-        currentBalance: new Prisma.Decimal(newBalance),
+        currentBalance: ledgerBalance,
         lastInterestCalculated: now,
         nextInterestDue: determineNextDueDate(now, compounding)
       }
     });
 
+    await recordAuditEvent({
+      action: 'INTEREST_CALCULATED',
+      entityType: 'InterestCalculation',
+      entityId: calculation.id,
+      investmentId: investment.id,
+      after: { calculation, transaction },
+      balanceBefore: investment.currentBalance,
+      balanceAfter: updatedInvestment.currentBalance
+    }, context, tx);
+
     return { calculation, transaction, investment: updatedInvestment };
   });
 }
@@ -113,8 +135,8 @@ async function getInterestCalculationHistory(investmentId, userId, options = {})
   return { items, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } };
 }
 
-async function revertLastInterestCalculation(investmentId, userId) {
-  const investment = await getInvestmentOrThrow(investmentId, userId);
+async function revertLastInterestCalculation(investmentId, userId, context = {}) {
+  const investment = await getInvestmentOrThrow(investmentId, userId, 'write');
 
   const lastCalc = await prisma.interestCalculation.findFirst({
     where: { investmentId: investment.id, isReverted: false },
@@ -127,15 +149,41 @@ async function revertLastInterestCalculation(investmentId, userId) {
   }
 
   return await prisma.$transaction(async (tx) => {
+    // The calculated period and the reversal (dated today) must both be open
+    await assertPeriodOpen(investment.id, [lastCalc.periodEnd, new Date()], tx);
+
     // Mark calculation reverted
     const reverted = await tx.interestCalculation.update({
       where: { id: lastCalc.id },
       data: { isReverted: true, revertedAt: new Date(), revertedBy: userId }
     });
 
-    // Delete associated transaction if present
+    const newBalance = money(investment.currentBalance).minus(money(lastCalc.interestEarned));
+
+    // Post a reversal of the interest transaction (kept in the history) if present
+    let ledgerBalance;
+    let transaction = null;
+    let reversal = null;
     if (lastCalc.transactionId) {
-      await tx.transaction.delete({ where: { id: lastCalc.transactionId } });
+      transaction = await tx.transaction.findUnique({
+        where: { id: lastCalc.transactionId },
+        include: { reversedBy: { select: { id: true } } }
+      });
+
+      if (transaction && transaction.reversedBy) {
+        // Already reversed by hand: nothing left to cancel
+        ledgerBalance = money(investment.currentBalance);
+      } else if (transaction) {
+        ({ reversal, balanceAfter: ledgerBalance } = await postReversalTransaction(
+          transaction,
+          { description: 'Interest calculation reverted' },
+          tx
+        ));
+      } else {
+        ledgerBalance = await reverseTransactionEntries(lastCalc.transactionId, investment.id, tx, 'Interest calculation reverted');
+      }
+    } else {
+      ledgerBalance = await postAdjustmentEntry(investment.id, newBalance, tx, 'Interest calculation reverted');
     }
 
     // Find previous calculation date
@@ -144,23 +192,32 @@ async function revertLastInterestCalculation(investmentId, userId) {
       orderBy: { calculatedAt: 'desc' }
     });
 
-    const newBalance = parseFloat(investment.currentBalance) - parseFloat(lastCalc.interestEarned);
-
     const updatedInvestment = await tx.investment.update({
       where: { id: investment.id },
       data: {
-        currentBalance: new Prisma.Decimal(newBalance),
+        currentBalance: ledgerBalance,
         lastInterestCalculated: prevCalc ? prevCalc.calculatedAt : null,
         nextInterestDue: determineNextDueDate(prevCalc ? prevCalc.calculatedAt : new Date(), investment.compoundingFrequency || 'MONTHLY')
       }
     });
 
-    return { calculation: reverted, investment: updatedInvestment };
+    await recordAuditEvent({
+      action: 'INTEREST_REVERTED',
+      entityType: 'InterestCalculation',
+      entityId: lastCalc.id,
+      investmentId: investment.id,
+      before: { calculation: lastCalc, transaction },
+      after: { calculation: reverted, reversal },
+      balanceBefore: investment.currentBalance,
+      balanceAfter: updatedInvestment.currentBalance
+    }, context, tx);
+
+    return { calculation: reverted, reversal, investment: updatedInvestment };
   });
 }
 
-async function updateReturnPercentage(investmentId, userId, newPercentage, effectiveDate = new Date(), description = null) {
-  const investment = await getInvestmentOrThrow(investmentId, userId);
+async function updateReturnPercentage(investmentId, userId, newPercentage, effectiveDate = new Date(), description = null, context = {}) {
+  const investment = await getInvestmentOrThrow(investmentId, userId, 'write');
   if (investment.returnType !== 'VARIABLE') {
     const err = new Error('Operation only valid for VARIABLE return investments');
     err.status = 400;
@@ -171,35 +228,52 @@ async function updateReturnPercentage(investmentId, userId, newPercentage, effec
     err.status = 400;
     throw err;
   }
-  const pct = parseFloat(newPercentage);
-  const current = parseFloat(investment.currentBalance);
-  const amount = current * (pct / 100);
-  const newBalance = current + amount;
+  const pct = money(newPercentage);
+  const current = money(investment.currentBalance);
+  const amount = roundMoney(current.times(pct).div(100), investment.currency);
+  const newBalance = current.plus(amount);
 
   return await prisma.$transaction(async (tx) => {
+    await assertPeriodOpen(investment.id, [effectiveDate], tx);
+
     const transaction = await tx.transaction.create({
       data: {
         investmentId: investment.id,
         type: 'RETURN',
-        amount: new Prisma.Decimal(amount),
-        balance: new Prisma.Decimal(newBalance),
-        percentage: new Prisma.Decimal(pct),
+        amount,
+        balance: newBalance,
+        percentage: pct,
         transactionDate: effectiveDate,
         description: description || `Variable return ${pct}%`
       }
     });
 
+    const ledgerBalance = await postTransactionEntry(transaction, tx);
+
     const updatedInvestment = await tx.investment.update({
       where: { id: investment.id },
-      data: { currentBalance: new Prisma.Decimal(newBalance) }
+      data: { currentBalance: ledgerBalance }
     });
 
-    return { transaction, investment: updatedInvestment, calculatedAmount: amount };
+    // A backdated effective date shifts the running balances after it
+    const recomputation = await recomputeRunningBalances(investment.id, transaction.transactionDate, {}, context, tx);
+
+    await recordAuditEvent({
+      action: 'RETURN_PERCENTAGE_APPLIED',
+      entityType: 'Transaction',
+      entityId: transaction.id,
+      investmentId: investment.id,
+      after: transaction,
+      balanceBefore: investment.currentBalance,
+      balanceAfter: updatedInvestment.currentBalance
+    }, context, tx);
+
+    return { transaction, investment: updatedInvestment, calculatedAmount: toNumber(amount), recomputation };
   });
 }
 
-async function updateBalanceCalculateReturn(investmentId, userId, newBalance, effectiveDate = new Date(), description = null) {
-  const investment = await getInvestmentOrThrow(investmentId, userId);
+async function updateBalanceCalculateReturn(investmentId, userId, newBalance, effectiveDate = new Date(), description = null, context = {}) {
+  const investment = await getInvestmentOrThrow(investmentId, userId, 'write');
   if (investment.returnType !== 'VARIABLE') {
     const err = new Error('Operation only valid for VARIABLE return investments');
     err.status = 400;
@@ -210,35 +284,53 @@ async function updateBalanceCalculateReturn(investmentId, userId, newBalance, ef
     err.status = 400;
     throw err;
   }
-  const current = parseFloat(investment.currentBalance);
-  const nextBalance = parseFloat(newBalance);
-  if (nextBalance < 0) {
+  const current = money(investment.currentBalance);
+  const nextBalance = roundMoney(newBalance, investment.currency);
+  if (nextBalance.lt(0)) {
     const err = new Error('New balance cannot be negative');
     err.status = 400;
     throw err;
   }
-  const returnAmount = nextBalance - current;
-  const pct = current > 0 ? (returnAmount / current) * 100 : 0;
+  const returnAmount = nextBalance.minus(current);
+  // Stored with the 4 decimals of the percentage column
+  const pct = current.gt(0) ? returnAmount.div(current).times(100).toDecimalPlaces(4) : money(0);
 
   return await prisma.$transaction(async (tx) => {
+    await assertPeriodOpen(investment.id, [effectiveDate], tx);
+
     const transaction = await tx.transaction.create({
       data: {
         investmentId: investment.id,
         type: 'RETURN',
-        amount: new Prisma.Decimal(returnAmount),
-        balance: new Prisma.Decimal(nextBalance),
-        percentage: new Prisma.Decimal(pct),
+        amount: returnAmount,
+        balance: nextBalance,
+        percentage: pct,
         transactionDate: effectiveDate,
         description: description || `Variable return via balance update (${pct.toFixed(2)}%)`
       }
     });
 
+    const ledgerBalance = await postTransactionEntry(transaction, tx);
+
     const updatedInvestment = await tx.investment.update({
       where: { id: investment.id },
-      data: { currentBalance: new Prisma.Decimal(nextBalance) }
+      data: { currentBalance: ledgerBalance }
     });
 
-    return { transaction, investment: updatedInvestment, calculatedPercentage: pct, returnAmount };
+    // A backdated effective date shifts the running balances after it
+    const recomputation = await recomputeRunningBalances(investment.id, transaction.transactionDate, {}, context, tx);
+
+    await recordAuditEvent({
+      action: 'BALANCE_RETURN_RECORDED',
+      entityType: 'Transaction',
+      entityId: transaction.id,
+      investmentId: investment.id,
+      after: transaction,
+      balanceBefore: investment.currentBalance,
+      balanceAfter: updatedInvestment.currentBalance
+    }, context, tx);
+
+    return { transaction, investment: updatedInvestment, calculatedPercentage: toNumber(pct), returnAmount: toNumber(returnAmount), recomputation };
   });
 }
 
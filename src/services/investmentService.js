@@ -1,17 +1,47 @@
 const { prisma } = require('../config/database');
 const { AppError } = require('../middleware/errorHandler');
 const { isValidUUID } = require('../utils/validation');
+const { investmentAccessWhere, transactionAccessWhere } = require('../utils/access');
 const { DEFAULT_BASE, convertAmount, normalizeCurrency, getRatesAt } = require('../utils/currency');
+const { money, roundMoney, toNumber } = require('../utils/money');
 const { ReturnType } = require('@prisma/client');
+const { recordAuditEvent } = require('./auditService');
+const { postOpeningEntry, postAdjustmentEntry } = require('./ledgerService');
+const { assertPeriodOpen } = require('./periodService');
+const {
+  splitReturns,
+  formatReturns,
+  getChargesByInvestment,
+  sumCharges,
+  formatUnconvertedCharges
+} = require('./transactionService');
+
+// Fields captured in audit snapshots when an investment changes
+const investmentSnapshotSelect = {
+  id: true,
+  name: true,
+  category: true,
+  currency: true,
+  initialAmount: true,
+  currentBalance: true,
+  returnType: true,
+  interestRate: true,
+  startDate: true,
+  endDate: true,
+  status: true,
+  notes: true,
+  updatedAt: true
+};
 
 /**
  * Create a new investment
  * @param {string} userId - User ID
  * @param {Object} investmentData - Investment data
+ * @param {Object} context - Audit context (actor, request id, IP)
  * @returns {Object} Created investment
  * @throws {AppError} If creation fails
  */
-async function createInvestment(userId, investmentData) {
+async function createInvestment(userId, investmentData, context = {}) {
   try {
     const {
       name,
@@ -25,38 +55,56 @@ async function createInvestment(userId, investmentData) {
       notes
     } = investmentData;
 
+    const investmentCurrency = (currency || 'NGN').toUpperCase();
+    const principal = roundMoney(initialAmount, investmentCurrency);
+
     // Create investment with currentBalance = initialAmount initially
-    const investment = await prisma.investment.create({
-      data: {
-        userId,
-        name: name.trim(),
-        category: category.trim(),
-        currency: (currency || 'NGN').toUpperCase(),
-        initialAmount: initialAmount,
-        currentBalance: initialAmount, // Set initial balance to principal
-        returnType,
-        interestRate: returnType === ReturnType.FIXED ? interestRate : null,
-        startDate: new Date(startDate),
-        endDate: endDate ? new Date(endDate) : null,
-        status: 'ACTIVE', // Default status
-        notes: notes?.trim() || null
-      },
-      select: {
-        id: true,
-        name: true,
-        category: true,
-        currency: true,
-        initialAmount: true,
-        currentBalance: true,
-        returnType: true,
-        interestRate: true,
-        startDate: true,
-        endDate: true,
-        status: true,
-        notes: true,
-        createdAt: true,
-        updatedAt: true
-      }
+    const investment = await prisma.$transaction(async (tx) => {
+      const created = await tx.investment.create({
+        data: {
+          userId,
+          name: name.trim(),
+          category: category.trim(),
+          currency: investmentCurrency,
+          initialAmount: principal,
+          currentBalance: principal, // Set initial balance to principal
+          returnType,
+          interestRate: returnType === ReturnType.FIXED ? interestRate : null,
+          startDate: new Date(startDate),
+          endDate: endDate ? new Date(endDate) : null,
+          status: 'ACTIVE', // Default status
+          notes: notes?.trim() || null
+        },
+        select: {
+          id: true,
+          name: true,
+          category: true,
+          currency: true,
+          initialAmount: true,
+          currentBalance: true,
+          returnType: true,
+          interestRate: true,
+          startDate: true,
+          endDate: true,
+          status: true,
+          notes: true,
+          createdAt: true,
+          updatedAt: true
+        }
+      });
+
+      await postOpeningEntry(created, tx);
+
+      await recordAuditEvent({
+        action: 'INVESTMENT_CREATED',
+        entityType: 'Investment',
+        entityId: created.id,
+        investmentId: created.id,
+        after: created,
+        balanceAfter: created.currentBalance
+      }, context, tx);
+
+      return created;
     });
 
     return investment;
@@ -79,6 +127,64 @@ async function createInvestment(userId, investmentData) {
   }
 }
 
+/**
+ * Build the investment filter used by listings and exports
+ * Covers the user's own investments plus those shared with them.
+ * @param {string} userId - User ID
+ * @param {Object} filters - status, returnType, category, currency, startDate, endDate, ownership
+ * @returns {Object} Prisma where clause
+ */
+function buildInvestmentWhere(userId, filters = {}) {
+  const {
+    status,
+    returnType,
+    category,
+    currency,
+    startDate,
+    endDate,
+    ownership = 'all'
+  } = filters;
+
+  const where = investmentAccessWhere(userId);
+
+  if (ownership === 'owned') {
+    where.userId = userId;
+  } else if (ownership === 'shared') {
+    where.userId = { not: userId };
+  }
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (returnType) {
+    where.returnType = returnType;
+  }
+
+  if (currency) {
+    where.currency = currency;
+  }
+
+  if (category) {
+    where.category = {
+      contains: category,
+      mode: 'insensitive'
+    };
+  }
+
+  if (startDate || endDate) {
+    where.startDate = {};
+    if (startDate) {
+      where.startDate.gte = new Date(startDate);
+    }
+    if (endDate) {
+      where.startDate.lte = new Date(endDate);
+    }
+  }
+
+  return where;
+}
+
 /**
  * Get user investments with optional filtering
  * @param {string} userId - User ID
@@ -89,51 +195,13 @@ async function createInvestment(userId, investmentData) {
 async function getUserInvestments(userId, filters = {}) {
   try {
     const {
-      status,
-      returnType,
-      category,
-      currency,
-      startDate,
-      endDate,
       limit = 20,
       offset = 0,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = filters;
 
-    // Build where clause
-    const where = {
-      userId
-    };
-
-    if (status) {
-      where.status = status;
-    }
-
-    if (returnType) {
-      where.returnType = returnType;
-    }
-
-    if (currency) {
-      where.currency = currency;
-    }
-
-    if (category) {
-      where.category = {
-        contains: category,
-        mode: 'insensitive'
-      };
-    }
-
-    if (startDate || endDate) {
-      where.startDate = {};
-      if (startDate) {
-        where.startDate.gte = new Date(startDate);
-      }
-      if (endDate) {
-        where.startDate.lte = new Date(endDate);
-      }
-    }
+    const where = buildInvestmentWhere(userId, filters);
 
     // Build orderBy clause
     const orderBy = {
@@ -149,6 +217,7 @@ async function getUserInvestments(userId, filters = {}) {
         take: limit,
         select: {
           id: true,
+          userId: true,
           name: true,
           category: true,
           currency: true,
@@ -175,6 +244,7 @@ async function getUserInvestments(userId, filters = {}) {
     // Normalize Decimal fields to numbers where appropriate
     const normalizedInvestments = investments.map((inv) => ({
       ...inv,
+      isOwner: inv.userId === userId,
       interestRate: inv.interestRate == null ? null : Number(inv.interestRate),
       initialAmount: inv.initialAmount == null ? null : Number(inv.initialAmount),
       currentBalance: inv.currentBalance == null ? null : Number(inv.currentBalance)
@@ -205,7 +275,7 @@ async function getUserInvestments(userId, filters = {}) {
  * @param {string} investmentId - Investment ID
  * @param {string} userId - User ID
  * @returns {Object} Investment data
- * @throws {AppError} If not found or not owned by user
+ * @throws {AppError} If not found or not accessible by user
  */
 async function getInvestmentById(investmentId, userId) {
   try {
@@ -220,10 +290,11 @@ async function getInvestmentById(investmentId, userId) {
     const investment = await prisma.investment.findFirst({
       where: {
         id: investmentId,
-        userId // Ensure user owns this investment
+        ...investmentAccessWhere(userId) // Owned by or shared with the user
       },
       select: {
         id: true,
+        userId: true,
         name: true,
         category: true,
         currency: true,
@@ -253,7 +324,10 @@ async function getInvestmentById(investmentId, userId) {
       );
     }
 
-    return investment;
+    return {
+      ...investment,
+      isOwner: investment.userId === userId
+    };
   } catch (error) {
     if (error instanceof AppError) {
       throw error;
@@ -273,10 +347,11 @@ async function getInvestmentById(investmentId, userId) {
  * @param {string} investmentId - Investment ID
  * @param {string} userId - User ID
  * @param {Object} updateData - Data to update
+ * @param {Object} context - Audit context (actor, request id, IP)
  * @returns {Object} Updated investment
- * @throws {AppError} If not found, not owned, or update fails
+ * @throws {AppError} If not found, not editable by user, the opening balance can no longer change, or update fails
  */
-async function updateInvestment(investmentId, userId, updateData) {
+async function updateInvestment(investmentId, userId, updateData, context = {}) {
   try {
     if (!isValidUUID(investmentId)) {
       throw new AppError(
@@ -286,78 +361,132 @@ async function updateInvestment(investmentId, userId, updateData) {
       );
     }
 
-    // First verify the investment exists and is owned by user
-    const existingInvestment = await prisma.investment.findFirst({
-      where: {
-        id: investmentId,
-        userId
-      },
-      select: { id: true, returnType: true }
-    });
+    const updatedInvestment = await prisma.$transaction(async (tx) => {
+      // First verify the investment exists and the user may edit it
+      const existingInvestment = await tx.investment.findFirst({
+        where: {
+          id: investmentId,
+          ...investmentAccessWhere(userId, 'write')
+        },
+        select: investmentSnapshotSelect
+      });
+
+      if (!existingInvestment) {
+        throw new AppError(
+          'Investment not found',
+          404,
+          'INVESTMENT_NOT_FOUND'
+        );
+      }
 
-    if (!existingInvestment) {
-      throw new AppError(
-        'Investment not found',
-        404,
-        'INVESTMENT_NOT_FOUND'
-      );
-    }
+      // Prepare update data
+      const updateFields = { ...updateData };
+      if (updateFields.currency) {
+        updateFields.currency = updateFields.currency.toUpperCase();
+      }
+      if (updateFields.initialAmount !== undefined) {
+        updateFields.initialAmount = roundMoney(
+          updateFields.initialAmount,
+          updateFields.currency || existingInvestment.currency
+        );
+      }
 
-    // Prepare update data
-    const updateFields = { ...updateData };
-    if (updateFields.currency) {
-      updateFields.currency = updateFields.currency.toUpperCase();
-    }
-    
-    // Handle date conversions
-    if (updateFields.endDate) {
-      updateFields.endDate = new Date(updateFields.endDate);
-    }
+      const currencyChanged = updateFields.currency !== undefined &&
+        updateFields.currency !== existingInvestment.currency;
+      const initialAmountChanged = updateFields.initialAmount !== undefined &&
+        !updateFields.initialAmount.eq(money(existingInvestment.initialAmount));
+
+      // Every balance is replayed from initialAmount in the investment's currency
+      if (currencyChanged || initialAmountChanged) {
+        const transactionCount = await tx.transaction.count({ where: { investmentId } });
+        if (transactionCount > 0) {
+          throw new AppError(
+            'Initial amount and currency cannot be changed once transactions are recorded',
+            400,
+            'INVESTMENT_HAS_TRANSACTIONS'
+          );
+        }
 
-    // Handle  interest rate logic
-    if (updateFields.returnType === 'VARIABLE') {
-      updateFields.interestRate = null;
-    } else if (updateFields.returnType === 'FIXED' && !updateFields.interestRate) {
-      // If changing to FIXED without providing rate, keep existing or require it
-      if (existingInvestment.returnType !== 'FIXED') {
-        throw new AppError(
-          ' Interest rate is required when changing to FIXED return type',
-          400,
-          'INTEREST_RATE_REQUIRED'
+        await assertPeriodOpen(investmentId, [existingInvestment.startDate], tx);
+      }
+
+      // Move the journal with the opening balance; a correction, so replays
+      // count the new initialAmount once
+      if (initialAmountChanged) {
+        updateFields.currentBalance = await postAdjustmentEntry(
+          investmentId,
+          money(existingInvestment.currentBalance)
+            .plus(updateFields.initialAmount)
+            .minus(money(existingInvestment.initialAmount)),
+          tx,
+          'Initial amount changed',
+          'CORRECTION'
         );
       }
-    }
 
-    // Trim string fields
-    if (updateFields.name) {
-      updateFields.name = updateFields.name.trim();
-    }
-    if (updateFields.category) {
-      updateFields.category = updateFields.category.trim();
-    }
-    if (updateFields.notes) {
-      updateFields.notes = updateFields.notes.trim() || null;
-    }
+      // Handle date conversions
+      if (updateFields.endDate) {
+        updateFields.endDate = new Date(updateFields.endDate);
+      }
 
-    const updatedInvestment = await prisma.investment.update({
-      where: { id: investmentId },
-      data: updateFields,
-      select: {
-        id: true,
-        name: true,
-        category: true,
-        currency: true,
-        initialAmount: true,
-        currentBalance: true,
-        returnType: true,
-        interestRate: true,
-        startDate: true,
-        endDate: true,
-        status: true,
-        notes: true,
-        createdAt: true,
-        updatedAt: true
+      // Handle  interest rate logic
+      if (updateFields.returnType === 'VARIABLE') {
+        updateFields.interestRate = null;
+      } else if (updateFields.returnType === 'FIXED' && !updateFields.interestRate) {
+        // If changing to FIXED without providing rate, keep existing or require it
+        if (existingInvestment.returnType !== 'FIXED') {
+          throw new AppError(
+            ' Interest rate is required when changing to FIXED return type',
+            400,
+            'INTEREST_RATE_REQUIRED'
+          );
+        }
+      }
+
+      // Trim string fields
+      if (updateFields.name) {
+        updateFields.name = updateFields.name.trim();
       }
+      if (updateFields.category) {
+        updateFields.category = updateFields.category.trim();
+      }
+      if (updateFields.notes) {
+        updateFields.notes = updateFields.notes.trim() || null;
+      }
+
+      const updated = await tx.investment.update({
+        where: { id: investmentId },
+        data: updateFields,
+        select: {
+          id: true,
+          name: true,
+          category: true,
+          currency: true,
+          initialAmount: true,
+          currentBalance: true,
+          returnType: true,
+          interestRate: true,
+          startDate: true,
+          endDate: true,
+          status: true,
+          notes: true,
+          createdAt: true,
+          updatedAt: true
+        }
+      });
+
+      await recordAuditEvent({
+        action: 'INVESTMENT_UPDATED',
+        entityType: 'Investment',
+        entityId: investmentId,
+        investmentId,
+        before: existingInvestment,
+        after: updated,
+        balanceBefore: existingInvestment.currentBalance,
+        balanceAfter: updated.currentBalance
+      }, context, tx);
+
+      return updated;
     });
 
     return updatedInvestment;
@@ -388,10 +517,13 @@ async function updateInvestment(investmentId, userId, updateData) {
  * @param {string} investmentId - Investment ID
  * @param {string} userId - User ID
  * @param {Object} statusData - Status update data
+ * @param {Object} options - Update options
+ * @param {boolean} options.ownerOnly - Reject users who only have shared access
+ * @param {Object} context - Audit context (actor, request id, IP)
  * @returns {Object} Updated investment
- * @throws {AppError} If not found, not owned, or update fails
+ * @throws {AppError} If not found, not editable by user, or update fails
  */
-async function updateInvestmentStatus(investmentId, userId, statusData) {
+async function updateInvestmentStatus(investmentId, userId, statusData, options = {}, context = {}) {
   try {
     if (!isValidUUID(investmentId)) {
       throw new AppError(
@@ -403,55 +535,70 @@ async function updateInvestmentStatus(investmentId, userId, statusData) {
 
     const { status, notes } = statusData;
 
-    // First verify the investment exists and is owned by user
-    const existingInvestment = await prisma.investment.findFirst({
-      where: {
-        id: investmentId,
-        userId
-      },
-      select: { id: true, status: true }
-    });
-
-    if (!existingInvestment) {
-      throw new AppError(
-        'Investment not found',
-        404,
-        'INVESTMENT_NOT_FOUND'
-      );
-    }
-
-    if (existingInvestment.status === status) {
-      throw new AppError(
-        `Investment is already ${status.toLowerCase()}`,
-        400,
-        'INVALID_STATUS_CHANGE'
-      );
-    }
+    const updatedInvestment = await prisma.$transaction(async (tx) => {
+      // First verify the investment exists and the user may edit it
+      const existingInvestment = await tx.investment.findFirst({
+        where: {
+          id: investmentId,
+          ...(options.ownerOnly ? { userId } : investmentAccessWhere(userId, 'write'))
+        },
+        select: investmentSnapshotSelect
+      });
+
+      if (!existingInvestment) {
+        throw new AppError(
+          'Investment not found',
+          404,
+          'INVESTMENT_NOT_FOUND'
+        );
+      }
 
-    const updateData = { status };
-    if (notes) {
-      updateData.notes = notes.trim();
-    }
+      if (existingInvestment.status === status) {
+        throw new AppError(
+          `Investment is already ${status.toLowerCase()}`,
+          400,
+          'INVALID_STATUS_CHANGE'
+        );
+      }
 
-    const updatedInvestment = await prisma.investment.update({
-      where: { id: investmentId },
-      data: updateData,
-      select: {
-        id: true,
-        name: true,
-        category: true,
-        currency: true,
-        initialAmount: true,
-        currentBalance: true,
-        returnType: true,
-        interestRate: true,
-        startDate: true,
-        endDate: true,
-        status: true,
-        notes: true,
-        createdAt: true,
-        updatedAt: true
+      const updateData = { status };
+      if (notes) {
+        updateData.notes = notes.trim();
       }
+
+      const updated = await tx.investment.update({
+        where: { id: investmentId },
+        data: updateData,
+        select: {
+          id: true,
+          name: true,
+          category: true,
+          currency: true,
+          initialAmount: true,
+          currentBalance: true,
+          returnType: true,
+          interestRate: true,
+          startDate: true,
+          endDate: true,
+          status: true,
+          notes: true,
+          createdAt: true,
+          updatedAt: true
+        }
+      });
+
+      await recordAuditEvent({
+        action: 'INVESTMENT_STATUS_CHANGED',
+        entityType: 'Investment',
+        entityId: investmentId,
+        investmentId,
+        before: existingInvestment,
+        after: updated,
+        balanceBefore: existingInvestment.currentBalance,
+        balanceAfter: updated.currentBalance
+      }, context, tx);
+
+      return updated;
     });
 
     return updatedInvestment;
@@ -474,10 +621,11 @@ async function updateInvestmentStatus(investmentId, userId, statusData) {
  * @param {string} investmentId - Investment ID
  * @param {string} userId - User ID
  * @param {Object} balanceData - Balance update data
+ * @param {Object} context - Audit context (actor, request id, IP)
  * @returns {Object} Updated investment
- * @throws {AppError} If not found, not owned, or update fails
+ * @throws {AppError} If not found, not editable by user, or update fails
  */
-async function updateInvestmentBalance(investmentId, userId, balanceData) {
+async function updateInvestmentBalance(investmentId, userId, balanceData, context = {}) {
   try {
     if (!isValidUUID(investmentId)) {
       throw new AppError(
@@ -489,54 +637,77 @@ async function updateInvestmentBalance(investmentId, userId, balanceData) {
 
     const { currentBalance, notes } = balanceData;
 
-    // First verify the investment exists and is owned by user
-    const existingInvestment = await prisma.investment.findFirst({
-      where: {
-        id: investmentId,
-        userId
-      },
-      select: { id: true, currentBalance: true, status: true }
-    });
+    const updatedInvestment = await prisma.$transaction(async (tx) => {
+      // First verify the investment exists and the user may edit it
+      const existingInvestment = await tx.investment.findFirst({
+        where: {
+          id: investmentId,
+          ...investmentAccessWhere(userId, 'write')
+        },
+        select: investmentSnapshotSelect
+      });
+
+      if (!existingInvestment) {
+        throw new AppError(
+          'Investment not found',
+          404,
+          'INVESTMENT_NOT_FOUND'
+        );
+      }
 
-    if (!existingInvestment) {
-      throw new AppError(
-        'Investment not found',
-        404,
-        'INVESTMENT_NOT_FOUND'
-      );
-    }
+      if (existingInvestment.status === 'CANCELLED') {
+        throw new AppError(
+          'Cannot update balance of cancelled investment',
+          400,
+          'INVALID_OPERATION'
+        );
+      }
 
-    if (existingInvestment.status === 'CANCELLED') {
-      throw new AppError(
-        'Cannot update balance of cancelled investment',
-        400,
-        'INVALID_OPERATION'
+      // Book the difference as a valuation adjustment so the journal explains the new balance
+      const ledgerBalance = await postAdjustmentEntry(
+        investmentId,
+        roundMoney(currentBalance, existingInvestment.currency),
+        tx,
+        notes ? notes.trim() : null
       );
-    }
 
-    const updateData = { currentBalance };
-    if (notes) {
-      updateData.notes = notes.trim();
-    }
-
-    const updatedInvestment = await prisma.investment.update({
-      where: { id: investmentId },
-      data: updateData,
-      select: {
-        id: true,
-        name: true,
-        category: true,
-        initialAmount: true,
-        currentBalance: true,
-        returnType: true,
-        interestRate: true,
-        startDate: true,
-        endDate: true,
-        status: true,
-        notes: true,
-        createdAt: true,
-        updatedAt: true
+      const updateData = { currentBalance: ledgerBalance };
+      if (notes) {
+        updateData.notes = notes.trim();
       }
+
+      const updated = await tx.investment.update({
+        where: { id: investmentId },
+        data: updateData,
+        select: {
+          id: true,
+          name: true,
+          category: true,
+          initialAmount: true,
+          currentBalance: true,
+          returnType: true,
+          interestRate: true,
+          startDate: true,
+          endDate: true,
+          status: true,
+          notes: true,
+          createdAt: true,
+          updatedAt: true
+        }
+      });
+
+      await recordAuditEvent({
+        action: 'INVESTMENT_BALANCE_UPDATED',
+        entityType: 'Investment',
+        entityId: investmentId,
+        investmentId,
+        before: existingInvestment,
+        after: updated,
+        balanceBefore: existingInvestment.currentBalance,
+        balanceAfter: updated.currentBalance
+      }, context, tx);
+
+      return updated;
     });
 
     return updatedInvestment;
@@ -563,7 +734,7 @@ async function updateInvestmentBalance(investmentId, userId, balanceData) {
 async function getInvestmentSummary(userId, options = {}) {
   try {
     const summary = await prisma.investment.aggregate({
-      where: { userId },
+      where: investmentAccessWhere(userId),
       _sum: {
         initialAmount: true,
         currentBalance: true
@@ -575,7 +746,7 @@ async function getInvestmentSummary(userId, options = {}) {
 
     const statusCounts = await prisma.investment.groupBy({
       by: ['status'],
-      where: { userId },
+      where: investmentAccessWhere(userId),
       _count: {
         _all: true
       }
@@ -594,29 +765,43 @@ async function getInvestmentSummary(userId, options = {}) {
     const baseCurrency = normalizeCurrency(options.baseCurrency || DEFAULT_BASE);
     const ratesAt = getRatesAt();
     const investments = await prisma.investment.findMany({
-      where: { userId },
-      select: { initialAmount: true, currentBalance: true, currency: true }
+      where: investmentAccessWhere(userId),
+      select: { id: true, initialAmount: true, currentBalance: true, currency: true }
     });
-    let totalPrincipalBase = 0;
-    let totalCurrentValueBase = 0;
+    let totalPrincipalBase = money(0);
+    let totalCurrentValueBase = money(0);
     for (const inv of investments) {
-      const p = convertAmount(parseFloat(inv.initialAmount), inv.currency, baseCurrency);
-      const c = convertAmount(parseFloat(inv.currentBalance), inv.currency, baseCurrency);
-      totalPrincipalBase += p || 0;
-      totalCurrentValueBase += c || 0;
+      const p = convertAmount(inv.initialAmount, inv.currency, baseCurrency);
+      const c = convertAmount(inv.currentBalance, inv.currency, baseCurrency);
+      totalPrincipalBase = totalPrincipalBase.plus(p || 0);
+      totalCurrentValueBase = totalCurrentValueBase.plus(c || 0);
     }
+    totalPrincipalBase = roundMoney(totalPrincipalBase, baseCurrency);
+    totalCurrentValueBase = roundMoney(totalCurrentValueBase, baseCurrency);
+
+    // Fees and taxes separate gross from net returns
+    const charges = await getChargesByInvestment(transactionAccessWhere(userId));
+    const chargesBase = sumCharges(investments, charges, baseCurrency);
+    const totalReturns = money(summary._sum.currentBalance).minus(money(summary._sum.initialAmount));
 
     return {
       totalInvestments: summary._count._all || 0,
       totalPrincipal: summary._sum.initialAmount || 0,
       totalCurrentValue: summary._sum.currentBalance || 0,
-      totalReturns: (summary._sum.currentBalance || 0) - (summary._sum.initialAmount || 0),
+      totalReturns: toNumber(totalReturns),
+      ...formatReturns(splitReturns(totalReturns, sumCharges(investments, charges))),
       statusBreakdown: statusSummary,
       baseCurrency,
       ratesAt,
-      totalPrincipalBase,
-      totalCurrentValueBase,
-      totalReturnsBase: totalCurrentValueBase - totalPrincipalBase
+      totalPrincipalBase: toNumber(totalPrincipalBase),
+      totalCurrentValueBase: toNumber(totalCurrentValueBase),
+      totalReturnsBase: toNumber(totalCurrentValueBase.minus(totalPrincipalBase)),
+      returnsBase: formatReturns(splitReturns(totalCurrentValueBase.minus(totalPrincipalBase), {
+        fees: roundMoney(chargesBase.fees, baseCurrency),
+        taxes: roundMoney(chargesBase.taxes, baseCurrency)
+      })),
+      // Charges in currencies without a rate to the base currency
+      unconvertedCharges: formatUnconvertedCharges(chargesBase.unconverted)
     };
   } catch (error) {
     console.error('Get investment summary error:', error);
@@ -631,6 +816,7 @@ async function getInvestmentSummary(userId, options = {}) {
 module.exports = {
   createInvestment,
   getUserInvestments,
+  buildInvestmentWhere,
   getInvestmentById,
   updateInvestment,
   updateInvestmentStatus,
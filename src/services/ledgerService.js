@@ -0,0 +1,483 @@
+const { prisma } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { isValidUUID } = require('../utils/validation');
+const { investmentAccessWhere } = require('../utils/access');
+const { money, toNumber } = require('../utils/money');
+const {
+  LEDGER_ACCOUNTS,
+  buildOpeningLines,
+  buildTransactionLines,
+  buildAdjustmentLines,
+  buildReversalLines,
+  netByAccount,
+  assetBalance,
+  isBalanced
+} = require('../utils/ledger');
+
+/**
+ * Net balance of every ledger account of an investment
+ * @param {string} investmentId - Investment ID
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Object} Decimal by account
+ */
+async function getAccountBalances(investmentId, client = prisma) {
+  const sums = await client.journalLine.groupBy({
+    by: ['account'],
+    where: { investmentId },
+    _sum: { debit: true, credit: true }
+  });
+
+  return sums.reduce((acc, row) => {
+    acc[row.account] = money(row._sum.debit).minus(money(row._sum.credit));
+    return acc;
+  }, {});
+}
+
+/**
+ * Balance of an investment as derived from its journal
+ * @param {string} investmentId - Investment ID
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Decimal} Balance
+ */
+async function getLedgerBalance(investmentId, client = prisma) {
+  return assetBalance(await getAccountBalances(investmentId, client));
+}
+
+/**
+ * Write one balanced journal entry
+ * @param {Object} entry - Entry header plus lines ({ account, debit, credit })
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Object|null} Created entry, or null when there is nothing to post
+ * @throws {AppError} If debits and credits differ
+ */
+async function postJournalEntry(entry, client = prisma) {
+  const {
+    investmentId,
+    entryType,
+    transactionId = null,
+    interestCalculationId = null,
+    description = null,
+    effectiveDate = new Date(),
+    lines
+  } = entry;
+
+  if (lines.length === 0) {
+    return null;
+  }
+
+  if (!isBalanced(lines)) {
+    throw new AppError(
+      'Journal entry does not balance',
+      500,
+      'UNBALANCED_JOURNAL_ENTRY'
+    );
+  }
+
+  return client.journalEntry.create({
+    data: {
+      investmentId,
+      entryType,
+      transactionId,
+      interestCalculationId,
+      description,
+      effectiveDate: new Date(effectiveDate),
+      lines: {
+        create: lines.map(entryLine => ({
+          investmentId,
+          account: entryLine.account,
+          debit: entryLine.debit,
+          credit: entryLine.credit
+        }))
+      }
+    }
+  });
+}
+
+/**
+ * Open the journal of an investment created before the ledger existed
+ * The opening entry reproduces the stored balance, so this must run before
+ * anything changes currentBalance in the same database transaction.
+ * @param {string} investmentId - Investment ID
+ * @param {Object} client - Prisma client or transaction
+ */
+async function ensureOpeningEntry(investmentId, client = prisma) {
+  const existing = await client.journalEntry.count({ where: { investmentId } });
+
+  if (existing > 0) {
+    return;
+  }
+
+  const investment = await client.investment.findUnique({
+    where: { id: investmentId },
+    select: { initialAmount: true, currentBalance: true, startDate: true }
+  });
+
+  if (!investment) {
+    return;
+  }
+
+  await postJournalEntry({
+    investmentId,
+    entryType: 'OPENING',
+    description: 'Opening balance',
+    effectiveDate: investment.startDate,
+    lines: buildOpeningLines(investment.initialAmount, investment.currentBalance)
+  }, client);
+}
+
+/**
+ * Post the opening entry of a new investment (principal funded from cash)
+ * @param {Object} investment - Investment with id, initialAmount and startDate
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Decimal} Ledger balance
+ */
+async function postOpeningEntry(investment, client = prisma) {
+  await postJournalEntry({
+    investmentId: investment.id,
+    entryType: 'OPENING',
+    description: 'Opening balance',
+    effectiveDate: investment.startDate,
+    lines: buildOpeningLines(investment.initialAmount)
+  }, client);
+
+  return getLedgerBalance(investment.id, client);
+}
+
+/**
+ * Post the entry for a transaction
+ * @param {Object} transaction - Transaction with id, investmentId, type, amount, transactionDate
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} options - Entry options
+ * @param {string} options.entryType - Entry type (default TRANSACTION)
+ * @param {string} options.interestCalculationId - Interest calculation that produced the transaction
+ * @returns {Decimal} Ledger balance after posting
+ */
+async function postTransactionEntry(transaction, client = prisma, options = {}) {
+  const { entryType = 'TRANSACTION', interestCalculationId = null } = options;
+
+  await ensureOpeningEntry(transaction.investmentId, client);
+  const balances = await getAccountBalances(transaction.investmentId, client);
+
+  await postJournalEntry({
+    investmentId: transaction.investmentId,
+    entryType,
+    transactionId: transaction.id,
+    interestCalculationId,
+    description: transaction.description || `${transaction.type} ${transaction.amount}`,
+    effectiveDate: transaction.transactionDate,
+    lines: buildTransactionLines(transaction.type, transaction.amount, balances)
+  }, client);
+
+  return getLedgerBalance(transaction.investmentId, client);
+}
+
+/**
+ * Cancel everything posted so far for a transaction (before an edit or on reversal)
+ * @param {string} transactionId - Transaction ID
+ * @param {string} investmentId - Investment ID
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} description - Reason for the reversal
+ * @param {Object} options - Entry options
+ * @param {string} options.reversalTransactionId - Reversing transaction the entry belongs to (default: the reversed one)
+ * @param {Date} options.effectiveDate - Date of the entry (default: now)
+ * @returns {Decimal} Ledger balance after the reversal
+ */
+async function reverseTransactionEntries(transactionId, investmentId, client = prisma, description = null, options = {}) {
+  const { reversalTransactionId = transactionId, effectiveDate = new Date() } = options;
+
+  await ensureOpeningEntry(investmentId, client);
+
+  const lines = await client.journalLine.findMany({
+    where: { entry: { transactionId } },
+    select: { account: true, debit: true, credit: true }
+  });
+
+  if (lines.length > 0) {
+    const net = netByAccount(lines);
+
+    await postJournalEntry({
+      investmentId,
+      entryType: 'REVERSAL',
+      transactionId: reversalTransactionId,
+      description: description || 'Reversal',
+      effectiveDate,
+      lines: buildReversalLines(net)
+    }, client);
+  } else {
+    // Transaction recorded before the ledger: its effect is part of the opening
+    // balance, so reverse it with fresh lines for the same amount
+    const original = await client.transaction.findUnique({
+      where: { id: transactionId },
+      select: { type: true, amount: true }
+    });
+
+    if (original) {
+      const balances = await getAccountBalances(investmentId, client);
+      const net = netByAccount(buildTransactionLines(original.type, original.amount, balances));
+
+      await postJournalEntry({
+        investmentId,
+        entryType: 'REVERSAL',
+        transactionId: reversalTransactionId,
+        description: description || 'Reversal',
+        effectiveDate,
+        lines: buildReversalLines(net)
+      }, client);
+    }
+  }
+
+  return getLedgerBalance(investmentId, client);
+}
+
+/**
+ * Post an adjustment that moves the ledger balance to a target balance
+ * ADJUSTMENT entries change the balance without a transaction (manual
+ * balance updates); CORRECTION entries bring a drifted journal back to the
+ * balance its history explains (reconciliation repairs).
+ * @param {string} investmentId - Investment ID
+ * @param {number|string|Object} targetBalance - Balance the investment should have
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} description - Reason for the adjustment
+ * @param {string} entryType - ADJUSTMENT (default) or CORRECTION
+ * @returns {Decimal} Ledger balance after the adjustment
+ */
+async function postAdjustmentEntry(investmentId, targetBalance, client = prisma, description = null, entryType = 'ADJUSTMENT') {
+  await ensureOpeningEntry(investmentId, client);
+  const balances = await getAccountBalances(investmentId, client);
+  const delta = money(targetBalance).minus(assetBalance(balances));
+
+  await postJournalEntry({
+    investmentId,
+    entryType,
+    description: description || 'Manual balance adjustment',
+    lines: buildAdjustmentLines(delta)
+  }, client);
+
+  return getLedgerBalance(investmentId, client);
+}
+
+/**
+ * Valuation adjustments carried by the opening entries of legacy investments
+ * An investment that existed before the ledger opened its journal with the
+ * stored balance, which already held the transactions recorded before then
+ * plus any manual valuations. The part those transactions do not explain is
+ * a valuation change, replayed like an adjustment on the entry's date.
+ * @param {Array<string>} investmentIds - Investment IDs
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Array} Adjustment rows (see getBalanceAdjustments)
+ */
+async function getOpeningValuations(investmentIds, client = prisma) {
+  const openings = await client.journalEntry.findMany({
+    where: { investmentId: { in: investmentIds }, entryType: 'OPENING' },
+    select: {
+      id: true,
+      investmentId: true,
+      effectiveDate: true,
+      createdAt: true,
+      lines: {
+        select: { account: true, debit: true, credit: true }
+      }
+    }
+  });
+
+  const valuations = [];
+  for (const entry of openings) {
+    const valuation = money(netByAccount(entry.lines).VALUATION_ADJUSTMENT).neg();
+    if (valuation.isZero()) {
+      continue;
+    }
+
+    // Recorded before the journal opened, so they never got an entry of their own
+    const earlier = await client.transaction.findMany({
+      where: { investmentId: entry.investmentId, createdAt: { lte: entry.createdAt } },
+      select: { id: true, type: true, amount: true }
+    });
+    const posted = new Set((await client.journalEntry.findMany({
+      where: { investmentId: entry.investmentId, transactionId: { in: earlier.map(transaction => transaction.id) } },
+      select: { transactionId: true }
+    })).map(posting => posting.transactionId));
+
+    const explained = earlier
+      .filter(transaction => !posted.has(transaction.id))
+      .reduce((sum, transaction) => sum.plus(assetBalance(netByAccount(
+        buildTransactionLines(transaction.type, transaction.amount)
+      ))), money(0));
+    const amount = valuation.minus(explained);
+
+    if (!amount.isZero()) {
+      valuations.push({
+        id: entry.id,
+        investmentId: entry.investmentId,
+        type: 'ADJUSTMENT',
+        amount,
+        transactionDate: entry.effectiveDate,
+        createdAt: entry.createdAt,
+        description: 'Opening valuation'
+      });
+    }
+  }
+
+  return valuations;
+}
+
+/**
+ * Balance adjustments of investments, shaped like transactions for a replay
+ * Manual balance updates move the balance through an ADJUSTMENT entry and
+ * have no Transaction row, so replaying transactions alone misses them.
+ * Valuations from legacy opening entries are included (getOpeningValuations).
+ * Each adjustment's amount is its signed change to the asset accounts.
+ * @param {Array<string>} investmentIds - Investment IDs
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} options - Filter options
+ * @param {Date} options.before - Only entries effective before this date
+ * @returns {Array} { id, investmentId, type: 'ADJUSTMENT', amount, transactionDate, createdAt, description }, oldest first
+ */
+async function getBalanceAdjustments(investmentIds, client = prisma, options = {}) {
+  const entries = await client.journalEntry.findMany({
+    where: {
+      investmentId: { in: investmentIds },
+      entryType: 'ADJUSTMENT',
+      ...(options.before && { effectiveDate: { lt: options.before } })
+    },
+    orderBy: [{ effectiveDate: 'asc' }, { createdAt: 'asc' }, { id: 'asc' }],
+    select: {
+      id: true,
+      investmentId: true,
+      description: true,
+      effectiveDate: true,
+      createdAt: true,
+      lines: {
+        select: { account: true, debit: true, credit: true }
+      }
+    }
+  });
+
+  const adjustments = entries.map(entry => ({
+    id: entry.id,
+    investmentId: entry.investmentId,
+    type: 'ADJUSTMENT',
+    amount: assetBalance(netByAccount(entry.lines)),
+    transactionDate: entry.effectiveDate,
+    createdAt: entry.createdAt,
+    description: entry.description
+  }));
+
+  const valuations = (await getOpeningValuations(investmentIds, client))
+    .filter(valuation => !options.before || valuation.transactionDate < options.before);
+
+  if (valuations.length === 0) {
+    return adjustments;
+  }
+
+  return [...valuations, ...adjustments].sort((a, b) => (
+    a.transactionDate - b.transactionDate
+    || a.createdAt - b.createdAt
+    || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+  ));
+}
+
+/**
+ * Get the journal of an investment with account balances
+ * @param {string} investmentId - Investment ID
+ * @param {string} userId - User ID
+ * @param {Object} options - Pagination options (limit, offset)
+ * @returns {Object} Account balances, ledger vs stored balance and entries
+ * @throws {AppError} If the investment is not found
+ */
+async function getInvestmentLedger(investmentId, userId, options = {}) {
+  const { limit = 50, offset = 0 } = options;
+
+  try {
+    if (!isValidUUID(investmentId)) {
+      throw new AppError(
+        'Invalid investment ID format',
+        400,
+        'INVALID_ID_FORMAT'
+      );
+    }
+
+    const investment = await prisma.investment.findFirst({
+      where: {
+        id: investmentId,
+        ...investmentAccessWhere(userId)
+      },
+      select: { id: true, name: true, currency: true, currentBalance: true }
+    });
+
+    if (!investment) {
+      throw new AppError(
+        'Investment not found',
+        404,
+        'INVESTMENT_NOT_FOUND'
+      );
+    }
+
+    const [balances, entries, total] = await Promise.all([
+      getAccountBalances(investmentId),
+      prisma.journalEntry.findMany({
+        where: { investmentId },
+        orderBy: [{ effectiveDate: 'desc' }, { createdAt: 'desc' }],
+        skip: offset,
+        take: limit,
+        include: {
+          lines: {
+            select: { account: true, debit: true, credit: true }
+          }
+        }
+      }),
+      prisma.journalEntry.count({ where: { investmentId } })
+    ]);
+
+    const accounts = LEDGER_ACCOUNTS.reduce((acc, account) => {
+      acc[account] = toNumber(balances[account]);
+      return acc;
+    }, {});
+    const ledgerBalance = assetBalance(balances);
+    const storedBalance = money(investment.currentBalance);
+
+    return {
+      investment: {
+        id: investment.id,
+        name: investment.name,
+        currency: investment.currency
+      },
+      accounts,
+      ledgerBalance: toNumber(ledgerBalance),
+      storedBalance: toNumber(storedBalance),
+      // Investments without entries have not been posted to yet (opened on first change)
+      difference: total > 0 ? toNumber(storedBalance.minus(ledgerBalance)) : 0,
+      entries,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasNext: offset + limit < total,
+        hasPrev: offset > 0
+      }
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Get investment ledger error:', error);
+    throw new AppError(
+      'Failed to retrieve ledger',
+      500,
+      'LEDGER_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+module.exports = {
+  getAccountBalances,
+  getLedgerBalance,
+  postJournalEntry,
+  ensureOpeningEntry,
+  postOpeningEntry,
+  postTransactionEntry,
+  reverseTransactionEntries,
+  postAdjustmentEntry,
+  getBalanceAdjustments,
+  getInvestmentLedger
+};
@@ -0,0 +1,129 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Mail delivery
+ *
+ * Messages are handed to a transport: any object with an async
+ * `send(message)` method. The transport is chosen with MAIL_TRANSPORT
+ * (`console` or `file`); other transports can be plugged in with
+ * `registerTransport` or `setMailTransport` without touching callers.
+ */
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'E-Accounting <no-reply@e-accounting.local>';
+
+/**
+ * Transport that prints messages to the server log
+ * @returns {Object} Mail transport
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`\n[Mail] To: ${message.to}`);
+      console.log(`[Mail] Subject: ${message.subject}`);
+      console.log(message.text);
+      console.log('---');
+      return { messageId: message.id };
+    }
+  };
+}
+
+/**
+ * Transport that writes each message as a JSON file to an outbox directory
+ * @param {Object} options - Transport options
+ * @param {string} options.directory - Outbox directory (default: MAIL_OUTBOX_DIR or ./mail-outbox)
+ * @returns {Object} Mail transport
+ */
+function createFileTransport(options = {}) {
+  const directory = options.directory ||
+    process.env.MAIL_OUTBOX_DIR ||
+    path.join(process.cwd(), 'mail-outbox');
+
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(directory, { recursive: true });
+      const filename = `${message.date.toISOString().replace(/[:.]/g, '-')}-${message.id}.json`;
+      const filePath = path.join(directory, filename);
+      await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+      return { messageId: message.id, path: filePath };
+    }
+  };
+}
+
+const transportFactories = {
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Register a transport factory under a name selectable via MAIL_TRANSPORT
+ * @param {string} name - Transport name
+ * @param {Function} factory - Function returning an object with send(message)
+ */
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+}
+
+/**
+ * Replace the active transport (e.g. with a capturing transport in tests)
+ * @param {Object|null} transport - Transport object, or null to reset to configuration
+ */
+function setMailTransport(transport) {
+  activeTransport = transport;
+}
+
+/**
+ * Get the configured transport
+ * @returns {Object} Mail transport
+ */
+function getMailTransport() {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    activeTransport = factory();
+  }
+
+  return activeTransport;
+}
+
+/**
+ * Send an email
+ * @param {Object} mail - Mail data
+ * @param {string} mail.to - Recipient address
+ * @param {string} mail.subject - Subject line
+ * @param {string} mail.text - Plain text body
+ * @param {string} mail.html - Optional HTML body
+ * @returns {Object} Transport result
+ */
+async function sendMail({ to, subject, text, html = null }) {
+  const message = {
+    id: crypto.randomUUID(),
+    from: DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+    date: new Date()
+  };
+
+  return getMailTransport().send(message);
+}
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  setMailTransport,
+  getMailTransport,
+  createConsoleTransport,
+  createFileTransport
+};
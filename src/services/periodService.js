@@ -0,0 +1,298 @@
+const { prisma } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { DAY_MS, startOfDay } = require('../utils/dates');
+const { recordAuditEvent } = require('./auditService');
+
+const PERIOD_ACTIONS = ['PERIOD_CLOSED', 'PERIOD_REOPENED'];
+
+/**
+ * Format a lock date as YYYY-MM-DD
+ * @param {Date|null} lockDate - Lock date
+ * @returns {string|null} Day, or null when nothing is closed
+ */
+function formatLockDate(lockDate) {
+  return lockDate ? startOfDay(lockDate).toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Check whether a date falls in a closed period
+ * The lock date is inclusive: anything dated on that day is closed too.
+ * @param {Date|string} date - Date to check
+ * @param {Date|null} lockDate - Lock date of the books
+ * @returns {boolean} True if the date is on or before the lock date
+ */
+function isDateLocked(date, lockDate) {
+  if (!lockDate || date == null) {
+    return false;
+  }
+
+  return new Date(date) < new Date(startOfDay(lockDate).getTime() + DAY_MS);
+}
+
+/**
+ * Last day of the period to close
+ * @param {Object} period - One of lockDate, month (YYYY-MM) or year
+ * @returns {Date} Lock date
+ */
+function resolveLockDate(period) {
+  if (period.month) {
+    const [year, month] = period.month.split('-').map(Number);
+    // Day 0 of the next month is the last day of this one
+    return new Date(Date.UTC(year, month, 0));
+  }
+
+  if (period.year) {
+    return new Date(Date.UTC(period.year, 11, 31));
+  }
+
+  return startOfDay(period.lockDate);
+}
+
+/**
+ * Reject changes dated in a closed period of an investment's books
+ * The lock date belongs to the investment owner, so it also applies to
+ * users editing through a portfolio grant.
+ * @param {string} investmentId - Investment ID
+ * @param {Array<Date|string>} dates - Dates the change touches (nulls are ignored)
+ * @param {Object} client - Prisma client or transaction
+ * @throws {AppError} If any date is on or before the lock date
+ */
+async function assertPeriodOpen(investmentId, dates, client = prisma) {
+  const investment = await client.investment.findUnique({
+    where: { id: investmentId },
+    select: { user: { select: { lockDate: true } } }
+  });
+
+  const lockDate = investment?.user.lockDate;
+  if (dates.some(date => isDateLocked(date, lockDate))) {
+    throw new AppError(
+      `Books are closed through ${formatLockDate(lockDate)}; reopen the period to change entries dated on or before it`,
+      400,
+      'PERIOD_LOCKED'
+    );
+  }
+}
+
+/**
+ * Get the lock date of a user's books and the close/reopen history
+ * @param {string} userId - User ID
+ * @param {Object} options - Options
+ * @param {number} options.limit - Number of history events (default 20)
+ * @returns {Object} Lock date and history
+ * @throws {AppError} If the user is not found
+ */
+async function getPeriodStatus(userId, options = {}) {
+  const { limit = 20 } = options;
+
+  try {
+    const [user, history] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: { lockDate: true }
+      }),
+      prisma.auditEvent.findMany({
+        where: {
+          entityType: 'User',
+          entityId: userId,
+          action: { in: PERIOD_ACTIONS }
+        },
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        select: {
+          id: true,
+          action: true,
+          actorType: true,
+          actorId: true,
+          before: true,
+          after: true,
+          createdAt: true
+        }
+      })
+    ]);
+
+    if (!user) {
+      throw new AppError(
+        'User not found',
+        404,
+        'USER_NOT_FOUND'
+      );
+    }
+
+    return {
+      lockDate: formatLockDate(user.lockDate),
+      history
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Get period status error:', error);
+    throw new AppError(
+      'Failed to retrieve closed periods',
+      500,
+      'PERIOD_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * Close the books through the end of a period
+ * Closing only moves the lock date forward; use reopenPeriod to move it back.
+ * @param {string} userId - User ID
+ * @param {Object} data - Period (lockDate, month or year) and an optional note
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Previous and new lock date
+ * @throws {AppError} If the period has not ended or is already closed
+ */
+async function closePeriod(userId, data, context = {}) {
+  try {
+    const lockDate = resolveLockDate(data);
+
+    if (lockDate > startOfDay(new Date())) {
+      throw new AppError(
+        'Cannot close a period that has not ended yet',
+        400,
+        'PERIOD_NOT_ENDED'
+      );
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const user = await tx.user.findUnique({
+        where: { id: userId },
+        select: { lockDate: true }
+      });
+
+      if (!user) {
+        throw new AppError(
+          'User not found',
+          404,
+          'USER_NOT_FOUND'
+        );
+      }
+
+      if (user.lockDate && lockDate <= user.lockDate) {
+        throw new AppError(
+          `Books are already closed through ${formatLockDate(user.lockDate)}`,
+          400,
+          'PERIOD_ALREADY_CLOSED'
+        );
+      }
+
+      await tx.user.update({
+        where: { id: userId },
+        data: { lockDate }
+      });
+
+      const result = {
+        previousLockDate: formatLockDate(user.lockDate),
+        lockDate: formatLockDate(lockDate)
+      };
+
+      await recordAuditEvent({
+        action: 'PERIOD_CLOSED',
+        entityType: 'User',
+        entityId: userId,
+        before: { lockDate: result.previousLockDate },
+        after: { lockDate: result.lockDate, note: data.note || null }
+      }, context, tx);
+
+      return result;
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Close period error:', error);
+    throw new AppError(
+      'Failed to close period',
+      500,
+      'PERIOD_CLOSE_ERROR'
+    );
+  }
+}
+
+/**
+ * Reopen closed periods by moving the lock date back
+ * @param {string} userId - User ID
+ * @param {Object} data - New lock date (null reopens everything) and the reason
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Previous and new lock date
+ * @throws {AppError} If nothing is closed or the date does not move the lock back
+ */
+async function reopenPeriod(userId, data, context = {}) {
+  try {
+    const lockDate = data.lockDate ? startOfDay(data.lockDate) : null;
+
+    return await prisma.$transaction(async (tx) => {
+      const user = await tx.user.findUnique({
+        where: { id: userId },
+        select: { lockDate: true }
+      });
+
+      if (!user) {
+        throw new AppError(
+          'User not found',
+          404,
+          'USER_NOT_FOUND'
+        );
+      }
+
+      if (!user.lockDate) {
+        throw new AppError(
+          'No period is closed',
+          400,
+          'NO_CLOSED_PERIOD'
+        );
+      }
+
+      if (lockDate && lockDate >= user.lockDate) {
+        throw new AppError(
+          `Lock date must be before the current lock date ${formatLockDate(user.lockDate)}`,
+          400,
+          'INVALID_LOCK_DATE'
+        );
+      }
+
+      await tx.user.update({
+        where: { id: userId },
+        data: { lockDate }
+      });
+
+      const result = {
+        previousLockDate: formatLockDate(user.lockDate),
+        lockDate: formatLockDate(lockDate)
+      };
+
+      await recordAuditEvent({
+        action: 'PERIOD_REOPENED',
+        entityType: 'User',
+        entityId: userId,
+        before: { lockDate: result.previousLockDate },
+        after: { lockDate: result.lockDate, reason: data.reason }
+      }, context, tx);
+
+      return result;
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Reopen period error:', error);
+    throw new AppError(
+      'Failed to reopen period',
+      500,
+      'PERIOD_REOPEN_ERROR'
+    );
+  }
+}
+
+module.exports = {
+  isDateLocked,
+  assertPeriodOpen,
+  getPeriodStatus,
+  closePeriod,
+  reopenPeriod
+};
@@ -0,0 +1,351 @@
+const { prisma } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { isValidUUID } = require('../utils/validation');
+const { investmentAccessWhere } = require('../utils/access');
+const { money, toNumber } = require('../utils/money');
+const { recordAuditEvent } = require('./auditService');
+const { getBalanceImpact, withBalanceAdjustments } = require('./transactionService');
+const { getLedgerBalance, postAdjustmentEntry, getBalanceAdjustments } = require('./ledgerService');
+
+const investmentSelect = {
+  id: true,
+  name: true,
+  currency: true,
+  initialAmount: true,
+  currentBalance: true,
+  _count: {
+    select: { journalEntries: true }
+  }
+};
+
+/**
+ * Replay the transactions of an investment in date order
+ * The expected balance is initialAmount plus the impact of every transaction
+ * and manual balance adjustment; each transaction's `balance` snapshot
+ * should equal the running balance right after it.
+ * @param {Object} investment - Investment with initialAmount
+ * @param {Array} transactions - Transactions and adjustments in posting order
+ * @returns {Object} Expected balance and the wrong snapshots
+ */
+function replayTransactions(investment, transactions) {
+  let running = money(investment.initialAmount);
+  const snapshotMismatches = [];
+
+  transactions.forEach(transaction => {
+    running = running.plus(getBalanceImpact(transaction.type, transaction.amount));
+
+    // Adjustments are journal entries and have no snapshot
+    if (transaction.type === 'ADJUSTMENT') {
+      return;
+    }
+
+    if (transaction.balance == null || !money(transaction.balance).eq(running)) {
+      snapshotMismatches.push({
+        transactionId: transaction.id,
+        type: transaction.type,
+        amount: transaction.amount,
+        transactionDate: transaction.transactionDate,
+        storedBalance: transaction.balance,
+        expectedBalance: running
+      });
+    }
+  });
+
+  return { expected: running, snapshotMismatches };
+}
+
+/**
+ * Compare the stored balances of an investment with a replay of its history
+ * The stored balance and the journal (once it has entries) should both equal
+ * the replayed balance, and every snapshot the running balance after it.
+ * @param {string} investmentId - Investment ID
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Object|null} Investment, counts, balances, wrong snapshots and drift, or null if not found
+ */
+async function checkInvestmentBalances(investmentId, client = prisma) {
+  const investment = await client.investment.findUnique({
+    where: { id: investmentId },
+    select: investmentSelect
+  });
+
+  if (!investment) {
+    return null;
+  }
+
+  const transactions = await client.transaction.findMany({
+    where: { investmentId },
+    orderBy: [{ transactionDate: 'asc' }, { createdAt: 'asc' }, { id: 'asc' }],
+    select: {
+      id: true,
+      type: true,
+      amount: true,
+      balance: true,
+      transactionDate: true,
+      createdAt: true
+    }
+  });
+  const adjustments = await getBalanceAdjustments([investmentId], client);
+
+  const { expected, snapshotMismatches } = replayTransactions(
+    investment,
+    withBalanceAdjustments(transactions, adjustments)
+  );
+  const stored = money(investment.currentBalance);
+  // Investments without journal entries have not been posted to yet (opened on first change)
+  const ledger = investment._count.journalEntries > 0
+    ? await getLedgerBalance(investmentId, client)
+    : null;
+
+  const balanceDrift = !stored.eq(expected) || (ledger !== null && !ledger.eq(expected));
+
+  return {
+    investment,
+    transactionCount: transactions.length,
+    adjustmentCount: adjustments.length,
+    expected,
+    stored,
+    ledger,
+    snapshotMismatches,
+    balanceDrift,
+    hasDiscrepancy: balanceDrift || snapshotMismatches.length > 0
+  };
+}
+
+/**
+ * Reconcile one investment and optionally repair it
+ * Repairs rewrite the wrong snapshots, post a journal correction to the
+ * expected balance and record a BALANCE_RECONCILED audit event, all in one
+ * database transaction.
+ * @param {string} investmentId - Investment ID (access must already be checked)
+ * @param {Object} options - Reconciliation options
+ * @param {boolean} options.repair - Rewrite balances that are wrong
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Reconciliation report
+ */
+async function reconcileInvestment(investmentId, options = {}, context = {}) {
+  const { repair = false } = options;
+
+  return prisma.$transaction(async (tx) => {
+    const check = await checkInvestmentBalances(investmentId, tx);
+
+    if (!check) {
+      throw new AppError(
+        'Investment not found',
+        404,
+        'INVESTMENT_NOT_FOUND'
+      );
+    }
+
+    const { investment, expected, stored, ledger, snapshotMismatches, balanceDrift, hasDiscrepancy } = check;
+
+    const report = {
+      investmentId,
+      name: investment.name,
+      currency: investment.currency,
+      initialAmount: toNumber(investment.initialAmount),
+      transactionCount: check.transactionCount,
+      adjustmentCount: check.adjustmentCount,
+      storedBalance: toNumber(stored),
+      ledgerBalance: ledger === null ? null : toNumber(ledger),
+      expectedBalance: toNumber(expected),
+      difference: toNumber(stored.minus(expected)),
+      snapshotMismatches: snapshotMismatches.map(mismatch => ({
+        ...mismatch,
+        amount: toNumber(mismatch.amount),
+        storedBalance: mismatch.storedBalance == null ? null : toNumber(mismatch.storedBalance),
+        expectedBalance: toNumber(mismatch.expectedBalance)
+      })),
+      hasDiscrepancy,
+      repaired: false
+    };
+
+    if (!repair || !hasDiscrepancy) {
+      return report;
+    }
+
+    for (const mismatch of snapshotMismatches) {
+      await tx.transaction.update({
+        where: { id: mismatch.transactionId },
+        data: { balance: mismatch.expectedBalance }
+      });
+    }
+
+    if (balanceDrift) {
+      // A correction, not a balance movement: later replays leave it out
+      const ledgerBalance = await postAdjustmentEntry(
+        investmentId,
+        expected,
+        tx,
+        'Reconciliation repair',
+        'CORRECTION'
+      );
+
+      await tx.investment.update({
+        where: { id: investmentId },
+        data: { currentBalance: ledgerBalance }
+      });
+    }
+
+    await recordAuditEvent({
+      action: 'BALANCE_RECONCILED',
+      entityType: 'Investment',
+      entityId: investmentId,
+      investmentId,
+      before: {
+        currentBalance: stored,
+        ledgerBalance: ledger,
+        snapshots: snapshotMismatches.map(mismatch => ({ transactionId: mismatch.transactionId, balance: mismatch.storedBalance }))
+      },
+      after: {
+        currentBalance: expected,
+        ledgerBalance: expected,
+        snapshots: snapshotMismatches.map(mismatch => ({ transactionId: mismatch.transactionId, balance: mismatch.expectedBalance }))
+      },
+      balanceBefore: stored,
+      balanceAfter: expected
+    }, context, tx);
+
+    return { ...report, repaired: true };
+  });
+}
+
+/**
+ * Summarise a list of reconciliation reports
+ * @param {Array} reports - Reports from reconcileInvestment
+ * @returns {Object} Counts of checked, drifting and repaired investments
+ */
+function summarizeReports(reports) {
+  return {
+    checked: reports.length,
+    discrepancies: reports.filter(report => report.hasDiscrepancy).length,
+    repaired: reports.filter(report => report.repaired).length
+  };
+}
+
+/**
+ * Reconcile the investments a user can access
+ * Reports need read access; repairs need write access.
+ * @param {string} userId - User ID
+ * @param {Object} options - Reconciliation options
+ * @param {Array<string>} options.investmentIds - Limit to these investments (default: all accessible)
+ * @param {boolean} options.repair - Rewrite balances that are wrong
+ * @param {boolean} options.discrepanciesOnly - Leave consistent investments out of the result
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Summary and per-investment reports
+ * @throws {AppError} If an investment is not found or reconciliation fails
+ */
+async function reconcileUserInvestments(userId, options = {}, context = {}) {
+  const { investmentIds, repair = false, discrepanciesOnly = false } = options;
+
+  try {
+    if (investmentIds && investmentIds.some(id => !isValidUUID(id))) {
+      throw new AppError(
+        'Invalid investment ID format',
+        400,
+        'INVALID_ID_FORMAT'
+      );
+    }
+
+    const investments = await prisma.investment.findMany({
+      where: {
+        ...(investmentIds && { id: { in: investmentIds } }),
+        ...investmentAccessWhere(userId, repair ? 'write' : 'read')
+      },
+      orderBy: { createdAt: 'asc' },
+      select: { id: true }
+    });
+
+    if (investmentIds && investments.length !== new Set(investmentIds).size) {
+      throw new AppError(
+        'Investment not found',
+        404,
+        'INVESTMENT_NOT_FOUND'
+      );
+    }
+
+    const reports = [];
+    for (const investment of investments) {
+      reports.push(await reconcileInvestment(investment.id, { repair }, context));
+    }
+
+    return {
+      summary: summarizeReports(reports),
+      investments: discrepanciesOnly ? reports.filter(report => report.hasDiscrepancy) : reports
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Reconcile investments error:', error);
+    throw new AppError(
+      'Failed to reconcile investment balances',
+      500,
+      'RECONCILIATION_ERROR'
+    );
+  }
+}
+
+/**
+ * Reconcile every investment in the system (admin drift check and repair)
+ * Investments are processed one at a time; a failure is reported and does
+ * not stop the run.
+ * @param {Object} options - Reconciliation options
+ * @param {boolean} options.repair - Rewrite balances that are wrong
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Summary, drifting investments and failures
+ * @throws {AppError} If the run fails
+ */
+async function reconcileAllInvestments(options = {}, context = {}) {
+  const { repair = false } = options;
+  const batchSize = 100;
+
+  try {
+    const reports = [];
+    const failures = [];
+    let cursor = null;
+
+    for (;;) {
+      const batch = await prisma.investment.findMany({
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+        select: { id: true }
+      });
+
+      for (const investment of batch) {
+        try {
+          reports.push(await reconcileInvestment(investment.id, { repair }, context));
+        } catch (error) {
+          console.error(`Reconciliation failed for investment ${investment.id}:`, error);
+          failures.push({ investmentId: investment.id, error: error.message });
+        }
+      }
+
+      if (batch.length < batchSize) {
+        break;
+      }
+      cursor = batch[batch.length - 1].id;
+    }
+
+    return {
+      summary: { ...summarizeReports(reports), failed: failures.length },
+      investments: reports.filter(report => report.hasDiscrepancy),
+      failures
+    };
+  } catch (error) {
+    console.error('Reconcile all investments error:', error);
+    throw new AppError(
+      'Failed to reconcile investment balances',
+      500,
+      'RECONCILIATION_ERROR'
+    );
+  }
+}
+
+module.exports = {
+  checkInvestmentBalances,
+  reconcileInvestment,
+  reconcileUserInvestments,
+  reconcileAllInvestments
+};
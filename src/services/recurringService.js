@@ -0,0 +1,736 @@
+const { prisma } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { investmentAccessWhere } = require('../utils/access');
+const { money, roundMoney } = require('../utils/money');
+const { startOfDay } = require('../utils/dates');
+const {
+  getOccurrenceDate,
+  getNextOccurrence,
+  getOccurrenceIndex,
+  listOccurrences,
+  formatRRule
+} = require('../utils/recurrence');
+const { recordAuditEvent } = require('./auditService');
+const { insertTransaction } = require('./transactionService');
+
+// Upcoming occurrences returned with a recurring transaction
+const UPCOMING_LIMIT = 12;
+
+const recurringSelect = {
+  id: true,
+  userId: true,
+  investmentId: true,
+  type: true,
+  amount: true,
+  description: true,
+  frequency: true,
+  interval: true,
+  startDate: true,
+  endDate: true,
+  count: true,
+  occurrenceCount: true,
+  nextOccurrence: true,
+  status: true,
+  lastError: true,
+  createdAt: true,
+  updatedAt: true,
+  investment: {
+    select: {
+      id: true,
+      name: true,
+      category: true,
+      currency: true
+    }
+  }
+};
+
+const occurrenceSelect = {
+  id: true,
+  occurrenceDate: true,
+  status: true,
+  amount: true,
+  description: true,
+  transactionId: true,
+  updatedAt: true
+};
+
+/**
+ * Add the RRULE representation to a recurring transaction
+ * @param {Object} recurring - Recurring transaction
+ * @returns {Object} Recurring transaction with rrule
+ */
+function withRRule(recurring) {
+  return { ...recurring, rrule: formatRRule(recurring) };
+}
+
+/**
+ * Load a recurring transaction the user can access
+ * @param {string} recurringId - Recurring transaction ID
+ * @param {string} userId - User ID
+ * @param {string} access - Required access level ('read' or 'write')
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Object} Recurring transaction
+ * @throws {AppError} If not found
+ */
+async function findRecurring(recurringId, userId, access, client = prisma) {
+  const recurring = await client.recurringTransaction.findFirst({
+    where: {
+      id: recurringId,
+      investment: investmentAccessWhere(userId, access)
+    },
+    select: recurringSelect
+  });
+
+  if (!recurring) {
+    throw new AppError(
+      'Recurring transaction not found',
+      404,
+      'RECURRING_NOT_FOUND'
+    );
+  }
+
+  return recurring;
+}
+
+/**
+ * Create a recurring transaction
+ * Occurrences up to today (from a start date in the past) are posted by the
+ * next run of the recurring transaction job.
+ * @param {string} userId - User ID
+ * @param {Object} data - investmentId, type, amount, description and the schedule
+ *   (frequency, interval, startDate, endDate or count)
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Created recurring transaction
+ * @throws {AppError} If the investment is not editable or the schedule has no occurrences
+ */
+async function createRecurringTransaction(userId, data, context = {}) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const investment = await tx.investment.findFirst({
+        where: {
+          id: data.investmentId,
+          ...investmentAccessWhere(userId, 'write')
+        },
+        select: { id: true, currency: true, status: true }
+      });
+
+      if (!investment) {
+        throw new AppError(
+          'Investment not found',
+          404,
+          'INVESTMENT_NOT_FOUND'
+        );
+      }
+
+      if (investment.status === 'CANCELLED') {
+        throw new AppError(
+          'Cannot schedule transactions for cancelled investments',
+          400,
+          'INVALID_OPERATION'
+        );
+      }
+
+      const schedule = {
+        frequency: data.frequency,
+        interval: data.interval,
+        startDate: startOfDay(data.startDate),
+        endDate: data.endDate ? startOfDay(data.endDate) : null,
+        count: data.count ?? null
+      };
+
+      const nextOccurrence = getNextOccurrence(schedule, 0);
+      if (!nextOccurrence) {
+        throw new AppError(
+          'Schedule ends before its first occurrence',
+          400,
+          'INVALID_SCHEDULE'
+        );
+      }
+
+      const recurring = await tx.recurringTransaction.create({
+        data: {
+          userId,
+          investmentId: investment.id,
+          type: data.type,
+          amount: roundMoney(data.amount, investment.currency),
+          description: data.description?.trim() || null,
+          ...schedule,
+          nextOccurrence
+        },
+        select: recurringSelect
+      });
+
+      await recordAuditEvent({
+        action: 'RECURRING_CREATED',
+        entityType: 'RecurringTransaction',
+        entityId: recurring.id,
+        investmentId: investment.id,
+        after: recurring
+      }, context, tx);
+
+      return withRRule(recurring);
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Create recurring transaction error:', error);
+    throw new AppError(
+      'Failed to create recurring transaction',
+      500,
+      'RECURRING_CREATION_ERROR'
+    );
+  }
+}
+
+/**
+ * Get recurring transactions on investments the user can access
+ * @param {string} userId - User ID
+ * @param {Object} filters - investmentId, status, limit, offset
+ * @returns {Object} Recurring transactions with pagination info
+ * @throws {AppError} If retrieval fails
+ */
+async function getRecurringTransactions(userId, filters = {}) {
+  try {
+    const { investmentId, status, limit = 20, offset = 0 } = filters;
+
+    const where = {
+      investment: investmentAccessWhere(userId)
+    };
+
+    if (investmentId) {
+      where.investmentId = investmentId;
+    }
+
+    if (status) {
+      where.status = status;
+    }
+
+    const [recurringTransactions, total] = await Promise.all([
+      prisma.recurringTransaction.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: offset,
+        take: limit,
+        select: recurringSelect
+      }),
+      prisma.recurringTransaction.count({ where })
+    ]);
+
+    return {
+      recurringTransactions: recurringTransactions.map(withRRule),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasNext: offset + limit < total,
+        hasPrev: offset > 0
+      }
+    };
+  } catch (error) {
+    console.error('Get recurring transactions error:', error);
+    throw new AppError(
+      'Failed to retrieve recurring transactions',
+      500,
+      'RECURRING_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * Get a recurring transaction with its upcoming and past occurrences
+ * Upcoming occurrences show any skip or override entered for them.
+ * @param {string} recurringId - Recurring transaction ID
+ * @param {string} userId - User ID
+ * @returns {Object} Recurring transaction, upcoming occurrences and history
+ * @throws {AppError} If not found
+ */
+async function getRecurringTransactionById(recurringId, userId) {
+  try {
+    const recurring = await findRecurring(recurringId, userId, 'read');
+
+    const occurrences = await prisma.recurringOccurrence.findMany({
+      where: { recurringTransactionId: recurring.id },
+      orderBy: { occurrenceDate: 'desc' },
+      select: occurrenceSelect
+    });
+
+    const exceptions = new Map(
+      occurrences
+        .filter(occurrence => occurrence.status !== 'POSTED')
+        .map(occurrence => [occurrence.occurrenceDate.getTime(), occurrence])
+    );
+
+    const upcoming = recurring.status === 'ENDED'
+      ? []
+      : listOccurrences(recurring, { fromIndex: recurring.occurrenceCount, limit: UPCOMING_LIMIT })
+        .map(({ date }) => {
+          const exception = exceptions.get(date.getTime());
+          return {
+            occurrenceDate: date,
+            status: exception?.status || 'SCHEDULED',
+            amount: exception?.amount ?? recurring.amount,
+            description: exception?.description ?? recurring.description
+          };
+        });
+
+    const isProcessed = occurrence => occurrence.status === 'POSTED' ||
+      !recurring.nextOccurrence ||
+      occurrence.occurrenceDate < recurring.nextOccurrence;
+
+    return {
+      recurringTransaction: withRRule(recurring),
+      upcoming,
+      history: occurrences.filter(isProcessed)
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Get recurring transaction error:', error);
+    throw new AppError(
+      'Failed to retrieve recurring transaction',
+      500,
+      'RECURRING_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * Update a recurring transaction
+ * The amount and description apply to occurrences not yet posted. The end
+ * condition can be moved but not before occurrences already processed;
+ * frequency and start date are fixed once created. Occurrences that fall
+ * due while paused are not posted when the schedule is resumed.
+ * @param {string} recurringId - Recurring transaction ID
+ * @param {string} userId - User ID
+ * @param {Object} updateData - amount, description, endDate, count, status (ACTIVE or PAUSED)
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Updated recurring transaction
+ * @throws {AppError} If not found, ended, or the end is before processed occurrences
+ */
+async function updateRecurringTransaction(recurringId, userId, updateData, context = {}) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const existing = await findRecurring(recurringId, userId, 'write', tx);
+
+      if (existing.status === 'ENDED') {
+        throw new AppError(
+          'Recurring transaction has ended',
+          400,
+          'RECURRING_ENDED'
+        );
+      }
+
+      const data = {};
+
+      if (updateData.amount !== undefined) {
+        data.amount = roundMoney(updateData.amount, existing.investment.currency);
+      }
+      if (updateData.description !== undefined) {
+        data.description = updateData.description?.trim() || null;
+      }
+      if (updateData.endDate !== undefined) {
+        data.endDate = updateData.endDate ? startOfDay(updateData.endDate) : null;
+      }
+      if (updateData.count !== undefined) {
+        data.count = updateData.count;
+      }
+      if (updateData.status !== undefined) {
+        data.status = updateData.status;
+      }
+
+      const schedule = { ...existing, ...data };
+
+      if (schedule.count != null && schedule.count < existing.occurrenceCount) {
+        throw new AppError(
+          `${existing.occurrenceCount} occurrences have already been processed`,
+          400,
+          'INVALID_SCHEDULE'
+        );
+      }
+
+      if (
+        schedule.endDate &&
+        existing.occurrenceCount > 0 &&
+        getOccurrenceDate(schedule, existing.occurrenceCount - 1) > schedule.endDate
+      ) {
+        throw new AppError(
+          'End date is before occurrences that have already been processed',
+          400,
+          'INVALID_SCHEDULE'
+        );
+      }
+
+      // Resuming does not post the occurrences that fell due while paused
+      let index = existing.occurrenceCount;
+      if (existing.status === 'PAUSED' && data.status === 'ACTIVE') {
+        const today = startOfDay(new Date());
+        while (getNextOccurrence(schedule, index) && getNextOccurrence(schedule, index) < today) {
+          index += 1;
+        }
+        data.occurrenceCount = index;
+      }
+
+      data.nextOccurrence = getNextOccurrence(schedule, index);
+      if (!data.nextOccurrence) {
+        data.status = 'ENDED';
+      }
+
+      const recurring = await tx.recurringTransaction.update({
+        where: { id: existing.id },
+        data,
+        select: recurringSelect
+      });
+
+      await recordAuditEvent({
+        action: 'RECURRING_UPDATED',
+        entityType: 'RecurringTransaction',
+        entityId: recurring.id,
+        investmentId: recurring.investmentId,
+        before: existing,
+        after: recurring
+      }, context, tx);
+
+      return withRRule(recurring);
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Update recurring transaction error:', error);
+    throw new AppError(
+      'Failed to update recurring transaction',
+      500,
+      'RECURRING_UPDATE_ERROR'
+    );
+  }
+}
+
+/**
+ * Delete a recurring transaction
+ * Transactions already posted from it are kept.
+ * @param {string} recurringId - Recurring transaction ID
+ * @param {string} userId - User ID
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Deleted recurring transaction
+ * @throws {AppError} If not found
+ */
+async function deleteRecurringTransaction(recurringId, userId, context = {}) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const recurring = await findRecurring(recurringId, userId, 'write', tx);
+
+      await tx.recurringTransaction.delete({
+        where: { id: recurring.id }
+      });
+
+      await recordAuditEvent({
+        action: 'RECURRING_DELETED',
+        entityType: 'RecurringTransaction',
+        entityId: recurring.id,
+        investmentId: recurring.investmentId,
+        before: recurring
+      }, context, tx);
+
+      return withRRule(recurring);
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Delete recurring transaction error:', error);
+    throw new AppError(
+      'Failed to delete recurring transaction',
+      500,
+      'RECURRING_DELETION_ERROR'
+    );
+  }
+}
+
+/**
+ * Skip or override a single future occurrence
+ * @param {string} recurringId - Recurring transaction ID
+ * @param {string} userId - User ID
+ * @param {Date|string} date - Occurrence date
+ * @param {Object} data - skip, or an amount and/or description for this occurrence only
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Occurrence exception
+ * @throws {AppError} If the date is not in the schedule or was already processed
+ */
+async function setOccurrence(recurringId, userId, date, data, context = {}) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const recurring = await findRecurring(recurringId, userId, 'write', tx);
+      const occurrenceDate = startOfDay(date);
+      const index = getOccurrenceIndex(recurring, occurrenceDate);
+
+      if (index === null) {
+        throw new AppError(
+          'Date is not an occurrence of this schedule',
+          400,
+          'INVALID_OCCURRENCE'
+        );
+      }
+
+      if (index < recurring.occurrenceCount) {
+        throw new AppError(
+          'Occurrence has already been processed',
+          409,
+          'OCCURRENCE_ALREADY_PROCESSED'
+        );
+      }
+
+      const values = data.skip
+        ? { status: 'SKIPPED', amount: null, description: null }
+        : {
+          status: 'PENDING',
+          amount: data.amount != null ? roundMoney(data.amount, recurring.investment.currency) : null,
+          description: data.description?.trim() || null
+        };
+
+      const key = {
+        recurringTransactionId_occurrenceDate: {
+          recurringTransactionId: recurring.id,
+          occurrenceDate
+        }
+      };
+
+      const before = await tx.recurringOccurrence.findUnique({ where: key, select: occurrenceSelect });
+      const occurrence = await tx.recurringOccurrence.upsert({
+        where: key,
+        create: { recurringTransactionId: recurring.id, occurrenceDate, ...values },
+        update: values,
+        select: occurrenceSelect
+      });
+
+      await recordAuditEvent({
+        action: data.skip ? 'RECURRING_OCCURRENCE_SKIPPED' : 'RECURRING_OCCURRENCE_OVERRIDDEN',
+        entityType: 'RecurringTransaction',
+        entityId: recurring.id,
+        investmentId: recurring.investmentId,
+        before,
+        after: occurrence
+      }, context, tx);
+
+      return occurrence;
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Set recurring occurrence error:', error);
+    throw new AppError(
+      'Failed to update occurrence',
+      500,
+      'OCCURRENCE_UPDATE_ERROR'
+    );
+  }
+}
+
+/**
+ * Remove a skip or override so the occurrence posts as scheduled
+ * @param {string} recurringId - Recurring transaction ID
+ * @param {string} userId - User ID
+ * @param {Date|string} date - Occurrence date
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Removed occurrence exception
+ * @throws {AppError} If there is no pending exception for the date
+ */
+async function clearOccurrence(recurringId, userId, date, context = {}) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const recurring = await findRecurring(recurringId, userId, 'write', tx);
+      const occurrenceDate = startOfDay(date);
+
+      const occurrence = await tx.recurringOccurrence.findUnique({
+        where: {
+          recurringTransactionId_occurrenceDate: {
+            recurringTransactionId: recurring.id,
+            occurrenceDate
+          }
+        },
+        select: occurrenceSelect
+      });
+
+      if (!occurrence) {
+        throw new AppError(
+          'No skip or override for this occurrence',
+          404,
+          'OCCURRENCE_NOT_FOUND'
+        );
+      }
+
+      if (recurring.nextOccurrence === null || occurrenceDate < recurring.nextOccurrence) {
+        throw new AppError(
+          'Occurrence has already been processed',
+          409,
+          'OCCURRENCE_ALREADY_PROCESSED'
+        );
+      }
+
+      await tx.recurringOccurrence.delete({ where: { id: occurrence.id } });
+
+      await recordAuditEvent({
+        action: 'RECURRING_OCCURRENCE_RESTORED',
+        entityType: 'RecurringTransaction',
+        entityId: recurring.id,
+        investmentId: recurring.investmentId,
+        before: occurrence
+      }, context, tx);
+
+      return occurrence;
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Clear recurring occurrence error:', error);
+    throw new AppError(
+      'Failed to restore occurrence',
+      500,
+      'OCCURRENCE_UPDATE_ERROR'
+    );
+  }
+}
+
+/**
+ * Post one due occurrence of a recurring transaction
+ * The occurrence counter is advanced with a compare-and-set on
+ * occurrenceCount in the same database transaction as the posting, so
+ * concurrent or repeated runs never post an occurrence twice.
+ * @param {string} recurringId - Recurring transaction ID
+ * @param {Date} now - Post occurrences dated on or before this time
+ * @param {Object} context - Audit context
+ * @returns {string|null} 'POSTED', 'SKIPPED', or null when nothing is due
+ */
+async function materializeNextOccurrence(recurringId, now, context) {
+  return prisma.$transaction(async (tx) => {
+    const recurring = await tx.recurringTransaction.findUnique({
+      where: { id: recurringId },
+      select: recurringSelect
+    });
+
+    if (!recurring || recurring.status !== 'ACTIVE') {
+      return null;
+    }
+
+    const index = recurring.occurrenceCount;
+    const occurrenceDate = getNextOccurrence(recurring, index);
+
+    if (!occurrenceDate || occurrenceDate > now) {
+      // Keep nextOccurrence and status in step with the schedule
+      await tx.recurringTransaction.update({
+        where: { id: recurring.id },
+        data: occurrenceDate
+          ? { nextOccurrence: occurrenceDate }
+          : { nextOccurrence: null, status: 'ENDED' }
+      });
+      return null;
+    }
+
+    const nextOccurrence = getNextOccurrence(recurring, index + 1);
+    const claimed = await tx.recurringTransaction.updateMany({
+      where: { id: recurring.id, occurrenceCount: index },
+      data: {
+        occurrenceCount: index + 1,
+        nextOccurrence,
+        lastError: null,
+        ...(!nextOccurrence && { status: 'ENDED' })
+      }
+    });
+
+    if (claimed.count === 0) {
+      // Another run processed this occurrence
+      return null;
+    }
+
+    const key = {
+      recurringTransactionId_occurrenceDate: {
+        recurringTransactionId: recurring.id,
+        occurrenceDate
+      }
+    };
+    const exception = await tx.recurringOccurrence.findUnique({ where: key });
+
+    if (exception?.status === 'SKIPPED') {
+      return 'SKIPPED';
+    }
+
+    const { transaction } = await insertTransaction(recurring.userId, {
+      investmentId: recurring.investmentId,
+      type: recurring.type,
+      amount: money(exception?.amount ?? recurring.amount),
+      transactionDate: occurrenceDate,
+      description: exception?.description ?? recurring.description ?? `Recurring ${recurring.type.toLowerCase()}`
+    }, context, tx);
+
+    await tx.recurringOccurrence.upsert({
+      where: key,
+      create: {
+        recurringTransactionId: recurring.id,
+        occurrenceDate,
+        status: 'POSTED',
+        transactionId: transaction.id
+      },
+      update: { status: 'POSTED', transactionId: transaction.id }
+    });
+
+    return 'POSTED';
+  });
+}
+
+/**
+ * Post every due occurrence of a recurring transaction
+ * Stops at the first occurrence that fails (for example a withdrawal larger
+ * than the balance, or a date in a closed period) and keeps it due, so it is
+ * retried on the next run; skip the occurrence to move past it.
+ * @param {string} recurringId - Recurring transaction ID
+ * @param {Object} options - Options
+ * @param {Date} options.now - Post occurrences dated on or before this time
+ * @param {Object} context - Audit context
+ * @returns {Object} Counts of posted and skipped occurrences and the error, if any
+ */
+async function materializeRecurringTransaction(recurringId, options = {}, context = {}) {
+  const { now = new Date() } = options;
+  const result = { posted: 0, skipped: 0, error: null };
+
+  try {
+    for (;;) {
+      const outcome = await materializeNextOccurrence(recurringId, now, context);
+      if (!outcome) {
+        break;
+      }
+      result[outcome === 'POSTED' ? 'posted' : 'skipped'] += 1;
+    }
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      console.error('Recurring transaction error:', error);
+    }
+
+    result.error = error.message;
+    await prisma.recurringTransaction.update({
+      where: { id: recurringId },
+      data: { lastError: error.message }
+    }).catch(err => console.error('[RecurringJob] Failed to record error:', err));
+  }
+
+  return result;
+}
+
+module.exports = {
+  createRecurringTransaction,
+  getRecurringTransactions,
+  getRecurringTransactionById,
+  updateRecurringTransaction,
+  deleteRecurringTransaction,
+  setOccurrence,
+  clearOccurrence,
+  materializeRecurringTransaction
+};
@@ -1,40 +1,334 @@
 const { prisma } = require('../config/database');
 const { AppError } = require('../middleware/errorHandler');
-const { calculatePortfolioMetrics, calculateReturnPercentage, calculateYearsBetween } = require('../utils/calculations');
+const { calculateYearsBetween } = require('../utils/calculations');
 const { DEFAULT_BASE, normalizeCurrency, convertAmount, getRatesAt } = require('../utils/currency');
+const { investmentAccessWhere, transactionAccessWhere } = require('../utils/access');
+const { Decimal, money, roundMoney, toNumber } = require('../utils/money');
+const { DAY_MS } = require('../utils/dates');
+const { resolveReportPeriod, periodWhere, formatReportPeriod } = require('../utils/reportPeriod');
+const {
+  excludeReversedWhere,
+  getBalanceImpact,
+  summarizeReturns,
+  formatReturns,
+  GROSS_RETURN_TYPES,
+  withBalanceAdjustments
+} = require('./transactionService');
+const { getBalanceAdjustments } = require('./ledgerService');
+
+const TOTAL_FIELDS = ['principal', 'currentValue', 'grossReturns', 'fees', 'taxes', 'netReturns'];
+
+const ledgerSelect = {
+  id: true,
+  investmentId: true,
+  type: true,
+  amount: true,
+  transactionDate: true,
+  createdAt: true,
+  reversalOf: { select: { type: true } }
+};
+
+/**
+ * Resolve the period of a report
+ * @param {Object} options - period (preset), from, to
+ * @returns {Object} Period (see utils/reportPeriod)
+ * @throws {AppError} If the period ends before it starts
+ */
+function getReportPeriod(options = {}) {
+  const period = resolveReportPeriod(options);
+
+  if (period.from && period.to < period.from) {
+    throw new AppError(
+      'Report period ends before it starts',
+      400,
+      'INVALID_PERIOD'
+    );
+  }
+
+  return period;
+}
+
+/**
+ * Transaction history of investments up to a period end
+ * Manual balance adjustments from the journal are merged in as ADJUSTMENT
+ * rows, so the history explains the balance.
+ * @param {Array<string>} investmentIds - Investment IDs
+ * @param {Object} period - end (exclusive)
+ * @param {Object} select - Transaction fields (needs investmentId, transactionDate, createdAt and id)
+ * @returns {Map} Investment ID -> rows in posting order
+ */
+async function getLedgerHistory(investmentIds, period, select = ledgerSelect) {
+  const byInvestment = new Map(investmentIds.map(id => [id, []]));
+  if (investmentIds.length === 0) {
+    return byInvestment;
+  }
+
+  const [transactions, adjustments] = await Promise.all([
+    prisma.transaction.findMany({
+      where: {
+        investmentId: { in: investmentIds },
+        transactionDate: { lt: period.end }
+      },
+      orderBy: [{ transactionDate: 'asc' }, { createdAt: 'asc' }, { id: 'asc' }],
+      select
+    }),
+    getBalanceAdjustments(investmentIds, prisma, { before: period.end })
+  ]);
+
+  withBalanceAdjustments(transactions, adjustments)
+    .forEach(row => byInvestment.get(row.investmentId).push(row));
+
+  return byInvestment;
+}
+
+/**
+ * Walk an investment's transaction history over a period
+ * The opening balance is the initial amount (if the investment started
+ * before the period) plus every earlier transaction; transactions in the
+ * period are grouped by kind, reversals counting against the kind they
+ * cancel, so closing = opening + sum of flows. Manual balance adjustments
+ * are valuation changes and count towards net returns.
+ * @param {Object} investment - Investment with initialAmount and startDate
+ * @param {Array} transactions - Its history before period end, in posting order (see getLedgerHistory)
+ * @param {Object} period - from (null for inception) and end
+ * @returns {Object} opening, closing, flows, netReturns, capital, returnOnCapital and rows with running balance
+ */
+function buildLedger(investment, transactions, period) {
+  const startedBefore = Boolean(period.from) && investment.startDate < period.from;
+  const flows = {
+    initialAmount: startedBefore ? money(0) : money(investment.initialAmount),
+    deposits: money(0),
+    withdrawals: money(0),
+    transfersIn: money(0),
+    transfersOut: money(0),
+    grossReturns: money(0),
+    adjustments: money(0),
+    fees: money(0),
+    taxes: money(0)
+  };
+
+  let opening = startedBefore ? money(investment.initialAmount) : money(0);
+  let running = opening.plus(flows.initialAmount);
+  const rows = [];
+
+  for (const transaction of transactions) {
+    const impact = getBalanceImpact(transaction.type, transaction.amount);
+
+    if (period.from && transaction.transactionDate < period.from) {
+      opening = opening.plus(impact);
+      running = running.plus(impact);
+      continue;
+    }
+
+    running = running.plus(impact);
+    rows.push({ ...transaction, impact, balance: running });
+
+    const kind = transaction.type === 'REVERSAL' ? transaction.reversalOf?.type : transaction.type;
+    if (kind === 'DEPOSIT') {
+      flows.deposits = flows.deposits.plus(impact);
+    } else if (kind === 'WITHDRAWAL') {
+      flows.withdrawals = flows.withdrawals.plus(impact);
+    } else if (kind === 'TRANSFER') {
+      // A reversed transfer counts against the direction of the original leg
+      const original = transaction.type === 'REVERSAL' ? impact.neg() : impact;
+      const field = original.gte(0) ? 'transfersIn' : 'transfersOut';
+      flows[field] = flows[field].plus(impact);
+    } else if (GROSS_RETURN_TYPES.includes(kind)) {
+      flows.grossReturns = flows.grossReturns.plus(impact);
+    } else if (kind === 'FEE') {
+      flows.fees = flows.fees.plus(impact);
+    } else if (kind === 'TAX_WITHHELD') {
+      flows.taxes = flows.taxes.plus(impact);
+    } else if (kind === 'ADJUSTMENT') {
+      flows.adjustments = flows.adjustments.plus(impact);
+    }
+  }
+
+  const netReturns = flows.grossReturns.plus(flows.adjustments).plus(flows.fees).plus(flows.taxes);
+  // Money at work in the period: what it opened with plus what was added
+  const capital = opening.plus(flows.initialAmount).plus(flows.deposits).plus(flows.transfersIn);
+
+  return {
+    opening,
+    closing: running,
+    flows,
+    netReturns,
+    capital,
+    returnOnCapital: capital.gt(0) ? netReturns.div(capital).times(100).toDecimalPlaces(2) : null,
+    rows
+  };
+}
+
+/**
+ * Balances and returns of investments over a report period
+ * Everything comes from the transaction history up to the period end, not
+ * from currentBalance, so a past period shows the figures as they stood.
+ * Principal is the capital at work (opening balance plus money added);
+ * withdrawals and transfers out are not counted as losses.
+ * @param {Array} investments - Investments with id, currency, initialAmount and startDate
+ * @param {Object} period - Result of getReportPeriod
+ * @returns {Array} { investment, ledger, principal, currentValue, returns } with Decimal amounts
+ */
+async function getPositions(investments, period) {
+  const byInvestment = await getLedgerHistory(investments.map(investment => investment.id), period);
+
+  return investments.map((investment) => {
+    const ledger = buildLedger(investment, byInvestment.get(investment.id), period);
+
+    return {
+      investment,
+      ledger,
+      principal: ledger.capital,
+      currentValue: ledger.closing,
+      returns: {
+        // Manual balance adjustments are valuation changes
+        grossReturns: ledger.flows.grossReturns.plus(ledger.flows.adjustments),
+        fees: ledger.flows.fees.neg(),
+        taxes: ledger.flows.taxes.neg(),
+        netReturns: ledger.netReturns
+      }
+    };
+  });
+}
+
+/**
+ * Add up positions, as stored or converted to a base currency
+ * Positions whose currency has no rate are left out of converted totals.
+ * @param {Array} positions - Result of getPositions
+ * @param {string} baseCurrency - Convert to this currency (default: add up as stored)
+ * @returns {Object} principal, currentValue, grossReturns, fees, taxes and netReturns as Decimals
+ */
+function sumPositions(positions, baseCurrency = null) {
+  const totals = Object.fromEntries(TOTAL_FIELDS.map(field => [field, money(0)]));
+
+  for (const { investment, principal, currentValue, returns } of positions) {
+    const values = { principal, currentValue, ...returns };
+    const currency = investment.currency || baseCurrency;
+
+    TOTAL_FIELDS.forEach((field) => {
+      const value = baseCurrency ? money(convertAmount(values[field], currency, baseCurrency)) : values[field];
+      totals[field] = totals[field].plus(value);
+    });
+  }
+
+  if (!baseCurrency) {
+    return totals;
+  }
+
+  TOTAL_FIELDS.forEach((field) => {
+    totals[field] = roundMoney(totals[field], baseCurrency);
+  });
+  // Rounded separately, so keep net = gross - fees - taxes exact
+  totals.netReturns = totals.grossReturns.minus(totals.fees).minus(totals.taxes);
+
+  return totals;
+}
+
+/**
+ * Group positions by a key
+ * @param {Array} positions - Result of getPositions
+ * @param {Function} keyOf - Position -> group key
+ * @returns {Map} Key -> positions, in first-seen order
+ */
+function groupPositions(positions, keyOf) {
+  return positions.reduce((groups, position) => {
+    const key = keyOf(position);
+    return groups.set(key, [...(groups.get(key) || []), position]);
+  }, new Map());
+}
+
+/**
+ * Years an investment was held during a period
+ * @param {Object} investment - Investment with startDate
+ * @param {Object} period - Result of getReportPeriod
+ * @returns {number} Years from the later of period start and investment start to period end
+ */
+function yearsHeld(investment, period) {
+  const start = period.from && period.from > investment.startDate ? period.from : investment.startDate;
+  return calculateYearsBetween(start, period.end);
+}
+
+/**
+ * Share of a part in a whole, in percent
+ * @param {Decimal} part - Part
+ * @param {Decimal} whole - Whole
+ * @returns {number} Percentage (0 when the whole is not positive)
+ */
+function percentageOf(part, whole) {
+  return whole.gt(0) ? toNumber(part.div(whole).times(100).toDecimalPlaces(4)) : 0;
+}
+
+/**
+ * Annualized return in percent
+ * @param {Decimal} principal - Initial amount
+ * @param {Decimal} current - Current amount
+ * @param {number} years - Age in years
+ * @returns {number} Annualized return (0 when it is undefined)
+ */
+function annualizedPercentage(principal, current, years) {
+  if (years <= 0 || principal.lte(0) || current.lte(0)) {
+    return 0;
+  }
+
+  return toNumber(current.div(principal).pow(new Decimal(1).div(years)).minus(1).times(100).toDecimalPlaces(4));
+}
+
+/**
+ * Returns of one position for a response
+ * @param {Object} position - Result of getPositions
+ * @param {Object} period - Result of getReportPeriod
+ * @returns {Object} Balance, principal and return figures as numbers
+ */
+function formatPosition(position, period) {
+  const { investment, principal, currentValue, returns } = position;
+
+  return {
+    currentBalance: toNumber(currentValue),
+    principal: toNumber(principal),
+    absoluteReturn: toNumber(returns.netReturns),
+    ...formatReturns(returns),
+    returnPercentage: percentageOf(returns.netReturns, principal),
+    annualizedReturn: annualizedPercentage(principal, principal.plus(returns.netReturns), yearsHeld(investment, period))
+  };
+}
 
 /**
  * Get comprehensive dashboard data for user
  * @param {string} userId - User ID
- * @returns {Object} Dashboard data with all key metrics
- * @throws {AppError} If calculation fails
+ * @param {Object} options - period (preset) or from/to, baseCurrency
+ * @returns {Object} Dashboard data with all key metrics, as of the period end
+ * @throws {AppError} If the period is invalid or calculation fails
  */
 async function getDashboardData(userId, options = {}) {
   try {
-    // Get total investments count
-    const totalInvestments = await prisma.investment.count({
-      where: { userId }
-    });
+    const period = getReportPeriod(options);
+    const baseCurrency = normalizeCurrency(options.baseCurrency || DEFAULT_BASE);
+    const ratesAt = getRatesAt();
 
-    // Get investment status breakdown
-    const statusBreakdown = await prisma.investment.groupBy({
-      by: ['status'],
-      where: { userId },
-      _sum: {
-        initialAmount: true,
-        currentBalance: true
+    // Investments held by the end of the period
+    const investments = await prisma.investment.findMany({
+      where: {
+        ...investmentAccessWhere(userId),
+        startDate: { lt: period.end }
       },
-      _count: {
-        _all: true
+      select: {
+        id: true,
+        name: true,
+        category: true,
+        currency: true,
+        initialAmount: true,
+        returnType: true,
+        status: true,
+        startDate: true
       }
     });
+    const positions = await getPositions(investments, period);
 
-    // Get recent transactions (last 10)
+    // Get recent transactions in the period (last 10)
     const recentTransactions = await prisma.transaction.findMany({
       where: {
-        investment: {
-          userId
-        }
+        ...transactionAccessWhere(userId),
+        transactionDate: periodWhere(period)
       },
       orderBy: {
         transactionDate: 'desc'
@@ -53,17 +347,15 @@ async function getDashboardData(userId, options = {}) {
       }
     });
 
-    // Get transaction summary for the last 30 days
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    // Get transaction summary for the last 30 days of the period
+    const thirtyDaysBefore = new Date(period.end.getTime() - 30 * DAY_MS);
 
     const recentTransactionSummary = await prisma.transaction.aggregate({
       where: {
-        investment: {
-          userId
-        },
+        ...transactionAccessWhere(userId),
         transactionDate: {
-          gte: thirtyDaysAgo
+          gte: thirtyDaysBefore,
+          lt: period.end
         }
       },
       _sum: {
@@ -74,37 +366,10 @@ async function getDashboardData(userId, options = {}) {
       }
     });
 
-    // Get top performing investments
-    const allInvestments = await prisma.investment.findMany({
-      where: { userId },
-      select: {
-        id: true,
-        name: true,
-        initialAmount: true,
-        currentBalance: true,
-        returnType: true,
-        status: true,
-        startDate: true
-      }
-    });
-
-    const investmentsWithReturns = allInvestments.map(investment => {
-      const returnPercentage = investment.initialAmount > 0 
-        ? ((investment.currentBalance - investment.initialAmount) / investment.initialAmount) * 100 
-        : 0;
-
-      const investmentAge = calculateYearsBetween(investment.startDate, new Date());
-      const annualizedReturn = investmentAge > 0 
-        ? (Math.pow(investment.currentBalance / investment.initialAmount, 1 / investmentAge) - 1) * 100
-        : 0;
-
-      return {
-        ...investment,
-        absoluteReturn: investment.currentBalance - investment.initialAmount,
-        returnPercentage,
-        annualizedReturn
-      };
-    });
+    const investmentsWithReturns = positions.map(position => ({
+      ...position.investment,
+      ...formatPosition(position, period)
+    }));
 
     // Sort by return percentage for top performers
     const topPerformers = investmentsWithReturns
@@ -113,38 +378,22 @@ async function getDashboardData(userId, options = {}) {
       .slice(0, 5);
 
     // Base-currency totals
-    const baseCurrency = normalizeCurrency(options.baseCurrency || DEFAULT_BASE);
-    const ratesAt = getRatesAt();
-    const investmentsForBase = await prisma.investment.findMany({
-      where: { userId },
-      select: { initialAmount: true, currentBalance: true, currency: true, category: true }
-    });
-    let totalPrincipalBase = 0;
-    let totalCurrentValueBase = 0;
-    for (const inv of investmentsForBase) {
-      const p = convertAmount(parseFloat(inv.initialAmount), inv.currency, baseCurrency);
-      const c = convertAmount(parseFloat(inv.currentBalance), inv.currency, baseCurrency);
-      totalPrincipalBase += p || 0;
-      totalCurrentValueBase += c || 0;
-    }
-    const totalReturnsBase = totalCurrentValueBase - totalPrincipalBase;
+    const baseTotals = sumPositions(positions, baseCurrency);
 
     // Asset allocation by category (percentages, using base-currency values)
     const categorySumsBase = new Map();
-    for (const inv of investmentsForBase) {
-      const cat = inv.category || 'UNCATEGORIZED';
-      const valBase = convertAmount(parseFloat(inv.currentBalance), inv.currency, baseCurrency) || 0;
-      categorySumsBase.set(cat, (categorySumsBase.get(cat) || 0) + valBase);
-    }
-    const totalAllocationBase = Array.from(categorySumsBase.values()).reduce((sum, v) => sum + v, 0);
+    groupPositions(positions, ({ investment }) => investment.category || 'UNCATEGORIZED').forEach((group, cat) => {
+      categorySumsBase.set(cat, sumPositions(group, baseCurrency).currentValue);
+    });
+    const totalAllocationBase = Array.from(categorySumsBase.values()).reduce((sum, v) => sum.plus(v), money(0));
     const assetAllocation = {};
-    if (totalAllocationBase > 0) {
+    if (totalAllocationBase.gt(0)) {
       // Build entries with exact percentages and fractional parts
       const entries = Array.from(categorySumsBase.entries()).map(([cat, val]) => {
-        const exact = (val / totalAllocationBase) * 100;
-        const base = Math.floor(exact);
-        const frac = exact - base;
-        return { cat, base, frac };
+        const exact = val.div(totalAllocationBase).times(100);
+        const base = exact.floor();
+        const frac = toNumber(exact.minus(base));
+        return { cat, base: toNumber(base), frac };
       });
 
       // Distribute remainder to ensure sum exactly 100
@@ -155,7 +404,7 @@ async function getDashboardData(userId, options = {}) {
         entries.sort((a, b) => b.frac - a.frac);
         for (let i = 0; i < remainder && i < entries.length; i++) entries[i].base += 1;
       } else if (remainder < 0) {
-        // Remove 1 from categories with smallest fractional parts (handle float errors)
+        // Remove 1 from categories with smallest fractional parts (negative allocations)
         entries.sort((a, b) => a.frac - b.frac);
         for (let i = 0; i < -remainder && i < entries.length; i++) {
           if (entries[i].base > 0) entries[i].base -= 1;
@@ -167,46 +416,50 @@ async function getDashboardData(userId, options = {}) {
     }
 
     // Per-currency totals
-    const currencyBreakdownRaw = await prisma.investment.groupBy({
-      by: ['currency'],
-      where: { userId },
-      _sum: {
-        initialAmount: true,
-        currentBalance: true
-      },
-      _count: { _all: true }
-    });
-
-    const totalsByCurrency = currencyBreakdownRaw.map(row => ({
-      currency: row.currency,
-      totalPrincipal: row._sum.initialAmount || 0,
-      totalCurrentValue: row._sum.currentBalance || 0,
-      totalReturns: (row._sum.currentBalance || 0) - (row._sum.initialAmount || 0),
-      count: row._count._all || 0
-    }));
+    const totalsByCurrency = Array.from(
+      groupPositions(positions, ({ investment }) => investment.currency),
+      ([currency, group]) => {
+        const totals = sumPositions(group);
+
+        return {
+          currency,
+          totalPrincipal: toNumber(totals.principal),
+          totalCurrentValue: toNumber(totals.currentValue),
+          totalReturns: toNumber(totals.netReturns),
+          ...formatReturns(totals),
+          count: group.length
+        };
+      }
+    );
 
-    // Format status breakdown
-    const formattedStatusBreakdown = statusBreakdown.reduce((acc, item) => {
-      acc[item.status.toLowerCase()] = {
-        count: item._count._all || 0,
-        principal: item._sum.initialAmount || 0,
-        currentValue: item._sum.currentBalance || 0,
-        returns: (item._sum.currentBalance || 0) - (item._sum.initialAmount || 0)
+    // Status breakdown
+    const emptyStatus = { count: 0, principal: 0, currentValue: 0, returns: 0, grossReturns: 0, fees: 0, taxes: 0, netReturns: 0 };
+    const formattedStatusBreakdown = {
+      active: { ...emptyStatus },
+      completed: { ...emptyStatus },
+      cancelled: { ...emptyStatus }
+    };
+    groupPositions(positions, ({ investment }) => investment.status).forEach((group, status) => {
+      const totals = sumPositions(group);
+
+      formattedStatusBreakdown[status.toLowerCase()] = {
+        count: group.length,
+        principal: toNumber(totals.principal),
+        currentValue: toNumber(totals.currentValue),
+        returns: toNumber(totals.netReturns),
+        ...formatReturns(totals)
       };
-      return acc;
-    }, {
-      active: { count: 0, principal: 0, currentValue: 0, returns: 0 },
-      completed: { count: 0, principal: 0, currentValue: 0, returns: 0 },
-      cancelled: { count: 0, principal: 0, currentValue: 0, returns: 0 }
     });
 
     return {
+      period: formatReportPeriod(period),
       portfolio: {
-        totalInvestments: totalInvestments || 0,
+        totalInvestments: positions.length,
         ratesAt,
-        totalPrincipalBase,
-        totalCurrentValueBase,
-        totalReturnsBase
+        totalPrincipalBase: toNumber(baseTotals.principal),
+        totalCurrentValueBase: toNumber(baseTotals.currentValue),
+        totalReturnsBase: toNumber(baseTotals.netReturns),
+        returnsBase: formatReturns(baseTotals)
       },
       statusBreakdown: formattedStatusBreakdown,
       assetAllocation,
@@ -215,13 +468,17 @@ async function getDashboardData(userId, options = {}) {
         transactions: recentTransactions,
         last30Days: {
           transactionCount: recentTransactionSummary._count._all || 0,
-          totalAmount: recentTransactionSummary._sum.amount || 0
+          totalAmount: toNumber(recentTransactionSummary._sum.amount)
         }
       },
       topPerformers,
       generatedAt: new Date().toISOString()
     };
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
     console.error('Get dashboard data error:', error);
     throw new AppError(
       error.message,
@@ -234,42 +491,46 @@ async function getDashboardData(userId, options = {}) {
 /**
  * Get detailed portfolio summary with performance metrics
  * @param {string} userId - User ID
- * @returns {Object} Portfolio summary with detailed metrics
- * @throws {AppError} If calculation fails
+ * @param {Object} options - period (preset) or from/to, baseCurrency
+ * @returns {Object} Portfolio summary with detailed metrics, as of the period end
+ * @throws {AppError} If the period is invalid or calculation fails
  */
 async function getPortfolioSummary(userId, options = {}) {
   try {
-    // Get all user investments with transaction counts
+    const period = getReportPeriod(options);
+
     const investments = await prisma.investment.findMany({
-      where: { userId },
+      where: {
+        ...investmentAccessWhere(userId),
+        startDate: { lt: period.end }
+      },
       select: {
         id: true,
         name: true,
         category: true,
         currency: true,
         initialAmount: true,
-        currentBalance: true,
         returnType: true,
         interestRate: true,
         status: true,
         startDate: true,
         endDate: true,
-        createdAt: true,
-        _count: {
-          select: {
-            transactions: true
-          }
-        }
+        createdAt: true
       }
     });
 
     if (investments.length === 0) {
       return {
+        period: formatReportPeriod(period),
         summary: {
           totalInvestments: 0,
           totalPrincipal: 0,
           totalCurrentValue: 0,
           totalReturns: 0,
+          grossReturns: 0,
+          fees: 0,
+          taxes: 0,
+          netReturns: 0,
           returnPercentage: 0,
           averageReturn: 0
         },
@@ -284,102 +545,79 @@ async function getPortfolioSummary(userId, options = {}) {
       };
     }
 
-    // Calculate portfolio metrics using utility function
-    const portfolioMetrics = calculatePortfolioMetrics(investments);
+    const positions = await getPositions(investments, period);
+    const totals = sumPositions(positions);
 
     // Calculate category breakdown
-    const categoryMap = new Map();
-    investments.forEach(investment => {
-      const category = investment.category;
-      if (!categoryMap.has(category)) {
-        categoryMap.set(category, {
+    const categoryBreakdown = Array.from(
+      groupPositions(positions, ({ investment }) => investment.category),
+      ([category, group]) => {
+        const categoryTotals = sumPositions(group);
+
+        return {
           category,
-          count: 0,
-          principal: 0,
-          currentValue: 0,
-          returns: 0
-        });
+          count: group.length,
+          principal: toNumber(categoryTotals.principal),
+          currentValue: toNumber(categoryTotals.currentValue),
+          returns: toNumber(categoryTotals.netReturns),
+          ...formatReturns(categoryTotals),
+          returnPercentage: percentageOf(categoryTotals.netReturns, categoryTotals.principal)
+        };
       }
-      const categoryData = categoryMap.get(category);
-      categoryData.count += 1;
-      categoryData.principal += parseFloat(investment.initialAmount);
-      categoryData.currentValue += parseFloat(investment.currentBalance);
-      categoryData.returns += parseFloat(investment.currentBalance) - parseFloat(investment.initialAmount);
-    });
+    );
 
-    const categoryBreakdown = Array.from(categoryMap.values()).map(category => ({
-      ...category,
-      returnPercentage: category.principal > 0 ? (category.returns / category.principal) * 100 : 0
+    // Enrich investments with calculated metrics (age as of the period end)
+    const enrichedInvestments = positions.map(position => ({
+      ...position.investment,
+      initialAmount: toNumber(position.investment.initialAmount),
+      ...formatPosition(position, period),
+      age: calculateYearsBetween(position.investment.startDate, period.end),
+      transactionCount: position.ledger.rows.filter(row => row.type !== 'ADJUSTMENT').length
     }));
 
     // Calculate additional performance metrics
-    const totalTransactions = investments.reduce((sum, inv) => sum + inv._count.transactions, 0);
-    
-    const averageAge = investments.length > 0 
-      ? investments.reduce((sum, inv) => {
-          return sum + calculateYearsBetween(inv.startDate, new Date());
-        }, 0) / investments.length 
-      : 0;
-
-    // Enrich investments with calculated metrics
-    const enrichedInvestments = investments.map(investment => {
-      const returnCalc = calculateReturnPercentage(
-        parseFloat(investment.initialAmount),
-        parseFloat(investment.currentBalance)
-      );
-      
-      const age = calculateYearsBetween(investment.startDate, new Date());
-      const annualizedReturn = age > 0 
-        ? (Math.pow(parseFloat(investment.currentBalance) / parseFloat(investment.initialAmount), 1 / age) - 1) * 100
-        : 0;
+    const totalTransactions = enrichedInvestments.reduce((sum, inv) => sum + inv.transactionCount, 0);
+    const averageAge = enrichedInvestments.reduce((sum, inv) => sum + inv.age, 0) / enrichedInvestments.length;
 
-      return {
-        ...investment,
-        initialAmount: parseFloat(investment.initialAmount),
-        currentBalance: parseFloat(investment.currentBalance),
-        absoluteReturn: returnCalc.absoluteReturn,
-        returnPercentage: returnCalc.returnPercentage,
-        annualizedReturn,
-        age,
-        transactionCount: investment._count.transactions
-      };
-    });
+    const ranked = enrichedInvestments
+      .filter(inv => inv.principal > 0)
+      .sort((a, b) => b.returnPercentage - a.returnPercentage);
 
     // Base-currency totals
     const baseCurrency = normalizeCurrency(options.baseCurrency || DEFAULT_BASE);
     const ratesAt = getRatesAt();
-    let totalPrincipalBase = 0;
-    let totalCurrentValueBase = 0;
-    for (const inv of investments) {
-      const p = convertAmount(parseFloat(inv.initialAmount), inv.currency || baseCurrency, baseCurrency);
-      const c = convertAmount(parseFloat(inv.currentBalance), inv.currency || baseCurrency, baseCurrency);
-      totalPrincipalBase += p || 0;
-      totalCurrentValueBase += c || 0;
-    }
+    const baseTotals = sumPositions(positions, baseCurrency);
 
     return {
+      period: formatReportPeriod(period),
       summary: {
-        totalInvestments: portfolioMetrics.numberOfInvestments,
-        totalPrincipal: portfolioMetrics.totalPrincipal,
-        totalCurrentValue: portfolioMetrics.totalCurrentValue,
-        totalReturns: portfolioMetrics.totalReturns,
-        returnPercentage: portfolioMetrics.returnPercentage,
-        averageReturn: portfolioMetrics.averageReturn,
+        totalInvestments: positions.length,
+        totalPrincipal: toNumber(totals.principal),
+        totalCurrentValue: toNumber(totals.currentValue),
+        totalReturns: toNumber(totals.netReturns),
+        ...formatReturns(totals),
+        returnPercentage: percentageOf(totals.netReturns, totals.principal),
+        averageReturn: toNumber(totals.netReturns.div(positions.length).toDecimalPlaces(2)),
         ratesAt,
-        totalPrincipalBase,
-        totalCurrentValueBase,
-        totalReturnsBase: totalCurrentValueBase - totalPrincipalBase
+        totalPrincipalBase: toNumber(baseTotals.principal),
+        totalCurrentValueBase: toNumber(baseTotals.currentValue),
+        totalReturnsBase: toNumber(baseTotals.netReturns),
+        returnsBase: formatReturns(baseTotals)
       },
       categoryBreakdown,
       performanceMetrics: {
-        bestPerforming: portfolioMetrics.bestPerforming,
-        worstPerforming: portfolioMetrics.worstPerforming,
+        bestPerforming: ranked[0] || null,
+        worstPerforming: ranked[ranked.length - 1] || null,
         averageAge,
         totalTransactions
       },
       investments: enrichedInvestments
     };
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
     console.error('Get portfolio summary error:', error);
     throw new AppError(
       'Failed to generate portfolio summary',
@@ -391,28 +629,31 @@ async function getPortfolioSummary(userId, options = {}) {
 
 /**
  * Get investment performance trends over time
+ * Without a period preset or from date, the last `months` months (default
+ * 12) up to `to` are covered.
  * @param {string} userId - User ID
- * @param {Object} options - Options for trend analysis
- * @returns {Object} Performance trends data
- * @throws {AppError} If calculation fails
+ * @param {Object} options - period (preset) or from/to, months, investmentId, includeReversed
+ * @returns {Object} Performance trends data, one entry per calendar month
+ * @throws {AppError} If the period is invalid or calculation fails
  */
 async function getPerformanceTrends(userId, options = {}) {
   try {
-    const { months = 12, investmentId = null } = options;
-    
-    // Calculate start date
-    const startDate = new Date();
-    startDate.setMonth(startDate.getMonth() - months);
-    startDate.setDate(1);
+    const { months = 12, investmentId = null, includeReversed = false } = options;
+
+    let period = getReportPeriod(options);
+    if (!options.period && !options.from) {
+      const to = period.to;
+      period = getReportPeriod({
+        from: new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth() - months + 1, 1)),
+        to
+      });
+    }
 
     // Build where clause
     const where = {
-      investment: {
-        userId
-      },
-      transactionDate: {
-        gte: startDate
-      }
+      ...transactionAccessWhere(userId),
+      ...(!includeReversed && excludeReversedWhere()),
+      transactionDate: periodWhere(period)
     };
 
     if (investmentId) {
@@ -438,82 +679,118 @@ async function getPerformanceTrends(userId, options = {}) {
       }
     });
 
-    // Group by month
+    // Group by month (amounts summed as Decimals)
+    const amountFields = [
+      'totalReturn',
+      'totalWithdrawal',
+      'totalDeposit',
+      'totalDividend',
+      'totalInterestAccrual',
+      'totalFee',
+      'totalTax',
+      'totalTransfer',
+      'grossReturn',
+      'netReturn',
+      'netFlow'
+    ];
     const monthlyData = new Map();
     
     transactions.forEach(transaction => {
       const monthKey = transaction.transactionDate.toISOString().substring(0, 7); // YYYY-MM
+      const amount = money(transaction.amount);
       
       if (!monthlyData.has(monthKey)) {
         monthlyData.set(monthKey, {
           month: monthKey,
-          totalReturn: 0,
-          totalWithdrawal: 0,
-          totalDeposit: 0,
-          totalDividend: 0,
-          netFlow: 0,
+          ...amountFields.reduce((acc, field) => ({ ...acc, [field]: money(0) }), {}),
           transactionCount: 0
         });
       }
       
       const monthData = monthlyData.get(monthKey);
       monthData.transactionCount += 1;
+      // REVERSAL rows carry the signed amount that cancels the reversed transaction
+      monthData.netFlow = monthData.netFlow.plus(getBalanceImpact(transaction.type, amount));
       
       switch (transaction.type) {
         case 'RETURN':
-          monthData.totalReturn += transaction.amount;
-          monthData.netFlow += transaction.amount;
+          monthData.totalReturn = monthData.totalReturn.plus(amount);
           break;
         case 'WITHDRAWAL':
-          monthData.totalWithdrawal += Math.abs(transaction.amount);
-          monthData.netFlow -= Math.abs(transaction.amount);
+          monthData.totalWithdrawal = monthData.totalWithdrawal.plus(amount.abs());
           break;
         case 'DEPOSIT':
-          monthData.totalDeposit += transaction.amount;
-          monthData.netFlow += transaction.amount;
+          monthData.totalDeposit = monthData.totalDeposit.plus(amount);
           break;
         case 'DIVIDEND':
-          monthData.totalDividend += transaction.amount;
-          monthData.netFlow += transaction.amount;
+          monthData.totalDividend = monthData.totalDividend.plus(amount);
+          break;
+        case 'INTEREST_ACCRUAL':
+          monthData.totalInterestAccrual = monthData.totalInterestAccrual.plus(amount);
+          break;
+        case 'FEE':
+          monthData.totalFee = monthData.totalFee.plus(amount.abs());
+          break;
+        case 'TAX_WITHHELD':
+          monthData.totalTax = monthData.totalTax.plus(amount.abs());
+          break;
+        case 'TRANSFER':
+          monthData.totalTransfer = monthData.totalTransfer.plus(amount);
           break;
       }
+
+      const { grossReturns, netReturns } = summarizeReturns([transaction]);
+      monthData.grossReturn = monthData.grossReturn.plus(grossReturns);
+      monthData.netReturn = monthData.netReturn.plus(netReturns);
     });
 
-    // Fill in missing months with zero values
+    // Every month of the period, empty months as zeros (inception starts at the first transaction)
+    const first = period.from || (transactions.length > 0 ? transactions[0].transactionDate : period.to);
+    const startDate = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), 1));
     const trends = [];
-    for (let i = 0; i < months; i++) {
-      const date = new Date();
-      date.setMonth(date.getMonth() - months + i + 1);
+    const totals = amountFields.reduce((acc, field) => ({ ...acc, [field]: money(0) }), {});
+    for (let date = startDate; date <= period.to; date = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))) {
       const monthKey = date.toISOString().substring(0, 7);
-      
-      trends.push(monthlyData.get(monthKey) || {
-        month: monthKey,
-        totalReturn: 0,
-        totalWithdrawal: 0,
-        totalDeposit: 0,
-        totalDividend: 0,
-        netFlow: 0,
-        transactionCount: 0
+      const monthData = monthlyData.get(monthKey);
+
+      const trend = { month: monthKey, transactionCount: monthData ? monthData.transactionCount : 0 };
+      amountFields.forEach(field => {
+        const value = monthData ? monthData[field] : money(0);
+        totals[field] = totals[field].plus(value);
+        trend[field] = toNumber(value);
       });
+      
+      trends.push(trend);
     }
 
     return {
       period: {
-        months,
-        startDate: startDate.toISOString(),
-        endDate: new Date().toISOString()
+        ...formatReportPeriod(period),
+        months: trends.length,
+        startDate: (period.from || startDate).toISOString(),
+        endDate: period.end.toISOString()
       },
       trends,
       summary: {
-        totalReturn: trends.reduce((sum, month) => sum + month.totalReturn, 0),
-        totalWithdrawal: trends.reduce((sum, month) => sum + month.totalWithdrawal, 0),
-        totalDeposit: trends.reduce((sum, month) => sum + month.totalDeposit, 0),
-        totalDividend: trends.reduce((sum, month) => sum + month.totalDividend, 0),
-        netFlow: trends.reduce((sum, month) => sum + month.netFlow, 0),
+        totalReturn: toNumber(totals.totalReturn),
+        totalWithdrawal: toNumber(totals.totalWithdrawal),
+        totalDeposit: toNumber(totals.totalDeposit),
+        totalDividend: toNumber(totals.totalDividend),
+        totalInterestAccrual: toNumber(totals.totalInterestAccrual),
+        totalFee: toNumber(totals.totalFee),
+        totalTax: toNumber(totals.totalTax),
+        totalTransfer: toNumber(totals.totalTransfer),
+        grossReturn: toNumber(totals.grossReturn),
+        netReturn: toNumber(totals.netReturn),
+        netFlow: toNumber(totals.netFlow),
         totalTransactions: trends.reduce((sum, month) => sum + month.transactionCount, 0)
       }
     };
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
     console.error('Get performance trends error:', error);
     throw new AppError(
       'Failed to generate performance trends',
@@ -526,75 +803,72 @@ async function getPerformanceTrends(userId, options = {}) {
 /**
  * Get asset allocation breakdown
  * @param {string} userId - User ID
+ * @param {Object} options - period (preset) or from/to; values are as of the period end
  * @returns {Object} Asset allocation data
- * @throws {AppError} If calculation fails
+ * @throws {AppError} If the period is invalid or calculation fails
  */
-async function getAssetAllocation(userId) {
+async function getAssetAllocation(userId, options = {}) {
   try {
+    const period = getReportPeriod(options);
+
     const investments = await prisma.investment.findMany({
       where: { 
-        userId,
-        status: 'ACTIVE' // Only include active investments
+        ...investmentAccessWhere(userId),
+        status: 'ACTIVE', // Only include active investments
+        startDate: { lt: period.end }
       },
       select: {
+        id: true,
         category: true,
-        currentBalance: true,
-        returnType: true
+        currency: true,
+        initialAmount: true,
+        returnType: true,
+        startDate: true
       }
     });
 
     if (investments.length === 0) {
       return {
+        period: formatReportPeriod(period),
         totalValue: 0,
         categoryAllocation: [],
         typeAllocation: []
       };
     }
 
-    const totalValue = investments.reduce((sum, inv) => sum + parseFloat(inv.currentBalance), 0);
-
-    // Group by category
-    const categoryMap = new Map();
-    investments.forEach(investment => {
-      const category = investment.category;
-      const value = parseFloat(investment.currentBalance);
-      
-      if (!categoryMap.has(category)) {
-        categoryMap.set(category, 0);
-      }
-      categoryMap.set(category, categoryMap.get(category) + value);
-    });
+    const positions = await getPositions(investments, period);
+    const totalValue = sumPositions(positions).currentValue;
 
-    // Group by return type
-    const typeMap = new Map();
-    investments.forEach(investment => {
-      const type = investment.returnType;
-      const value = parseFloat(investment.currentBalance);
-      
-      if (!typeMap.has(type)) {
-        typeMap.set(type, 0);
-      }
-      typeMap.set(type, typeMap.get(type) + value);
-    });
+    const allocation = keyOf => Array.from(
+      groupPositions(positions, keyOf),
+      ([key, group]) => [key, sumPositions(group).currentValue]
+    );
 
-    const categoryAllocation = Array.from(categoryMap.entries()).map(([category, value]) => ({
+    // Group by category
+    const categoryAllocation = allocation(({ investment }) => investment.category).map(([category, value]) => ({
       category,
-      value,
-      percentage: totalValue > 0 ? (value / totalValue) * 100 : 0
+      value: toNumber(value),
+      percentage: percentageOf(value, totalValue)
     })).sort((a, b) => b.value - a.value);
 
-    const typeAllocation = Array.from(typeMap.entries()).map(([type, value]) => ({
+    // Group by return type
+    const typeAllocation = allocation(({ investment }) => investment.returnType).map(([type, value]) => ({
       type,
-      value,
-      percentage: totalValue > 0 ? (value / totalValue) * 100 : 0
+      value: toNumber(value),
+      percentage: percentageOf(value, totalValue)
     }));
 
     return {
-      totalValue,
+      period: formatReportPeriod(period),
+      totalValue: toNumber(totalValue),
       categoryAllocation,
       typeAllocation
     };
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
     console.error('Get asset allocation error:', error);
     throw new AppError(
       'Failed to generate asset allocation',
@@ -606,30 +880,38 @@ async function getAssetAllocation(userId) {
 
 /**
  * Generate comprehensive financial report
+ * Every section covers the same period; it is resolved once so the
+ * sections agree even when the report runs across midnight.
  * @param {string} userId - User ID
- * @param {Object} options - Report options
+ * @param {Object} options - period (preset) or from/to, baseCurrency, includeTransactions
  * @returns {Object} Comprehensive financial report
- * @throws {AppError} If generation fails
+ * @throws {AppError} If the period is invalid or generation fails
  */
 async function generateFinancialReport(userId, options = {}) {
   try {
-    const { includeTransactions = false, period = 'all' } = options;
+    const { includeTransactions = false } = options;
+    const period = getReportPeriod(options);
+    const reportOptions = {
+      period: period.preset,
+      from: period.from,
+      to: period.to,
+      baseCurrency: options.baseCurrency
+    };
     
     // Get all required data
     const [dashboardData, portfolioSummary, performanceTrends, assetAllocation] = await Promise.all([
-      getDashboardData(userId),
-      getPortfolioSummary(userId),
-      getPerformanceTrends(userId, { months: 12 }),
-      getAssetAllocation(userId)
+      getDashboardData(userId, reportOptions),
+      getPortfolioSummary(userId, reportOptions),
+      getPerformanceTrends(userId, reportOptions),
+      getAssetAllocation(userId, reportOptions)
     ]);
 
     let transactionHistory = null;
     if (includeTransactions) {
       transactionHistory = await prisma.transaction.findMany({
         where: {
-          investment: {
-            userId
-          }
+          ...transactionAccessWhere(userId),
+          transactionDate: periodWhere(period)
         },
         select: {
           id: true,
@@ -651,18 +933,24 @@ async function generateFinancialReport(userId, options = {}) {
       });
     }
 
+    const { preset, from, to } = formatReportPeriod(period);
+
     return {
       reportMetadata: {
         generatedAt: new Date().toISOString(),
-        period,
+        period: preset,
+        from,
+        to,
         includeTransactions
       },
       executiveSummary: {
         totalPortfolioValue: dashboardData.portfolio.totalCurrentValueBase,
         totalReturns: dashboardData.portfolio.totalReturnsBase,
-        returnPercentage: dashboardData.portfolio.totalPrincipalBase > 0
-          ? (dashboardData.portfolio.totalReturnsBase / dashboardData.portfolio.totalPrincipalBase) * 100
-          : 0,
+        ...dashboardData.portfolio.returnsBase,
+        returnPercentage: percentageOf(
+          money(dashboardData.portfolio.totalReturnsBase),
+          money(dashboardData.portfolio.totalPrincipalBase)
+        ),
         activeInvestments: dashboardData.statusBreakdown.active.count,
         totalInvestments: dashboardData.portfolio.totalInvestments
       },
@@ -673,6 +961,10 @@ async function generateFinancialReport(userId, options = {}) {
       ...(includeTransactions && { transactionHistory })
     };
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
     console.error('Generate financial report error:', error);
     throw new AppError(
       'Failed to generate financial report',
@@ -683,6 +975,9 @@ async function generateFinancialReport(userId, options = {}) {
 }
 
 module.exports = {
+  getReportPeriod,
+  buildLedger,
+  getLedgerHistory,
   getDashboardData,
   getPortfolioSummary,
   getPerformanceTrends,
@@ -1,6 +1,18 @@
 const { prisma } = require('../config/database');
 const { AppError } = require('../middleware/errorHandler');
 const { isValidUUID } = require('../utils/validation');
+const { investmentAccessWhere } = require('../utils/access');
+const { money, roundMoney, toNumber } = require('../utils/money');
+const { recordAuditEvent } = require('./auditService');
+const { postTransactionEntry } = require('./ledgerService');
+const {
+  recomputeRunningBalances,
+  summarizeReturns,
+  formatReturns,
+  excludeReversedWhere,
+  CHARGE_TYPES
+} = require('./transactionService');
+const { assertPeriodOpen } = require('./periodService');
 const { 
   calculateCompoundInterest, 
   calculateReturnPercentage,
@@ -14,10 +26,11 @@ const {
  * @param {string} investmentId - Investment ID
  * @param {string} userId - User ID
  * @param {Object} returnData - Return data
+ * @param {Object} context - Audit context (actor, request id, IP)
  * @returns {Object} Updated investment and transaction record
  * @throws {AppError} If investment not found or operation fails
  */
-async function addManualReturn(investmentId, userId, returnData) {
+async function addManualReturn(investmentId, userId, returnData, context = {}) {
   try {
     if (!isValidUUID(investmentId)) {
       throw new AppError(
@@ -31,15 +44,16 @@ async function addManualReturn(investmentId, userId, returnData) {
 
     // Start a transaction to ensure data consistency
     const result = await prisma.$transaction(async (tx) => {
-      // First verify the investment exists and is owned by user
+      // First verify the investment exists and the user may edit it
       const investment = await tx.investment.findFirst({
         where: {
           id: investmentId,
-          userId
+          ...investmentAccessWhere(userId, 'write')
         },
         select: {
           id: true,
           name: true,
+          currency: true,
           currentBalance: true,
           initialAmount: true,
           status: true,
@@ -64,9 +78,7 @@ async function addManualReturn(investmentId, userId, returnData) {
         );
       }
 
-      // Calculate return amount
-      let returnAmount = amount || 0;
-      let returnPercentage = percentage || null;
+      await assertPeriodOpen(investmentId, [transactionDate || new Date()], tx);
 
       if (amount && percentage) {
         throw new AppError(
@@ -84,14 +96,23 @@ async function addManualReturn(investmentId, userId, returnData) {
         );
       }
 
+      // Calculate return amount
+      const currentBalance = money(investment.currentBalance);
+      let returnAmount;
+      let returnPercentage;
+
       if (percentage) {
-        returnAmount = (investment.currentBalance * percentage) / 100;
-        returnPercentage = percentage;
+        returnAmount = roundMoney(currentBalance.times(percentage).div(100), investment.currency);
+        returnPercentage = money(percentage);
       } else {
-        returnPercentage = (returnAmount / investment.currentBalance) * 100;
+        returnAmount = roundMoney(amount, investment.currency);
+        // Stored with the 4 decimals of the percentage column
+        returnPercentage = currentBalance.gt(0)
+          ? returnAmount.div(currentBalance).times(100).toDecimalPlaces(4)
+          : null;
       }
 
-      if (returnAmount < 0 && Math.abs(returnAmount) > investment.currentBalance) {
+      if (returnAmount.lt(0) && returnAmount.abs().gt(currentBalance)) {
         throw new AppError(
           'Loss amount cannot exceed current balance',
           400,
@@ -99,8 +120,23 @@ async function addManualReturn(investmentId, userId, returnData) {
         );
       }
 
-      // Calculate new balance
-      const newBalance = investment.currentBalance + returnAmount;
+      if (CHARGE_TYPES.includes(type)) {
+        if (returnAmount.lte(0)) {
+          throw new AppError(
+            'Fee and tax amounts must be positive',
+            400,
+            'INVALID_AMOUNT'
+          );
+        }
+
+        if (returnAmount.gt(currentBalance)) {
+          throw new AppError(
+            'Fee or tax amount cannot exceed current balance',
+            400,
+            'INVALID_AMOUNT'
+          );
+        }
+      }
 
       // Create transaction record
       const transaction = await tx.transaction.create({
@@ -110,7 +146,7 @@ async function addManualReturn(investmentId, userId, returnData) {
           amount: returnAmount,
           percentage: returnPercentage,
           transactionDate: new Date(transactionDate || new Date()),
-          description: description?.trim() || `Manual ${type.toLowerCase()} of ${returnAmount >= 0 ? '+' : ''}${returnAmount}`
+          description: description?.trim() || `Manual ${type.toLowerCase()} of ${returnAmount.gte(0) ? '+' : ''}${returnAmount}`
         },
         select: {
           id: true,
@@ -123,6 +159,16 @@ async function addManualReturn(investmentId, userId, returnData) {
         }
       });
 
+      // Post to the journal and derive the new balance from it
+      const newBalance = await postTransactionEntry({
+        id: transaction.id,
+        investmentId,
+        type,
+        amount: returnAmount,
+        transactionDate: transaction.transactionDate,
+        description: transaction.description
+      }, tx);
+
       // Update investment balance
       const updatedInvestment = await tx.investment.update({
         where: { id: investmentId },
@@ -144,9 +190,29 @@ async function addManualReturn(investmentId, userId, returnData) {
         }
       });
 
+      // Sets the running balance of the return and of anything dated after it
+      const recomputation = await recomputeRunningBalances(
+        investmentId,
+        transaction.transactionDate,
+        {},
+        context,
+        tx
+      );
+
+      await recordAuditEvent({
+        action: 'TRANSACTION_CREATED',
+        entityType: 'Transaction',
+        entityId: transaction.id,
+        investmentId,
+        after: transaction,
+        balanceBefore: investment.currentBalance,
+        balanceAfter: updatedInvestment.currentBalance
+      }, context, tx);
+
       return {
         investment: updatedInvestment,
-        transaction
+        transaction,
+        recomputation
       };
     });
 
@@ -183,11 +249,11 @@ async function getInvestmentReturns(investmentId, userId, filters = {}) {
       );
     }
 
-    // First verify the investment exists and is owned by user
+    // First verify the investment exists and the user can access it
     const investment = await prisma.investment.findFirst({
       where: {
         id: investmentId,
-        userId
+        ...investmentAccessWhere(userId)
       },
       select: { id: true }
     });
@@ -255,21 +321,31 @@ async function getInvestmentReturns(investmentId, userId, filters = {}) {
     ]);
 
     // Calculate summary statistics
-    const summary = await prisma.transaction.aggregate({
-      where: { investmentId },
-      _sum: {
-        amount: true
-      },
-      _count: {
-        _all: true
-      }
-    });
+    const [summary, byType] = await Promise.all([
+      prisma.transaction.aggregate({
+        where: { investmentId },
+        _sum: {
+          amount: true
+        },
+        _count: {
+          _all: true
+        }
+      }),
+      prisma.transaction.groupBy({
+        by: ['type'],
+        where: { investmentId, ...excludeReversedWhere() },
+        _sum: { amount: true }
+      })
+    ]);
+
+    const returns = summarizeReturns(byType.map(group => ({ type: group.type, amount: group._sum.amount })));
 
     return {
       returns: transactions,
       summary: {
         totalReturns: summary._sum.amount || 0,
-        totalTransactions: summary._count._all || 0
+        totalTransactions: summary._count._all || 0,
+        ...formatReturns(returns)
       },
       pagination: {
         total,
@@ -315,7 +391,7 @@ async function calculateProjectedReturns(investmentId, userId, projectionParams
     const investment = await prisma.investment.findFirst({
       where: {
         id: investmentId,
-        userId
+        ...investmentAccessWhere(userId)
       },
       select: {
         id: true,
@@ -416,7 +492,7 @@ async function calculateProjectedReturns(investmentId, userId, projectionParams
         balance: monthResult.futureValue,
         returns: monthResult.totalReturns,
         monthlyReturn: month === 1 ? monthResult.totalReturns : 
-          monthResult.totalReturns - (monthlyProjections[month - 2]?.returns || 0)
+          toNumber(money(monthResult.totalReturns).minus(monthlyProjections[month - 2]?.returns || 0))
       });
     }
 
@@ -484,11 +560,12 @@ async function calculateNextMonthlyReturn(investmentId, userId) {
     const investment = await prisma.investment.findFirst({
       where: {
         id: investmentId,
-        userId
+        ...investmentAccessWhere(userId)
       },
       select: {
         id: true,
         name: true,
+        currency: true,
         currentBalance: true,
         returnType: true,
         interestRate: true,
@@ -532,7 +609,8 @@ async function calculateNextMonthlyReturn(investmentId, userId) {
     const monthlyReturnCalc = calculateMonthlyReturn(
       investment.currentBalance,
       investment.interestRate,
-      true // Use compound calculation
+      true, // Use compound calculation
+      investment.currency
     );
 
     return {
@@ -563,10 +641,11 @@ async function calculateNextMonthlyReturn(investmentId, userId) {
  * Bulk add returns to multiple investments (for automation)
  * @param {Array} returnEntries - Array of return entries
  * @param {string} userId - User ID
+ * @param {Object} context - Audit context (actor, request id, IP)
  * @returns {Object} Bulk operation results
  * @throws {AppError} If operation fails
  */
-async function bulkAddReturns(returnEntries, userId) {
+async function bulkAddReturns(returnEntries, userId, context = {}) {
   try {
     if (!Array.isArray(returnEntries) || returnEntries.length === 0) {
       throw new AppError(
@@ -581,7 +660,7 @@ async function bulkAddReturns(returnEntries, userId) {
 
     for (const entry of returnEntries) {
       try {
-        const result = await addManualReturn(entry.investmentId, userId, entry.returnData);
+        const result = await addManualReturn(entry.investmentId, userId, entry.returnData, context);
         results.push({
           investmentId: entry.investmentId,
           success: true,
@@ -1,31 +1,80 @@
 const { prisma } = require('../config/database');
 const { calculateInterestNow } = require('./interestService');
 
-async function processScheduledInterestCalculations() {
+/**
+ * Run interest calculations for every investment that is due
+ * Each run is recorded in InterestJobRun so failures can be reviewed later.
+ * @param {Object} options - Run options
+ * @param {string} options.trigger - What started the run (schedule or admin)
+ * @returns {Object} Run summary with runId
+ */
+async function processScheduledInterestCalculations(options = {}) {
+  const { trigger = 'schedule' } = options;
   const now = new Date();
-  const investments = await prisma.investment.findMany({
-    where: {
-      returnType: 'FIXED',
-      autoCalculateInterest: true,
-      status: 'ACTIVE',
-      nextInterestDue: { lte: now }
-    },
-    select: { id: true, userId: true }
+
+  const run = await prisma.interestJobRun.create({
+    data: { trigger, startedAt: now },
+    select: { id: true }
   });
 
-  const results = { processed: investments.length, succeeded: 0, failed: 0, errors: [] };
+  const results = { runId: run.id, processed: 0, succeeded: 0, failed: 0, errors: [] };
+
+  try {
+    const investments = await prisma.investment.findMany({
+      where: {
+        returnType: 'FIXED',
+        autoCalculateInterest: true,
+        status: 'ACTIVE',
+        nextInterestDue: { lte: now }
+      },
+      select: { id: true, userId: true }
+    });
+
+    results.processed = investments.length;
 
-  for (const inv of investments) {
-    try {
-      await calculateInterestNow(inv.id, inv.userId);
-      results.succeeded += 1;
-    } catch (err) {
-      results.failed += 1;
-      results.errors.push({ investmentId: inv.id, error: err.message });
+    for (const inv of investments) {
+      try {
+        await calculateInterestNow(inv.id, inv.userId, { actorType: 'SYSTEM', requestId: `interest-run:${run.id}` });
+        results.succeeded += 1;
+      } catch (err) {
+        results.failed += 1;
+        results.errors.push({ investmentId: inv.id, userId: inv.userId, error: err.message });
+      }
     }
+  } catch (err) {
+    await finishRun(run.id, results, 'FAILED', err.message);
+    throw err;
   }
 
+  await finishRun(run.id, results, results.failed > 0 ? 'COMPLETED_WITH_ERRORS' : 'COMPLETED');
   return results;
 }
 
+/**
+ * Store the outcome of a job run
+ * @param {string} runId - InterestJobRun ID
+ * @param {Object} results - Run counters and errors
+ * @param {string} status - Final status
+ * @param {string} fatalError - Error that aborted the run, if any
+ */
+async function finishRun(runId, results, status, fatalError = null) {
+  try {
+    await prisma.interestJobRun.update({
+      where: { id: runId },
+      data: {
+        status,
+        finishedAt: new Date(),
+        processed: results.processed,
+        succeeded: results.succeeded,
+        failed: results.failed,
+        errors: fatalError
+          ? [...results.errors, { error: fatalError }]
+          : results.errors
+      }
+    });
+  } catch (err) {
+    console.error('[InterestJob] Failed to record run result:', err);
+  }
+}
+
 module.exports = { processScheduledInterestCalculations };
@@ -0,0 +1,91 @@
+const { prisma } = require('../config/database');
+const { materializeRecurringTransaction } = require('./recurringService');
+
+/**
+ * Post every due occurrence of active recurring transactions
+ * Each run is recorded in RecurringJobRun so failures can be reviewed later.
+ * Runs are idempotent: an occurrence is posted at most once however often
+ * the job runs.
+ * @param {Object} options - Run options
+ * @param {string} options.trigger - What started the run (schedule or admin)
+ * @returns {Object} Run summary with runId
+ */
+async function processRecurringTransactions(options = {}) {
+  const { trigger = 'schedule' } = options;
+  const now = new Date();
+
+  const run = await prisma.recurringJobRun.create({
+    data: { trigger, startedAt: now },
+    select: { id: true }
+  });
+
+  const results = { runId: run.id, processed: 0, posted: 0, skipped: 0, failed: 0, errors: [] };
+
+  try {
+    const recurringTransactions = await prisma.recurringTransaction.findMany({
+      where: {
+        status: 'ACTIVE',
+        nextOccurrence: { lte: now }
+      },
+      select: { id: true, investmentId: true, userId: true }
+    });
+
+    results.processed = recurringTransactions.length;
+
+    for (const recurring of recurringTransactions) {
+      const outcome = await materializeRecurringTransaction(
+        recurring.id,
+        { now },
+        { actorType: 'SYSTEM', requestId: `recurring-run:${run.id}` }
+      );
+
+      results.posted += outcome.posted;
+      results.skipped += outcome.skipped;
+      if (outcome.error) {
+        results.failed += 1;
+        results.errors.push({
+          recurringTransactionId: recurring.id,
+          investmentId: recurring.investmentId,
+          userId: recurring.userId,
+          error: outcome.error
+        });
+      }
+    }
+  } catch (err) {
+    await finishRun(run.id, results, 'FAILED', err.message);
+    throw err;
+  }
+
+  await finishRun(run.id, results, results.failed > 0 ? 'COMPLETED_WITH_ERRORS' : 'COMPLETED');
+  return results;
+}
+
+/**
+ * Store the outcome of a job run
+ * @param {string} runId - RecurringJobRun ID
+ * @param {Object} results - Run counters and errors
+ * @param {string} status - Final status
+ * @param {string} fatalError - Error that aborted the run, if any
+ */
+async function finishRun(runId, results, status, fatalError = null) {
+  try {
+    await prisma.recurringJobRun.update({
+      where: { id: runId },
+      data: {
+        status,
+        finishedAt: new Date(),
+        processed: results.processed,
+        posted: results.posted,
+        skipped: results.skipped,
+        failed: results.failed,
+        errors: fatalError
+          ? [...results.errors, { error: fatalError }]
+          : results.errors
+      }
+    });
+  } catch (err) {
+    console.error('[RecurringJob] Failed to record run result:', err);
+  }
+}
+
+module.exports = { processRecurringTransactions };
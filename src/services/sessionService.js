@@ -0,0 +1,332 @@
+const { prisma } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { isValidUUID } = require('../utils/validation');
+const { REFRESH_TOKEN_TTL_DAYS } = require('../utils/auth');
+
+/**
+ * Calculate the expiry of a session from now
+ * @returns {Date} Session expiry date
+ */
+function getSessionExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Create a new login session
+ * @param {string} userId - User ID
+ * @param {Object} meta - Client metadata
+ * @param {string} meta.userAgent - Client user agent
+ * @param {string} meta.ipAddress - Client IP address
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Object} Created session
+ */
+async function createSession(userId, meta = {}, client = prisma) {
+  return client.session.create({
+    data: {
+      userId,
+      userAgent: meta.userAgent ? meta.userAgent.substring(0, 255) : null,
+      ipAddress: meta.ipAddress || null,
+      expiresAt: getSessionExpiry()
+    },
+    select: { id: true, expiresAt: true }
+  });
+}
+
+/**
+ * Extend a session after its refresh token was rotated
+ * @param {string} sessionId - Session ID
+ * @param {Object} client - Prisma client or transaction
+ */
+async function touchSession(sessionId, client = prisma) {
+  await client.session.update({
+    where: { id: sessionId },
+    data: {
+      lastUsedAt: new Date(),
+      expiresAt: getSessionExpiry()
+    }
+  });
+}
+
+/**
+ * Revoke a session and every refresh token issued for it
+ * @param {string} sessionId - Session ID
+ * @param {Object} client - Prisma client or transaction
+ * @returns {number} Number of sessions revoked (0 or 1)
+ */
+async function revokeSessionById(sessionId, client = prisma) {
+  const now = new Date();
+
+  await client.refreshToken.updateMany({
+    where: { sessionId, revokedAt: null },
+    data: { revokedAt: now }
+  });
+
+  const { count } = await client.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: now }
+  });
+
+  return count;
+}
+
+/**
+ * Revoke a single access token by its jti
+ * @param {Object} decoded - Decoded JWT payload (jti, id, exp)
+ * @param {Object} client - Prisma client or transaction
+ */
+async function revokeAccessToken(decoded, client = prisma) {
+  if (!decoded || !decoded.jti) {
+    return;
+  }
+
+  await client.revokedToken.upsert({
+    where: { jti: decoded.jti },
+    update: {},
+    create: {
+      jti: decoded.jti,
+      userId: decoded.id,
+      expiresAt: new Date(decoded.exp * 1000)
+    }
+  });
+}
+
+/**
+ * Check whether an access token has been revoked
+ * A token is revoked when its jti is on the revocation list or when the
+ * session it was issued for has been revoked or has expired.
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {boolean} True if the token must be rejected
+ */
+async function isAccessTokenRevoked(decoded) {
+  if (!decoded.jti || !decoded.sid) {
+    return true;
+  }
+
+  const [revoked, session] = await Promise.all([
+    prisma.revokedToken.findUnique({
+      where: { jti: decoded.jti },
+      select: { jti: true }
+    }),
+    prisma.session.findUnique({
+      where: { id: decoded.sid },
+      select: { userId: true, revokedAt: true, expiresAt: true }
+    })
+  ]);
+
+  if (revoked) {
+    return true;
+  }
+
+  return !session ||
+    session.userId !== decoded.id ||
+    session.revokedAt !== null ||
+    session.expiresAt <= new Date();
+}
+
+/**
+ * Log out the current session
+ * @param {string} userId - User ID
+ * @param {Object} decoded - Decoded JWT payload of the current access token
+ * @returns {Object} Logout result
+ * @throws {AppError} If logout fails
+ */
+async function logoutSession(userId, decoded) {
+  try {
+    await prisma.$transaction(async (tx) => {
+      await revokeAccessToken(decoded, tx);
+
+      if (decoded.sid) {
+        await revokeSessionById(decoded.sid, tx);
+      }
+    });
+
+    return { sessionId: decoded.sid || null };
+  } catch (error) {
+    console.error('Logout error:', error);
+    throw new AppError(
+      'Logout failed',
+      500,
+      'LOGOUT_ERROR'
+    );
+  }
+}
+
+/**
+ * Revoke every session of a user
+ * @param {string} userId - User ID
+ * @param {Object} options - Revocation options
+ * @param {string} options.exceptSessionId - Session to keep alive
+ * @param {Object} options.client - Prisma client or transaction
+ * @returns {number} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, options = {}) {
+  const { exceptSessionId = null, client = prisma } = options;
+  const now = new Date();
+
+  const sessionWhere = {
+    userId,
+    revokedAt: null,
+    ...(exceptSessionId && { id: { not: exceptSessionId } })
+  };
+
+  await client.refreshToken.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { sessionId: { not: exceptSessionId } })
+    },
+    data: { revokedAt: now }
+  });
+
+  const { count } = await client.session.updateMany({
+    where: sessionWhere,
+    data: { revokedAt: now }
+  });
+
+  return count;
+}
+
+/**
+ * Log out every device of a user
+ * @param {string} userId - User ID
+ * @param {Object} decoded - Decoded JWT payload of the current access token
+ * @returns {Object} Number of sessions revoked
+ * @throws {AppError} If revocation fails
+ */
+async function logoutAllSessions(userId, decoded) {
+  try {
+    const revokedSessions = await prisma.$transaction(async (tx) => {
+      await revokeAccessToken(decoded, tx);
+      return revokeAllSessions(userId, { client: tx });
+    });
+
+    return { revokedSessions };
+  } catch (error) {
+    console.error('Logout all error:', error);
+    throw new AppError(
+      'Failed to log out all sessions',
+      500,
+      'LOGOUT_ERROR'
+    );
+  }
+}
+
+/**
+ * List active sessions of a user
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session of the current request
+ * @returns {Array} Active sessions
+ * @throws {AppError} If retrieval fails
+ */
+async function getActiveSessions(userId, currentSessionId = null) {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      orderBy: { lastUsedAt: 'desc' },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true
+      }
+    });
+
+    return sessions.map(session => ({
+      ...session,
+      current: session.id === currentSessionId
+    }));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    throw new AppError(
+      'Failed to retrieve sessions',
+      500,
+      'SESSION_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * Revoke one of the user's sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @throws {AppError} If session not found
+ */
+async function revokeUserSession(userId, sessionId) {
+  try {
+    if (!isValidUUID(sessionId)) {
+      throw new AppError(
+        'Invalid session ID format',
+        400,
+        'INVALID_ID_FORMAT'
+      );
+    }
+
+    const session = await prisma.session.findFirst({
+      where: { id: sessionId, userId, revokedAt: null },
+      select: { id: true }
+    });
+
+    if (!session) {
+      throw new AppError(
+        'Session not found',
+        404,
+        'SESSION_NOT_FOUND'
+      );
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await revokeSessionById(sessionId, tx);
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Revoke session error:', error);
+    throw new AppError(
+      'Failed to revoke session',
+      500,
+      'SESSION_REVOKE_ERROR'
+    );
+  }
+}
+
+/**
+ * Remove expired revocation entries, refresh tokens and sessions
+ * @returns {Object} Number of purged rows per table
+ */
+async function purgeExpiredSessionData() {
+  const now = new Date();
+
+  const [revokedTokens, refreshTokens, sessions] = await prisma.$transaction([
+    prisma.revokedToken.deleteMany({ where: { expiresAt: { lt: now } } }),
+    prisma.refreshToken.deleteMany({ where: { expiresAt: { lt: now } } }),
+    prisma.session.deleteMany({ where: { expiresAt: { lt: now } } })
+  ]);
+
+  return {
+    revokedTokens: revokedTokens.count,
+    refreshTokens: refreshTokens.count,
+    sessions: sessions.count
+  };
+}
+
+module.exports = {
+  createSession,
+  touchSession,
+  revokeSessionById,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+  logoutSession,
+  revokeAllSessions,
+  logoutAllSessions,
+  getActiveSessions,
+  revokeUserSession,
+  purgeExpiredSessionData
+};
@@ -0,0 +1,428 @@
+const { prisma } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { isValidUUID, sanitizeEmail } = require('../utils/validation');
+const { sendMail } = require('./mailService');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const grantSelect = {
+  id: true,
+  inviteeEmail: true,
+  investmentId: true,
+  role: true,
+  status: true,
+  respondedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  updatedAt: true,
+  owner: {
+    select: { id: true, email: true, firstName: true, lastName: true }
+  },
+  grantee: {
+    select: { id: true, email: true, firstName: true, lastName: true }
+  },
+  investment: {
+    select: { id: true, name: true, category: true, currency: true }
+  }
+};
+
+/**
+ * Describe what a grant covers for messages
+ * @param {Object|null} investment - Shared investment or null for the whole portfolio
+ * @returns {string} Human readable scope
+ */
+function describeGrantScope(investment) {
+  return investment ? `the investment "${investment.name}"` : 'their whole portfolio';
+}
+
+/**
+ * Load a grant by ID or throw
+ * @param {string} grantId - Grant ID
+ * @returns {Object} Grant with owner and investment
+ * @throws {AppError} If the ID is malformed or the grant does not exist
+ */
+async function getGrantOrThrow(grantId) {
+  if (!isValidUUID(grantId)) {
+    throw new AppError(
+      'Invalid grant ID format',
+      400,
+      'INVALID_ID_FORMAT'
+    );
+  }
+
+  const grant = await prisma.portfolioGrant.findUnique({
+    where: { id: grantId },
+    select: {
+      ...grantSelect,
+      ownerId: true,
+      granteeId: true
+    }
+  });
+
+  if (!grant) {
+    throw new AppError(
+      'Grant not found',
+      404,
+      'GRANT_NOT_FOUND'
+    );
+  }
+
+  return grant;
+}
+
+/**
+ * Invite another user to view or edit an investment or the whole portfolio
+ * @param {string} ownerId - Owner user ID
+ * @param {Object} grantData - Invitee email, role and optional investmentId
+ * @returns {Object} Created (pending) grant
+ * @throws {AppError} If the investment is not owned, the invitee is the owner or a grant already exists
+ */
+async function createGrant(ownerId, grantData) {
+  const { email, role, investmentId = null } = grantData;
+
+  try {
+    const inviteeEmail = sanitizeEmail(email);
+
+    const owner = await prisma.user.findUnique({
+      where: { id: ownerId },
+      select: { email: true, firstName: true, lastName: true }
+    });
+
+    if (!owner) {
+      throw new AppError(
+        'User not found',
+        404,
+        'USER_NOT_FOUND'
+      );
+    }
+
+    if (owner.email === inviteeEmail) {
+      throw new AppError(
+        'You cannot share your portfolio with yourself',
+        400,
+        'CANNOT_SHARE_WITH_SELF'
+      );
+    }
+
+    let investment = null;
+    if (investmentId) {
+      // Only the owner can share an investment - editors cannot re-share
+      investment = await prisma.investment.findFirst({
+        where: { id: investmentId, userId: ownerId },
+        select: { id: true, name: true }
+      });
+
+      if (!investment) {
+        throw new AppError(
+          'Investment not found',
+          404,
+          'INVESTMENT_NOT_FOUND'
+        );
+      }
+    }
+
+    const existing = await prisma.portfolioGrant.findFirst({
+      where: {
+        ownerId,
+        inviteeEmail,
+        investmentId,
+        status: { in: ['PENDING', 'ACCEPTED'] }
+      },
+      select: { id: true }
+    });
+
+    if (existing) {
+      throw new AppError(
+        'This user already has access or a pending invitation - update the role instead',
+        409,
+        'GRANT_ALREADY_EXISTS'
+      );
+    }
+
+    const grant = await prisma.portfolioGrant.create({
+      data: {
+        ownerId,
+        inviteeEmail,
+        investmentId,
+        role
+      },
+      select: grantSelect
+    });
+
+    await sendMail({
+      to: inviteeEmail,
+      subject: `${owner.firstName} ${owner.lastName} shared investments with you on E-Accounting`,
+      text: [
+        'Hi,',
+        '',
+        `${owner.firstName} ${owner.lastName} (${owner.email}) invited you to ${role === 'EDITOR' ? 'view and edit' : 'view'} ${describeGrantScope(investment)}.`,
+        `Sign in (or create an account with this email address) to accept or decline the invitation:`,
+        `${APP_URL}/sharing`,
+        '',
+        'If you do not know the sender you can ignore this email.'
+      ].join('\n')
+    });
+
+    return grant;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Create grant error:', error);
+    throw new AppError(
+      'Failed to share investments',
+      500,
+      'GRANT_CREATION_ERROR'
+    );
+  }
+}
+
+/**
+ * List grants the user has given to others
+ * @param {string} ownerId - Owner user ID
+ * @param {Object} options - List options
+ * @param {boolean} options.includeInactive - Include declined and revoked grants
+ * @returns {Array} Grants
+ * @throws {AppError} If retrieval fails
+ */
+async function getGrantsGiven(ownerId, options = {}) {
+  const { includeInactive = false } = options;
+
+  try {
+    return await prisma.portfolioGrant.findMany({
+      where: {
+        ownerId,
+        ...(!includeInactive && { status: { in: ['PENDING', 'ACCEPTED'] } })
+      },
+      orderBy: { createdAt: 'desc' },
+      select: grantSelect
+    });
+  } catch (error) {
+    console.error('Get grants given error:', error);
+    throw new AppError(
+      'Failed to retrieve shared access',
+      500,
+      'GRANT_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * List grants the user has received: accepted grants and pending invitations
+ * addressed to their email
+ * @param {string} userId - User ID
+ * @returns {Object} Accepted grants and pending invitations
+ * @throws {AppError} If retrieval fails
+ */
+async function getGrantsReceived(userId) {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { email: true }
+    });
+
+    if (!user) {
+      throw new AppError(
+        'User not found',
+        404,
+        'USER_NOT_FOUND'
+      );
+    }
+
+    const [grants, invitations] = await Promise.all([
+      prisma.portfolioGrant.findMany({
+        where: { granteeId: userId, status: 'ACCEPTED' },
+        orderBy: { createdAt: 'desc' },
+        select: grantSelect
+      }),
+      prisma.portfolioGrant.findMany({
+        where: { inviteeEmail: user.email, status: 'PENDING' },
+        orderBy: { createdAt: 'desc' },
+        select: grantSelect
+      })
+    ]);
+
+    return { grants, invitations };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Get grants received error:', error);
+    throw new AppError(
+      'Failed to retrieve shared access',
+      500,
+      'GRANT_RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * Accept or decline a pending invitation addressed to the user's email
+ * @param {string} grantId - Grant ID
+ * @param {string} userId - Invited user ID
+ * @param {boolean} accept - True to accept, false to decline
+ * @returns {Object} Updated grant
+ * @throws {AppError} If the invitation is not found or no longer pending
+ */
+async function respondToInvitation(grantId, userId, accept) {
+  try {
+    const [grant, user] = await Promise.all([
+      getGrantOrThrow(grantId),
+      prisma.user.findUnique({ where: { id: userId }, select: { email: true } })
+    ]);
+
+    if (!user || grant.inviteeEmail !== user.email || grant.ownerId === userId) {
+      throw new AppError(
+        'Invitation not found',
+        404,
+        'GRANT_NOT_FOUND'
+      );
+    }
+
+    // Claim the invitation atomically so it cannot be answered twice
+    const { count } = await prisma.portfolioGrant.updateMany({
+      where: { id: grantId, status: 'PENDING' },
+      data: {
+        granteeId: userId,
+        status: accept ? 'ACCEPTED' : 'DECLINED',
+        respondedAt: new Date()
+      }
+    });
+
+    if (count === 0) {
+      throw new AppError(
+        'This invitation is no longer pending',
+        409,
+        'INVITATION_NOT_PENDING'
+      );
+    }
+
+    return await prisma.portfolioGrant.findUnique({
+      where: { id: grantId },
+      select: grantSelect
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Respond to invitation error:', error);
+    throw new AppError(
+      'Failed to respond to invitation',
+      500,
+      'GRANT_RESPONSE_ERROR'
+    );
+  }
+}
+
+/**
+ * Change the role of an active grant
+ * @param {string} grantId - Grant ID
+ * @param {string} ownerId - Owner user ID
+ * @param {string} role - New role (VIEWER or EDITOR)
+ * @returns {Object} Updated grant
+ * @throws {AppError} If the grant is not found or no longer active
+ */
+async function updateGrantRole(grantId, ownerId, role) {
+  try {
+    const grant = await getGrantOrThrow(grantId);
+
+    if (grant.ownerId !== ownerId) {
+      throw new AppError(
+        'Grant not found',
+        404,
+        'GRANT_NOT_FOUND'
+      );
+    }
+
+    if (!['PENDING', 'ACCEPTED'].includes(grant.status)) {
+      throw new AppError(
+        'Only pending or accepted grants can be changed',
+        400,
+        'GRANT_NOT_ACTIVE'
+      );
+    }
+
+    return await prisma.portfolioGrant.update({
+      where: { id: grantId },
+      data: { role },
+      select: grantSelect
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Update grant role error:', error);
+    throw new AppError(
+      'Failed to update shared access',
+      500,
+      'GRANT_UPDATE_ERROR'
+    );
+  }
+}
+
+/**
+ * Revoke a grant. The owner can revoke any pending or accepted grant; the
+ * grantee can give up access they accepted.
+ * @param {string} grantId - Grant ID
+ * @param {string} userId - Owner or grantee user ID
+ * @returns {Object} Revoked grant
+ * @throws {AppError} If the grant is not found or already inactive
+ */
+async function revokeGrant(grantId, userId) {
+  try {
+    const grant = await getGrantOrThrow(grantId);
+
+    if (grant.ownerId !== userId && grant.granteeId !== userId) {
+      throw new AppError(
+        'Grant not found',
+        404,
+        'GRANT_NOT_FOUND'
+      );
+    }
+
+    const { count } = await prisma.portfolioGrant.updateMany({
+      where: { id: grantId, status: { in: ['PENDING', 'ACCEPTED'] } },
+      data: {
+        status: 'REVOKED',
+        revokedAt: new Date()
+      }
+    });
+
+    if (count === 0) {
+      throw new AppError(
+        'This grant is no longer active',
+        409,
+        'GRANT_NOT_ACTIVE'
+      );
+    }
+
+    return await prisma.portfolioGrant.findUnique({
+      where: { id: grantId },
+      select: grantSelect
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Revoke grant error:', error);
+    throw new AppError(
+      'Failed to revoke shared access',
+      500,
+      'GRANT_REVOKE_ERROR'
+    );
+  }
+}
+
+module.exports = {
+  createGrant,
+  getGrantsGiven,
+  getGrantsReceived,
+  respondToInvitation,
+  updateGrantRole,
+  revokeGrant
+};
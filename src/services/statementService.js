@@ -0,0 +1,512 @@
+const { prisma } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { investmentAccessWhere } = require('../utils/access');
+const { DEFAULT_BASE, normalizeCurrency, convertAmount, getConversionRate, getRatesAt } = require('../utils/currency');
+const { DAY_MS, startOfDay } = require('../utils/dates');
+const { getMinorUnits, money, roundMoney } = require('../utils/money');
+const { createPdfDocument } = require('../utils/pdf');
+const { buildLedger, getLedgerHistory } = require('./reportService');
+
+const FLOW_LABELS = [
+  ['initialAmount', 'Initial investment'],
+  ['deposits', 'Deposits'],
+  ['withdrawals', 'Withdrawals'],
+  ['transfersIn', 'Transfers in'],
+  ['transfersOut', 'Transfers out'],
+  ['grossReturns', 'Gross returns'],
+  ['adjustments', 'Balance adjustments'],
+  ['fees', 'Fees'],
+  ['taxes', 'Taxes withheld']
+];
+
+const METHOD_NOTE = 'Balances are computed from the transaction history and manual balance adjustments. ' +
+  'Reversals are shown as posted and counted against the kind of transaction they cancel. Balance adjustments ' +
+  'count towards net returns. Return on capital is net returns divided by the ' +
+  'opening balance plus money added during the period.';
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Date
+ */
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Format an amount with the currency's minor units and thousands separators
+ * @param {Decimal|number|string} value - Amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} Amount, e.g. -1,234.50
+ */
+function formatAmount(value, currency) {
+  const [whole, fraction] = roundMoney(value, currency).toFixed(getMinorUnits(currency)).split('.');
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return fraction ? `${grouped}.${fraction}` : grouped;
+}
+
+/**
+ * Format an amount with its currency code
+ * @param {Decimal|number|string|null} value - Amount (null when it cannot be converted)
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} Amount, e.g. NGN 1,234.50
+ */
+function formatMoney(value, currency) {
+  return value == null ? 'n/a (no rate)' : `${currency} ${formatAmount(value, currency)}`;
+}
+
+/**
+ * Resolve the statement period
+ * @param {Object} options - from, to (dates; to is inclusive)
+ * @param {Date} inception - Default start (earliest investment start)
+ * @returns {Object} from (start of day), to (last day) and end (exclusive)
+ * @throws {AppError} If the period ends before it starts
+ */
+function resolvePeriod(options, inception) {
+  const from = startOfDay(options.from || inception || new Date());
+  const to = startOfDay(options.to || new Date());
+
+  if (to < from) {
+    throw new AppError(
+      'Statement period ends before it starts',
+      400,
+      'INVALID_PERIOD'
+    );
+  }
+
+  return { from, to, end: new Date(to.getTime() + DAY_MS) };
+}
+
+/**
+ * Describe a transaction for the statement
+ * @param {Object} transaction - Transaction with reversalOf type
+ * @returns {string} Description
+ */
+function describeTransaction(transaction) {
+  if (transaction.type === 'REVERSAL' && transaction.reversalOf) {
+    return transaction.description || `Reverses ${transaction.reversalOf.type}`;
+  }
+  if (transaction.type === 'ADJUSTMENT') {
+    return transaction.description || 'Balance adjustment';
+  }
+  return transaction.description || '';
+}
+
+/**
+ * Exchange rates used by a statement
+ * @param {Array} currencies - Currencies converted to the base currency
+ * @param {string} baseCurrency - Base currency
+ * @param {Array} transfers - Transfers in the period (with their own rates)
+ * @returns {Array} Table rows
+ */
+function rateRows(currencies, baseCurrency, transfers) {
+  const ratesAt = formatDate(getRatesAt());
+  const rows = [...new Set(currencies)]
+    .filter(currency => currency !== baseCurrency)
+    .map((currency) => {
+      const rate = getConversionRate(currency, baseCurrency);
+      return [currency, baseCurrency, rate ? rate.toDecimalPlaces(10).toString() : 'not available', ratesAt, 'Base currency totals'];
+    });
+
+  transfers
+    .filter(transfer => transfer.fromCurrency !== transfer.toCurrency)
+    .forEach((transfer) => {
+      rows.push([
+        transfer.fromCurrency,
+        transfer.toCurrency,
+        money(transfer.exchangeRate).toString(),
+        transfer.ratesAt ? formatDate(transfer.ratesAt) : formatDate(transfer.transferDate),
+        `Transfer on ${formatDate(transfer.transferDate)}`
+      ]);
+    });
+
+  return rows;
+}
+
+const rateColumns = [
+  { header: 'From', width: 1 },
+  { header: 'To', width: 1 },
+  { header: 'Rate', width: 2, align: 'right' },
+  { header: 'Rates as of', width: 2 },
+  { header: 'Used for', width: 4 }
+];
+
+const transactionSelect = {
+  id: true,
+  investmentId: true,
+  type: true,
+  amount: true,
+  transactionDate: true,
+  createdAt: true,
+  description: true,
+  reversalOf: { select: { type: true } }
+};
+
+/**
+ * Interest calculations for periods ending in the statement period
+ * @param {Array} investmentIds - Investment IDs
+ * @param {Object} period - from and end
+ * @returns {Array} Interest calculations, oldest first
+ */
+async function findInterestPostings(investmentIds, period) {
+  return prisma.interestCalculation.findMany({
+    where: {
+      investmentId: { in: investmentIds },
+      periodEnd: { gte: period.from, lt: period.end }
+    },
+    orderBy: [{ periodEnd: 'asc' }, { calculatedAt: 'asc' }]
+  });
+}
+
+/**
+ * Transfers in the statement period touching the investments
+ * @param {Array} investmentIds - Investment IDs
+ * @param {Object} period - from and end
+ * @returns {Array} Transfers
+ */
+async function findTransfers(investmentIds, period) {
+  return prisma.transfer.findMany({
+    where: {
+      OR: [
+        { fromInvestmentId: { in: investmentIds } },
+        { toInvestmentId: { in: investmentIds } }
+      ],
+      transferDate: { gte: period.from, lt: period.end }
+    },
+    orderBy: { transferDate: 'asc' }
+  });
+}
+
+/**
+ * Render the PDF statement of one investment
+ * @param {string} investmentId - Investment ID
+ * @param {string} userId - User ID (needs read access)
+ * @param {Object} options - from, to (inclusive; default inception to today), baseCurrency
+ * @returns {Object} filename and content (PDF Buffer)
+ * @throws {AppError} If the investment is not found or rendering fails
+ */
+async function generateInvestmentStatement(investmentId, userId, options = {}) {
+  try {
+    const investment = await prisma.investment.findFirst({
+      where: { id: investmentId, ...investmentAccessWhere(userId) }
+    });
+
+    if (!investment) {
+      throw new AppError(
+        'Investment not found',
+        404,
+        'INVESTMENT_NOT_FOUND'
+      );
+    }
+
+    const period = resolvePeriod(options, investment.startDate);
+    const baseCurrency = normalizeCurrency(options.baseCurrency || DEFAULT_BASE);
+    const { currency } = investment;
+
+    const [history, interest, transfers] = await Promise.all([
+      getLedgerHistory([investmentId], period, transactionSelect),
+      findInterestPostings([investmentId], period),
+      findTransfers([investmentId], period)
+    ]);
+
+    const ledger = buildLedger(investment, history.get(investmentId), period);
+    const periodText = `${formatDate(period.from)} to ${formatDate(period.to)}`;
+
+    const doc = createPdfDocument({ title: `Statement - ${investment.name} - ${periodText}` });
+    doc.title('Investment statement', `${investment.name} - ${periodText}`);
+    doc.keyValues([
+      ['Investment', investment.name],
+      ['Category', investment.category],
+      ['Currency', currency],
+      ['Status', investment.status],
+      ['Start date', formatDate(investment.startDate)],
+      ['Generated', new Date().toISOString().replace('T', ' ').slice(0, 16) + ' UTC']
+    ]);
+
+    doc.heading('Summary');
+    doc.keyValues([
+      [`Opening balance (${formatDate(period.from)})`, formatMoney(ledger.opening, currency)],
+      ...FLOW_LABELS
+        .filter(([field]) => field !== 'initialAmount' || !ledger.flows.initialAmount.isZero())
+        .map(([field, label]) => [label, formatMoney(ledger.flows[field], currency)]),
+      [`Closing balance (${formatDate(period.to)})`, formatMoney(ledger.closing, currency)],
+      ...(currency === baseCurrency ? [] : [[
+        `Closing balance in ${baseCurrency}`,
+        formatMoney(convertAmount(ledger.closing, currency, baseCurrency), baseCurrency)
+      ]])
+    ]);
+
+    doc.heading('Performance');
+    doc.keyValues([
+      ['Change in balance', formatMoney(ledger.closing.minus(ledger.opening), currency)],
+      ['Net returns', formatMoney(ledger.netReturns, currency)],
+      ['Return on capital', ledger.returnOnCapital == null ? 'n/a' : `${ledger.returnOnCapital.toFixed(2)}%`]
+    ]);
+
+    doc.heading('Transactions');
+    doc.table([
+      { header: 'Date', width: 2 },
+      { header: 'Type', width: 2.4 },
+      { header: 'Description', width: 5 },
+      { header: `Amount (${currency})`, width: 2.3, align: 'right' },
+      { header: `Balance (${currency})`, width: 2.3, align: 'right' }
+    ], [
+      { cells: [formatDate(period.from), '', 'Opening balance', '', formatAmount(ledger.opening, currency)], bold: true },
+      ...(ledger.flows.initialAmount.isZero() ? [] : [[
+        formatDate(investment.startDate), 'INITIAL', 'Initial investment',
+        formatAmount(ledger.flows.initialAmount, currency), formatAmount(ledger.opening.plus(ledger.flows.initialAmount), currency)
+      ]]),
+      ...ledger.rows.map(row => [
+        formatDate(row.transactionDate),
+        row.type,
+        describeTransaction(row),
+        formatAmount(row.impact, currency),
+        formatAmount(row.balance, currency)
+      ]),
+      { cells: [formatDate(period.to), '', 'Closing balance', '', formatAmount(ledger.closing, currency)], bold: true }
+    ]);
+
+    doc.heading('Interest postings');
+    doc.table([
+      { header: 'Period', width: 4 },
+      { header: 'Type', width: 2 },
+      { header: 'Principal', width: 2.5, align: 'right' },
+      { header: 'Rate', width: 1.5, align: 'right' },
+      { header: 'Interest', width: 2.5, align: 'right' },
+      { header: 'Status', width: 1.5 }
+    ], interest.map(calculation => [
+      `${formatDate(calculation.periodStart)} to ${formatDate(calculation.periodEnd)}`,
+      calculation.calculationType,
+      formatAmount(calculation.principalAmount, currency),
+      `${money(calculation.interestRate).times(100).toDecimalPlaces(2).toFixed(2)}%`,
+      formatAmount(calculation.interestEarned, currency),
+      calculation.isReverted ? 'Reverted' : 'Posted'
+    ]), { emptyText: 'No interest postings in this period' });
+
+    doc.heading('Exchange rates');
+    doc.table(rateColumns, rateRows([currency], baseCurrency, transfers), {
+      emptyText: 'No currency conversion in this statement'
+    });
+
+    doc.paragraph(METHOD_NOTE);
+
+    const slug = investment.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'investment';
+
+    return {
+      filename: `statement-${slug}-${formatDate(period.from)}-${formatDate(period.to)}.pdf`,
+      content: doc.toBuffer()
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Generate investment statement error:', error);
+    throw new AppError(
+      'Failed to generate statement',
+      500,
+      'STATEMENT_ERROR'
+    );
+  }
+}
+
+/**
+ * Render the PDF statement of the user's portfolio (every investment they can read)
+ * Totals are converted to the base currency at the configured rates;
+ * investments without a rate are listed but left out of the totals.
+ * @param {string} userId - User ID
+ * @param {Object} options - from, to (inclusive; default inception to today), baseCurrency
+ * @returns {Object} filename and content (PDF Buffer)
+ * @throws {AppError} If rendering fails
+ */
+async function generatePortfolioStatement(userId, options = {}) {
+  try {
+    const baseCurrency = normalizeCurrency(options.baseCurrency || DEFAULT_BASE);
+    const [user, first] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: { firstName: true, lastName: true }
+      }),
+      prisma.investment.findFirst({
+        where: investmentAccessWhere(userId),
+        orderBy: { startDate: 'asc' },
+        select: { startDate: true }
+      })
+    ]);
+
+    if (!user) {
+      throw new AppError(
+        'User not found',
+        404,
+        'USER_NOT_FOUND'
+      );
+    }
+
+    const period = resolvePeriod(options, first?.startDate);
+
+    const investments = await prisma.investment.findMany({
+      where: { ...investmentAccessWhere(userId), startDate: { lt: period.end } },
+      orderBy: [{ name: 'asc' }, { id: 'asc' }]
+    });
+    const investmentIds = investments.map(investment => investment.id);
+
+    const [byInvestment, interest, transfers] = await Promise.all([
+      getLedgerHistory(investmentIds, period, transactionSelect),
+      findInterestPostings(investmentIds, period),
+      findTransfers(investmentIds, period)
+    ]);
+
+    const totals = {
+      opening: money(0),
+      closing: money(0),
+      netReturns: money(0),
+      capital: money(0),
+      ...Object.fromEntries(FLOW_LABELS.map(([field]) => [field, money(0)]))
+    };
+    const missingRates = new Set();
+
+    const ledgers = investments.map((investment) => {
+      const ledger = buildLedger(investment, byInvestment.get(investment.id), period);
+      const toBase = value => convertAmount(value, investment.currency, baseCurrency);
+      const closingBase = toBase(ledger.closing);
+
+      if (closingBase == null) {
+        missingRates.add(investment.currency);
+      } else {
+        const { flows } = ledger;
+        totals.opening = totals.opening.plus(toBase(ledger.opening));
+        totals.closing = totals.closing.plus(closingBase);
+        totals.netReturns = totals.netReturns.plus(toBase(ledger.netReturns));
+        totals.capital = totals.capital.plus(toBase(ledger.capital));
+        FLOW_LABELS.forEach(([field]) => {
+          totals[field] = totals[field].plus(toBase(flows[field]));
+        });
+      }
+
+      return { investment, ledger, closingBase };
+    });
+
+    const periodText = `${formatDate(period.from)} to ${formatDate(period.to)}`;
+    const owner = `${user.firstName} ${user.lastName}`.trim();
+
+    const doc = createPdfDocument({ title: `Portfolio statement - ${owner} - ${periodText}` });
+    doc.title('Portfolio statement', `${owner} - ${periodText} - amounts in ${baseCurrency} unless stated`);
+
+    doc.heading('Summary');
+    doc.keyValues([
+      ['Investments', String(investments.length)],
+      [`Opening value (${formatDate(period.from)})`, formatMoney(totals.opening, baseCurrency)],
+      ...FLOW_LABELS
+        .filter(([field]) => field !== 'initialAmount' || !totals.initialAmount.isZero())
+        .map(([field, label]) => [label, formatMoney(totals[field], baseCurrency)]),
+      [`Closing value (${formatDate(period.to)})`, formatMoney(totals.closing, baseCurrency)]
+    ]);
+    if (missingRates.size > 0) {
+      doc.paragraph(`No exchange rate to ${baseCurrency} is configured for ${[...missingRates].join(', ')}; those investments are left out of the totals.`);
+    }
+
+    doc.heading('Performance');
+    doc.keyValues([
+      ['Change in value', formatMoney(totals.closing.minus(totals.opening), baseCurrency)],
+      ['Net returns', formatMoney(totals.netReturns, baseCurrency)],
+      ['Return on capital', totals.capital.gt(0)
+        ? `${totals.netReturns.div(totals.capital).times(100).toDecimalPlaces(2).toFixed(2)}%`
+        : 'n/a']
+    ]);
+
+    doc.heading('Investments');
+    doc.table([
+      { header: 'Investment', width: 4 },
+      { header: 'Cur.', width: 1 },
+      { header: 'Opening', width: 2.4, align: 'right' },
+      { header: 'Net returns', width: 2.4, align: 'right' },
+      { header: 'Closing', width: 2.4, align: 'right' },
+      { header: `Closing (${baseCurrency})`, width: 2.6, align: 'right' },
+      { header: 'Return', width: 1.4, align: 'right' }
+    ], [
+      ...ledgers.map(({ investment, ledger, closingBase }) => [
+        investment.name,
+        investment.currency,
+        formatAmount(ledger.opening, investment.currency),
+        formatAmount(ledger.netReturns, investment.currency),
+        formatAmount(ledger.closing, investment.currency),
+        closingBase == null ? 'n/a' : formatAmount(closingBase, baseCurrency),
+        ledger.returnOnCapital == null ? 'n/a' : `${ledger.returnOnCapital.toFixed(2)}%`
+      ]),
+      { cells: ['Total', baseCurrency, formatAmount(totals.opening, baseCurrency), formatAmount(totals.netReturns, baseCurrency), '', formatAmount(totals.closing, baseCurrency), ''], bold: true }
+    ], { emptyText: 'No investments in this period' });
+
+    const names = new Map(investments.map(investment => [investment.id, investment]));
+
+    doc.heading('Transactions');
+    doc.table([
+      { header: 'Date', width: 2 },
+      { header: 'Investment', width: 3.4 },
+      { header: 'Type', width: 2.4 },
+      { header: 'Description', width: 4 },
+      { header: 'Cur.', width: 1 },
+      { header: 'Amount', width: 2.4, align: 'right' }
+    ], ledgers
+      .flatMap(({ ledger }) => ledger.rows)
+      .sort((a, b) => a.transactionDate - b.transactionDate)
+      .map((row) => {
+        const investment = names.get(row.investmentId);
+        return [
+          formatDate(row.transactionDate),
+          investment.name,
+          row.type,
+          describeTransaction(row),
+          investment.currency,
+          formatAmount(row.impact, investment.currency)
+        ];
+      }), { emptyText: 'No transactions in this period' });
+
+    doc.heading('Interest postings');
+    doc.table([
+      { header: 'Investment', width: 3.4 },
+      { header: 'Period', width: 4 },
+      { header: 'Principal', width: 2.4, align: 'right' },
+      { header: 'Rate', width: 1.4, align: 'right' },
+      { header: 'Interest', width: 2.4, align: 'right' },
+      { header: 'Status', width: 1.6 }
+    ], interest.map((calculation) => {
+      const investment = names.get(calculation.investmentId);
+      return [
+        investment.name,
+        `${formatDate(calculation.periodStart)} to ${formatDate(calculation.periodEnd)}`,
+        formatAmount(calculation.principalAmount, investment.currency),
+        `${money(calculation.interestRate).times(100).toDecimalPlaces(2).toFixed(2)}%`,
+        formatAmount(calculation.interestEarned, investment.currency),
+        calculation.isReverted ? 'Reverted' : 'Posted'
+      ];
+    }), { emptyText: 'No interest postings in this period' });
+
+    doc.heading('Exchange rates');
+    doc.table(rateColumns, rateRows(investments.map(investment => investment.currency), baseCurrency, transfers), {
+      emptyText: 'No currency conversion in this statement'
+    });
+
+    doc.paragraph(METHOD_NOTE);
+
+    return {
+      filename: `portfolio-statement-${formatDate(period.from)}-${formatDate(period.to)}.pdf`,
+      content: doc.toBuffer()
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Generate portfolio statement error:', error);
+    throw new AppError(
+      'Failed to generate statement',
+      500,
+      'STATEMENT_ERROR'
+    );
+  }
+}
+
+module.exports = {
+  generateInvestmentStatement,
+  generatePortfolioStatement
+};
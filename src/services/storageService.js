@@ -0,0 +1,126 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+/**
+ * File storage
+ *
+ * Files are kept by a storage driver: any object with async
+ * `put(key, buffer)`, `get(key)` (a readable stream), `delete(key)` and
+ * `list()` methods. The driver is chosen with STORAGE_DRIVER (`local` by
+ * default); other drivers (e.g. object storage) can be plugged in with
+ * `registerStorageDriver` or `setStorageDriver` without touching callers.
+ */
+
+/**
+ * Driver that stores files on the local disk
+ * Keys are spread over subdirectories by their first two characters.
+ * @param {Object} options - Driver options
+ * @param {string} options.directory - Root directory (default: STORAGE_DIR or ./uploads)
+ * @returns {Object} Storage driver
+ */
+function createLocalDriver(options = {}) {
+  const directory = path.resolve(
+    options.directory ||
+    process.env.STORAGE_DIR ||
+    path.join(process.cwd(), 'uploads')
+  );
+
+  const filePath = (key) => {
+    if (!/^[A-Za-z0-9_-]+$/.test(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(directory, key.slice(0, 2), key);
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const target = filePath(key);
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+
+      // Write to a temporary file and rename, so readers never see a partial file
+      const temporary = `${target}.${process.pid}.${Date.now()}.tmp`;
+      await fsp.writeFile(temporary, buffer);
+      await fsp.rename(temporary, target);
+    },
+
+    async get(key) {
+      const source = filePath(key);
+      await fsp.access(source);
+      return fs.createReadStream(source);
+    },
+
+    async delete(key) {
+      await fsp.rm(filePath(key), { force: true });
+    },
+
+    async list() {
+      const entries = [];
+      const shards = await fsp.readdir(directory, { withFileTypes: true }).catch(() => []);
+
+      for (const shard of shards.filter(entry => entry.isDirectory())) {
+        const shardPath = path.join(directory, shard.name);
+        for (const name of await fsp.readdir(shardPath)) {
+          if (name.endsWith('.tmp')) {
+            continue;
+          }
+          const stats = await fsp.stat(path.join(shardPath, name));
+          entries.push({ key: name, size: stats.size, modifiedAt: stats.mtime });
+        }
+      }
+
+      return entries;
+    }
+  };
+}
+
+const driverFactories = {
+  local: createLocalDriver
+};
+
+let activeDriver = null;
+
+/**
+ * Register a storage driver factory under a name selectable via STORAGE_DRIVER
+ * @param {string} name - Driver name
+ * @param {Function} factory - Function returning a storage driver
+ */
+function registerStorageDriver(name, factory) {
+  driverFactories[name] = factory;
+}
+
+/**
+ * Replace the active driver (e.g. with an in-memory driver in tests)
+ * @param {Object|null} driver - Storage driver, or null to reset to configuration
+ */
+function setStorageDriver(driver) {
+  activeDriver = driver;
+}
+
+/**
+ * Get the configured storage driver
+ * @returns {Object} Storage driver
+ */
+function getStorage() {
+  if (!activeDriver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = driverFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+
+    activeDriver = factory();
+  }
+
+  return activeDriver;
+}
+
+module.exports = {
+  createLocalDriver,
+  registerStorageDriver,
+  setStorageDriver,
+  getStorage
+};
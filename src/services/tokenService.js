@@ -0,0 +1,182 @@
+const { prisma } = require('../config/database');
+const {
+  generateJWT,
+  generateRefreshToken,
+  hashToken,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS
+} = require('../utils/auth');
+const { AppError } = require('../middleware/errorHandler');
+const { createSession, touchSession, revokeSessionById } = require('./sessionService');
+
+/**
+ * Issue an access token and a refresh token for a user
+ * @param {Object} user - User with id and email
+ * @param {Object} options - Issue options
+ * @param {string} options.sessionId - Existing session (omit to start a new one)
+ * @param {Object} options.meta - Client metadata for a new session (userAgent, ipAddress)
+ * @param {Object} options.client - Prisma client or transaction (defaults to prisma)
+ * @returns {Object} Access token, refresh token, session id and refresh token record id
+ */
+async function issueTokens(user, options = {}) {
+  const { meta = {}, client = prisma } = options;
+  let { sessionId } = options;
+
+  if (!sessionId) {
+    const session = await createSession(user.id, meta, client);
+    sessionId = session.id;
+  }
+
+  const refreshToken = generateRefreshToken();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const record = await client.refreshToken.create({
+    data: {
+      userId: user.id,
+      sessionId,
+      tokenHash: hashToken(refreshToken),
+      expiresAt
+    },
+    select: { id: true }
+  });
+
+  const token = generateJWT({
+    id: user.id,
+    email: user.email,
+    sid: sessionId
+  });
+
+  return {
+    token,
+    refreshToken,
+    sessionId,
+    refreshTokenId: record.id,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * Presenting an already-rotated token revokes the whole session (token
+ * family), since it means the token was copied and used by someone else.
+ * @param {string} rawToken - Refresh token presented by the client
+ * @returns {Object} User and new token pair
+ * @throws {AppError} If the token is unknown, expired or reused
+ */
+async function rotateRefreshToken(rawToken) {
+  try {
+    const existing = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(rawToken) },
+      select: {
+        id: true,
+        sessionId: true,
+        expiresAt: true,
+        revokedAt: true,
+        session: {
+          select: { revokedAt: true }
+        },
+        user: {
+          select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true,
+            createdAt: true,
+            updatedAt: true
+          }
+        }
+      }
+    });
+
+    if (!existing) {
+      throw new AppError(
+        'Invalid refresh token',
+        401,
+        'REFRESH_TOKEN_INVALID'
+      );
+    }
+
+    if (existing.session.revokedAt) {
+      throw new AppError(
+        'Session has been revoked - please log in again',
+        401,
+        'SESSION_REVOKED'
+      );
+    }
+
+    if (existing.revokedAt) {
+      await revokeSessionById(existing.sessionId);
+      throw new AppError(
+        'Refresh token has already been used - the session was revoked',
+        401,
+        'REFRESH_TOKEN_REUSED'
+      );
+    }
+
+    if (existing.expiresAt <= new Date()) {
+      throw new AppError(
+        'Refresh token has expired',
+        401,
+        'REFRESH_TOKEN_EXPIRED'
+      );
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Claim the token atomically so two concurrent refreshes cannot both succeed
+      const { count } = await tx.refreshToken.updateMany({
+        where: { id: existing.id, revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      const tokens = await issueTokens(existing.user, {
+        sessionId: existing.sessionId,
+        client: tx
+      });
+
+      await touchSession(existing.sessionId, tx);
+
+      await tx.refreshToken.update({
+        where: { id: existing.id },
+        data: { replacedById: tokens.refreshTokenId }
+      });
+
+      return tokens;
+    });
+
+    if (!result) {
+      await revokeSessionById(existing.sessionId);
+      throw new AppError(
+        'Refresh token has already been used - the session was revoked',
+        401,
+        'REFRESH_TOKEN_REUSED'
+      );
+    }
+
+    return {
+      user: existing.user,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Refresh token error:', error);
+    throw new AppError(
+      'Failed to refresh token',
+      500,
+      'TOKEN_REFRESH_ERROR'
+    );
+  }
+}
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken
+};
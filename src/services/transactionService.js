@@ -1,148 +1,261 @@
 const { prisma } = require('../config/database');
 const { AppError } = require('../middleware/errorHandler');
 const { isValidUUID } = require('../utils/validation');
+const { investmentAccessWhere, transactionAccessWhere } = require('../utils/access');
+const { money, roundMoney, toNumber } = require('../utils/money');
+const { calculateDaysBetween, calculatePeriodInterest } = require('../utils/calculations');
+const { convertAmount } = require('../utils/currency');
+const { recordAuditEvent } = require('./auditService');
+const {
+  getLedgerBalance,
+  getBalanceAdjustments,
+  postTransactionEntry,
+  reverseTransactionEntries
+} = require('./ledgerService');
+const { assertPeriodOpen } = require('./periodService');
+
+// Transaction types that make up gross returns, and the charges taken from them
+const GROSS_RETURN_TYPES = ['RETURN', 'DIVIDEND', 'INTEREST_ACCRUAL'];
+const CHARGE_TYPES = ['FEE', 'TAX_WITHHELD'];
 
 /**
  * Create a new transaction
+ * Backdated transactions recompute the running balance of every later
+ * transaction (and, with recalculateInterest, the interest posted since).
  * @param {string} userId - User ID
  * @param {Object} transactionData - Transaction data
- * @returns {Object} Created transaction with investment info
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Created transaction with investment info and the recomputation
  * @throws {AppError} If creation fails
  */
-async function createTransaction(userId, transactionData) {
+async function createTransaction(userId, transactionData, context = {}) {
   try {
-    const {
-      investmentId,
-      type,
-      amount,
-      percentage,
-      transactionDate,
-      description
-    } = transactionData;
-
     // Start a transaction to ensure data consistency
-    const result = await prisma.$transaction(async (tx) => {
-      // Verify investment exists and is owned by user
-      const investment = await tx.investment.findFirst({
-        where: {
-          id: investmentId,
-          userId
-        },
-        select: {
-          id: true,
-          name: true,
-          currentBalance: true,
-          status: true
-        }
-      });
+    return await prisma.$transaction(tx => insertTransaction(userId, transactionData, context, tx));
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
 
-      if (!investment) {
-        throw new AppError(
-          'Investment not found',
-          404,
-          'INVESTMENT_NOT_FOUND'
-        );
-      }
+    console.error('Create transaction error:', error);
+    throw new AppError(
+      'Failed to create transaction',
+      500,
+      'TRANSACTION_CREATION_ERROR'
+    );
+  }
+}
 
-      if (investment.status === 'CANCELLED') {
-        throw new AppError(
-          'Cannot create transactions for cancelled investments',
-          400,
-          'INVALID_OPERATION'
-        );
-      }
+/**
+ * Record a transaction inside an open database transaction
+ * Shared by createTransaction and the recurring transaction job, which
+ * records the occurrence in the same database transaction.
+ * @param {string} userId - User ID (must be able to edit the investment)
+ * @param {Object} transactionData - Transaction data
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @param {Object} tx - Prisma transaction
+ * @param {Object} options - Insert options
+ * @param {boolean} options.recompute - Recompute running balances (default true). Callers
+ *   inserting many rows pass false and call recomputeRunningBalances once afterwards.
+ * @returns {Object} Created transaction with investment info and the recomputation (null when skipped)
+ * @throws {AppError} If the investment is not editable or the balance would go negative
+ */
+async function insertTransaction(userId, transactionData, context, tx, options = {}) {
+  const { recompute = true } = options;
+  const {
+    investmentId,
+    type,
+    amount,
+    percentage,
+    transactionDate,
+    description,
+    recalculateInterest = false
+  } = transactionData;
+
+  // Verify investment exists and the user may edit it
+  const investment = await tx.investment.findFirst({
+    where: {
+      id: investmentId,
+      ...investmentAccessWhere(userId, 'write')
+    },
+    select: {
+      id: true,
+      name: true,
+      currency: true,
+      initialAmount: true,
+      currentBalance: true,
+      status: true
+    }
+  });
 
-      // Validate transaction amount based on type
-      const currentBalanceNum =
-        investment && investment.currentBalance && typeof investment.currentBalance.toNumber === 'function'
-          ? investment.currentBalance.toNumber()
-          : Number(investment.currentBalance);
-      if ((type === 'WITHDRAWAL') && Math.abs(Number(amount)) > currentBalanceNum) {
-        throw new AppError(
-          'Withdrawal amount cannot exceed current balance',
-          400,
-          'INSUFFICIENT_BALANCE'
-        );
-      }
+  if (!investment) {
+    throw new AppError(
+      'Investment not found',
+      404,
+      'INVESTMENT_NOT_FOUND'
+    );
+  }
 
-      
-      // Update investment balance based on transaction type
-      let balanceChange = 0;
-      switch (type) {
-        case 'RETURN':
-        case 'DIVIDEND':
-        case 'DEPOSIT':
-          balanceChange = Number(amount);
-          break;
-        case 'WITHDRAWAL':
-          balanceChange = -Math.abs(Number(amount));
-          break;
-      }
-      let newBalance = currentBalanceNum;
-        
-      if (balanceChange !== 0) {
-        newBalance = currentBalanceNum + Number(balanceChange);
+  if (investment.status === 'CANCELLED') {
+    throw new AppError(
+      'Cannot create transactions for cancelled investments',
+      400,
+      'INVALID_OPERATION'
+    );
+  }
 
-        if (newBalance < 0) {
-          throw new AppError(
-            'Transaction would result in negative balance',
-            400,
-            'NEGATIVE_BALANCE'
-          );
-        }
+  await assertPeriodOpen(investmentId, [transactionDate], tx);
 
-        await tx.investment.update({
-          where: { id: investmentId },
-          data: { currentBalance: newBalance }
-        });
-      }
-      // Create transaction
-      let transaction = await tx.transaction.create({
-        data: {
-          investmentId,
-          type,
-          amount,
-          percentage,
-          balance: newBalance,
-          transactionDate: new Date(transactionDate),
-          description: description?.trim() || null
-        },
+  // Validate transaction amount based on type; a backdated withdrawal is
+  // checked against the balance on its date (the recomputation below still
+  // rejects one that would take a later balance negative)
+  const currentBalance = money(investment.currentBalance);
+  const transactionAmount = roundMoney(amount, investment.currency);
+  if (type === 'WITHDRAWAL' &&
+    transactionAmount.abs().gt(await getBalanceOn(investment, new Date(transactionDate), tx))) {
+    throw new AppError(
+      'Withdrawal amount cannot exceed the balance on the transaction date',
+      400,
+      'INSUFFICIENT_BALANCE'
+    );
+  }
+
+  // Update investment balance based on transaction type
+  const newBalance = currentBalance.plus(getBalanceImpact(type, transactionAmount));
+
+  if (newBalance.lt(0)) {
+    throw new AppError(
+      'Transaction would result in negative balance',
+      400,
+      'NEGATIVE_BALANCE'
+    );
+  }
+
+  // Create transaction
+  let transaction = await tx.transaction.create({
+    data: {
+      investmentId,
+      type,
+      amount: transactionAmount,
+      percentage,
+      balance: newBalance,
+      transactionDate: new Date(transactionDate),
+      description: description?.trim() || null
+    },
+    select: {
+      id: true,
+      type: true,
+      amount: true,
+      balance: true,
+      percentage: true,
+      transactionDate: true,
+      description: true,
+      createdAt: true,
+      reversalOfId: true,
+      reversedBy: { select: { id: true, transactionDate: true } },
+      investment: {
         select: {
           id: true,
-          type: true,
-          amount: true,
-          balance: true,
-          percentage: true,
-          transactionDate: true,
-          description: true,
-          createdAt: true,
-          investment: {
-            select: {
-              id: true,
-              name: true,
-              category: true,
-              currency: true
-            }
-          }
+          name: true,
+          category: true,
+          currency: true
         }
-      });
+      }
+    }
+  });
+
+  // Post to the journal; the stored balance is derived from it
+  const ledgerBalance = await postTransactionEntry({
+    id: transaction.id,
+    investmentId,
+    type,
+    amount: transactionAmount,
+    transactionDate: transaction.transactionDate,
+    description: transaction.description
+  }, tx);
+
+  await tx.investment.update({
+    where: { id: investmentId },
+    data: { currentBalance: ledgerBalance }
+  });
+
+  let recomputation = null;
+  if (recompute) {
+    recomputation = await recomputeRunningBalances(
+      investmentId,
+      transaction.transactionDate,
+      { recalculateInterest },
+      context,
+      tx
+    );
+    transaction = withRecomputedBalance(transaction, recomputation);
+  }
 
-      return transaction;
-    });
+  await recordAuditEvent({
+    action: 'TRANSACTION_CREATED',
+    entityType: 'Transaction',
+    entityId: transaction.id,
+    investmentId,
+    after: transaction,
+    balanceBefore: currentBalance,
+    balanceAfter: ledgerBalance
+  }, context, tx);
+
+  return { transaction, recomputation };
+}
 
-    return result;
-  } catch (error) {
-    if (error instanceof AppError) {
-      throw error;
+/**
+ * Build the transaction filter used by listings and exports
+ * Restricted to investments the user can access.
+ * @param {string} userId - User ID
+ * @param {Object} filters - investmentId, type, startDate, endDate, minAmount, maxAmount, includeReversed
+ * @returns {Object} Prisma where clause
+ */
+function buildTransactionWhere(userId, filters = {}) {
+  const {
+    investmentId,
+    type,
+    startDate,
+    endDate,
+    minAmount,
+    maxAmount,
+    includeReversed = true
+  } = filters;
+
+  const where = {
+    ...transactionAccessWhere(userId),
+    ...(!includeReversed && excludeReversedWhere())
+  };
+
+  if (investmentId) {
+    where.investmentId = investmentId;
+  }
+
+  if (type) {
+    where.type = type;
+  }
+
+  if (startDate || endDate) {
+    where.transactionDate = {};
+    if (startDate) {
+      where.transactionDate.gte = new Date(startDate);
+    }
+    if (endDate) {
+      where.transactionDate.lte = new Date(endDate);
     }
+  }
 
-    console.error('Create transaction error:', error);
-    throw new AppError(
-      'Failed to create transaction',
-      500,
-      'TRANSACTION_CREATION_ERROR'
-    );
+  if (minAmount || maxAmount) {
+    where.amount = {};
+    if (minAmount) {
+      where.amount.gte = minAmount;
+    }
+    if (maxAmount) {
+      where.amount.lte = maxAmount;
+    }
   }
+
+  return where;
 }
 
 /**
@@ -155,52 +268,13 @@ async function createTransaction(userId, transactionData) {
 async function getUserTransactions(userId, filters = {}) {
   try {
     const {
-      investmentId,
-      type,
-      startDate,
-      endDate,
-      minAmount,
-      maxAmount,
       limit = 20,
       offset = 0,
       sortBy = 'transactionDate',
       sortOrder = 'desc'
     } = filters;
 
-    // Build where clause - ensure user ownership through investment relation
-    const where = {
-      investment: {
-        userId
-      }
-    };
-
-    if (investmentId) {
-      where.investmentId = investmentId;
-    }
-
-    if (type) {
-      where.type = type;
-    }
-
-    if (startDate || endDate) {
-      where.transactionDate = {};
-      if (startDate) {
-        where.transactionDate.gte = new Date(startDate);
-      }
-      if (endDate) {
-        where.transactionDate.lte = new Date(endDate);
-      }
-    }
-
-    if (minAmount || maxAmount) {
-      where.amount = {};
-      if (minAmount) {
-        where.amount.gte = minAmount;
-      }
-      if (maxAmount) {
-        where.amount.lte = maxAmount;
-      }
-    }
+    const where = buildTransactionWhere(userId, filters);
 
     // Build orderBy clause
     const orderBy = {
@@ -225,6 +299,9 @@ async function getUserTransactions(userId, filters = {}) {
           transactionDate: true,
           description: true,
           createdAt: true,
+          reversalOfId: true,
+          reversedBy: { select: { id: true, transactionDate: true } },
+          transferId: true,
           investment: {
             select: {
               id: true,
@@ -278,9 +355,7 @@ async function getTransactionById(transactionId, userId) {
     const transaction = await prisma.transaction.findFirst({
       where: {
         id: transactionId,
-        investment: {
-          userId // Ensure user owns the investment
-        }
+        ...transactionAccessWhere(userId) // Ensure user can access the investment
       },
       select: {
         id: true,
@@ -291,6 +366,28 @@ async function getTransactionById(transactionId, userId) {
         transactionDate: true,
         description: true,
         createdAt: true,
+        reversalOfId: true,
+        reversedBy: { select: { id: true, transactionDate: true } },
+        transferId: true,
+        transfer: {
+          select: {
+            id: true,
+            fromInvestmentId: true,
+            toInvestmentId: true,
+            amount: true,
+            fromCurrency: true,
+            convertedAmount: true,
+            toCurrency: true,
+            exchangeRate: true,
+            ratesAt: true,
+            transferDate: true,
+            transactions: { select: { id: true, investmentId: true, amount: true } }
+          }
+        },
+        attachments: {
+          orderBy: { createdAt: 'desc' },
+          select: { id: true, filename: true, contentType: true, size: true, createdAt: true }
+        },
         investment: {
           select: {
             id: true,
@@ -329,13 +426,18 @@ async function getTransactionById(transactionId, userId) {
 
 /**
  * Update transaction with ownership check
+ * Changing the amount, type or date recomputes the running balances from the
+ * earlier of the old and new dates.
  * @param {string} transactionId - Transaction ID
  * @param {string} userId - User ID
- * @param {Object} updateData - Data to update
- * @returns {Object} Updated transaction
+ * @param {Object} updateData - Data to update (plus recalculateInterest)
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Updated transaction and the recomputation (null if nothing moved)
  * @throws {AppError} If not found, not owned, or update fails
  */
-async function updateTransaction(transactionId, userId, updateData) {
+async function updateTransaction(transactionId, userId, updateData, context = {}) {
+  const { recalculateInterest = false, ...changes } = updateData;
+
   try {
     if (!isValidUUID(transactionId)) {
       throw new AppError(
@@ -346,21 +448,27 @@ async function updateTransaction(transactionId, userId, updateData) {
     }
 
     const result = await prisma.$transaction(async (tx) => {
-      // First verify the transaction exists and user owns the investment
+      // First verify the transaction exists and user may edit the investment
       const existingTransaction = await tx.transaction.findFirst({
         where: {
           id: transactionId,
-          investment: {
-            userId
-          }
+          ...transactionAccessWhere(userId, 'write')
         },
         select: {
           id: true,
           type: true,
           amount: true,
+          balance: true,
+          percentage: true,
+          transactionDate: true,
+          description: true,
           investmentId: true,
+          reversalOfId: true,
+          reversedBy: { select: { id: true } },
+          transferId: true,
           investment: {
             select: {
+              currency: true,
               currentBalance: true,
               status: true
             }
@@ -376,6 +484,14 @@ async function updateTransaction(transactionId, userId, updateData) {
         );
       }
 
+      if (existingTransaction.reversalOfId || existingTransaction.reversedBy) {
+        throw new AppError(
+          'Reversed transactions and reversals cannot be edited',
+          400,
+          'TRANSACTION_REVERSED'
+        );
+      }
+
       if (existingTransaction.investment.status === 'CANCELLED') {
         throw new AppError(
           'Cannot update transactions for cancelled investments',
@@ -384,35 +500,70 @@ async function updateTransaction(transactionId, userId, updateData) {
         );
       }
 
-      // Calculate balance impact if amount is being changed
-      let balanceAdjustment = 0;
-      let prospectiveNewBalance = null;
-      if (updateData.amount !== undefined && updateData.amount !== existingTransaction.amount) {
+      // Changing one leg would leave the other side of the transfer out of step
+      if (existingTransaction.transferId &&
+        ['type', 'amount', 'transactionDate'].some(field => changes[field] !== undefined)) {
+        throw new AppError(
+          'Transfer legs cannot be changed; reverse the transfer and record a new one',
+          400,
+          'TRANSFER_LINKED'
+        );
+      }
+
+      // Neither the current nor the new date may fall in a closed period
+      await assertPeriodOpen(
+        existingTransaction.investmentId,
+        [existingTransaction.transactionDate, changes.transactionDate],
+        tx
+      );
+
+      // Calculate balance impact if amount or type is being changed
+      const nextType = changes.type || existingTransaction.type;
+      const nextAmount = changes.amount !== undefined
+        ? roundMoney(changes.amount, existingTransaction.investment.currency)
+        : money(existingTransaction.amount);
+
+      if (CHARGE_TYPES.includes(nextType) && nextAmount.lte(0)) {
+        throw new AppError(
+          'Fee and tax amounts must be positive',
+          400,
+          'INVALID_AMOUNT'
+        );
+      }
+
+      const reposting = nextType !== existingTransaction.type ||
+        !nextAmount.eq(money(existingTransaction.amount));
+      const currentBalance = money(existingTransaction.investment.currentBalance);
+
+      let balanceAdjustment = money(0);
+      if (reposting) {
         const oldImpact = getBalanceImpact(existingTransaction.type, existingTransaction.amount);
-        const newImpact = getBalanceImpact(existingTransaction.type, updateData.amount);
-        balanceAdjustment = newImpact - oldImpact;
+        const newImpact = getBalanceImpact(nextType, nextAmount);
+        balanceAdjustment = newImpact.minus(oldImpact);
 
         // Check if the new balance would be valid
-        const newBalance = (
-          existingTransaction &&
-          existingTransaction.investment &&
-          existingTransaction.investment.currentBalance &&
-          typeof existingTransaction.investment.currentBalance.toNumber === 'function'
-            ? existingTransaction.investment.currentBalance.toNumber()
-            : Number(existingTransaction.investment.currentBalance)
-        ) + Number(balanceAdjustment);
-        prospectiveNewBalance = newBalance;
-        if (newBalance < 0) {
+        if (currentBalance.plus(balanceAdjustment).lt(0)) {
           throw new AppError(
             'Updated transaction would result in negative investment balance',
             400,
             'NEGATIVE_BALANCE'
           );
         }
+
+        // Cancel the journal lines of the old version before it is overwritten
+        await reverseTransactionEntries(
+          transactionId,
+          existingTransaction.investmentId,
+          tx,
+          'Transaction updated'
+        );
       }
 
       // Prepare update data
-      const updateFields = { ...updateData };
+      const updateFields = { ...changes };
+      if (updateFields.amount !== undefined) {
+        updateFields.amount = nextAmount;
+      }
       
       // Handle date conversion
       if (updateFields.transactionDate) {
@@ -424,25 +575,8 @@ async function updateTransaction(transactionId, userId, updateData) {
         updateFields.description = updateFields.description.trim() || null;
       }
 
-      //come here 
-      // Update transaction
-      // Include new post-transaction balance when amount changed
-      if (balanceAdjustment !== 0 && prospectiveNewBalance !== null) {
-        updateFields.balance = prospectiveNewBalance;
-      } else {
-        // No balance change; ensure balance column reflects current investment balance
-        const currentBalNum = (
-          existingTransaction &&
-          existingTransaction.investment &&
-          existingTransaction.investment.currentBalance &&
-          typeof existingTransaction.investment.currentBalance.toNumber === 'function'
-            ? existingTransaction.investment.currentBalance.toNumber()
-            : Number(existingTransaction.investment.currentBalance)
-        );
-        updateFields.balance = currentBalNum;
-      }
-//end here
-      const updatedTransaction = await tx.transaction.update({
+      // The balance snapshot is left to recomputeRunningBalances below
+      let updatedTransaction = await tx.transaction.update({
         where: { id: transactionId },
         data: updateFields,
         select: {
@@ -454,6 +588,8 @@ async function updateTransaction(transactionId, userId, updateData) {
           transactionDate: true,
           description: true,
           createdAt: true,
+          reversalOfId: true,
+          reversedBy: { select: { id: true, transactionDate: true } },
           investment: {
             select: {
               id: true,
@@ -465,19 +601,56 @@ async function updateTransaction(transactionId, userId, updateData) {
         }
       });
 
-      // Update investment balance if needed
-      if (balanceAdjustment !== 0) {
+      // Post the new version and derive the investment balance from the journal
+      let balanceAfter = currentBalance;
+      if (reposting) {
+        balanceAfter = await postTransactionEntry({
+          id: transactionId,
+          investmentId: existingTransaction.investmentId,
+          type: updatedTransaction.type,
+          amount: updatedTransaction.amount,
+          transactionDate: updatedTransaction.transactionDate,
+          description: updatedTransaction.description
+        }, tx);
+
         await tx.investment.update({
           where: { id: existingTransaction.investmentId },
-          data: {
-            currentBalance: {
-              increment: balanceAdjustment
-            }
-          }
+          data: { currentBalance: balanceAfter }
         });
       }
 
-      return updatedTransaction;
+      // Moving or re-valuing a transaction shifts every running balance after it
+      let recomputation = null;
+      const dateChanged = updatedTransaction.transactionDate.getTime() !== existingTransaction.transactionDate.getTime();
+      if (reposting || dateChanged) {
+        const fromDate = updatedTransaction.transactionDate < existingTransaction.transactionDate
+          ? updatedTransaction.transactionDate
+          : existingTransaction.transactionDate;
+
+        recomputation = await recomputeRunningBalances(
+          existingTransaction.investmentId,
+          fromDate,
+          { recalculateInterest },
+          context,
+          tx
+        );
+        updatedTransaction = withRecomputedBalance(updatedTransaction, recomputation);
+      }
+
+      const { investment: investmentBefore, ...transactionBefore } = existingTransaction;
+
+      await recordAuditEvent({
+        action: 'TRANSACTION_UPDATED',
+        entityType: 'Transaction',
+        entityId: transactionId,
+        investmentId: existingTransaction.investmentId,
+        before: transactionBefore,
+        after: updatedTransaction,
+        balanceBefore: investmentBefore.currentBalance,
+        balanceAfter
+      }, context, tx);
+
+      return { transaction: updatedTransaction, recomputation };
     });
 
     return result;
@@ -504,13 +677,222 @@ async function updateTransaction(transactionId, userId, updateData) {
 }
 
 /**
- * Delete transaction with balance adjustment
+ * Post the reversing transaction of a transaction
+ * The reversal is a REVERSAL row linked through reversalOfId whose amount is
+ * the opposite of the original's balance impact; its journal entry cancels
+ * the original's lines. Must run inside a database transaction.
+ * @param {Object} original - Transaction with id, investmentId, type, amount and transactionDate
+ * @param {Object} options - Reversal options
+ * @param {Date|string} options.transactionDate - Date of the reversal (default: now)
+ * @param {string} options.description - Description (default: "Reversal of <type> <amount>")
+ * @param {Object} tx - Prisma transaction
+ * @returns {Object} Reversal row with the balance before and after
+ * @throws {AppError} If the transaction cannot be reversed
+ */
+async function postReversalTransaction(original, options = {}, tx) {
+  if (original.type === 'REVERSAL') {
+    throw new AppError(
+      'A reversal cannot be reversed',
+      400,
+      'INVALID_OPERATION'
+    );
+  }
+
+  const alreadyReversed = await tx.transaction.findUnique({
+    where: { reversalOfId: original.id },
+    select: { id: true }
+  });
+
+  if (alreadyReversed) {
+    throw new AppError(
+      'Transaction has already been reversed',
+      409,
+      'TRANSACTION_ALREADY_REVERSED'
+    );
+  }
+
+  const transactionDate = options.transactionDate ? new Date(options.transactionDate) : new Date();
+  if (transactionDate < new Date(original.transactionDate)) {
+    throw new AppError(
+      'Reversal date cannot be before the original transaction date',
+      400,
+      'INVALID_REVERSAL_DATE'
+    );
+  }
+
+  await assertPeriodOpen(original.investmentId, [original.transactionDate, transactionDate], tx);
+
+  const investment = await tx.investment.findUnique({
+    where: { id: original.investmentId },
+    select: { currentBalance: true }
+  });
+
+  const balanceBefore = money(investment.currentBalance);
+  const amount = getBalanceImpact(original.type, original.amount).neg();
+  const newBalance = balanceBefore.plus(amount);
+
+  if (newBalance.lt(0)) {
+    throw new AppError(
+      'Reversing this transaction would result in negative investment balance',
+      400,
+      'NEGATIVE_BALANCE'
+    );
+  }
+
+  const description = options.description?.trim() || `Reversal of ${original.type} ${original.amount}`;
+
+  const reversal = await tx.transaction.create({
+    data: {
+      investmentId: original.investmentId,
+      type: 'REVERSAL',
+      amount,
+      balance: newBalance,
+      transactionDate,
+      description,
+      reversalOfId: original.id
+    },
+    select: {
+      id: true,
+      type: true,
+      amount: true,
+      balance: true,
+      transactionDate: true,
+      description: true,
+      createdAt: true,
+      reversalOfId: true
+    }
+  });
+
+  const balanceAfter = await reverseTransactionEntries(
+    original.id,
+    original.investmentId,
+    tx,
+    description,
+    { reversalTransactionId: reversal.id, effectiveDate: transactionDate }
+  );
+
+  await tx.investment.update({
+    where: { id: original.investmentId },
+    data: { currentBalance: balanceAfter }
+  });
+
+  return { reversal, balanceBefore, balanceAfter };
+}
+
+/**
+ * Reverse the other leg of a transfer (must run inside a database transaction)
+ * @param {Object} transaction - Leg being reversed, with id and transferId
+ * @param {string} userId - User ID
+ * @param {Object} options - Reversal options (transactionDate, description, recalculateInterest)
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @param {Object} tx - Prisma transaction
+ * @returns {Object|null} Reversed leg, its reversal and new balance (null if there is no other leg)
+ * @throws {AppError} If the user cannot edit the other investment
+ */
+async function reverseTransferCounterpart(transaction, userId, options, context, tx) {
+  const leg = await tx.transaction.findFirst({
+    where: {
+      transferId: transaction.transferId,
+      id: { not: transaction.id }
+    },
+    select: {
+      id: true,
+      type: true,
+      amount: true,
+      balance: true,
+      transactionDate: true,
+      description: true,
+      investmentId: true,
+      transferId: true,
+      investment: {
+        select: {
+          status: true,
+          name: true
+        }
+      }
+    }
+  });
+
+  if (!leg) {
+    return null;
+  }
+
+  const editable = await tx.transaction.findFirst({
+    where: {
+      id: leg.id,
+      ...transactionAccessWhere(userId, 'write')
+    },
+    select: { id: true }
+  });
+
+  if (!editable) {
+    throw new AppError(
+      'You cannot edit the other investment of this transfer',
+      403,
+      'TRANSFER_ACCESS_DENIED'
+    );
+  }
+
+  if (leg.investment.status === 'CANCELLED') {
+    throw new AppError(
+      'Cannot reverse transactions for cancelled investments',
+      400,
+      'INVALID_OPERATION'
+    );
+  }
+
+  const { reversal: posted, balanceBefore, balanceAfter } = await postReversalTransaction(leg, options, tx);
+
+  const recomputation = await recomputeRunningBalances(
+    leg.investmentId,
+    posted.transactionDate,
+    { recalculateInterest: options.recalculateInterest },
+    context,
+    tx
+  );
+  const reversal = withRecomputedBalance(posted, recomputation);
+  const { investment, ...legBefore } = leg;
+
+  await recordAuditEvent({
+    action: 'TRANSACTION_REVERSED',
+    entityType: 'Transaction',
+    entityId: leg.id,
+    investmentId: leg.investmentId,
+    before: legBefore,
+    after: { reversal },
+    balanceBefore,
+    balanceAfter
+  }, context, tx);
+
+  return {
+    reversedTransaction: {
+      id: leg.id,
+      type: leg.type,
+      amount: leg.amount,
+      balance: leg.balance,
+      transactionDate: leg.transactionDate
+    },
+    reversal,
+    investmentName: investment.name,
+    newBalance: recomputation.currentBalance,
+    recomputation
+  };
+}
+
+/**
+ * Reverse a transaction with an offsetting entry
+ * The original stays in the history; both rows are linked (reversalOfId /
+ * reversedBy) and can be hidden from lists and reports with includeReversed.
+ * Reversing either leg of a transfer reverses the other leg too. Returns
+ * posted by an interest calculation are reverted through interestService.
  * @param {string} transactionId - Transaction ID
  * @param {string} userId - User ID
- * @returns {Object} Deletion result
- * @throws {AppError} If not found, not owned, or deletion fails
+ * @param {Object} options - Reversal options (transactionDate, description, recalculateInterest)
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Reversed transaction, reversal, new balance and the recomputation
+ * @throws {AppError} If not found, not editable or already reversed
  */
-async function deleteTransaction(transactionId, userId) {
+async function reverseTransaction(transactionId, userId, options = {}, context = {}) {
   try {
     if (!isValidUUID(transactionId)) {
       throw new AppError(
@@ -521,23 +903,25 @@ async function deleteTransaction(transactionId, userId) {
     }
 
     const result = await prisma.$transaction(async (tx) => {
-      // First get the transaction and verify ownership
+      // First get the transaction and verify edit access
       const transaction = await tx.transaction.findFirst({
         where: {
           id: transactionId,
-          investment: {
-            userId
-          }
+          ...transactionAccessWhere(userId, 'write')
         },
         select: {
           id: true,
           type: true,
           amount: true,
           balance: true,
+          percentage: true,
+          transactionDate: true,
+          description: true,
+          createdAt: true,
           investmentId: true,
+          transferId: true,
           investment: {
             select: {
-              currentBalance: true,
               status: true,
               name: true
             }
@@ -555,57 +939,70 @@ async function deleteTransaction(transactionId, userId) {
 
       if (transaction.investment.status === 'CANCELLED') {
         throw new AppError(
-          'Cannot delete transactions for cancelled investments',
+          'Cannot reverse transactions for cancelled investments',
           400,
           'INVALID_OPERATION'
         );
       }
 
-      // Calculate balance adjustment (reverse the original impact)
-      const balanceAdjustment = -getBalanceImpact(transaction.type, transaction.amount);
-
-      // Check if removing this transaction would result in negative balance
-      const newBalance = (
-        transaction &&
-        transaction.investment &&
-        transaction.investment.currentBalance &&
-        typeof transaction.investment.currentBalance.toNumber === 'function'
-          ? transaction.investment.currentBalance.toNumber()
-          : Number(transaction.investment.currentBalance)
-      ) + Number(balanceAdjustment);
-      if (newBalance < 0) {
+      // Interest postings are undone by reverting the calculation, which
+      // also moves lastInterestCalculated back
+      const calculation = await tx.interestCalculation.findFirst({
+        where: { transactionId: transaction.id, isReverted: false },
+        select: { id: true }
+      });
+
+      if (calculation) {
         throw new AppError(
-          'Deleting this transaction would result in negative investment balance',
+          'This return was posted by an interest calculation; revert the calculation instead',
           400,
-          'NEGATIVE_BALANCE'
+          'INTEREST_LINKED'
         );
       }
 
-      // Delete the transaction
-      await tx.transaction.delete({
-        where: { id: transactionId }
-      });
+      const { reversal: posted, balanceBefore, balanceAfter } = await postReversalTransaction(transaction, options, tx);
 
-      // Update investment balance
-      if (balanceAdjustment !== 0) {
-        await tx.investment.update({
-          where: { id: transaction.investmentId },
-          data: {
-            currentBalance: newBalance
-          }
-        });
-      }
+      // A backdated reversal changes every running balance after its date
+      const recomputation = await recomputeRunningBalances(
+        transaction.investmentId,
+        posted.transactionDate,
+        { recalculateInterest: options.recalculateInterest },
+        context,
+        tx
+      );
+      const reversal = withRecomputedBalance(posted, recomputation);
+      const { investment, ...transactionBefore } = transaction;
+
+      await recordAuditEvent({
+        action: 'TRANSACTION_REVERSED',
+        entityType: 'Transaction',
+        entityId: transactionId,
+        investmentId: transaction.investmentId,
+        before: transactionBefore,
+        after: { reversal },
+        balanceBefore,
+        balanceAfter
+      }, context, tx);
+
+      // Transfers are reversed on both sides so they are never half-applied
+      const counterpart = transaction.transferId
+        ? await reverseTransferCounterpart(transaction, userId, { ...options, transactionDate: posted.transactionDate }, context, tx)
+        : null;
 
       return {
-        deletedTransaction: {
+        reversedTransaction: {
           id: transaction.id,
           type: transaction.type,
           amount: transaction.amount,
-          balance: transaction.balance
+          balance: transaction.balance,
+          transactionDate: transaction.transactionDate
         },
-        investmentName: transaction.investment.name,
-        balanceAdjustment,
-        newBalance
+        reversal,
+        investmentName: investment.name,
+        balanceAdjustment: toNumber(reversal.amount),
+        newBalance: recomputation.currentBalance,
+        recomputation,
+        ...(counterpart && { counterpart })
       };
     });
 
@@ -615,15 +1012,38 @@ async function deleteTransaction(transactionId, userId) {
       throw error;
     }
 
-    console.error('Delete transaction error:', error);
+    // Two reversals of the same transaction raced; the unique link rejected one
+    if (error.code === 'P2002') {
+      throw new AppError(
+        'Transaction has already been reversed',
+        409,
+        'TRANSACTION_ALREADY_REVERSED'
+      );
+    }
+
+    console.error('Reverse transaction error:', error);
     throw new AppError(
-      'Failed to delete transaction',
+      'Failed to reverse transaction',
       500,
-      'TRANSACTION_DELETE_ERROR'
+      'TRANSACTION_REVERSAL_ERROR'
     );
   }
 }
 
+/**
+ * Delete a transaction
+ * Transactions are never removed: deleting posts a reversal dated today.
+ * @param {string} transactionId - Transaction ID
+ * @param {string} userId - User ID
+ * @param {Object} options - Options (recalculateInterest)
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Reversal result
+ * @throws {AppError} If not found, not editable or already reversed
+ */
+async function deleteTransaction(transactionId, userId, options = {}, context = {}) {
+  return reverseTransaction(transactionId, userId, { recalculateInterest: options.recalculateInterest }, context);
+}
+
 /**
  * Get transaction statistics for user
  * @param {string} userId - User ID
@@ -637,14 +1057,14 @@ async function getTransactionStatistics(userId, filters = {}) {
       investmentId,
       startDate,
       endDate,
-      groupBy = 'type'
+      groupBy = 'type',
+      includeReversed = false
     } = filters;
 
     // Build where clause
     const where = {
-      investment: {
-        userId
-      }
+      ...transactionAccessWhere(userId),
+      ...(!includeReversed && excludeReversedWhere())
     };
 
     if (investmentId) {
@@ -724,11 +1144,24 @@ async function getTransactionStatistics(userId, filters = {}) {
         break;
     }
 
+    // Gross and net returns need the totals per type
+    const typeTotals = groupBy === 'type'
+      ? groupedStats
+      : await prisma.transaction.groupBy({
+        by: ['type'],
+        where,
+        _sum: {
+          amount: true
+        }
+      });
+    const returns = summarizeReturns(typeTotals.map(group => ({ type: group.type, amount: group._sum.amount })));
+
     return {
       overall: {
         totalAmount: overall._sum.amount || 0,
         totalTransactions: overall._count._all || 0,
-        averageAmount: overall._avg.amount || 0
+        averageAmount: overall._avg.amount || 0,
+        ...formatReturns(returns)
       },
       groupedBy: groupBy,
       groups: groupedStats.map(stat => ({
@@ -751,30 +1184,425 @@ async function getTransactionStatistics(userId, filters = {}) {
 /**
  * Helper function to calculate balance impact of a transaction
  * @param {string} type - Transaction type
- * @param {number} amount - Transaction amount
- * @returns {number} Balance impact (positive or negative)
+ * @param {number|string|Object} amount - Transaction amount
+ * @returns {Decimal} Balance impact (positive or negative)
  */
 function getBalanceImpact(type, amount) {
   switch (type) {
     case 'RETURN':
     case 'DIVIDEND':
     case 'DEPOSIT':
-      return amount;
+    case 'INTEREST_ACCRUAL':
+      return money(amount);
+    case 'TRANSFER':
+      // Positive for money transferred in, negative for money transferred out
+      return money(amount);
     case 'WITHDRAWAL':
-      return -Math.abs(amount);
+    case 'FEE':
+    case 'TAX_WITHHELD':
+      return money(amount).abs().neg();
+    case 'REVERSAL':
+      // Stored as the signed impact that cancels the reversed transaction
+      return money(amount);
+    case 'ADJUSTMENT':
+      // Journal-only balance adjustment (ledgerService.getBalanceAdjustments), already signed
+      return money(amount);
     default:
-      return 0;
+      return money(0);
+  }
+}
+
+/**
+ * Merge balance adjustments into transactions in posting order
+ * @param {Array} transactions - Transactions with transactionDate, createdAt and id
+ * @param {Array} adjustments - Result of ledgerService.getBalanceAdjustments
+ * @returns {Array} Transactions and adjustments by date, createdAt, id
+ */
+function withBalanceAdjustments(transactions, adjustments) {
+  if (adjustments.length === 0) {
+    return transactions;
   }
+
+  return [...transactions, ...adjustments].sort((a, b) => (
+    a.transactionDate - b.transactionDate
+    || a.createdAt - b.createdAt
+    || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+  ));
+}
+
+/**
+ * Split transactions into gross returns, fees, taxes and net returns
+ * Gross returns are returns, dividends and interest accruals; net returns
+ * are what is left after fees and withheld taxes.
+ * @param {Array} transactions - Transactions (or per-type sums) with type and amount
+ * @returns {Object} { grossReturns, fees, taxes, netReturns } as Decimals
+ */
+function summarizeReturns(transactions) {
+  const totals = { grossReturns: money(0), fees: money(0), taxes: money(0) };
+
+  transactions.forEach(({ type, amount }) => {
+    if (GROSS_RETURN_TYPES.includes(type)) {
+      totals.grossReturns = totals.grossReturns.plus(money(amount));
+    } else if (type === 'FEE') {
+      totals.fees = totals.fees.plus(money(amount).abs());
+    } else if (type === 'TAX_WITHHELD') {
+      totals.taxes = totals.taxes.plus(money(amount).abs());
+    }
+  });
+
+  return { ...totals, netReturns: totals.grossReturns.minus(totals.fees).minus(totals.taxes) };
+}
+
+/**
+ * Gross and net figures for a return measured on the balance
+ * Fees and taxes were already taken out of the balance, so the balance-based
+ * return is net; adding them back gives the gross return.
+ * @param {Decimal} netReturns - Current balance minus principal
+ * @param {Object} charges - { fees, taxes } as Decimals (default: none)
+ * @returns {Object} { grossReturns, fees, taxes, netReturns } as Decimals
+ */
+function splitReturns(netReturns, charges = {}) {
+  const fees = money(charges.fees);
+  const taxes = money(charges.taxes);
+
+  return {
+    grossReturns: money(netReturns).plus(fees).plus(taxes),
+    fees,
+    taxes,
+    netReturns: money(netReturns)
+  };
+}
+
+/**
+ * Format gross/net return totals for a response
+ * @param {Object} totals - Result of summarizeReturns or splitReturns
+ * @returns {Object} { grossReturns, fees, taxes, netReturns } as numbers
+ */
+function formatReturns(totals) {
+  return {
+    grossReturns: toNumber(totals.grossReturns),
+    fees: toNumber(totals.fees),
+    taxes: toNumber(totals.taxes),
+    netReturns: toNumber(totals.netReturns)
+  };
+}
+
+/**
+ * Fees and taxes paid per investment (reversed pairs left out)
+ * @param {Object} where - Transaction filter, e.g. transactionAccessWhere(userId)
+ * @returns {Map} Investment ID -> { fees, taxes } as Decimals
+ */
+async function getChargesByInvestment(where) {
+  const charges = await prisma.transaction.findMany({
+    where: {
+      ...where,
+      ...excludeReversedWhere(),
+      type: { in: CHARGE_TYPES }
+    },
+    select: { investmentId: true, type: true, amount: true }
+  });
+
+  return charges.reduce((acc, charge) => {
+    const totals = acc.get(charge.investmentId) || { fees: money(0), taxes: money(0) };
+    const field = charge.type === 'FEE' ? 'fees' : 'taxes';
+    totals[field] = totals[field].plus(money(charge.amount).abs());
+    return acc.set(charge.investmentId, totals);
+  }, new Map());
+}
+
+/**
+ * Total fees and taxes of a group of investments
+ * When converting, charges of investments whose currency has no rate to the
+ * base currency are left out of the totals and listed as unconverted.
+ * @param {Array} investments - Investments with id (and currency when converting)
+ * @param {Map} charges - Result of getChargesByInvestment
+ * @param {string} baseCurrency - Convert to this currency (default: add up as stored)
+ * @returns {Object} { fees, taxes } as Decimals, and unconverted: [{ investmentId, currency, fees, taxes }]
+ */
+function sumCharges(investments, charges, baseCurrency = null) {
+  return investments.reduce((acc, investment) => {
+    const charge = charges.get(investment.id);
+    if (!charge) {
+      return acc;
+    }
+
+    if (!baseCurrency) {
+      acc.fees = acc.fees.plus(charge.fees);
+      acc.taxes = acc.taxes.plus(charge.taxes);
+      return acc;
+    }
+
+    const currency = investment.currency || baseCurrency;
+    const fees = convertAmount(charge.fees, currency, baseCurrency);
+    const taxes = convertAmount(charge.taxes, currency, baseCurrency);
+
+    if (fees === null || taxes === null) {
+      acc.unconverted.push({ investmentId: investment.id, currency, fees: charge.fees, taxes: charge.taxes });
+      return acc;
+    }
+
+    acc.fees = acc.fees.plus(fees);
+    acc.taxes = acc.taxes.plus(taxes);
+    return acc;
+  }, { fees: money(0), taxes: money(0), unconverted: [] });
+}
+
+/**
+ * Format the unconverted charges of sumCharges for a response
+ * @param {Array} unconverted - sumCharges(...).unconverted
+ * @returns {Array} [{ investmentId, currency, fees, taxes }] with numbers
+ */
+function formatUnconvertedCharges(unconverted) {
+  return unconverted.map(charge => ({
+    ...charge,
+    fees: toNumber(charge.fees),
+    taxes: toNumber(charge.taxes)
+  }));
+}
+
+/**
+ * Re-run an interest calculation on a corrected principal
+ * The calculation keeps its period and rate; its RETURN transaction is
+ * re-posted to the journal with the new interest.
+ * @param {Object} calculation - InterestCalculation row
+ * @param {Object} transaction - Its RETURN transaction
+ * @param {Decimal} principal - Running balance just before the transaction
+ * @param {Object} investment - Investment with id, currency and compoundingFrequency
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @param {Object} tx - Prisma transaction
+ * @returns {Object|null} What changed, or null if the result is the same
+ */
+async function rerunInterestCalculation(calculation, transaction, principal, investment, context, tx) {
+  const days = calculateDaysBetween(calculation.periodStart, calculation.periodEnd);
+  const { interest, newBalance } = calculatePeriodInterest(
+    principal,
+    calculation.interestRate,
+    investment.compoundingFrequency || 'MONTHLY',
+    days,
+    investment.currency
+  );
+
+  const previousInterest = money(transaction.amount);
+  if (interest.eq(previousInterest) && principal.eq(money(calculation.principalAmount))) {
+    return null;
+  }
+
+  const updatedCalculation = await tx.interestCalculation.update({
+    where: { id: calculation.id },
+    data: {
+      principalAmount: principal,
+      interestEarned: interest,
+      newBalance,
+      notes: 'Recalculated after a backdated change'
+    }
+  });
+
+  if (!interest.eq(previousInterest)) {
+    await reverseTransactionEntries(transaction.id, investment.id, tx, 'Interest recalculated');
+    await tx.transaction.update({
+      where: { id: transaction.id },
+      data: { amount: interest }
+    });
+    await postTransactionEntry({ ...transaction, investmentId: investment.id, amount: interest }, tx, {
+      entryType: 'INTEREST',
+      interestCalculationId: calculation.id
+    });
+  }
+
+  await recordAuditEvent({
+    action: 'INTEREST_RECALCULATED',
+    entityType: 'InterestCalculation',
+    entityId: calculation.id,
+    investmentId: investment.id,
+    before: { calculation },
+    after: { calculation: updatedCalculation }
+  }, context, tx);
+
+  return {
+    calculationId: calculation.id,
+    transactionId: transaction.id,
+    periodStart: calculation.periodStart,
+    periodEnd: calculation.periodEnd,
+    previousPrincipal: toNumber(calculation.principalAmount),
+    principal: toNumber(principal),
+    previousInterest: toNumber(previousInterest),
+    interest: toNumber(interest)
+  };
+}
+
+/**
+ * Balance of an investment as of a date, replayed from its history
+ * Counts initialAmount plus every transaction and manual balance adjustment
+ * dated on or before the date.
+ * @param {Object} investment - Investment with id and initialAmount
+ * @param {Date} date - As-of date
+ * @param {Object} tx - Prisma client or transaction
+ * @returns {Decimal} Balance
+ */
+async function getBalanceOn(investment, date, tx) {
+  const transactions = await tx.transaction.findMany({
+    where: { investmentId: investment.id, transactionDate: { lte: date } },
+    select: { type: true, amount: true }
+  });
+  const adjustments = await getBalanceAdjustments([investment.id], tx, { before: new Date(date.getTime() + 1) });
+
+  return [...transactions, ...adjustments].reduce(
+    (balance, row) => balance.plus(getBalanceImpact(row.type, row.amount)),
+    money(investment.initialAmount)
+  );
+}
+
+/**
+ * Recompute the running balances of an investment from a date onwards
+ * Call after inserting, editing or reversing a transaction dated fromDate.
+ * The history is replayed from initialAmount in date order, together with
+ * manual balance adjustments from the journal, and every `balance` snapshot
+ * from fromDate on is rewritten. With recalculateInterest, interest
+ * calculations posted on or after fromDate are re-run on the corrected
+ * principal.
+ * @param {string} investmentId - Investment ID
+ * @param {Date|string} fromDate - Earliest transaction date affected by the change
+ * @param {Object} options - Recompute options
+ * @param {boolean} options.recalculateInterest - Re-run affected interest calculations
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @param {Object} tx - Prisma transaction
+ * @returns {Object} Changed snapshots and interest calculations
+ * @throws {AppError} If a running balance would become negative
+ */
+async function recomputeRunningBalances(investmentId, fromDate, options = {}, context = {}, tx) {
+  const { recalculateInterest = false } = options;
+  const from = new Date(fromDate);
+
+  const investment = await tx.investment.findUnique({
+    where: { id: investmentId },
+    select: { id: true, initialAmount: true, currency: true, compoundingFrequency: true }
+  });
+
+  const transactions = await tx.transaction.findMany({
+    where: { investmentId },
+    orderBy: [{ transactionDate: 'asc' }, { createdAt: 'asc' }, { id: 'asc' }],
+    select: {
+      id: true,
+      type: true,
+      amount: true,
+      balance: true,
+      transactionDate: true,
+      createdAt: true,
+      description: true,
+      reversedBy: { select: { id: true } }
+    }
+  });
+  const adjustments = await getBalanceAdjustments([investmentId], tx);
+
+  const calculations = recalculateInterest
+    ? await tx.interestCalculation.findMany({
+      where: { investmentId, isReverted: false, transactionId: { not: null }, periodEnd: { gte: from } },
+      orderBy: { periodEnd: 'asc' }
+    })
+    : [];
+  const calculationsByTransaction = new Map(calculations.map(calculation => [calculation.transactionId, calculation]));
+
+  let running = money(investment.initialAmount);
+  const balances = [];
+  const interest = [];
+
+  for (const transaction of withBalanceAdjustments(transactions, adjustments)) {
+    const affected = transaction.transactionDate >= from;
+    const calculation = affected && !transaction.reversedBy && calculationsByTransaction.get(transaction.id);
+
+    if (calculation) {
+      const change = await rerunInterestCalculation(calculation, transaction, running, investment, context, tx);
+      if (change) {
+        interest.push(change);
+        transaction.amount = money(change.interest);
+      }
+    }
+
+    running = running.plus(getBalanceImpact(transaction.type, transaction.amount));
+
+    if (!affected) {
+      continue;
+    }
+
+    if (running.lt(0)) {
+      throw new AppError(
+        `Change would result in a negative balance on ${transaction.transactionDate.toISOString().substring(0, 10)}`,
+        400,
+        'NEGATIVE_BALANCE'
+      );
+    }
+
+    // Adjustments are journal entries and have no snapshot
+    if (transaction.type === 'ADJUSTMENT') {
+      continue;
+    }
+
+    if (transaction.balance == null || !money(transaction.balance).eq(running)) {
+      await tx.transaction.update({
+        where: { id: transaction.id },
+        data: { balance: running }
+      });
+
+      balances.push({
+        transactionId: transaction.id,
+        transactionDate: transaction.transactionDate,
+        previousBalance: transaction.balance == null ? null : toNumber(transaction.balance),
+        balance: toNumber(running)
+      });
+    }
+  }
+
+  // Re-run interest moved the journal, so the stored balance follows it
+  const ledgerBalance = await getLedgerBalance(investmentId, tx);
+  if (interest.length > 0) {
+    await tx.investment.update({
+      where: { id: investmentId },
+      data: { currentBalance: ledgerBalance }
+    });
+  }
+
+  return {
+    fromDate: from,
+    balances,
+    interest,
+    currentBalance: toNumber(ledgerBalance)
+  };
+}
+
+/**
+ * Replace the balance snapshot of a transaction that a recomputation rewrote
+ * @param {Object} transaction - Transaction as returned to the caller
+ * @param {Object} recomputation - Result of recomputeRunningBalances
+ * @returns {Object} Transaction with its current snapshot
+ */
+function withRecomputedBalance(transaction, recomputation) {
+  const change = recomputation.balances.find(item => item.transactionId === transaction.id);
+  return change ? { ...transaction, balance: money(change.balance) } : transaction;
+}
+
+/**
+ * Where clause that leaves out reversed transactions and their reversals
+ * @returns {Object} Prisma where fragment
+ */
+function excludeReversedWhere() {
+  return {
+    reversalOfId: null,
+    reversedBy: { is: null }
+  };
 }
 
 /**
  * Get investment transactions summary
  * @param {string} investmentId - Investment ID
  * @param {string} userId - User ID
+ * @param {Object} options - Summary options
+ * @param {boolean} options.includeReversed - Count reversed transactions and their reversals
  * @returns {Object} Investment transaction summary
  * @throws {AppError} If investment not found
  */
-async function getInvestmentTransactionSummary(investmentId, userId) {
+async function getInvestmentTransactionSummary(investmentId, userId, options = {}) {
+  const { includeReversed = false } = options;
+
   try {
     if (!isValidUUID(investmentId)) {
       throw new AppError(
@@ -784,11 +1612,11 @@ async function getInvestmentTransactionSummary(investmentId, userId) {
       );
     }
 
-    // Verify investment ownership
+    // Verify investment access
     const investment = await prisma.investment.findFirst({
       where: {
         id: investmentId,
-        userId
+        ...investmentAccessWhere(userId)
       },
       select: { id: true, name: true }
     });
@@ -801,9 +1629,14 @@ async function getInvestmentTransactionSummary(investmentId, userId) {
       );
     }
 
+    const where = {
+      investmentId,
+      ...(!includeReversed && excludeReversedWhere())
+    };
+
     // Get transaction summary for this investment
     const summary = await prisma.transaction.aggregate({
-      where: { investmentId },
+      where,
       _sum: {
         amount: true
       },
@@ -815,7 +1648,7 @@ async function getInvestmentTransactionSummary(investmentId, userId) {
     // Get breakdown by type
     const typeBreakdown = await prisma.transaction.groupBy({
       by: ['type'],
-      where: { investmentId },
+      where,
       _sum: {
         amount: true
       },
@@ -824,11 +1657,14 @@ async function getInvestmentTransactionSummary(investmentId, userId) {
       }
     });
 
+    const returns = summarizeReturns(typeBreakdown.map(item => ({ type: item.type, amount: item._sum.amount })));
+
     return {
       investment: investment,
       summary: {
         totalAmount: summary._sum.amount || 0,
-        totalTransactions: summary._count._all || 0
+        totalTransactions: summary._count._all || 0,
+        ...formatReturns(returns)
       },
       typeBreakdown: typeBreakdown.reduce((acc, item) => {
         acc[item.type.toLowerCase()] = {
@@ -854,10 +1690,27 @@ async function getInvestmentTransactionSummary(investmentId, userId) {
 
 module.exports = {
   createTransaction,
+  insertTransaction,
   getUserTransactions,
+  buildTransactionWhere,
   getTransactionById,
   updateTransaction,
+  reverseTransaction,
+  postReversalTransaction,
   deleteTransaction,
   getTransactionStatistics,
-  getInvestmentTransactionSummary
+  getInvestmentTransactionSummary,
+  getBalanceImpact,
+  withBalanceAdjustments,
+  summarizeReturns,
+  splitReturns,
+  formatReturns,
+  getChargesByInvestment,
+  sumCharges,
+  formatUnconvertedCharges,
+  recomputeRunningBalances,
+  withRecomputedBalance,
+  excludeReversedWhere,
+  GROSS_RETURN_TYPES,
+  CHARGE_TYPES
 };
@@ -0,0 +1,248 @@
+const { prisma } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { investmentAccessWhere } = require('../utils/access');
+const { getConversionRate, getRatesAt } = require('../utils/currency');
+const { money, roundMoney, toNumber } = require('../utils/money');
+const { recordAuditEvent } = require('./auditService');
+const { postTransactionEntry } = require('./ledgerService');
+const { assertPeriodOpen } = require('./periodService');
+const { recomputeRunningBalances, withRecomputedBalance } = require('./transactionService');
+
+// Exchange rates are stored with the precision of Transfer.exchangeRate
+const RATE_DECIMALS = 10;
+
+const legSelect = {
+  id: true,
+  type: true,
+  amount: true,
+  balance: true,
+  transactionDate: true,
+  description: true,
+  createdAt: true,
+  transferId: true,
+  investment: {
+    select: {
+      id: true,
+      name: true,
+      category: true,
+      currency: true
+    }
+  }
+};
+
+/**
+ * Post one leg of a transfer (must run inside a database transaction)
+ * @param {Object} investment - Investment with id and currentBalance
+ * @param {Decimal} amount - Signed amount: negative leaves, positive arrives
+ * @param {Object} transfer - Transfer row
+ * @param {Object} options - Leg options (description, recalculateInterest)
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @param {Object} tx - Prisma transaction
+ * @returns {Object} Leg transaction, balance after and the recomputation
+ */
+async function postTransferLeg(investment, amount, transfer, options, context, tx) {
+  const balanceBefore = money(investment.currentBalance);
+
+  const posted = await tx.transaction.create({
+    data: {
+      investmentId: investment.id,
+      type: 'TRANSFER',
+      amount,
+      balance: balanceBefore.plus(amount),
+      transactionDate: transfer.transferDate,
+      description: options.description,
+      transferId: transfer.id
+    },
+    select: legSelect
+  });
+
+  const balanceAfter = await postTransactionEntry({
+    id: posted.id,
+    investmentId: investment.id,
+    type: 'TRANSFER',
+    amount,
+    transactionDate: posted.transactionDate,
+    description: posted.description
+  }, tx);
+
+  await tx.investment.update({
+    where: { id: investment.id },
+    data: { currentBalance: balanceAfter }
+  });
+
+  // A backdated transfer shifts the running balances after it
+  const recomputation = await recomputeRunningBalances(
+    investment.id,
+    posted.transactionDate,
+    { recalculateInterest: options.recalculateInterest },
+    context,
+    tx
+  );
+  const transaction = withRecomputedBalance(posted, recomputation);
+
+  await recordAuditEvent({
+    action: 'TRANSFER_CREATED',
+    entityType: 'Transfer',
+    entityId: transfer.id,
+    investmentId: investment.id,
+    after: { transfer, transaction },
+    balanceBefore,
+    balanceAfter
+  }, context, tx);
+
+  return { transaction, newBalance: recomputation.currentBalance, recomputation };
+}
+
+/**
+ * Move money from one investment to another
+ * Both legs are TRANSFER transactions linked to one Transfer row and are
+ * written in a single database transaction, so a transfer is never
+ * half-applied. Across currencies the amount is converted at the configured
+ * rate, which is stored on the transfer.
+ * @param {string} userId - User ID
+ * @param {Object} transferData - fromInvestmentId, toInvestmentId, amount (source currency),
+ *   transactionDate, description, recalculateInterest
+ * @param {Object} context - Audit context (actor, request id, IP)
+ * @returns {Object} Transfer with both legs and the new balances
+ * @throws {AppError} If an investment is not found, not editable or has too little balance
+ */
+async function createTransfer(userId, transferData, context = {}) {
+  const {
+    fromInvestmentId,
+    toInvestmentId,
+    amount,
+    transactionDate = new Date(),
+    description,
+    recalculateInterest = false
+  } = transferData;
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      // Both investments must exist and be editable by the user
+      const investments = await tx.investment.findMany({
+        where: {
+          id: { in: [fromInvestmentId, toInvestmentId] },
+          ...investmentAccessWhere(userId, 'write')
+        },
+        select: {
+          id: true,
+          userId: true,
+          name: true,
+          currency: true,
+          currentBalance: true,
+          status: true
+        }
+      });
+
+      const from = investments.find(investment => investment.id === fromInvestmentId);
+      const to = investments.find(investment => investment.id === toInvestmentId);
+
+      if (!from || !to) {
+        throw new AppError(
+          'Investment not found',
+          404,
+          'INVESTMENT_NOT_FOUND'
+        );
+      }
+
+      if (from.userId !== to.userId) {
+        throw new AppError(
+          'Transfers must be between investments of the same owner',
+          400,
+          'INVALID_OPERATION'
+        );
+      }
+
+      if (from.status === 'CANCELLED' || to.status === 'CANCELLED') {
+        throw new AppError(
+          'Cannot transfer to or from cancelled investments',
+          400,
+          'INVALID_OPERATION'
+        );
+      }
+
+      await assertPeriodOpen(from.id, [transactionDate], tx);
+      await assertPeriodOpen(to.id, [transactionDate], tx);
+
+      const rate = getConversionRate(from.currency, to.currency);
+      if (!rate) {
+        throw new AppError(
+          `No exchange rate from ${from.currency} to ${to.currency}`,
+          400,
+          'EXCHANGE_RATE_UNAVAILABLE'
+        );
+      }
+
+      const exchangeRate = rate.toDecimalPlaces(RATE_DECIMALS);
+      const debit = roundMoney(amount, from.currency);
+      const credit = roundMoney(debit.times(exchangeRate), to.currency);
+
+      if (debit.gt(money(from.currentBalance))) {
+        throw new AppError(
+          'Transfer amount cannot exceed current balance',
+          400,
+          'INSUFFICIENT_BALANCE'
+        );
+      }
+
+      if (credit.lte(0)) {
+        throw new AppError(
+          'Transfer amount is too small to convert',
+          400,
+          'INVALID_AMOUNT'
+        );
+      }
+
+      const transfer = await tx.transfer.create({
+        data: {
+          fromInvestmentId: from.id,
+          toInvestmentId: to.id,
+          amount: debit,
+          fromCurrency: from.currency,
+          convertedAmount: credit,
+          toCurrency: to.currency,
+          exchangeRate,
+          ratesAt: from.currency === to.currency ? null : new Date(getRatesAt()),
+          transferDate: new Date(transactionDate),
+          description: description?.trim() || null
+        }
+      });
+
+      const outgoing = await postTransferLeg(from, debit.neg(), transfer, {
+        description: transfer.description || `Transfer to ${to.name}`,
+        recalculateInterest
+      }, context, tx);
+
+      const incoming = await postTransferLeg(to, credit, transfer, {
+        description: transfer.description || `Transfer from ${from.name}`,
+        recalculateInterest
+      }, context, tx);
+
+      return {
+        transfer: {
+          ...transfer,
+          amount: toNumber(transfer.amount),
+          convertedAmount: toNumber(transfer.convertedAmount),
+          exchangeRate: toNumber(transfer.exchangeRate)
+        },
+        from: outgoing,
+        to: incoming
+      };
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Create transfer error:', error);
+    throw new AppError(
+      'Failed to transfer between investments',
+      500,
+      'TRANSFER_ERROR'
+    );
+  }
+}
+
+module.exports = {
+  createTransfer
+};
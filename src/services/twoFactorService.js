@@ -0,0 +1,475 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const {
+  comparePassword,
+  hashToken,
+  verifyTwoFactorPendingToken
+} = require('../utils/auth');
+const {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptTotpSecret,
+  decryptTotpSecret
+} = require('../utils/totp');
+const { AppError } = require('../middleware/errorHandler');
+const { issueTokens } = require('./tokenService');
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Generate a set of plain recovery codes (formatted xxxxx-xxxxx)
+ * @returns {Array<string>} Recovery codes
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+/**
+ * Hash a recovery code for storage, ignoring case and dashes
+ * @param {string} code - Recovery code as entered
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRecoveryCode(code) {
+  return hashToken(code.trim().toLowerCase().replace(/[\s-]/g, ''));
+}
+
+/**
+ * Replace all recovery codes of a user
+ * @param {string} userId - User ID
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Array<string>} New plain recovery codes (shown once)
+ */
+async function replaceRecoveryCodes(userId, client) {
+  const codes = generateRecoveryCodes();
+
+  await client.recoveryCode.deleteMany({ where: { userId } });
+  await client.recoveryCode.createMany({
+    data: codes.map(code => ({
+      userId,
+      codeHash: hashRecoveryCode(code)
+    }))
+  });
+
+  return codes;
+}
+
+/**
+ * Check a second factor (TOTP code or recovery code) and consume it
+ * TOTP codes cannot be replayed: the matched time step must be newer than
+ * the last accepted one. Recovery codes are single-use.
+ * @param {Object} user - User with id, twoFactorSecret and twoFactorLastStep
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @param {Object} client - Prisma client or transaction
+ * @returns {string} Method used ('totp' or 'recovery_code')
+ * @throws {AppError} If the factor is invalid
+ */
+async function consumeSecondFactor(user, factor, client = prisma) {
+  const { code, recoveryCode } = factor;
+
+  if (recoveryCode) {
+    const { count } = await client.recoveryCode.updateMany({
+      where: {
+        userId: user.id,
+        codeHash: hashRecoveryCode(recoveryCode),
+        usedAt: null
+      },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      throw new AppError(
+        'Invalid recovery code',
+        401,
+        'INVALID_RECOVERY_CODE'
+      );
+    }
+
+    return 'recovery_code';
+  }
+
+  const step = user.twoFactorSecret
+    ? verifyTotp(decryptTotpSecret(user.twoFactorSecret), code)
+    : null;
+
+  if (step === null) {
+    throw new AppError(
+      'Invalid two-factor authentication code',
+      401,
+      'INVALID_TWO_FACTOR_CODE'
+    );
+  }
+
+  // Record the step atomically so the same code cannot be used twice
+  const { count } = await client.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { twoFactorLastStep: null },
+        { twoFactorLastStep: { lt: step } }
+      ]
+    },
+    data: { twoFactorLastStep: step }
+  });
+
+  if (count === 0) {
+    throw new AppError(
+      'Two-factor authentication code has already been used',
+      401,
+      'TWO_FACTOR_CODE_REUSED'
+    );
+  }
+
+  return 'totp';
+}
+
+/**
+ * Load the 2FA fields of a user
+ * @param {string} userId - User ID
+ * @returns {Object} User with 2FA fields
+ * @throws {AppError} If user not found
+ */
+async function getTwoFactorUser(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      passwordHash: true,
+      twoFactorEnabled: true,
+      twoFactorSecret: true,
+      twoFactorLastStep: true
+    }
+  });
+
+  if (!user) {
+    throw new AppError(
+      'User not found',
+      404,
+      'USER_NOT_FOUND'
+    );
+  }
+
+  return user;
+}
+
+/**
+ * Get 2FA status of a user
+ * @param {string} userId - User ID
+ * @returns {Object} Enabled flag and remaining recovery codes
+ * @throws {AppError} If retrieval fails
+ */
+async function getTwoFactorStatus(userId) {
+  try {
+    const user = await getTwoFactorUser(userId);
+    const recoveryCodesRemaining = user.twoFactorEnabled
+      ? await prisma.recoveryCode.count({ where: { userId, usedAt: null } })
+      : 0;
+
+    return {
+      enabled: user.twoFactorEnabled,
+      recoveryCodesRemaining
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Get 2FA status error:', error);
+    throw new AppError(
+      'Failed to retrieve two-factor authentication status',
+      500,
+      'TWO_FACTOR_STATUS_ERROR'
+    );
+  }
+}
+
+/**
+ * Start 2FA enrollment by generating a new secret
+ * The secret is stored (encrypted) but 2FA stays off until a code from the
+ * authenticator app is confirmed with enableTwoFactor.
+ * @param {string} userId - User ID
+ * @returns {Object} Base32 secret and otpauth:// provisioning URI for the QR code
+ * @throws {AppError} If 2FA is already enabled
+ */
+async function setupTwoFactor(userId) {
+  try {
+    const user = await getTwoFactorUser(userId);
+
+    if (user.twoFactorEnabled) {
+      throw new AppError(
+        'Two-factor authentication is already enabled',
+        409,
+        'TWO_FACTOR_ALREADY_ENABLED'
+      );
+    }
+
+    const secret = generateTotpSecret();
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorSecret: encryptTotpSecret(secret),
+        twoFactorLastStep: null
+      }
+    });
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email)
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('2FA setup error:', error);
+    throw new AppError(
+      'Failed to set up two-factor authentication',
+      500,
+      'TWO_FACTOR_SETUP_ERROR'
+    );
+  }
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {string} userId - User ID
+ * @param {string} code - Current TOTP code
+ * @returns {Object} Plain recovery codes (only shown once)
+ * @throws {AppError} If setup was not started or the code is invalid
+ */
+async function enableTwoFactor(userId, code) {
+  try {
+    const user = await getTwoFactorUser(userId);
+
+    if (user.twoFactorEnabled) {
+      throw new AppError(
+        'Two-factor authentication is already enabled',
+        409,
+        'TWO_FACTOR_ALREADY_ENABLED'
+      );
+    }
+
+    if (!user.twoFactorSecret) {
+      throw new AppError(
+        'Two-factor authentication setup has not been started',
+        400,
+        'TWO_FACTOR_NOT_SET_UP'
+      );
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await consumeSecondFactor(user, { code }, tx);
+
+      await tx.user.update({
+        where: { id: userId },
+        data: { twoFactorEnabled: true }
+      });
+
+      return replaceRecoveryCodes(userId, tx);
+    });
+
+    return { recoveryCodes };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('2FA enable error:', error);
+    throw new AppError(
+      'Failed to enable two-factor authentication',
+      500,
+      'TWO_FACTOR_ENABLE_ERROR'
+    );
+  }
+}
+
+/**
+ * Turn 2FA off; requires the password and a second factor
+ * @param {string} userId - User ID
+ * @param {Object} disableData - Password plus code or recoveryCode
+ * @throws {AppError} If 2FA is not enabled or verification fails
+ */
+async function disableTwoFactor(userId, disableData) {
+  const { password, code, recoveryCode } = disableData;
+
+  try {
+    const user = await getTwoFactorUser(userId);
+
+    if (!user.twoFactorEnabled) {
+      throw new AppError(
+        'Two-factor authentication is not enabled',
+        400,
+        'TWO_FACTOR_NOT_ENABLED'
+      );
+    }
+
+    const isPasswordValid = await comparePassword(password, user.passwordHash);
+
+    if (!isPasswordValid) {
+      throw new AppError(
+        'Password is incorrect',
+        400,
+        'INVALID_PASSWORD'
+      );
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await consumeSecondFactor(user, { code, recoveryCode }, tx);
+
+      await tx.recoveryCode.deleteMany({ where: { userId } });
+      await tx.user.update({
+        where: { id: userId },
+        data: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastStep: null
+        }
+      });
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('2FA disable error:', error);
+    throw new AppError(
+      'Failed to disable two-factor authentication',
+      500,
+      'TWO_FACTOR_DISABLE_ERROR'
+    );
+  }
+}
+
+/**
+ * Replace recovery codes after verifying a current TOTP code
+ * @param {string} userId - User ID
+ * @param {string} code - Current TOTP code
+ * @returns {Object} New plain recovery codes
+ * @throws {AppError} If 2FA is not enabled or the code is invalid
+ */
+async function regenerateRecoveryCodes(userId, code) {
+  try {
+    const user = await getTwoFactorUser(userId);
+
+    if (!user.twoFactorEnabled) {
+      throw new AppError(
+        'Two-factor authentication is not enabled',
+        400,
+        'TWO_FACTOR_NOT_ENABLED'
+      );
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await consumeSecondFactor(user, { code }, tx);
+      return replaceRecoveryCodes(userId, tx);
+    });
+
+    return { recoveryCodes };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('Regenerate recovery codes error:', error);
+    throw new AppError(
+      'Failed to regenerate recovery codes',
+      500,
+      'RECOVERY_CODES_ERROR'
+    );
+  }
+}
+
+/**
+ * Second login step: exchange a pending 2FA token and a code for real tokens
+ * @param {Object} loginData - pendingToken plus code or recoveryCode
+ * @param {Object} meta - Client metadata for the new session (userAgent, ipAddress)
+ * @returns {Object} User, access token and refresh token
+ * @throws {AppError} If the pending token or the second factor is invalid
+ */
+async function completeTwoFactorLogin(loginData, meta = {}) {
+  const { pendingToken, code, recoveryCode } = loginData;
+
+  try {
+    let decoded;
+    try {
+      decoded = verifyTwoFactorPendingToken(pendingToken);
+    } catch (error) {
+      throw new AppError(
+        'Two-factor login has expired or is invalid - please log in again',
+        401,
+        'TWO_FACTOR_TOKEN_INVALID'
+      );
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.id },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        createdAt: true,
+        updatedAt: true,
+        role: true,
+        disabledAt: true,
+        twoFactorEnabled: true,
+        twoFactorSecret: true,
+        twoFactorLastStep: true
+      }
+    });
+
+    if (!user || !user.twoFactorEnabled) {
+      throw new AppError(
+        'Two-factor login has expired or is invalid - please log in again',
+        401,
+        'TWO_FACTOR_TOKEN_INVALID'
+      );
+    }
+
+    if (user.disabledAt) {
+      throw new AppError(
+        'This account has been disabled',
+        403,
+        'ACCOUNT_DISABLED'
+      );
+    }
+
+    const { twoFactorEnabled, twoFactorSecret, twoFactorLastStep, disabledAt, ...publicUser } = user;
+
+    const tokens = await prisma.$transaction(async (tx) => {
+      await consumeSecondFactor(user, { code, recoveryCode }, tx);
+      return issueTokens(publicUser, { meta, client: tx });
+    });
+
+    return {
+      user: publicUser,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    console.error('2FA login error:', error);
+    throw new AppError(
+      'Login failed',
+      500,
+      'LOGIN_ERROR'
+    );
+  }
+}
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  completeTwoFactorLogin
+};
@@ -0,0 +1,52 @@
+/**
+ * Investment access rules for shared portfolios
+ * A user can reach an investment they own, an investment shared with them
+ * directly, or any investment of an owner who shared the whole portfolio.
+ * Only ACCEPTED grants count; VIEWER grants allow reads, EDITOR grants
+ * allow reads and writes.
+ */
+
+const ACCESS_LEVELS = {
+  read: ['VIEWER', 'EDITOR'],
+  write: ['EDITOR']
+};
+
+/**
+ * Build a Prisma where clause matching investments a user can access
+ * @param {string} userId - User ID
+ * @param {string} access - Required access level ('read' or 'write')
+ * @returns {Object} Where clause for prisma.investment queries
+ */
+function investmentAccessWhere(userId, access = 'read') {
+  const grant = {
+    granteeId: userId,
+    status: 'ACCEPTED',
+    role: { in: ACCESS_LEVELS[access] || ACCESS_LEVELS.read }
+  };
+
+  return {
+    OR: [
+      { userId },
+      { grants: { some: grant } },
+      { user: { grantsGiven: { some: { ...grant, investmentId: null } } } }
+    ]
+  };
+}
+
+/**
+ * Build a Prisma where clause matching transactions a user can access
+ * @param {string} userId - User ID
+ * @param {string} access - Required access level ('read' or 'write')
+ * @returns {Object} Where clause for prisma.transaction queries
+ */
+function transactionAccessWhere(userId, access = 'read') {
+  return {
+    investment: investmentAccessWhere(userId, access)
+  };
+}
+
+module.exports = {
+  ACCESS_LEVELS,
+  investmentAccessWhere,
+  transactionAccessWhere
+};
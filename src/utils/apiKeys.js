@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+/**
+ * Personal API keys look like `eak_<8 char id>_<secret>`. The id part is
+ * stored in clear so keys can be recognised in listings; the full key is
+ * only stored as a SHA-256 hash.
+ */
+const API_KEY_PREFIX = 'eak_';
+
+/**
+ * Scopes an API key can carry. A `:write` scope implies the matching `:read`.
+ */
+const API_KEY_SCOPES = [
+  'investments:read',
+  'investments:write',
+  'transactions:read',
+  'transactions:write',
+  'returns:read',
+  'returns:write',
+  'interest:read',
+  'interest:write',
+  'reports:read',
+  'audit:read'
+];
+
+/**
+ * Generate a new API key
+ * @returns {Object} Plain key and its display prefix
+ */
+function generateApiKey() {
+  const id = crypto.randomBytes(6).toString('base64url').slice(0, 8);
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const prefix = `${API_KEY_PREFIX}${id}`;
+
+  return {
+    key: `${prefix}_${secret}`,
+    prefix
+  };
+}
+
+/**
+ * Check whether a credential looks like an API key rather than a JWT
+ * @param {string} credential - Bearer token or header value
+ * @returns {boolean} True for API keys
+ */
+function isApiKey(credential) {
+  return typeof credential === 'string' && credential.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Check whether a scope set grants a required scope
+ * @param {Array<string>} scopes - Scopes granted to the key
+ * @param {string} required - Required scope, e.g. transactions:read
+ * @returns {boolean} True if granted
+ */
+function hasScope(scopes, required) {
+  if (scopes.includes(required)) {
+    return true;
+  }
+
+  const [resource, action] = required.split(':');
+  return action === 'read' && scopes.includes(`${resource}:write`);
+}
+
+module.exports = {
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  generateApiKey,
+  isApiKey,
+  hasScope
+};
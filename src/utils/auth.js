@@ -1,6 +1,20 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
+/**
+ * Access tokens are short-lived; clients renew them with a refresh token
+ */
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+/**
+ * Tokens proving the password step of a 2FA login; they use their own
+ * audience so they are never accepted as access tokens
+ */
+const TWO_FACTOR_PENDING_TTL = '5m';
+const TWO_FACTOR_PENDING_AUDIENCE = 'e-accounting-2fa';
+
 /**
  * Hash a password using bcrypt
  * @param {string} password - Plain text password
@@ -24,16 +38,17 @@ async function comparePassword(password, hashedPassword) {
 /**
  * Generate a JWT token for a user
  * @param {Object} payload - User data to include in token
- * @param {string} expiresIn - Token expiration time (default: 7d)
+ * @param {string} expiresIn - Token expiration time (default: JWT_EXPIRES_IN or 15m)
  * @returns {string} JWT token
  */
-function generateJWT(payload, expiresIn = '7d') {
+function generateJWT(payload, expiresIn = ACCESS_TOKEN_TTL) {
   if (!process.env.JWT_SECRET) {
     throw new Error('JWT_SECRET environment variable is required');
   }
   
   return jwt.sign(payload, process.env.JWT_SECRET, {
     expiresIn,
+    jwtid: crypto.randomUUID(),
     issuer: 'e-accounting-api',
     audience: 'e-accounting-client'
   });
@@ -66,6 +81,48 @@ function verifyJWT(token) {
   }
 }
 
+/**
+ * Generate a short-lived token for the second step of a 2FA login
+ * @param {string} userId - User ID that passed the password check
+ * @returns {string} Pending 2FA token
+ */
+function generateTwoFactorPendingToken(userId) {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET environment variable is required');
+  }
+
+  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_PENDING_TTL,
+    issuer: 'e-accounting-api',
+    audience: TWO_FACTOR_PENDING_AUDIENCE
+  });
+}
+
+/**
+ * Verify a pending 2FA token
+ * @param {string} token - Pending 2FA token
+ * @returns {Object} Decoded token payload
+ * @throws {Error} If token is invalid or expired
+ */
+function verifyTwoFactorPendingToken(token) {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET environment variable is required');
+  }
+
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: 'e-accounting-api',
+      audience: TWO_FACTOR_PENDING_AUDIENCE
+    });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('Token has expired');
+    }
+
+    throw new Error('Invalid token');
+  }
+}
+
 /**
  * Extract JWT token from Authorization header
  * @param {Object} req - Express request object
@@ -85,10 +142,44 @@ function extractTokenFromHeader(req) {
   return authHeader.substring(7); // Remove 'Bearer ' prefix
 }
 
+/**
+ * Generate a random URL-safe token
+ * @param {number} bytes - Number of random bytes (default: 32)
+ * @returns {string} Random URL-safe token
+ */
+function generateSecureToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Generate an opaque refresh token
+ * @returns {string} Random URL-safe token
+ */
+function generateRefreshToken() {
+  return generateSecureToken(48);
+}
+
+/**
+ * Hash an opaque token for storage (tokens are never stored in plain text)
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
 module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  TWO_FACTOR_PENDING_TTL,
   hashPassword,
   comparePassword,
   generateJWT,
   verifyJWT,
-  extractTokenFromHeader
+  generateTwoFactorPendingToken,
+  verifyTwoFactorPendingToken,
+  extractTokenFromHeader,
+  generateSecureToken,
+  generateRefreshToken,
+  hashToken
 };
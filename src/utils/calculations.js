@@ -3,8 +3,45 @@
  * 
  * This module provides various financial calculation functions
  * for investment returns, compound interest, and portfolio analysis.
+ *
+ * All arithmetic is done on exact Decimals (see utils/money). Functions that
+ * produce amounts to be posted (calculatePeriodInterest,
+ * calculateProRataInterest) return Decimals rounded to the currency's minor
+ * unit; analysis and projection helpers return plain numbers for responses.
  */
 
+const { Decimal, money, roundMoney, toNumber } = require('./money');
+
+/**
+ * Convert an annual rate given as a decimal (0.05) or a percentage (5) to a decimal
+ * @param {number|string|Object} annualRate - Annual rate
+ * @returns {Decimal} Rate as a decimal
+ */
+function toRate(annualRate) {
+  const rate = money(annualRate);
+  return rate.gt(1) ? rate.div(100) : rate;
+}
+
+/**
+ * Round an amount for a response
+ * @param {Decimal} value - Amount
+ * @param {string} currency - ISO 4217 code (default: 2 decimals)
+ * @returns {number} Rounded amount
+ */
+function toAmount(value, currency) {
+  return toNumber(roundMoney(value, currency));
+}
+
+/**
+ * Round a ratio or percentage for a response
+ * @param {Decimal} value - Value
+ * @param {number} places - Decimal places
+ * @returns {number} Rounded value
+ */
+function toRatio(value, places) {
+  return toNumber(value.toDecimalPlaces(places));
+}
+
 /**
  * Calculate compound interest
  * @param {number} principal - Initial investment amount
@@ -15,31 +52,33 @@
  */
 function calculateCompoundInterest(principal, annualRate, compoundingFrequency, years) {
   // Validate inputs
-  if (principal <= 0 || annualRate < 0 || compoundingFrequency <= 0 || years < 0) {
+  if (money(principal).lte(0) || money(annualRate).lt(0) || compoundingFrequency <= 0 || years < 0) {
     throw new Error('Invalid input parameters for compound interest calculation');
   }
 
   // Convert percentage to decimal if needed
-  const rate = annualRate > 1 ? annualRate / 100 : annualRate;
+  const rate = toRate(annualRate);
+  const base = money(principal);
+  const periodGrowth = rate.div(compoundingFrequency).plus(1);
   
   // Compound interest formula: A = P(1 + r/n)^(nt)
-  const futureValue = principal * Math.pow((1 + rate / compoundingFrequency), compoundingFrequency * years);
+  const futureValue = base.times(periodGrowth.pow(new Decimal(compoundingFrequency).times(years)));
   
   // Calculate total returns
-  const totalReturns = futureValue - principal;
+  const totalReturns = futureValue.minus(base);
   
   // Calculate effective annual rate
-  const effectiveAnnualRate = Math.pow((1 + rate / compoundingFrequency), compoundingFrequency) - 1;
+  const effectiveAnnualRate = periodGrowth.pow(compoundingFrequency).minus(1);
   
   return {
-    principal: parseFloat(principal.toFixed(2)),
-    futureValue: parseFloat(futureValue.toFixed(2)),
-    totalReturns: parseFloat(totalReturns.toFixed(2)),
-    annualRate: rate,
-    effectiveAnnualRate: parseFloat(effectiveAnnualRate.toFixed(6)),
+    principal: toAmount(base),
+    futureValue: toAmount(futureValue),
+    totalReturns: toAmount(totalReturns),
+    annualRate: toNumber(rate),
+    effectiveAnnualRate: toRatio(effectiveAnnualRate, 6),
     compoundingFrequency,
     years,
-    percentageGain: parseFloat(((totalReturns / principal) * 100).toFixed(2))
+    percentageGain: toRatio(totalReturns.div(base).times(100), 2)
   };
 }
 
@@ -52,24 +91,25 @@ function calculateCompoundInterest(principal, annualRate, compoundingFrequency,
  */
 function calculateSimpleInterest(principal, annualRate, years) {
   // Validate inputs
-  if (principal <= 0 || annualRate < 0 || years < 0) {
+  if (money(principal).lte(0) || money(annualRate).lt(0) || years < 0) {
     throw new Error('Invalid input parameters for simple interest calculation');
   }
 
   // Convert percentage to decimal if needed
-  const rate = annualRate > 1 ? annualRate / 100 : annualRate;
+  const rate = toRate(annualRate);
+  const base = money(principal);
   
   // Simple interest formula: I = P * r * t
-  const interest = principal * rate * years;
-  const futureValue = principal + interest;
+  const interest = base.times(rate).times(years);
+  const futureValue = base.plus(interest);
   
   return {
-    principal: parseFloat(principal.toFixed(2)),
-    futureValue: parseFloat(futureValue.toFixed(2)),
-    totalInterest: parseFloat(interest.toFixed(2)),
-    annualRate: rate,
+    principal: toAmount(base),
+    futureValue: toAmount(futureValue),
+    totalInterest: toAmount(interest),
+    annualRate: toNumber(rate),
     years,
-    percentageGain: parseFloat(((interest / principal) * 100).toFixed(2))
+    percentageGain: toRatio(interest.div(base).times(100), 2)
   };
 }
 
@@ -78,37 +118,31 @@ function calculateSimpleInterest(principal, annualRate, years) {
  * @param {number} principal - Current balance
  * @param {number} annualRate - Annual  interest rate (as decimal or percentage)
  * @param {boolean} isCompound - Whether to use compound calculation
+ * @param {string} currency - ISO 4217 code used for rounding (default: 2 decimals)
  * @returns {Object} Monthly return calculation
  */
-function calculateMonthlyReturn(principal, annualRate, isCompound = false) {
+function calculateMonthlyReturn(principal, annualRate, isCompound = false, currency) {
   // Validate inputs
-  if (principal <= 0 || annualRate < 0) {
+  if (money(principal).lte(0) || money(annualRate).lt(0)) {
     throw new Error('Invalid input parameters for monthly return calculation');
   }
 
   // Convert percentage to decimal if needed
-  const rate = annualRate > 1 ? annualRate / 100 : annualRate;
-  const monthlyRate = rate / 12;
+  const rate = toRate(annualRate);
+  const monthlyRate = rate.div(12);
+  const base = roundMoney(principal, currency);
   
-  let monthlyReturn;
-  let newBalance;
-  
-  if (isCompound) {
-    // Compound monthly calculation
-    newBalance = principal * (1 + monthlyRate);
-    monthlyReturn = newBalance - principal;
-  } else {
-    // Simple monthly calculation
-    monthlyReturn = principal * monthlyRate;
-    newBalance = principal + monthlyReturn;
-  }
+  // The return is rounded once; the new balance is the exact sum so no cent is lost
+  // (simple and compound give the same single-month return)
+  const monthlyReturn = roundMoney(base.times(monthlyRate), currency);
+  const newBalance = base.plus(monthlyReturn);
   
   return {
-    currentBalance: parseFloat(principal.toFixed(2)),
-    monthlyReturn: parseFloat(monthlyReturn.toFixed(2)),
-    newBalance: parseFloat(newBalance.toFixed(2)),
-    monthlyRate: parseFloat(monthlyRate.toFixed(6)),
-    annualRate: rate,
+    currentBalance: toNumber(base),
+    monthlyReturn: toNumber(monthlyReturn),
+    newBalance: toNumber(newBalance),
+    monthlyRate: toRatio(monthlyRate, 6),
+    annualRate: toNumber(rate),
     isCompound
   };
 }
@@ -120,21 +154,24 @@ function calculateMonthlyReturn(principal, annualRate, isCompound = false) {
  * @returns {Object} Return percentage calculation
  */
 function calculateReturnPercentage(initialValue, currentValue) {
+  const initial = money(initialValue);
+  const current = money(currentValue);
+
   // Validate inputs
-  if (initialValue <= 0) {
+  if (initial.lte(0)) {
     throw new Error('Initial value must be greater than zero');
   }
   
-  const absoluteReturn = currentValue - initialValue;
-  const returnPercentage = (absoluteReturn / initialValue) * 100;
+  const absoluteReturn = current.minus(initial);
+  const returnPercentage = absoluteReturn.div(initial).times(100);
   
   return {
-    initialValue: parseFloat(initialValue.toFixed(2)),
-    currentValue: parseFloat(currentValue.toFixed(2)),
-    absoluteReturn: parseFloat(absoluteReturn.toFixed(2)),
-    returnPercentage: parseFloat(returnPercentage.toFixed(2)),
-    isProfit: absoluteReturn > 0,
-    isLoss: absoluteReturn < 0
+    initialValue: toAmount(initial),
+    currentValue: toAmount(current),
+    absoluteReturn: toAmount(absoluteReturn),
+    returnPercentage: toRatio(returnPercentage, 2),
+    isProfit: absoluteReturn.gt(0),
+    isLoss: absoluteReturn.lt(0)
   };
 }
 
@@ -146,23 +183,26 @@ function calculateReturnPercentage(initialValue, currentValue) {
  * @returns {Object} Annualized return calculation
  */
 function calculateAnnualizedReturn(initialValue, finalValue, years) {
+  const initial = money(initialValue);
+  const final = money(finalValue);
+
   // Validate inputs
-  if (initialValue <= 0 || years <= 0) {
+  if (initial.lte(0) || years <= 0) {
     throw new Error('Invalid input parameters for annualized return calculation');
   }
   
   // Annualized return formula: (Final Value / Initial Value)^(1/years) - 1
-  const annualizedReturn = Math.pow(finalValue / initialValue, 1 / years) - 1;
-  const totalReturn = (finalValue - initialValue) / initialValue;
+  const annualizedReturn = final.div(initial).pow(new Decimal(1).div(years)).minus(1);
+  const totalReturn = final.minus(initial).div(initial);
   
   return {
-    initialValue: parseFloat(initialValue.toFixed(2)),
-    finalValue: parseFloat(finalValue.toFixed(2)),
-    years: parseFloat(years.toFixed(2)),
-    annualizedReturn: parseFloat(annualizedReturn.toFixed(6)),
-    annualizedReturnPercentage: parseFloat((annualizedReturn * 100).toFixed(2)),
-    totalReturn: parseFloat(totalReturn.toFixed(6)),
-    totalReturnPercentage: parseFloat((totalReturn * 100).toFixed(2))
+    initialValue: toAmount(initial),
+    finalValue: toAmount(final),
+    years: toRatio(new Decimal(years), 2),
+    annualizedReturn: toRatio(annualizedReturn, 6),
+    annualizedReturnPercentage: toRatio(annualizedReturn.times(100), 2),
+    totalReturn: toRatio(totalReturn, 6),
+    totalReturnPercentage: toRatio(totalReturn.times(100), 2)
   };
 }
 
@@ -175,47 +215,50 @@ function calculateAnnualizedReturn(initialValue, finalValue, years) {
  * @returns {Object} Future value with contributions calculation
  */
 function calculateFutureValueWithContributions(initialPrincipal, monthlyContribution, annualRate, years) {
+  const principal = money(initialPrincipal);
+  const contribution = money(monthlyContribution);
+
   // Validate inputs
-  if (initialPrincipal < 0 || monthlyContribution < 0 || annualRate < 0 || years < 0) {
+  if (principal.lt(0) || contribution.lt(0) || money(annualRate).lt(0) || years < 0) {
     throw new Error('Invalid input parameters for future value with contributions calculation');
   }
 
   // Convert percentage to decimal if needed
-  const rate = annualRate > 1 ? annualRate / 100 : annualRate;
-  const monthlyRate = rate / 12;
+  const rate = toRate(annualRate);
+  const monthlyRate = rate.div(12);
   const totalMonths = years * 12;
+  const growth = monthlyRate.plus(1).pow(totalMonths);
   
   // Calculate future value of initial principal
-  const futureValueOfPrincipal = initialPrincipal * Math.pow(1 + monthlyRate, totalMonths);
+  const futureValueOfPrincipal = principal.times(growth);
   
   // Calculate future value of annuity (regular contributions)
-  let futureValueOfContributions = 0;
-  if (monthlyContribution > 0 && monthlyRate > 0) {
-    futureValueOfContributions = monthlyContribution * 
-      ((Math.pow(1 + monthlyRate, totalMonths) - 1) / monthlyRate);
-  } else if (monthlyContribution > 0) {
+  let futureValueOfContributions = new Decimal(0);
+  if (contribution.gt(0) && monthlyRate.gt(0)) {
+    futureValueOfContributions = contribution.times(growth.minus(1).div(monthlyRate));
+  } else if (contribution.gt(0)) {
     // If no interest, just sum the contributions
-    futureValueOfContributions = monthlyContribution * totalMonths;
+    futureValueOfContributions = contribution.times(totalMonths);
   }
   
-  const totalFutureValue = futureValueOfPrincipal + futureValueOfContributions;
-  const totalContributions = monthlyContribution * totalMonths;
-  const totalInvested = initialPrincipal + totalContributions;
-  const totalReturns = totalFutureValue - totalInvested;
+  const totalFutureValue = futureValueOfPrincipal.plus(futureValueOfContributions);
+  const totalContributions = contribution.times(totalMonths);
+  const totalInvested = principal.plus(totalContributions);
+  const totalReturns = totalFutureValue.minus(totalInvested);
   
   return {
-    initialPrincipal: parseFloat(initialPrincipal.toFixed(2)),
-    monthlyContribution: parseFloat(monthlyContribution.toFixed(2)),
-    totalContributions: parseFloat(totalContributions.toFixed(2)),
-    totalInvested: parseFloat(totalInvested.toFixed(2)),
-    futureValueOfPrincipal: parseFloat(futureValueOfPrincipal.toFixed(2)),
-    futureValueOfContributions: parseFloat(futureValueOfContributions.toFixed(2)),
-    totalFutureValue: parseFloat(totalFutureValue.toFixed(2)),
-    totalReturns: parseFloat(totalReturns.toFixed(2)),
-    annualRate: rate,
+    initialPrincipal: toAmount(principal),
+    monthlyContribution: toAmount(contribution),
+    totalContributions: toAmount(totalContributions),
+    totalInvested: toAmount(totalInvested),
+    futureValueOfPrincipal: toAmount(futureValueOfPrincipal),
+    futureValueOfContributions: toAmount(futureValueOfContributions),
+    totalFutureValue: toAmount(totalFutureValue),
+    totalReturns: toAmount(totalReturns),
+    annualRate: toNumber(rate),
     years,
     months: totalMonths,
-    returnPercentage: parseFloat(((totalReturns / totalInvested) * 100).toFixed(2))
+    returnPercentage: totalInvested.gt(0) ? toRatio(totalReturns.div(totalInvested).times(100), 2) : 0
   };
 }
 
@@ -238,51 +281,51 @@ function calculatePortfolioMetrics(investments) {
     };
   }
 
-  let totalPrincipal = 0;
-  let totalCurrentValue = 0;
-  let bestReturn = -Infinity;
-  let worstReturn = Infinity;
+  let totalPrincipal = new Decimal(0);
+  let totalCurrentValue = new Decimal(0);
+  let bestReturn = null;
+  let worstReturn = null;
   let bestPerforming = null;
   let worstPerforming = null;
 
   // Calculate totals and find best/worst performing investments
   investments.forEach((investment, index) => {
-    const principal = parseFloat(investment.initialAmount) || 0;
-    const current = parseFloat(investment.currentBalance) || 0;
-    const returnPercentage = principal > 0 ? ((current - principal) / principal) * 100 : 0;
+    const principal = money(investment.initialAmount);
+    const current = money(investment.currentBalance);
+    const returnPercentage = principal.gt(0) ? current.minus(principal).div(principal).times(100) : new Decimal(0);
 
-    totalPrincipal += principal;
-    totalCurrentValue += current;
+    totalPrincipal = totalPrincipal.plus(principal);
+    totalCurrentValue = totalCurrentValue.plus(current);
 
-    if (returnPercentage > bestReturn && principal > 0) {
+    if (principal.gt(0) && (bestReturn === null || returnPercentage.gt(bestReturn))) {
       bestReturn = returnPercentage;
       bestPerforming = { ...investment, index, returnPercentage };
     }
 
-    if (returnPercentage < worstReturn && principal > 0) {
+    if (principal.gt(0) && (worstReturn === null || returnPercentage.lt(worstReturn))) {
       worstReturn = returnPercentage;
       worstPerforming = { ...investment, index, returnPercentage };
     }
   });
 
-  const totalReturns = totalCurrentValue - totalPrincipal;
-  const portfolioReturnPercentage = totalPrincipal > 0 ? (totalReturns / totalPrincipal) * 100 : 0;
-  const averageReturn = investments.length > 0 ? totalReturns / investments.length : 0;
+  const totalReturns = totalCurrentValue.minus(totalPrincipal);
+  const portfolioReturnPercentage = totalPrincipal.gt(0) ? totalReturns.div(totalPrincipal).times(100) : new Decimal(0);
+  const averageReturn = totalReturns.div(investments.length);
 
   return {
-    totalPrincipal: parseFloat(totalPrincipal.toFixed(2)),
-    totalCurrentValue: parseFloat(totalCurrentValue.toFixed(2)),
-    totalReturns: parseFloat(totalReturns.toFixed(2)),
-    returnPercentage: parseFloat(portfolioReturnPercentage.toFixed(2)),
+    totalPrincipal: toAmount(totalPrincipal),
+    totalCurrentValue: toAmount(totalCurrentValue),
+    totalReturns: toAmount(totalReturns),
+    returnPercentage: toRatio(portfolioReturnPercentage, 2),
     numberOfInvestments: investments.length,
-    averageReturn: parseFloat(averageReturn.toFixed(2)),
+    averageReturn: toAmount(averageReturn),
     bestPerforming: bestPerforming ? {
       ...bestPerforming,
-      returnPercentage: parseFloat(bestPerforming.returnPercentage.toFixed(2))
+      returnPercentage: toRatio(bestPerforming.returnPercentage, 2)
     } : null,
     worstPerforming: worstPerforming ? {
       ...worstPerforming,
-      returnPercentage: parseFloat(worstPerforming.returnPercentage.toFixed(2))
+      returnPercentage: toRatio(worstPerforming.returnPercentage, 2)
     } : null
   };
 }
@@ -318,40 +361,45 @@ function calculateYearsBetween(startDate, endDate) {
 
 /**
  * Calculate interest for a specific period with compounding
- * @param {number} principal
- * @param {number} annualRate - as decimal or percentage
+ * The interest is rounded once to the currency's minor unit and the new
+ * balance is the exact sum, so repeated periods never drift.
+ * @param {number|string|Object} principal
+ * @param {number|string|Object} annualRate - as decimal or percentage
  * @param {('DAILY'|'MONTHLY'|'QUARTERLY'|'ANNUALLY'|number)} compoundingFrequency
  * @param {number} periodInDays
- * @returns {{interest:number, newBalance:number, effectiveRate:number}}
+ * @param {string} currency - ISO 4217 code used for rounding (default: 2 decimals)
+ * @returns {{interest:Decimal, newBalance:Decimal, effectiveRate:number}}
  */
-function calculatePeriodInterest(principal, annualRate, compoundingFrequency, periodInDays) {
-  if (principal < 0 || annualRate < 0 || periodInDays < 0) {
+function calculatePeriodInterest(principal, annualRate, compoundingFrequency, periodInDays, currency) {
+  if (money(principal).lt(0) || money(annualRate).lt(0) || periodInDays < 0) {
     throw new Error('Invalid input parameters for period interest calculation');
   }
-  const rate = annualRate > 1 ? annualRate / 100 : annualRate;
+  const rate = toRate(annualRate);
   const freqMap = { DAILY: 365, MONTHLY: 12, QUARTERLY: 4, ANNUALLY: 1 };
   const n = typeof compoundingFrequency === 'number' ? compoundingFrequency : (freqMap[compoundingFrequency] || 12);
-  const tYears = periodInDays / 365.25;
-  const effectiveRate = Math.pow(1 + rate / n, n * tYears) - 1;
-  const interest = principal * effectiveRate;
-  const newBalance = principal + interest;
+  const tYears = new Decimal(periodInDays).div('365.25');
+  const effectiveRate = rate.div(n).plus(1).pow(tYears.times(n)).minus(1);
+  const base = money(principal);
+  const interest = roundMoney(base.times(effectiveRate), currency);
+  const newBalance = base.plus(interest);
   return {
-    interest: parseFloat(interest.toFixed(2)),
-    newBalance: parseFloat(newBalance.toFixed(2)),
-    effectiveRate: parseFloat((effectiveRate).toFixed(8))
+    interest,
+    newBalance,
+    effectiveRate: toRatio(effectiveRate, 8)
   };
 }
 
 /**
  * Calculate pro-rata (simple) interest for partial periods
+ * @returns {Decimal} Interest rounded to the currency's minor unit
  */
-function calculateProRataInterest(principal, annualRate, daysInPeriod, daysInYear = 365.25) {
-  if (principal < 0 || annualRate < 0 || daysInPeriod < 0) {
+function calculateProRataInterest(principal, annualRate, daysInPeriod, daysInYear = 365.25, currency) {
+  if (money(principal).lt(0) || money(annualRate).lt(0) || daysInPeriod < 0) {
     throw new Error('Invalid input parameters for pro-rata interest calculation');
   }
-  const rate = annualRate > 1 ? annualRate / 100 : annualRate;
-  const interest = principal * rate * (daysInPeriod / daysInYear);
-  return parseFloat(interest.toFixed(2));
+  const rate = toRate(annualRate);
+  const interest = money(principal).times(rate).times(new Decimal(daysInPeriod).div(daysInYear));
+  return roundMoney(interest, currency);
 }
 
 /**
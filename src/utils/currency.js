@@ -1,3 +1,5 @@
+const { money } = require('./money');
+
 const DEFAULT_BASE = process.env.BASE_CURRENCY || 'NGN';
 
 function isISOCurrency(code) {
@@ -27,22 +29,21 @@ function getConversionRate(from, to) {
   const f = normalizeCurrency(from);
   const t = normalizeCurrency(to);
   if (!isISOCurrency(f) || !isISOCurrency(t)) return null;
-  if (f === t) return 1;
+  if (f === t) return money(1);
   const rFrom = rates[f];
   const rTo = rates[t];
   if (!rFrom || !rTo) return null;
-  const amountPerUSDFrom = 1 / rFrom; // if rates are units per 1 USD
-  const usdPerUnitFrom = amountPerUSDFrom; // alias for clarity
-  const unitsPerUSDTarget = rTo;
-  return usdPerUnitFrom * unitsPerUSDTarget;
+  // rates are units per 1 USD: from -> USD -> to, kept exact
+  return money(rTo).div(money(rFrom));
 }
 
+// Returns an unrounded Decimal (round the total once with roundMoney) or null
 function convertAmount(amount, from, to) {
-  if (from === to) return Number(amount);
+  if (from === to) return money(amount);
   const rate = getConversionRate(from, to);
   if (!rate) return null;
-  const val = Number(amount) * rate;
-  return Number.isFinite(val) ? val : null;
+  const val = money(amount).times(rate);
+  return val.isFinite() ? val : null;
 }
 
 module.exports = {
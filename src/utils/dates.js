@@ -0,0 +1,34 @@
+// Calendar helpers for whole days in UTC, shared by recurring schedules,
+// report and statement periods, closed periods and imports.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start (UTC midnight) of the day a date falls on
+ * @param {Date|string} date - Date
+ * @returns {Date} Start of the day
+ */
+function startOfDay(date) {
+  const value = new Date(date);
+  return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+}
+
+/**
+ * Add whole months to a date, clamping to the last day of the target month
+ * @param {Date} date - Anchor date (UTC midnight)
+ * @param {number} months - Months to add
+ * @returns {Date} Shifted date
+ */
+function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  // Day 0 of the following month is the last day of the target month
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+module.exports = {
+  DAY_MS,
+  startOfDay,
+  addMonths
+};
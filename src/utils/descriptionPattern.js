@@ -0,0 +1,65 @@
+// Description patterns for import rules: text a statement line's description
+// contains, ignoring case. `*` stands for any run of characters and `?` for
+// any one character; everything else is literal.
+//
+// Rules used to hold case-insensitive regular expressions. Syntax that only
+// means something in a regular expression (a backslash escape, a leading ^ or
+// trailing $, .* and friends, alternation, character classes and counted
+// repeats) is not accepted in new patterns, and stored rules that still use
+// it are not applied until they are rewritten.
+
+const REGEX_SYNTAX = /\\|^\^|\$$|\.[*+?]|\||\[[^\]]*\]|\{\d+(,\d*)?\}/;
+
+/**
+ * Whether a pattern is written in the old regular expression syntax
+ * @param {string} pattern - Description pattern
+ * @returns {boolean} True if the pattern uses regex-only syntax
+ */
+function usesRegexSyntax(pattern) {
+  return REGEX_SYNTAX.test(pattern);
+}
+
+/**
+ * Whether a description contains a description pattern, ignoring case
+ * Matching takes at most text x pattern steps, so no pattern can stall an
+ * import.
+ * @param {string} text - Statement line description
+ * @param {string} pattern - Description pattern
+ * @returns {boolean} True if the pattern occurs in the text
+ */
+function containsPattern(text, pattern) {
+  const value = text.toUpperCase();
+  const glob = `*${pattern.toUpperCase()}*`;
+  let t = 0;
+  let p = 0;
+  let star = -1;
+  let resume = 0;
+
+  while (t < value.length) {
+    if (p < glob.length && glob[p] === '*') {
+      star = p;
+      resume = t;
+      p += 1;
+    } else if (p < glob.length && (glob[p] === '?' || glob[p] === value[t])) {
+      t += 1;
+      p += 1;
+    } else if (star !== -1) {
+      // Let the last * swallow one more character and retry from there
+      p = star + 1;
+      resume += 1;
+      t = resume;
+    } else {
+      return false;
+    }
+  }
+
+  while (p < glob.length && glob[p] === '*') {
+    p += 1;
+  }
+  return p === glob.length;
+}
+
+module.exports = {
+  usesRegexSyntax,
+  containsPattern
+};
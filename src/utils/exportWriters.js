@@ -0,0 +1,330 @@
+/**
+ * Export file writers
+ * Each writer streams tables of rows to an output stream in one format. A
+ * table is described by its key (JSON property), title (CSV section / sheet
+ * name) and columns `{ key, header, value(row), type }`; rows come from an
+ * (async) iterable so they are written as they are read.
+ *
+ *   const writer = createExportWriter('xlsx', res);
+ *   await writer.table({ key: 'transactions', title: 'Transactions' }, columns, rows);
+ *   await writer.end();
+ */
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Decimal } = require('./money');
+const { createZipWriter } = require('./zip');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+/**
+ * Value of a column for a row
+ * @param {Object} column - Column definition
+ * @param {Object} row - Row
+ * @returns {*} Cell value
+ */
+function cellValue(column, row) {
+  const value = column.value ? column.value(row) : row[column.key];
+  return value === undefined ? null : value;
+}
+
+/**
+ * Cell as text (CSV); Decimals keep every stored digit
+ * @param {*} value - Cell value
+ * @param {Object} column - Column definition
+ * @returns {string} Text
+ */
+function cellText(value, column) {
+  if (value === null) {
+    return '';
+  }
+  if (Decimal.isDecimal(value)) {
+    return value.toFixed();
+  }
+  if (value instanceof Date) {
+    return column.type === 'date' ? value.toISOString().slice(0, 10) : value.toISOString();
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Quote a CSV field (RFC 4180)
+ * Text starting with a formula character is prefixed with a quote so
+ * spreadsheets do not evaluate it.
+ * @param {*} value - Cell value
+ * @param {Object} column - Column definition
+ * @returns {string} Field
+ */
+function csvField(value, column) {
+  let text = cellText(value, column);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV writer; several tables become sections headed by their title
+ * @param {Writable} output - Destination
+ * @param {Object} options - multipleTables: write a title row above each table
+ * @returns {Object} Writer
+ */
+function createCsvWriter(output, options = {}) {
+  let tables = 0;
+
+  return {
+    async table(table, columns, rows) {
+      const first = tables === 0;
+      tables += 1;
+
+      const csv = async function* csv() {
+        if (!first) {
+          yield '\r\n';
+        } else {
+          // Byte order mark, so spreadsheet programs read the file as UTF-8
+          yield '\uFEFF';
+        }
+        if (options.multipleTables) {
+          yield `${csvField(table.title, {})}\r\n`;
+        }
+        yield `${columns.map(column => csvField(column.header, column)).join(',')}\r\n`;
+        for await (const row of rows) {
+          yield `${columns.map(column => csvField(cellValue(column, row), column)).join(',')}\r\n`;
+        }
+      };
+
+      await pipeline(Readable.from(csv()), output, { end: false });
+    },
+
+    async end() {
+      output.end();
+    }
+  };
+}
+
+/**
+ * JSON writer: one object with an array per table
+ * @param {Writable} output - Destination
+ * @param {Object} options - metadata: written under "exportMetadata"
+ * @returns {Object} Writer
+ */
+function createJsonWriter(output, options = {}) {
+  const write = chunks => pipeline(Readable.from(chunks), output, { end: false });
+  let started = false;
+
+  const start = async () => {
+    if (!started) {
+      started = true;
+      await write([`{"exportMetadata":${JSON.stringify(options.metadata || {})}`]);
+    }
+  };
+
+  return {
+    async table(table, columns, rows) {
+      await start();
+
+      const json = async function* json() {
+        yield `,${JSON.stringify(table.key)}:[`;
+        let first = true;
+        for await (const row of rows) {
+          const record = {};
+          columns.forEach((column) => {
+            const value = cellValue(column, row);
+            record[column.key] = column.type === 'date' && value instanceof Date
+              ? value.toISOString().slice(0, 10)
+              : value;
+          });
+          yield `${first ? '' : ','}${JSON.stringify(record)}`;
+          first = false;
+        }
+        yield ']';
+      };
+
+      await write(json());
+    },
+
+    async end() {
+      await start();
+      await write(['}']);
+      output.end();
+    }
+  };
+}
+
+const escapeXml = text => String(text)
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\uFFFE\uFFFF]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Spreadsheet column letters (0 -> A, 26 -> AA)
+ * @param {number} index - Zero-based column index
+ * @returns {string} Column letters
+ */
+function columnLetters(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+// Cell styles, indexes into cellXfs in styles.xml
+const STYLE = { header: 1, date: 2, dateTime: 3 };
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="4"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+  '</styleSheet>';
+
+/**
+ * One XLSX cell; numbers and dates are stored as values, everything else as text
+ * @param {*} value - Cell value
+ * @param {string} ref - Cell reference, e.g. B2
+ * @param {Object} column - Column definition
+ * @returns {string} Cell XML
+ */
+function xlsxCell(value, ref, column) {
+  if (value === null) {
+    return '';
+  }
+  if (Decimal.isDecimal(value) || (typeof value === 'number' && Number.isFinite(value))) {
+    return `<c r="${ref}"><v>${Decimal.isDecimal(value) ? value.toFixed() : value}</v></c>`;
+  }
+  if (value instanceof Date) {
+    // Days since 1899-12-30, the spreadsheet epoch
+    const serial = value.getTime() / 86400000 + 25569;
+    const style = column.type === 'date' ? STYLE.date : STYLE.dateTime;
+    return `<c r="${ref}" s="${style}"><v>${serial}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(cellText(value, column))}</t></is></c>`;
+}
+
+/**
+ * XLSX writer: one worksheet per table
+ * @param {Writable} output - Destination
+ * @returns {Object} Writer
+ */
+function createXlsxWriter(output) {
+  const zip = createZipWriter(output);
+  const sheets = [];
+
+  return {
+    async table(table, columns, rows) {
+      const sheetNumber = sheets.length + 1;
+      // Sheet names: at most 31 characters, none of []:*?/\
+      sheets.push(table.title.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+
+      const sheet = async function* sheet() {
+        yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+          '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+          '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+          '<sheetData>';
+        yield `<row r="1">${columns.map((column, index) =>
+          `<c r="${columnLetters(index)}1" t="inlineStr" s="${STYLE.header}"><is><t>${escapeXml(column.header)}</t></is></c>`
+        ).join('')}</row>`;
+
+        let rowNumber = 1;
+        for await (const row of rows) {
+          rowNumber += 1;
+          yield `<row r="${rowNumber}">${columns.map((column, index) =>
+            xlsxCell(cellValue(column, row), `${columnLetters(index)}${rowNumber}`, column)
+          ).join('')}</row>`;
+        }
+        yield '</sheetData></worksheet>';
+      };
+
+      await zip.addEntry(`xl/worksheets/sheet${sheetNumber}.xml`, sheet());
+    },
+
+    async end() {
+      // The workbook parts list the sheets, so they are written last
+      const sheetOverrides = sheets.map((name, index) =>
+        `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+      ).join('');
+
+      await zip.addEntry('[Content_Types].xml',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        `${sheetOverrides}</Types>`);
+
+      await zip.addEntry('_rels/.rels',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>');
+
+      await zip.addEntry('xl/workbook.xml',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets>${sheets.map((name, index) =>
+          `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+        ).join('')}</sheets></workbook>`);
+
+      await zip.addEntry('xl/_rels/workbook.xml.rels',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets.map((name, index) =>
+          `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+        ).join('') +
+        `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>');
+
+      await zip.addEntry('xl/styles.xml', STYLES_XML);
+      await zip.finish();
+      output.end();
+    }
+  };
+}
+
+/**
+ * Create a writer for an export format
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Writable} output - Destination (e.g. an HTTP response)
+ * @param {Object} options - multipleTables (CSV), metadata (JSON)
+ * @returns {Object} Writer with table() and end()
+ */
+function createExportWriter(format, output, options = {}) {
+  switch (format) {
+    case 'csv':
+      return createCsvWriter(output, options);
+    case 'xlsx':
+      return createXlsxWriter(output);
+    case 'json':
+      return createJsonWriter(output, options);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  createExportWriter
+};
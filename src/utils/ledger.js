@@ -0,0 +1,206 @@
+/**
+ * Double-entry posting rules
+ * Every economic event becomes a set of lines that debit and credit ledger
+ * accounts by the same total. The investment balance is the sum of its
+ * asset accounts (principal plus accrued returns); CASH is the investor's
+ * money outside the investment, the income/expense accounts explain where
+ * returns, losses, fees and taxes came from. TRANSFER_CLEARING holds money
+ * in transit between investments and nets to zero once both legs are posted.
+ * Amounts are exact Decimals (see utils/money) so entries always balance.
+ */
+
+const { Decimal, money } = require('./money');
+
+const LEDGER_ACCOUNTS = [
+  'PRINCIPAL',
+  'ACCRUED_INTEREST',
+  'CASH',
+  'INTEREST_INCOME',
+  'DIVIDEND_INCOME',
+  'FEES_EXPENSE',
+  'TAX_EXPENSE',
+  'TRANSFER_CLEARING',
+  'VALUATION_ADJUSTMENT'
+];
+
+// Accounts whose net debit balance makes up Investment.currentBalance
+const ASSET_ACCOUNTS = ['PRINCIPAL', 'ACCRUED_INTEREST'];
+
+/**
+ * Build a journal line
+ * @param {string} account - Ledger account
+ * @param {Decimal} debit - Debit amount
+ * @param {Decimal} credit - Credit amount
+ * @returns {Object} { account, debit, credit }
+ */
+function line(account, debit, credit) {
+  return { account, debit: money(debit), credit: money(credit) };
+}
+
+/**
+ * Post a signed change to an account against a counter account
+ * Positive amounts debit `account`; negative amounts credit it.
+ * @param {string} account - Account that changes
+ * @param {string} counterAccount - Other side of the entry
+ * @param {Decimal} amount - Signed amount
+ * @returns {Array} Journal lines (empty for zero)
+ */
+function signedPair(account, counterAccount, amount) {
+  if (amount.isZero()) {
+    return [];
+  }
+
+  return amount.gt(0)
+    ? [line(account, amount, 0), line(counterAccount, 0, amount)]
+    : [line(counterAccount, amount.neg(), 0), line(account, 0, amount.neg())];
+}
+
+/**
+ * Lines for the opening balance of an investment
+ * The principal is funded from cash; any difference between the current
+ * and the initial amount (investments that existed before the ledger) is
+ * booked as a valuation adjustment of accrued returns.
+ * @param {number|string|Object} initialAmount - Principal
+ * @param {number|string|Object} currentBalance - Balance to open with (default: principal)
+ * @returns {Array} Journal lines
+ */
+function buildOpeningLines(initialAmount, currentBalance = initialAmount) {
+  const principal = money(initialAmount);
+  const adjustment = money(currentBalance).minus(principal);
+
+  return [
+    ...signedPair('PRINCIPAL', 'CASH', principal),
+    ...signedPair('ACCRUED_INTEREST', 'VALUATION_ADJUSTMENT', adjustment)
+  ];
+}
+
+/**
+ * Lines that take money out of the investment
+ * Paid out of accrued returns first, then out of principal.
+ * @param {string} counterAccount - Account the money goes to
+ * @param {Decimal} amount - Amount (sign is ignored)
+ * @param {Object} balances - Current net balances by account
+ * @returns {Array} Journal lines (empty for zero)
+ */
+function payOutLines(counterAccount, amount, balances) {
+  const total = amount.abs();
+  if (total.isZero()) {
+    return [];
+  }
+
+  const fromAccrued = Decimal.min(Decimal.max(money(balances.ACCRUED_INTEREST), 0), total);
+  const fromPrincipal = total.minus(fromAccrued);
+
+  return [
+    line(counterAccount, total, 0),
+    ...(fromAccrued.gt(0) ? [line('ACCRUED_INTEREST', 0, fromAccrued)] : []),
+    ...(fromPrincipal.gt(0) ? [line('PRINCIPAL', 0, fromPrincipal)] : [])
+  ];
+}
+
+/**
+ * Lines for a transaction
+ * @param {string} type - Transaction type
+ * @param {number|string|Object} amount - Transaction amount (returns, accruals and transfers may be negative)
+ * @param {Object} balances - Current net balances by account (needed for money paid out)
+ * @returns {Array} Journal lines
+ */
+function buildTransactionLines(type, amount, balances = {}) {
+  const value = money(amount);
+
+  switch (type) {
+    case 'DEPOSIT':
+      return signedPair('PRINCIPAL', 'CASH', value);
+    case 'RETURN':
+      return value.gte(0)
+        ? signedPair('ACCRUED_INTEREST', 'INTEREST_INCOME', value)
+        : signedPair('ACCRUED_INTEREST', 'VALUATION_ADJUSTMENT', value);
+    case 'DIVIDEND':
+      return value.gte(0)
+        ? signedPair('ACCRUED_INTEREST', 'DIVIDEND_INCOME', value)
+        : signedPair('ACCRUED_INTEREST', 'VALUATION_ADJUSTMENT', value);
+    case 'INTEREST_ACCRUAL':
+      // Negative accruals correct interest accrued earlier
+      return signedPair('ACCRUED_INTEREST', 'INTEREST_INCOME', value);
+    case 'WITHDRAWAL':
+      return payOutLines('CASH', value, balances);
+    case 'FEE':
+      return payOutLines('FEES_EXPENSE', value, balances);
+    case 'TAX_WITHHELD':
+      return payOutLines('TAX_EXPENSE', value, balances);
+    case 'TRANSFER':
+      // Positive amounts arrive as principal; negative amounts leave like a withdrawal
+      return value.gte(0)
+        ? signedPair('PRINCIPAL', 'TRANSFER_CLEARING', value)
+        : payOutLines('TRANSFER_CLEARING', value, balances);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Lines for a manual balance correction
+ * @param {number|string|Object} delta - New balance minus ledger balance
+ * @returns {Array} Journal lines
+ */
+function buildAdjustmentLines(delta) {
+  return signedPair('ACCRUED_INTEREST', 'VALUATION_ADJUSTMENT', money(delta));
+}
+
+/**
+ * Net (debit - credit) per account
+ * @param {Array} lines - Lines with debit/credit
+ * @returns {Object} Decimal by account
+ */
+function netByAccount(lines) {
+  return lines.reduce((acc, entryLine) => {
+    acc[entryLine.account] = money(acc[entryLine.account])
+      .plus(money(entryLine.debit))
+      .minus(money(entryLine.credit));
+    return acc;
+  }, {});
+}
+
+/**
+ * Lines that cancel the given net account balances (used for reversals)
+ * @param {Object} net - Decimal by account, as returned by netByAccount
+ * @returns {Array} Journal lines
+ */
+function buildReversalLines(net) {
+  return Object.entries(net)
+    .map(([account, amount]) => [account, money(amount)])
+    .filter(([, amount]) => !amount.isZero())
+    .map(([account, amount]) => (amount.gt(0) ? line(account, 0, amount) : line(account, amount.neg(), 0)));
+}
+
+/**
+ * Sum of the asset accounts, i.e. what Investment.currentBalance should be
+ * @param {Object} net - Decimal by account
+ * @returns {Decimal} Balance
+ */
+function assetBalance(net) {
+  return ASSET_ACCOUNTS.reduce((sum, account) => sum.plus(money(net[account])), money(0));
+}
+
+/**
+ * Check that an entry balances
+ * @param {Array} lines - Journal lines
+ * @returns {boolean} True if total debits equal total credits
+ */
+function isBalanced(lines) {
+  const debits = lines.reduce((sum, entryLine) => sum.plus(money(entryLine.debit)), money(0));
+  const credits = lines.reduce((sum, entryLine) => sum.plus(money(entryLine.credit)), money(0));
+  return debits.eq(credits);
+}
+
+module.exports = {
+  LEDGER_ACCOUNTS,
+  ASSET_ACCOUNTS,
+  buildOpeningLines,
+  buildTransactionLines,
+  buildAdjustmentLines,
+  buildReversalLines,
+  netByAccount,
+  assetBalance,
+  isBalanced
+};
@@ -0,0 +1,139 @@
+/**
+ * Exact money arithmetic
+ * Amounts are Decimal instances (the decimal.js class Prisma uses, so they can
+ * be written to and read from Decimal columns without conversion). Never do
+ * arithmetic on amounts with JavaScript numbers: convert with money(), use the
+ * Decimal methods (plus, minus, times, div) and round once per posting with
+ * roundMoney(). Plain numbers are only produced for API responses (toNumber).
+ */
+
+const { Prisma } = require('@prisma/client');
+
+// Enough significant digits that sums and products of stored amounts never round
+const Decimal = Prisma.Decimal.clone({
+  precision: 40,
+  rounding: Prisma.Decimal.ROUND_HALF_EVEN
+});
+
+const ROUNDING_MODES = {
+  HALF_EVEN: Decimal.ROUND_HALF_EVEN, // banker's rounding
+  HALF_UP: Decimal.ROUND_HALF_UP,
+  DOWN: Decimal.ROUND_DOWN
+};
+
+const DEFAULT_ROUNDING = ROUNDING_MODES[process.env.MONEY_ROUNDING_MODE] !== undefined
+  ? process.env.MONEY_ROUNDING_MODE
+  : 'HALF_EVEN';
+
+// Decimal places of the money columns in prisma/schema.prisma
+const STORAGE_SCALE = 4;
+
+// ISO 4217 currencies whose minor unit is not 1/100
+const MINOR_UNITS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+  CLF: 4, UYW: 4
+};
+
+const DEFAULT_MINOR_UNITS = 2;
+
+/**
+ * Number of decimal places of a currency's minor unit
+ * @param {string} currency - ISO 4217 code (unknown or missing codes use 2)
+ * @returns {number} Decimal places
+ */
+function getMinorUnits(currency) {
+  const code = (currency || '').toString().trim().toUpperCase();
+  return MINOR_UNITS[code] !== undefined ? MINOR_UNITS[code] : DEFAULT_MINOR_UNITS;
+}
+
+/**
+ * Convert an amount to an exact Decimal
+ * Numbers are read from their shortest decimal representation, so 0.1 is
+ * exactly one tenth. null and undefined are zero.
+ * @param {number|string|Object} value - Amount (number, numeric string or Decimal)
+ * @returns {Decimal} Exact amount
+ * @throws {Error} If the value is not a finite number
+ */
+function money(value) {
+  if (value === null || value === undefined || value === '') {
+    return new Decimal(0);
+  }
+
+  const amount = new Decimal(Decimal.isDecimal(value) ? value.toString() : value);
+  if (!amount.isFinite()) {
+    throw new Error(`Invalid money amount: ${value}`);
+  }
+
+  return amount;
+}
+
+/**
+ * Round an amount to the minor unit of its currency
+ * @param {number|string|Object} value - Amount
+ * @param {string} currency - ISO 4217 code (decides the number of decimals)
+ * @param {string} rounding - Rounding mode name (default HALF_EVEN or MONEY_ROUNDING_MODE)
+ * @returns {Decimal} Rounded amount
+ */
+function roundMoney(value, currency, rounding = DEFAULT_ROUNDING) {
+  const mode = ROUNDING_MODES[rounding];
+  if (mode === undefined) {
+    throw new Error(`Unknown rounding mode: ${rounding}`);
+  }
+
+  return money(value).toDecimalPlaces(Math.min(getMinorUnits(currency), STORAGE_SCALE), mode);
+}
+
+/**
+ * Exact sum of amounts
+ * @param {Array} values - Amounts
+ * @returns {Decimal} Sum
+ */
+function sumMoney(values) {
+  return values.reduce((sum, value) => sum.plus(money(value)), new Decimal(0));
+}
+
+/**
+ * Convert an amount to integer minor units (e.g. cents)
+ * @param {number|string|Object} value - Amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {bigint} Minor units
+ */
+function toMinorUnits(value, currency) {
+  const units = roundMoney(value, currency).times(new Decimal(10).pow(getMinorUnits(currency)));
+  return BigInt(units.toFixed(0));
+}
+
+/**
+ * Convert integer minor units back to an amount
+ * @param {bigint|number|string} units - Minor units
+ * @param {string} currency - ISO 4217 code
+ * @returns {Decimal} Amount
+ */
+function fromMinorUnits(units, currency) {
+  return new Decimal(units.toString()).div(new Decimal(10).pow(getMinorUnits(currency)));
+}
+
+/**
+ * Convert an amount to a plain number for API responses
+ * @param {number|string|Object} value - Amount
+ * @returns {number} Number
+ */
+function toNumber(value) {
+  return money(value).toNumber();
+}
+
+module.exports = {
+  Decimal,
+  ROUNDING_MODES,
+  DEFAULT_ROUNDING,
+  STORAGE_SCALE,
+  getMinorUnits,
+  money,
+  roundMoney,
+  sumMoney,
+  toMinorUnits,
+  fromMinorUnits,
+  toNumber
+};
@@ -0,0 +1,386 @@
+/**
+ * PDF documents
+ * A small flow-layout renderer for printable statements: titles, headings,
+ * label/value lists, wrapped text and tables that break across pages with
+ * their header repeated. Pages are A4 and use the standard Helvetica fonts
+ * (built into every PDF reader, so nothing is embedded); text outside the
+ * Windows-1252 character set is shown as "?".
+ */
+
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 48;
+const FOOTER_HEIGHT = 24;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+
+// Glyph widths (1/1000 em) of Helvetica and Helvetica-Bold for characters 32-126
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+const DEFAULT_WIDTH = 556;
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// Windows-1252 codes of common characters outside Latin-1
+const WIN_ANSI = {
+  '€': 128, '…': 133, '‘': 145, '’': 146, '“': 147,
+  '”': 148, '•': 149, '–': 150, '—': 151
+};
+
+/**
+ * Encode text as Windows-1252 bytes (held in a latin1 string)
+ * @param {string} text - Text
+ * @returns {string} Encoded text
+ */
+function encodeText(text) {
+  let encoded = '';
+  for (const char of String(text ?? '')) {
+    const code = char.codePointAt(0);
+    if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+      encoded += char;
+    } else if (WIN_ANSI[char]) {
+      encoded += String.fromCharCode(WIN_ANSI[char]);
+    } else {
+      encoded += code === 9 ? ' ' : '?';
+    }
+  }
+  return encoded;
+}
+
+/**
+ * Escape encoded text for a PDF literal string
+ * @param {string} encoded - Encoded text
+ * @returns {string} Literal string, with parentheses
+ */
+function literal(encoded) {
+  return `(${encoded.replace(/[\\()]/g, match => `\\${match}`)})`;
+}
+
+/**
+ * Width of a text in points
+ * @param {string} text - Text
+ * @param {string} font - regular or bold
+ * @param {number} size - Font size
+ * @returns {number} Width
+ */
+function textWidth(text, font, size) {
+  const widths = WIDTHS[font];
+  let total = 0;
+  for (const char of encodeText(text)) {
+    const code = char.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+  }
+  return (total * size) / 1000;
+}
+
+/**
+ * Shorten a text to a width, ending it with "..."
+ * @param {string} text - Text
+ * @param {number} width - Available width in points
+ * @param {string} font - regular or bold
+ * @param {number} size - Font size
+ * @returns {string} Text that fits
+ */
+function fitText(text, width, font, size) {
+  const value = String(text ?? '');
+  if (textWidth(value, font, size) <= width) {
+    return value;
+  }
+
+  let fitted = value;
+  while (fitted.length > 0 && textWidth(`${fitted}...`, font, size) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}...`;
+}
+
+/**
+ * Break a text into lines of a width
+ * @param {string} text - Text
+ * @param {number} width - Line width in points
+ * @param {string} font - regular or bold
+ * @param {number} size - Font size
+ * @returns {Array} Lines
+ */
+function wrapText(text, width, font, size) {
+  const lines = [];
+  let current = '';
+
+  for (const word of String(text ?? '').split(/\s+/).filter(Boolean)) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && textWidth(candidate, font, size) > width) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) {
+    lines.push(current);
+  }
+
+  return lines.map(line => fitText(line, width, font, size));
+}
+
+/**
+ * PDF date string
+ * @param {Date} date - Date
+ * @returns {string} D:YYYYMMDDHHmmSSZ
+ */
+function pdfDate(date) {
+  return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+/**
+ * Create a PDF document
+ * Content is laid out top to bottom; a new page starts when the current one
+ * is full. Page numbers are added to every page footer by toBuffer().
+ * @param {Object} options - Options
+ * @param {string} options.title - Document title (metadata and footer)
+ * @returns {Object} Document with title, heading, keyValues, paragraph, table, spacer and toBuffer
+ */
+function createPdfDocument({ title }) {
+  const pages = [];
+  let page;
+  let y;
+
+  const newPage = () => {
+    page = [];
+    pages.push(page);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  // Start a new page unless `height` points still fit on this one
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN + FOOTER_HEIGHT) {
+      newPage();
+      return true;
+    }
+    return false;
+  };
+
+  const drawText = (x, baseline, text, { font = 'regular', size = 10, gray = 0 } = {}) => {
+    page.push(
+      `${gray} g BT /${FONTS[font]} ${size} Tf ${x.toFixed(2)} ${baseline.toFixed(2)} Td ${literal(encodeText(text))} Tj ET`
+    );
+  };
+
+  const drawRight = (right, baseline, text, style = {}) => {
+    drawText(right - textWidth(text, style.font || 'regular', style.size || 10), baseline, text, style);
+  };
+
+  const drawRule = (top, gray = 0.75) => {
+    page.push(`${gray} G 0.5 w ${MARGIN} ${top.toFixed(2)} m ${MARGIN + CONTENT_WIDTH} ${top.toFixed(2)} l S`);
+  };
+
+  const fillBox = (top, height, gray) => {
+    page.push(`${gray} g ${MARGIN} ${(top - height).toFixed(2)} ${CONTENT_WIDTH} ${height} re f`);
+  };
+
+  newPage();
+
+  return {
+    /**
+     * Document title with an optional line below it
+     * @param {string} text - Title
+     * @param {string} subtitle - Smaller gray line
+     */
+    title(text, subtitle) {
+      ensureSpace(40);
+      y -= 18;
+      drawText(MARGIN, y, fitText(text, CONTENT_WIDTH, 'bold', 16), { font: 'bold', size: 16 });
+      if (subtitle) {
+        y -= 15;
+        drawText(MARGIN, y, fitText(subtitle, CONTENT_WIDTH, 'regular', 10), { gray: 0.35 });
+      }
+      y -= 8;
+      drawRule(y, 0);
+      y -= 6;
+    },
+
+    /**
+     * Section heading, kept on the same page as the first lines after it
+     * @param {string} text - Heading
+     */
+    heading(text) {
+      ensureSpace(60);
+      y -= 20;
+      drawText(MARGIN, y, fitText(text, CONTENT_WIDTH, 'bold', 12), { font: 'bold', size: 12 });
+      y -= 6;
+    },
+
+    /**
+     * Labels with right-aligned values
+     * @param {Array} pairs - [label, value] pairs
+     */
+    keyValues(pairs) {
+      const right = MARGIN + 320;
+      for (const [label, value] of pairs) {
+        ensureSpace(14);
+        y -= 14;
+        drawText(MARGIN, y, fitText(label, 200, 'regular', 9.5), { size: 9.5, gray: 0.25 });
+        drawRight(right, y, fitText(value, 110, 'bold', 9.5), { font: 'bold', size: 9.5 });
+      }
+      y -= 4;
+    },
+
+    /**
+     * Wrapped text
+     * @param {string} text - Text
+     * @param {Object} style - size (default 9) and gray (0 black - 1 white)
+     */
+    paragraph(text, { size = 9, gray = 0.35 } = {}) {
+      for (const line of wrapText(text, CONTENT_WIDTH, 'regular', size)) {
+        ensureSpace(size + 4);
+        y -= size + 4;
+        drawText(MARGIN, y, line, { size, gray });
+      }
+      y -= 4;
+    },
+
+    /**
+     * Table with a shaded header row, repeated on every page it spans
+     * @param {Array} columns - { header, width (relative), align: left|right }
+     * @param {Array} rows - Rows as arrays of cell text; { cells, bold } for emphasis
+     * @param {Object} options - emptyText shown when there are no rows
+     */
+    table(columns, rows, { emptyText = 'None' } = {}) {
+      const size = 8.5;
+      const rowHeight = 14;
+      const padding = 4;
+      const totalWeight = columns.reduce((sum, column) => sum + column.width, 0);
+      const widths = columns.map(column => (column.width / totalWeight) * CONTENT_WIDTH);
+
+      const drawRow = (cells, font) => {
+        let x = MARGIN;
+        cells.forEach((cell, index) => {
+          const text = fitText(cell, widths[index] - 2 * padding, font, size);
+          if (columns[index].align === 'right') {
+            drawRight(x + widths[index] - padding, y + 4, text, { font, size });
+          } else {
+            drawText(x + padding, y + 4, text, { font, size });
+          }
+          x += widths[index];
+        });
+      };
+
+      const drawHeader = () => {
+        fillBox(y, rowHeight, 0.92);
+        y -= rowHeight;
+        drawRow(columns.map(column => column.header), 'bold');
+      };
+
+      ensureSpace(rowHeight * 3);
+      drawHeader();
+
+      if (rows.length === 0) {
+        y -= rowHeight;
+        drawText(MARGIN + padding, y + 4, emptyText, { size, gray: 0.45 });
+      }
+
+      for (const row of rows) {
+        const { cells, bold = false } = Array.isArray(row) ? { cells: row } : row;
+        if (ensureSpace(rowHeight)) {
+          drawHeader();
+        }
+        y -= rowHeight;
+        if (bold) {
+          drawRule(y + rowHeight, 0.5);
+        }
+        drawRow(cells, bold ? 'bold' : 'regular');
+      }
+
+      drawRule(y);
+      y -= 6;
+    },
+
+    /**
+     * Vertical space
+     * @param {number} height - Points
+     */
+    spacer(height = 8) {
+      y -= height;
+    },
+
+    /**
+     * Finish the document
+     * @returns {Buffer} PDF file
+     */
+    toBuffer() {
+      const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((_, index) => `${6 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Title ${literal(encodeText(title))} /Producer (E-Accounting) /CreationDate (${pdfDate(new Date())}) >>`
+      ];
+
+      pages.forEach((operations, index) => {
+        page = operations;
+        const footer = `Page ${index + 1} of ${pages.length}`;
+        drawText(MARGIN, MARGIN - 12, fitText(title, CONTENT_WIDTH - 80, 'regular', 8), { size: 8, gray: 0.45 });
+        drawRight(MARGIN + CONTENT_WIDTH, MARGIN - 12, footer, { size: 8, gray: 0.45 });
+
+        const content = zlib.deflateSync(Buffer.from(operations.join('\n'), 'latin1'));
+        objects.push(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + index * 2} 0 R >>`,
+          Buffer.concat([
+            Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+            content,
+            Buffer.from('\nendstream', 'latin1')
+          ])
+        );
+      });
+
+      const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      const offsets = [];
+      let length = chunks[0].length;
+
+      objects.forEach((object, index) => {
+        const body = Buffer.isBuffer(object) ? object : Buffer.from(object, 'latin1');
+        const chunk = Buffer.concat([
+          Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+          body,
+          Buffer.from('\nendobj\n', 'latin1')
+        ]);
+        offsets.push(length);
+        chunks.push(chunk);
+        length += chunk.length;
+      });
+
+      chunks.push(Buffer.from(
+        `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+        offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+        `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\n` +
+        `startxref\n${length}\n%%EOF\n`,
+        'latin1'
+      ));
+
+      return Buffer.concat(chunks);
+    }
+  };
+}
+
+module.exports = {
+  createPdfDocument,
+  textWidth,
+  wrapText
+};
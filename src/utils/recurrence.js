@@ -0,0 +1,151 @@
+// Recurrence rules for recurring transactions, modelled on iCalendar RRULE:
+// FREQ (frequency), INTERVAL, and an end given by UNTIL (endDate) or COUNT.
+// The first occurrence is the start date; monthly and yearly rules keep its
+// day of month and fall back to the last day of shorter months.
+
+const { DAY_MS, startOfDay, addMonths } = require('./dates');
+
+const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/**
+ * Date of the nth occurrence of a rule, ignoring its end condition
+ * Computed from the start date rather than the previous occurrence, so a
+ * month-end schedule does not drift to the 28th after February.
+ * @param {Object} rule - frequency, interval and startDate
+ * @param {number} index - Zero-based occurrence number
+ * @returns {Date} Occurrence date (UTC midnight)
+ */
+function getOccurrenceDate(rule, index) {
+  const start = startOfDay(rule.startDate);
+  const steps = index * (rule.interval || 1);
+
+  switch (rule.frequency) {
+    case 'DAILY':
+      return new Date(start.getTime() + steps * DAY_MS);
+    case 'WEEKLY':
+      return new Date(start.getTime() + steps * 7 * DAY_MS);
+    case 'MONTHLY':
+      return addMonths(start, steps);
+    case 'YEARLY':
+      return addMonths(start, steps * 12);
+    default:
+      throw new Error(`Unknown recurrence frequency: ${rule.frequency}`);
+  }
+}
+
+/**
+ * Check whether the nth occurrence is past the rule's end condition
+ * @param {Object} rule - Rule with optional endDate and count
+ * @param {number} index - Zero-based occurrence number
+ * @returns {boolean} True if the rule has no nth occurrence
+ */
+function isPastEnd(rule, index) {
+  if (rule.count != null && index >= rule.count) {
+    return true;
+  }
+
+  return Boolean(rule.endDate) && getOccurrenceDate(rule, index) > startOfDay(rule.endDate);
+}
+
+/**
+ * Date of the nth occurrence, or null once the rule has ended
+ * @param {Object} rule - Recurrence rule
+ * @param {number} index - Zero-based occurrence number
+ * @returns {Date|null} Occurrence date
+ */
+function getNextOccurrence(rule, index) {
+  return isPastEnd(rule, index) ? null : getOccurrenceDate(rule, index);
+}
+
+/**
+ * Occurrence number of a date in a rule
+ * Worked out from the distance to the start date rather than by walking the
+ * schedule, so any date (however far out) costs the same.
+ * @param {Object} rule - Recurrence rule
+ * @param {Date|string} date - Date to look up
+ * @returns {number|null} Zero-based occurrence number, or null if the rule has no occurrence on that day
+ */
+function getOccurrenceIndex(rule, date) {
+  const start = startOfDay(rule.startDate);
+  const day = startOfDay(date);
+  const interval = rule.interval || 1;
+  let steps;
+
+  switch (rule.frequency) {
+    case 'DAILY':
+      steps = Math.round((day - start) / DAY_MS);
+      break;
+    case 'WEEKLY':
+      steps = Math.round((day - start) / (7 * DAY_MS));
+      break;
+    case 'MONTHLY':
+      steps = (day.getUTCFullYear() - start.getUTCFullYear()) * 12 + day.getUTCMonth() - start.getUTCMonth();
+      break;
+    case 'YEARLY':
+      steps = day.getUTCFullYear() - start.getUTCFullYear();
+      break;
+    default:
+      throw new Error(`Unknown recurrence frequency: ${rule.frequency}`);
+  }
+
+  if (steps < 0 || steps % interval !== 0) {
+    return null;
+  }
+
+  // The candidate still has to land on the day (weekday, clamped month end)
+  const index = steps / interval;
+  const occurrence = getNextOccurrence(rule, index);
+  return occurrence && occurrence.getTime() === day.getTime() ? index : null;
+}
+
+/**
+ * List occurrences of a rule from a given occurrence number
+ * @param {Object} rule - Recurrence rule
+ * @param {Object} options - Options
+ * @param {number} options.fromIndex - First occurrence number (default 0)
+ * @param {Date|string} options.until - Last date to include
+ * @param {number} options.limit - Maximum occurrences to return (default 50)
+ * @returns {Array<Object>} Occurrences with index and date
+ */
+function listOccurrences(rule, options = {}) {
+  const { fromIndex = 0, until, limit = 50 } = options;
+  const last = until ? startOfDay(until) : null;
+  const occurrences = [];
+
+  for (let index = fromIndex; occurrences.length < limit; index++) {
+    const date = getNextOccurrence(rule, index);
+    if (!date || (last && date > last)) {
+      break;
+    }
+    occurrences.push({ index, date });
+  }
+
+  return occurrences;
+}
+
+/**
+ * Format a rule as an iCalendar RRULE string
+ * @param {Object} rule - Recurrence rule
+ * @returns {string} RRULE, e.g. FREQ=MONTHLY;INTERVAL=1;COUNT=12
+ */
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.frequency}`, `INTERVAL=${rule.interval || 1}`];
+
+  if (rule.count != null) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  if (rule.endDate) {
+    parts.push(`UNTIL=${startOfDay(rule.endDate).toISOString().slice(0, 10).replace(/-/g, '')}`);
+  }
+
+  return parts.join(';');
+}
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  getOccurrenceDate,
+  getNextOccurrence,
+  getOccurrenceIndex,
+  listOccurrences,
+  formatRRule
+};
@@ -0,0 +1,81 @@
+// Report periods: an inclusive range of whole days (UTC), given as from/to
+// dates or as a preset anchored on the last day (to, default today).
+// "inception" has no start date: the report covers all history up to `to`.
+
+const { DAY_MS, startOfDay, addMonths } = require('./dates');
+
+const REPORT_PERIODS = ['mtd', 'qtd', 'ytd', 'last12months', 'last6months', 'inception'];
+
+/**
+ * First day of a preset period ending on a given day
+ * @param {string} preset - One of REPORT_PERIODS
+ * @param {Date} to - Last day of the period (UTC midnight)
+ * @returns {Date|null} First day, or null for inception
+ */
+function presetStart(preset, to) {
+  const year = to.getUTCFullYear();
+  const month = to.getUTCMonth();
+
+  switch (preset) {
+    case 'mtd':
+      return new Date(Date.UTC(year, month, 1));
+    case 'qtd':
+      return new Date(Date.UTC(year, month - (month % 3), 1));
+    case 'ytd':
+      return new Date(Date.UTC(year, 0, 1));
+    case 'last12months':
+      return new Date(addMonths(to, -12).getTime() + DAY_MS);
+    case 'last6months':
+      return new Date(addMonths(to, -6).getTime() + DAY_MS);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Resolve a report period
+ * An explicit from/to wins over the preset's dates, so a resolved period
+ * can be passed on again and resolves to itself.
+ * @param {Object} options - period (preset), from, to (inclusive)
+ * @param {Date} now - Today (default: now)
+ * @returns {Object} preset ('custom' for a bare from), from (null for inception), to (last day) and end (exclusive)
+ */
+function resolveReportPeriod(options = {}, now = new Date()) {
+  const preset = options.period || (options.from ? 'custom' : 'inception');
+  const to = startOfDay(options.to || now);
+  const from = options.from ? startOfDay(options.from) : presetStart(preset, to);
+
+  return { preset, from, to, end: new Date(to.getTime() + DAY_MS) };
+}
+
+/**
+ * Date filter for rows falling in a period
+ * @param {Object} period - Result of resolveReportPeriod
+ * @returns {Object} Prisma date filter, e.g. { transactionDate: periodWhere(period) }
+ */
+function periodWhere(period) {
+  return {
+    ...(period.from && { gte: period.from }),
+    lt: period.end
+  };
+}
+
+/**
+ * Describe a period for a response
+ * @param {Object} period - Result of resolveReportPeriod
+ * @returns {Object} preset, from and to as YYYY-MM-DD (from is null for inception)
+ */
+function formatReportPeriod(period) {
+  return {
+    preset: period.preset,
+    from: period.from ? period.from.toISOString().slice(0, 10) : null,
+    to: period.to.toISOString().slice(0, 10)
+  };
+}
+
+module.exports = {
+  REPORT_PERIODS,
+  resolveReportPeriod,
+  periodWhere,
+  formatReportPeriod
+};
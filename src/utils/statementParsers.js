@@ -0,0 +1,443 @@
+/**
+ * Bank and broker statement parsers
+ * Each parser turns a statement file into plain lines:
+ * { lineNumber, transactionDate, amount, currency, description, reference, accountReference }
+ * with amount a signed Decimal (negative for money leaving the account).
+ */
+
+const { money } = require('./money');
+
+/**
+ * Error for statement files that cannot be read; the message is safe to show
+ */
+class StatementParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StatementParseError';
+  }
+}
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'YYYYMMDD'];
+
+// Header names tried when a CSV mapping leaves a column out
+const DEFAULT_COLUMNS = {
+  date: ['date', 'transaction date', 'booking date', 'posted date', 'value date'],
+  amount: ['amount', 'value', 'transaction amount'],
+  debit: ['debit', 'withdrawal', 'money out', 'paid out'],
+  credit: ['credit', 'deposit', 'money in', 'paid in'],
+  description: ['description', 'narration', 'details', 'memo', 'payee', 'remarks'],
+  reference: ['reference', 'ref', 'transaction id', 'id'],
+  accountReference: ['account', 'account number', 'iban'],
+  currency: ['currency', 'ccy']
+};
+
+/**
+ * Parse a calendar date in one of the supported formats (as UTC midnight)
+ * @param {string} value - Date text
+ * @param {string} format - One of DATE_FORMATS
+ * @returns {Date} Date
+ * @throws {StatementParseError} If the date does not match the format
+ */
+function parseDate(value, format = 'YYYY-MM-DD') {
+  const text = String(value || '').trim();
+  const patterns = {
+    'YYYY-MM-DD': [/^(\d{4})-(\d{1,2})-(\d{1,2})/, [1, 2, 3]],
+    'DD/MM/YYYY': [/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, [3, 2, 1]],
+    'MM/DD/YYYY': [/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, [3, 1, 2]],
+    'DD.MM.YYYY': [/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/, [3, 2, 1]],
+    YYYYMMDD: [/^(\d{4})(\d{2})(\d{2})/, [1, 2, 3]]
+  };
+
+  const [pattern, order] = patterns[format] || patterns['YYYY-MM-DD'];
+  const match = text.match(pattern);
+  if (!match) {
+    throw new StatementParseError(`Invalid date "${text}" (expected ${format})`);
+  }
+
+  const [year, month, day] = order.map(index => Number(match[index]));
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    throw new StatementParseError(`Invalid date "${text}"`);
+  }
+
+  return date;
+}
+
+/**
+ * Parse a statement amount
+ * Accepts thousands separators, a currency symbol, a trailing minus and
+ * accounting-style parentheses for negatives.
+ * @param {string} value - Amount text
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {Decimal} Signed amount
+ * @throws {StatementParseError} If the amount is not a number
+ */
+function parseAmount(value, decimalSeparator = '.') {
+  let text = String(value ?? '').trim();
+  let negative = false;
+
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (text.endsWith('-')) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+
+  const thousands = decimalSeparator === ',' ? /[.\s']/g : /[,\s']/g;
+  text = text.replace(thousands, '').replace(/[^\d.,+-]/g, '');
+  if (decimalSeparator === ',') {
+    text = text.replace(',', '.');
+  }
+
+  if (!/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    throw new StatementParseError(`Invalid amount "${value}"`);
+  }
+
+  const amount = money(text);
+  return negative ? amount.abs().neg() : amount;
+}
+
+/**
+ * Split CSV text into rows (RFC 4180: quoted fields may contain the
+ * delimiter, line breaks and doubled quotes)
+ * @param {string} content - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCsvRows(content, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse a CSV statement
+ * Columns are given by header name or zero-based index in the mapping;
+ * unmapped columns are looked up under common header names. Use either an
+ * amount column or separate debit/credit columns.
+ * @param {string} content - CSV text
+ * @param {Object} mapping - Column mapping and format options
+ * @param {string|number} mapping.date - Date column
+ * @param {string|number} mapping.amount - Signed amount column
+ * @param {string|number} mapping.debit - Money out column (instead of amount)
+ * @param {string|number} mapping.credit - Money in column (instead of amount)
+ * @param {string|number} mapping.description - Description column
+ * @param {string|number} mapping.reference - Reference column
+ * @param {string|number} mapping.accountReference - Account column
+ * @param {string|number} mapping.currency - Currency column
+ * @param {string} mapping.dateFormat - One of DATE_FORMATS (default YYYY-MM-DD)
+ * @param {string} mapping.decimalSeparator - '.' (default) or ','
+ * @param {string} mapping.delimiter - Field delimiter (default ',')
+ * @param {number} mapping.skipRows - Rows to skip before the header (default 0)
+ * @param {boolean} mapping.hasHeader - First row is a header (default true)
+ * @returns {Object} Parsed statement with lines
+ * @throws {StatementParseError} If required columns are missing or a row is invalid
+ */
+function parseCsvStatement(content, mapping = {}) {
+  const {
+    dateFormat = 'YYYY-MM-DD',
+    decimalSeparator = '.',
+    delimiter = ',',
+    skipRows = 0,
+    hasHeader = true
+  } = mapping;
+
+  const rows = parseCsvRows(content.replace(/^\uFEFF/, ''), delimiter).slice(skipRows);
+  const header = hasHeader ? (rows.shift() || []).map(name => name.trim().toLowerCase()) : [];
+
+  const columnIndex = (key) => {
+    const configured = mapping[key];
+    if (typeof configured === 'number') {
+      return configured;
+    }
+    if (typeof configured === 'string') {
+      const index = header.indexOf(configured.trim().toLowerCase());
+      if (index === -1) {
+        throw new StatementParseError(`Column "${configured}" not found in the header`);
+      }
+      return index;
+    }
+    const fallback = header.findIndex(name => DEFAULT_COLUMNS[key].includes(name));
+    return fallback === -1 ? null : fallback;
+  };
+
+  const columns = Object.fromEntries(Object.keys(DEFAULT_COLUMNS).map(key => [key, columnIndex(key)]));
+
+  if (columns.date === null) {
+    throw new StatementParseError('No date column; map one with mapping.date');
+  }
+  if (columns.amount === null && columns.debit === null && columns.credit === null) {
+    throw new StatementParseError('No amount column; map mapping.amount or mapping.debit/mapping.credit');
+  }
+
+  const cell = (row, key) => (columns[key] === null ? '' : (row[columns[key]] ?? '').trim());
+  const firstLine = skipRows + (hasHeader ? 2 : 1);
+
+  const lines = rows.map((row, index) => {
+    const lineNumber = firstLine + index;
+
+    try {
+      let amount;
+      if (columns.amount !== null && cell(row, 'amount') !== '') {
+        amount = parseAmount(cell(row, 'amount'), decimalSeparator);
+      } else {
+        const credit = cell(row, 'credit') ? parseAmount(cell(row, 'credit'), decimalSeparator).abs() : money(0);
+        const debit = cell(row, 'debit') ? parseAmount(cell(row, 'debit'), decimalSeparator).abs() : money(0);
+        amount = credit.minus(debit);
+      }
+
+      return {
+        lineNumber,
+        transactionDate: parseDate(cell(row, 'date'), dateFormat),
+        amount,
+        currency: cell(row, 'currency').toUpperCase() || null,
+        description: cell(row, 'description') || null,
+        reference: cell(row, 'reference') || null,
+        accountReference: cell(row, 'accountReference') || null
+      };
+    } catch (error) {
+      if (error instanceof StatementParseError) {
+        throw new StatementParseError(`Line ${lineNumber}: ${error.message}`);
+      }
+      throw error;
+    }
+  });
+
+  return { accountReference: null, currency: null, lines };
+}
+
+/**
+ * Value of an OFX element; SGML (OFX 1.x) leaves elements unclosed
+ * @param {string} block - OFX text
+ * @param {string} tag - Element name
+ * @returns {string|null} Element value
+ */
+function ofxValue(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeXml(match[1].trim()) || null : null;
+}
+
+/**
+ * Parse an OFX or QFX statement (OFX 1.x SGML or 2.x XML)
+ * @param {string} content - OFX text
+ * @returns {Object} Parsed statement with account reference, currency and lines
+ * @throws {StatementParseError} If the file has no statement transactions
+ */
+function parseOfxStatement(content) {
+  if (!/<OFX>/i.test(content)) {
+    throw new StatementParseError('Not an OFX file');
+  }
+
+  const accountReference = ofxValue(content, 'ACCTID');
+  const currency = ofxValue(content, 'CURDEF');
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  const lines = blocks.map((block, index) => {
+    const posted = ofxValue(block, 'DTPOSTED');
+    const amount = ofxValue(block, 'TRNAMT');
+
+    if (!posted || amount === null) {
+      throw new StatementParseError(`Transaction ${index + 1}: missing DTPOSTED or TRNAMT`);
+    }
+
+    const name = ofxValue(block, 'NAME');
+    const memo = ofxValue(block, 'MEMO');
+
+    return {
+      lineNumber: index + 1,
+      transactionDate: parseDate(posted, 'YYYYMMDD'),
+      amount: parseAmount(amount),
+      currency: ofxValue(block, 'CURRENCY') || currency,
+      description: [name, memo].filter(Boolean).join(' - ') || ofxValue(block, 'TRNTYPE'),
+      reference: ofxValue(block, 'FITID'),
+      accountReference
+    };
+  });
+
+  return { accountReference, currency, lines };
+}
+
+/**
+ * Decode the XML entities that appear in statement text
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Contents of the first XML element with a local name (any namespace prefix)
+ * @param {string} xml - XML text
+ * @param {string} path - Element names separated by '/', searched in nesting order
+ * @returns {string|null} Inner XML of the element
+ */
+function xmlElement(xml, path) {
+  let scope = xml;
+
+  for (const name of path.split('/')) {
+    const match = scope.match(new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`));
+    if (!match) {
+      return null;
+    }
+    scope = match[1];
+  }
+
+  return scope;
+}
+
+/**
+ * Text of an XML element
+ * @param {string} xml - XML text
+ * @param {string} path - Element path
+ * @returns {string|null} Decoded text
+ */
+function xmlText(xml, path) {
+  const value = xmlElement(xml, path);
+  return value === null ? null : decodeXml(value.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim()) || null;
+}
+
+/**
+ * Parse an ISO 20022 CAMT.053 bank-to-customer statement
+ * Booked entries (Ntry) become lines; CdtDbtInd gives the sign.
+ * @param {string} content - CAMT.053 XML
+ * @returns {Object} Parsed statement with account reference, currency and lines
+ * @throws {StatementParseError} If the file is not a CAMT.053 statement
+ */
+function parseCamtStatement(content) {
+  const statement = xmlElement(content, 'BkToCstmrStmt');
+  if (!statement) {
+    throw new StatementParseError('Not a CAMT.053 statement (BkToCstmrStmt missing)');
+  }
+
+  const account = xmlElement(statement, 'Stmt/Acct') || '';
+  const accountReference = xmlText(account, 'Id/IBAN') || xmlText(account, 'Id/Othr/Id');
+  const currency = xmlText(account, 'Ccy');
+
+  const entries = statement.match(/<(?:[\w-]+:)?Ntry(?:\s[^>]*)?>[\s\S]*?<\/(?:[\w-]+:)?Ntry>/g) || [];
+
+  const lines = entries.map((entry, index) => {
+    const amountMatch = entry.match(/<(?:[\w-]+:)?Amt(?:\s+Ccy="([A-Z]{3})")?[^>]*>([^<]+)</);
+    const indicator = xmlText(entry, 'CdtDbtInd');
+    const date = xmlText(entry, 'BookgDt/Dt') || xmlText(entry, 'BookgDt/DtTm') || xmlText(entry, 'ValDt/Dt');
+
+    if (!amountMatch || !indicator || !date) {
+      throw new StatementParseError(`Entry ${index + 1}: missing Amt, CdtDbtInd or BookgDt`);
+    }
+
+    const amount = parseAmount(amountMatch[2]).abs();
+    const description = xmlText(entry, 'NtryDtls/TxDtls/RmtInf/Ustrd') ||
+      xmlText(entry, 'AddtlNtryInf') ||
+      xmlText(entry, 'NtryDtls/TxDtls/RltdPties/Cdtr/Nm') ||
+      xmlText(entry, 'NtryDtls/TxDtls/RltdPties/Dbtr/Nm');
+
+    return {
+      lineNumber: index + 1,
+      transactionDate: parseDate(date),
+      amount: indicator === 'DBIT' ? amount.neg() : amount,
+      currency: amountMatch[1] || currency,
+      description,
+      reference: xmlText(entry, 'AcctSvcrRef') || xmlText(entry, 'NtryRef') || xmlText(entry, 'NtryDtls/TxDtls/Refs/EndToEndId'),
+      accountReference
+    };
+  });
+
+  // The account currency is optional; fall back to the entries' if they agree
+  const entryCurrencies = [...new Set(lines.map(line => line.currency).filter(Boolean))];
+
+  return {
+    accountReference,
+    currency: currency || (entryCurrencies.length === 1 ? entryCurrencies[0] : null),
+    lines
+  };
+}
+
+/**
+ * Parse a statement in the given format
+ * @param {string} format - CSV, OFX (also QFX) or CAMT053
+ * @param {string} content - File contents
+ * @param {Object} mapping - CSV column mapping
+ * @returns {Object} Parsed statement with lines
+ * @throws {StatementParseError} If the statement cannot be read
+ */
+function parseStatement(format, content, mapping = {}) {
+  let statement;
+
+  switch (format) {
+    case 'CSV':
+      statement = parseCsvStatement(content, mapping);
+      break;
+    case 'OFX':
+      statement = parseOfxStatement(content);
+      break;
+    case 'CAMT053':
+      statement = parseCamtStatement(content);
+      break;
+    default:
+      throw new StatementParseError(`Unsupported statement format: ${format}`);
+  }
+
+  if (statement.lines.length === 0) {
+    throw new StatementParseError('The statement has no transactions');
+  }
+
+  return statement;
+}
+
+module.exports = {
+  StatementParseError,
+  DATE_FORMATS,
+  parseDate,
+  parseAmount,
+  parseCsvRows,
+  parseCsvStatement,
+  parseOfxStatement,
+  parseCamtStatement,
+  parseStatement
+};
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+
+/**
+ * RFC 6238 time-based one-time passwords (TOTP)
+ * Compatible with Google Authenticator, Authy, 1Password and similar apps:
+ * SHA-1, 6 digits, 30 second steps, base32 encoded secrets.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'E-Accounting';
+
+/**
+ * Encode a buffer as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string (case-insensitive, spaces and padding ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the input contains invalid characters
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 encoded 160-bit secret
+ */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Calculate an HOTP code (RFC 4226) for a counter
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero-padded code
+ */
+function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Get the TOTP time step for a moment
+ * @param {Date|number} time - Date or epoch milliseconds (default: now)
+ * @returns {number} Time step counter
+ */
+function getTimeStep(time = Date.now()) {
+  return Math.floor(new Date(time).getTime() / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Generate the TOTP code for a moment
+ * @param {string} secret - Base32 secret
+ * @param {Date|number} time - Date or epoch milliseconds (default: now)
+ * @returns {string} Current code
+ */
+function generateTotp(secret, time = Date.now()) {
+  return generateHotp(secret, getTimeStep(time));
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - Verification options
+ * @param {number} options.window - Accepted steps before/after the current one (default: 1)
+ * @param {Date|number} options.time - Verification time (default: now)
+ * @returns {number|null} Matched time step (store it to block replays) or null
+ */
+function verifyTotp(secret, code, options = {}) {
+  const { window = 1, time = Date.now() } = options;
+
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateHotp(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// provisioning URI shown as a QR code by clients
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (usually the email)
+ * @param {string} issuer - Issuer name (default: TOTP_ISSUER or E-Accounting)
+ * @returns {string} Provisioning URI
+ */
+function buildOtpauthUri(secret, accountName, issuer = TOTP_ISSUER) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Derive the key used to encrypt TOTP secrets at rest
+ * @returns {Buffer} 256-bit key
+ */
+function getSecretKey() {
+  const keyMaterial = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+  if (!keyMaterial) {
+    throw new Error('TOTP_ENCRYPTION_KEY or JWT_SECRET environment variable is required');
+  }
+
+  return crypto.createHash('sha256').update(keyMaterial).digest();
+}
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv:tag:ciphertext (base64url)
+ */
+function encryptTotpSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getSecretKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join(':');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} payload - Value produced by encryptTotpSecret
+ * @returns {string} Base32 secret
+ */
+function decryptTotpSecret(payload) {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getSecretKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  TOTP_STEP_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateHotp,
+  generateTotp,
+  getTimeStep,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptTotpSecret,
+  decryptTotpSecret
+};
@@ -0,0 +1,291 @@
+/**
+ * ZIP archives
+ * The writer deflates entries straight to the output stream as they are
+ * produced (sizes and checksums follow each entry in a data descriptor), so
+ * an archive of any number of rows never has to be held in memory. The reader
+ * unpacks an archive held in a buffer. Archives are limited to 4 GB and
+ * 65535 entries (no ZIP64).
+ */
+
+const zlib = require('zlib');
+const { once } = require('events');
+
+/**
+ * Error for archives that cannot be read; the message is safe to show
+ */
+class ZipFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipFormatError';
+  }
+}
+
+const FLAGS = 0x0808; // data descriptor follows the entry; names are UTF-8
+const DEFLATE = 8;
+const VERSION = 20;
+
+// CRC-32 (IEEE 802.3) lookup table; zlib.crc32 needs Node 20.15 or later
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+/**
+ * CRC-32 of a buffer, continuing from a previous value
+ * @param {Buffer} data - Bytes
+ * @param {number} crc - CRC of the bytes before (default 0)
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(data, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < data.length; i++) {
+    c = CRC_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+/**
+ * DOS date and time fields of a ZIP header
+ * @param {Date} date - Modification time
+ * @returns {Object} time and date
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Create a ZIP writer on an output stream
+ * @param {Writable} output - Destination (e.g. an HTTP response)
+ * @returns {Object} Writer with addEntry(name, source) and finish()
+ */
+function createZipWriter(output) {
+  const entries = [];
+  let offset = 0;
+
+  const waitForDrain = () => new Promise((resolve, reject) => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      if (output.destroyed) {
+        reject(new Error('Output stream closed'));
+      } else {
+        resolve();
+      }
+    };
+    output.on('drain', done);
+    output.on('close', done);
+  });
+
+  const write = async (chunk) => {
+    if (output.destroyed) {
+      throw new Error('Output stream closed');
+    }
+    offset += chunk.length;
+    if (!output.write(chunk)) {
+      await waitForDrain();
+    }
+  };
+
+  return {
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive
+     * @param {Buffer|string|AsyncIterable} source - Content, or an (async) iterable of chunks
+     */
+    async addEntry(name, source) {
+      if (entries.length === 0xffff) {
+        throw new Error('Too many ZIP entries');
+      }
+
+      const fileName = Buffer.from(name, 'utf8');
+      const { time, date } = dosDateTime(new Date());
+      const headerOffset = offset;
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(VERSION, 4);
+      header.writeUInt16LE(FLAGS, 6);
+      header.writeUInt16LE(DEFLATE, 8);
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(date, 12);
+      header.writeUInt16LE(fileName.length, 26);
+      await write(Buffer.concat([header, fileName]));
+
+      let crc = 0;
+      let size = 0;
+      let compressedSize = 0;
+
+      const deflate = zlib.createDeflateRaw();
+      const pump = (async () => {
+        for await (const chunk of deflate) {
+          compressedSize += chunk.length;
+          await write(chunk);
+        }
+      })();
+      pump.catch(error => deflate.destroy(error));
+
+      try {
+        const chunks = typeof source === 'string' || Buffer.isBuffer(source) ? [source] : source;
+        for await (const part of chunks) {
+          if (deflate.destroyed) {
+            break;
+          }
+          const chunk = Buffer.isBuffer(part) ? part : Buffer.from(String(part), 'utf8');
+          crc = crc32(chunk, crc);
+          size += chunk.length;
+          if (!deflate.write(chunk)) {
+            // Stops waiting if writing to the output fails meanwhile
+            await Promise.race([once(deflate, 'drain'), pump]);
+          }
+        }
+        deflate.end();
+      } catch (error) {
+        deflate.destroy(error);
+        throw error;
+      }
+      await pump;
+
+      if (size > 0xffffffff || offset > 0xffffffff) {
+        throw new Error('ZIP archive larger than 4 GB');
+      }
+
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(crc, 4);
+      descriptor.writeUInt32LE(compressedSize, 8);
+      descriptor.writeUInt32LE(size, 12);
+      await write(descriptor);
+
+      entries.push({ fileName, time, date, crc, compressedSize, size, headerOffset });
+    },
+
+    /**
+     * Write the central directory; the archive is complete afterwards
+     */
+    async finish() {
+      const directoryOffset = offset;
+
+      for (const entry of entries) {
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(VERSION, 4);
+        record.writeUInt16LE(VERSION, 6);
+        record.writeUInt16LE(FLAGS, 8);
+        record.writeUInt16LE(DEFLATE, 10);
+        record.writeUInt16LE(entry.time, 12);
+        record.writeUInt16LE(entry.date, 14);
+        record.writeUInt32LE(entry.crc, 16);
+        record.writeUInt32LE(entry.compressedSize, 20);
+        record.writeUInt32LE(entry.size, 24);
+        record.writeUInt16LE(entry.fileName.length, 28);
+        record.writeUInt32LE(entry.headerOffset, 42);
+        await write(Buffer.concat([record, entry.fileName]));
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - directoryOffset, 12);
+      end.writeUInt32LE(directoryOffset, 16);
+      await write(end);
+    }
+  };
+}
+
+/**
+ * Read every file of a ZIP archive
+ * Stored and deflated entries are supported; each entry's checksum is
+ * verified and its unpacked size is capped to guard against ZIP bombs.
+ * @param {Buffer} buffer - Archive content
+ * @param {Object} options - Options
+ * @param {number} options.maxEntryBytes - Largest unpacked entry (default 512 MB)
+ * @returns {Map} Entry name to content (Buffer); directories are left out
+ * @throws {ZipFormatError} If the archive is invalid or an entry is too large
+ */
+function readZip(buffer, options = {}) {
+  const { maxEntryBytes = 512 * 1024 * 1024 } = options;
+
+  // The end of central directory record is followed by a comment of up to 64 KB
+  let end = -1;
+  for (let position = buffer.length - 22; position >= Math.max(0, buffer.length - 22 - 0xffff); position--) {
+    if (buffer.readUInt32LE(position) === 0x06054b50) {
+      end = position;
+      break;
+    }
+  }
+
+  if (end < 0) {
+    throw new ZipFormatError('Not a ZIP archive');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+  const files = new Map();
+
+  for (let index = 0; index < count; index++) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== 0x02014b50) {
+      throw new ZipFormatError('Corrupt ZIP central directory');
+    }
+
+    const method = buffer.readUInt16LE(position + 10);
+    const crc = buffer.readUInt32LE(position + 16);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const size = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const headerOffset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue;
+    }
+    if (size > maxEntryBytes) {
+      throw new ZipFormatError(`${name} is too large`);
+    }
+    if (headerOffset + 30 > buffer.length || buffer.readUInt32LE(headerOffset) !== 0x04034b50) {
+      throw new ZipFormatError(`Corrupt ZIP entry ${name}`);
+    }
+
+    const dataStart = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let content;
+    try {
+      if (method === 0) {
+        content = data;
+      } else if (method === DEFLATE) {
+        content = zlib.inflateRawSync(data, { maxOutputLength: maxEntryBytes });
+      } else {
+        throw new ZipFormatError(`${name} uses an unsupported compression method`);
+      }
+    } catch (error) {
+      if (error instanceof ZipFormatError) {
+        throw error;
+      }
+      throw new ZipFormatError(`${name} cannot be unpacked`);
+    }
+
+    if (content.length !== size || crc32(content) !== crc) {
+      throw new ZipFormatError(`${name} is corrupt (checksum mismatch)`);
+    }
+
+    files.set(name, content);
+  }
+
+  return files;
+}
+
+module.exports = {
+  ZipFormatError,
+  createZipWriter,
+  readZip
+};
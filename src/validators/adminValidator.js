@@ -0,0 +1,425 @@
+const Joi = require('joi');
+
+/**
+ * Pagination validation schema
+ */
+const paginationSchema = Joi.object({
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    }),
+
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.integer': 'Offset must be an integer',
+      'number.min': 'Offset cannot be negative'
+    })
+});
+
+/**
+ * User list query validation schema
+ */
+const listUsersSchema = Joi.object({
+  search: Joi.string()
+    .trim()
+    .max(255)
+    .optional(),
+
+  role: Joi.string()
+    .valid('USER', 'ADMIN')
+    .optional()
+    .messages({
+      'any.only': 'Role filter must be either USER or ADMIN'
+    }),
+
+  status: Joi.string()
+    .valid('active', 'disabled')
+    .optional()
+    .messages({
+      'any.only': 'Status filter must be either active or disabled'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    }),
+
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.integer': 'Offset must be an integer',
+      'number.min': 'Offset cannot be negative'
+    })
+});
+
+/**
+ * Disable user validation schema
+ */
+const disableUserSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+    .allow('', null)
+    .messages({
+      'string.max': 'Reason must be less than 500 characters'
+    })
+});
+
+/**
+ * Role update validation schema
+ */
+const updateRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid('USER', 'ADMIN')
+    .required()
+    .messages({
+      'any.only': 'Role must be either USER or ADMIN',
+      'any.required': 'Role is required'
+    })
+});
+
+/**
+ * Interest job run query validation schema
+ */
+const listInterestRunsSchema = Joi.object({
+  status: Joi.string()
+    .valid('RUNNING', 'COMPLETED', 'COMPLETED_WITH_ERRORS', 'FAILED')
+    .optional()
+    .messages({
+      'any.only': 'Status filter must be one of: RUNNING, COMPLETED, COMPLETED_WITH_ERRORS, FAILED'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    }),
+
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.integer': 'Offset must be an integer',
+      'number.min': 'Offset cannot be negative'
+    })
+});
+
+/**
+ * Admin audit log query validation schema
+ */
+const auditLogQuerySchema = Joi.object({
+  actorId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.uuid': 'Actor ID must be a valid UUID'
+    }),
+
+  action: Joi.string()
+    .trim()
+    .uppercase()
+    .max(100)
+    .optional(),
+
+  targetType: Joi.string()
+    .trim()
+    .max(100)
+    .optional(),
+
+  targetId: Joi.string()
+    .trim()
+    .max(100)
+    .optional(),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(50)
+    .messages({
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    }),
+
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.integer': 'Offset must be an integer',
+      'number.min': 'Offset cannot be negative'
+    })
+});
+
+/**
+ * Balance reconciliation run validation schema
+ */
+const reconciliationRunSchema = Joi.object({
+  repair: Joi.boolean()
+    .default(false)
+});
+
+/**
+ * Validate pagination query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validatePagination(data) {
+  const { error, value } = paginationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate user list query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateListUsers(data) {
+  const { error, value } = listUsersSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate disable user input
+ * @param {Object} data - Disable data to validate
+ * @returns {Object} Validation result
+ */
+function validateDisableUser(data) {
+  const { error, value } = disableUserSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate role update input
+ * @param {Object} data - Role data to validate
+ * @returns {Object} Validation result
+ */
+function validateUpdateRole(data) {
+  const { error, value } = updateRoleSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate interest job run query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateListInterestRuns(data) {
+  const { error, value } = listInterestRunsSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate admin audit log query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateAuditLogQuery(data) {
+  const { error, value } = auditLogQuerySchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate balance reconciliation run data
+ * @param {Object} data - Run options to validate
+ * @returns {Object} Validation result
+ */
+function validateReconciliationRun(data) {
+  const { error, value } = reconciliationRunSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+module.exports = {
+  paginationSchema,
+  listUsersSchema,
+  disableUserSchema,
+  updateRoleSchema,
+  listInterestRunsSchema,
+  auditLogQuerySchema,
+  validatePagination,
+  validateListUsers,
+  validateDisableUser,
+  validateUpdateRole,
+  validateListInterestRuns,
+  validateReconciliationRun,
+  validateAuditLogQuery
+};
@@ -0,0 +1,117 @@
+const Joi = require('joi');
+const { API_KEY_SCOPES } = require('../utils/apiKeys');
+
+/**
+ * API key creation validation schema
+ */
+const createApiKeySchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Key name is required',
+      'string.max': 'Key name must be less than 100 characters',
+      'any.required': 'Key name is required'
+    }),
+
+  scopes: Joi.array()
+    .items(Joi.string().valid(...API_KEY_SCOPES))
+    .min(1)
+    .required()
+    .messages({
+      'array.min': 'At least one scope is required',
+      'any.only': `Scopes must be any of: ${API_KEY_SCOPES.join(', ')}`,
+      'any.required': 'Scopes are required'
+    }),
+
+  expiresAt: Joi.date()
+    .iso()
+    .greater('now')
+    .optional()
+    .allow(null)
+    .messages({
+      'date.format': 'Expiry date must be in ISO format (YYYY-MM-DD)',
+      'date.greater': 'Expiry date must be in the future'
+    })
+});
+
+/**
+ * API key list query validation schema
+ */
+const listApiKeysSchema = Joi.object({
+  includeRevoked: Joi.boolean()
+    .default(false)
+});
+
+/**
+ * Validate API key creation input
+ * @param {Object} data - API key data to validate
+ * @returns {Object} Validation result
+ */
+function validateCreateApiKey(data) {
+  const { error, value } = createApiKeySchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate API key list query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateListApiKeys(data) {
+  const { error, value } = listApiKeysSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+module.exports = {
+  createApiKeySchema,
+  listApiKeysSchema,
+  validateCreateApiKey,
+  validateListApiKeys
+};
@@ -0,0 +1,130 @@
+const Joi = require('joi');
+
+const parentKeys = {
+  investmentId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.uuid': 'Investment ID must be a valid UUID'
+    }),
+
+  transactionId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.uuid': 'Transaction ID must be a valid UUID'
+    })
+};
+
+/**
+ * Attachment upload validation schema (query parameters)
+ * The file itself is the request body.
+ */
+const uploadAttachmentSchema = Joi.object({
+  ...parentKeys,
+
+  // Keep only the last path segment and drop control characters
+  filename: Joi.string()
+    .trim()
+    .custom(value => value.split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f"]/g, ''))
+    .min(1)
+    .max(255)
+    .required()
+    .messages({
+      'string.empty': 'Filename is required',
+      'string.min': 'Filename is required',
+      'string.max': 'Filename cannot exceed 255 characters',
+      'any.required': 'Filename is required'
+    }),
+
+  contentType: Joi.string()
+    .lowercase()
+    .required()
+    .messages({
+      'any.required': 'Content-Type header is required'
+    })
+})
+  .or('investmentId', 'transactionId')
+  .messages({
+    'object.missing': 'Provide investmentId or transactionId'
+  });
+
+/**
+ * Attachment list validation schema
+ */
+const attachmentQuerySchema = Joi.object(parentKeys)
+  .or('investmentId', 'transactionId')
+  .messages({
+    'object.missing': 'Provide investmentId or transactionId'
+  });
+
+/**
+ * Validate attachment upload parameters
+ * @param {Object} data - Upload parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateUploadAttachment(data) {
+  const { error, value } = uploadAttachmentSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate attachment query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateAttachmentQuery(data) {
+  const { error, value } = attachmentQuerySchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+module.exports = {
+  validateUploadAttachment,
+  validateAttachmentQuery,
+  uploadAttachmentSchema,
+  attachmentQuerySchema
+};
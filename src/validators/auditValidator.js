@@ -0,0 +1,131 @@
+const Joi = require('joi');
+
+const AUDIT_ENTITY_TYPES = ['Investment', 'Transaction', 'InterestCalculation', 'Transfer', 'User', 'RecurringTransaction', 'Attachment', 'ImportBatch'];
+
+/**
+ * Audit event query validation schema
+ */
+const auditQuerySchema = Joi.object({
+  investmentId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Investment ID must be a valid UUID'
+    }),
+
+  entityType: Joi.string()
+    .valid(...AUDIT_ENTITY_TYPES)
+    .optional()
+    .messages({
+      'any.only': `Entity type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`
+    }),
+
+  entityId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Entity ID must be a valid UUID'
+    }),
+
+  action: Joi.string()
+    .trim()
+    .uppercase()
+    .max(100)
+    .optional(),
+
+  actorId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Actor ID must be a valid UUID'
+    }),
+
+  requestId: Joi.string()
+    .trim()
+    .max(128)
+    .optional(),
+
+  startDate: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'Start date filter must be in ISO format (YYYY-MM-DD)'
+    }),
+
+  endDate: Joi.date()
+    .iso()
+    .when('startDate', {
+      is: Joi.date().exist(),
+      then: Joi.date().min(Joi.ref('startDate')).optional(),
+      otherwise: Joi.date().optional()
+    })
+    .messages({
+      'date.format': 'End date filter must be in ISO format (YYYY-MM-DD)',
+      'date.min': 'End date filter must not be before start date filter'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(50)
+    .messages({
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    }),
+
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.integer': 'Offset must be an integer',
+      'number.min': 'Offset cannot be negative'
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('desc')
+    .messages({
+      'any.only': 'Sort order must be either asc or desc'
+    })
+});
+
+/**
+ * Validate audit event query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateAuditQuery(data) {
+  const { error, value } = auditQuerySchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+module.exports = {
+  AUDIT_ENTITY_TYPES,
+  auditQuerySchema,
+  validateAuditQuery
+};
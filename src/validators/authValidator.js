@@ -122,6 +122,177 @@ const passwordResetSchema = Joi.object({
     })
 });
 
+/**
+ * Password change validation schema
+ */
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Current password is required'
+    }),
+
+  newPassword: Joi.string()
+    .min(8)
+    .max(128)
+    .pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])'))
+    .required()
+    .messages({
+      'string.min': 'Password must be at least 8 characters long',
+      'string.max': 'Password must be less than 128 characters',
+      'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, and one number',
+      'any.required': 'New password is required'
+    }),
+
+  confirmPassword: Joi.string()
+    .valid(Joi.ref('newPassword'))
+    .required()
+    .messages({
+      'any.only': 'Password confirmation does not match new password',
+      'any.required': 'Password confirmation is required'
+    })
+});
+
+/**
+ * Profile update validation schema
+ */
+const updateProfileSchema = Joi.object({
+  firstName: Joi.string()
+    .min(2)
+    .max(50)
+    .pattern(new RegExp("^[a-zA-Z\\s'-]+$"))
+    .messages({
+      'string.min': 'First name must be at least 2 characters long',
+      'string.max': 'First name must be less than 50 characters',
+      'string.pattern.base': 'First name can only contain letters, spaces, apostrophes, and hyphens'
+    }),
+
+  lastName: Joi.string()
+    .min(2)
+    .max(50)
+    .pattern(new RegExp("^[a-zA-Z\\s'-]+$"))
+    .messages({
+      'string.min': 'Last name must be at least 2 characters long',
+      'string.max': 'Last name must be less than 50 characters',
+      'string.pattern.base': 'Last name can only contain letters, spaces, apostrophes, and hyphens'
+    })
+}).min(1).messages({
+  'object.min': 'At least one field (firstName, lastName) must be provided'
+});
+
+/**
+ * Email change request validation schema
+ */
+const emailChangeSchema = Joi.object({
+  newEmail: Joi.string()
+    .email({ tlds: { allow: false } })
+    .max(255)
+    .required()
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'string.max': 'Email must be less than 255 characters',
+      'any.required': 'New email is required'
+    }),
+
+  password: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Password is required'
+    })
+});
+
+/**
+ * Email change confirmation validation schema
+ */
+const emailChangeConfirmSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Confirmation token is required'
+    })
+});
+
+/**
+ * Account deletion validation schema
+ */
+const deleteAccountSchema = Joi.object({
+  password: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Password is required to delete your account'
+    }),
+
+  exportData: Joi.boolean()
+    .default(false)
+});
+
+/**
+ * TOTP code validation rule (6 digits)
+ */
+const totpCode = Joi.string()
+  .pattern(/^\d{6}$/)
+  .messages({
+    'string.pattern.base': 'Code must be 6 digits'
+  });
+
+/**
+ * 2FA code validation schema (enable, regenerate recovery codes)
+ */
+const twoFactorCodeSchema = Joi.object({
+  code: totpCode.required().messages({
+    'any.required': 'Code is required'
+  })
+});
+
+/**
+ * 2FA login step validation schema
+ */
+const twoFactorLoginSchema = Joi.object({
+  pendingToken: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Pending token is required'
+    }),
+
+  code: totpCode,
+
+  recoveryCode: Joi.string()
+    .max(32)
+}).xor('code', 'recoveryCode').messages({
+  'object.missing': 'Either code or recoveryCode is required',
+  'object.xor': 'Provide either code or recoveryCode, not both'
+});
+
+/**
+ * 2FA disable validation schema
+ */
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Password is required'
+    }),
+
+  code: totpCode,
+
+  recoveryCode: Joi.string()
+    .max(32)
+}).xor('code', 'recoveryCode').messages({
+  'object.missing': 'Either code or recoveryCode is required',
+  'object.xor': 'Provide either code or recoveryCode, not both'
+});
+
+/**
+ * Refresh token validation schema
+ */
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Refresh token is required'
+    })
+});
+
 /**
  * Validate registration input
  * @param {Object} data - Registration data to validate
@@ -246,13 +417,310 @@ function validatePasswordReset(data) {
   };
 }
 
+/**
+ * Validate password change input
+ * @param {Object} data - Password change data to validate
+ * @returns {Object} Validation result
+ */
+function validateChangePassword(data) {
+  const { error, value } = changePasswordSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate profile update input
+ * @param {Object} data - Profile update data to validate
+ * @returns {Object} Validation result
+ */
+function validateProfileUpdate(data) {
+  const { error, value } = updateProfileSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate email change input
+ * @param {Object} data - Email change data to validate
+ * @returns {Object} Validation result
+ */
+function validateEmailChange(data) {
+  const { error, value } = emailChangeSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate email change confirmation input
+ * @param {Object} data - Email change confirmation data to validate
+ * @returns {Object} Validation result
+ */
+function validateEmailChangeConfirm(data) {
+  const { error, value } = emailChangeConfirmSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate account deletion input
+ * @param {Object} data - Account deletion data to validate
+ * @returns {Object} Validation result
+ */
+function validateDeleteAccount(data) {
+  const { error, value } = deleteAccountSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate 2FA code input
+ * @param {Object} data - 2FA code data to validate
+ * @returns {Object} Validation result
+ */
+function validateTwoFactorCode(data) {
+  const { error, value } = twoFactorCodeSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate 2FA login input
+ * @param {Object} data - 2FA login data to validate
+ * @returns {Object} Validation result
+ */
+function validateTwoFactorLogin(data) {
+  const { error, value } = twoFactorLoginSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate 2FA disable input
+ * @param {Object} data - 2FA disable data to validate
+ * @returns {Object} Validation result
+ */
+function validateTwoFactorDisable(data) {
+  const { error, value } = twoFactorDisableSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate refresh token input
+ * @param {Object} data - Refresh token data to validate
+ * @returns {Object} Validation result
+ */
+function validateRefreshToken(data) {
+  const { error, value } = refreshTokenSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
 module.exports = {
   registrationSchema,
   loginSchema,
   passwordResetRequestSchema,
   passwordResetSchema,
+  changePasswordSchema,
+  updateProfileSchema,
+  emailChangeSchema,
+  emailChangeConfirmSchema,
+  deleteAccountSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  twoFactorDisableSchema,
+  refreshTokenSchema,
   validateRegistration,
   validateLogin,
   validatePasswordResetRequest,
-  validatePasswordReset
+  validatePasswordReset,
+  validateChangePassword,
+  validateProfileUpdate,
+  validateEmailChange,
+  validateEmailChangeConfirm,
+  validateDeleteAccount,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateRefreshToken
 };
@@ -0,0 +1,281 @@
+const Joi = require('joi');
+const { LEDGER_ACCOUNTS } = require('../utils/ledger');
+const { RECURRENCE_FREQUENCIES } = require('../utils/recurrence');
+
+const TRANSACTION_TYPES = ['RETURN', 'WITHDRAWAL', 'DEPOSIT', 'DIVIDEND', 'REVERSAL', 'FEE', 'TAX_WITHHELD', 'INTEREST_ACCRUAL', 'TRANSFER'];
+const CONFLICT_MODES = ['fail', 'rename', 'skip'];
+
+// Decimals are written as strings so no precision is lost
+const decimalRule = Joi.string()
+  .pattern(/^-?\d{1,13}(\.\d{1,10})?$/)
+  .messages({
+    'string.pattern.base': '{{#label}} must be a decimal number'
+  });
+
+// References between records of the archive (IDs are remapped on export)
+const refRule = Joi.string().max(40);
+
+const dateRule = Joi.date().iso();
+
+/**
+ * Archive manifest (manifest.json) validation schema
+ */
+const manifestSchema = Joi.object({
+  format: Joi.string().required(),
+  schemaVersion: Joi.number().integer().min(1).required(),
+  exportedAt: dateRule.required(),
+  files: Joi.object()
+    .pattern(Joi.string(), Joi.object({
+      records: Joi.number().integer().min(0).required(),
+      sha256: Joi.string().hex().length(64).required()
+    }))
+    .required()
+});
+
+/**
+ * Record validation schemas, by archive file
+ */
+const backupRecordSchemas = {
+  'investments.jsonl': Joi.object({
+    ref: refRule.required(),
+    name: Joi.string().trim().min(1).max(255).required(),
+    category: Joi.string().trim().min(1).max(100).required(),
+    currency: Joi.string().uppercase().length(3).required(),
+    initialAmount: decimalRule.required(),
+    currentBalance: decimalRule.required(),
+    returnType: Joi.string().valid('FIXED', 'VARIABLE').required(),
+    interestRate: decimalRule.allow(null).default(null),
+    startDate: dateRule.required(),
+    endDate: dateRule.allow(null).default(null),
+    status: Joi.string().valid('ACTIVE', 'COMPLETED', 'CANCELLED').required(),
+    notes: Joi.string().max(1000).allow(null, '').default(null),
+    compoundingFrequency: Joi.string().max(20).allow(null).default(null),
+    lastInterestCalculated: dateRule.allow(null).default(null),
+    nextInterestDue: dateRule.allow(null).default(null),
+    autoCalculateInterest: Joi.boolean().default(false),
+    createdAt: dateRule.required()
+  }),
+
+  'transfers.jsonl': Joi.object({
+    ref: refRule.required(),
+    fromInvestment: refRule.required(),
+    toInvestment: refRule.required(),
+    amount: decimalRule.required(),
+    fromCurrency: Joi.string().uppercase().length(3).required(),
+    convertedAmount: decimalRule.required(),
+    toCurrency: Joi.string().uppercase().length(3).required(),
+    exchangeRate: decimalRule.required(),
+    ratesAt: dateRule.allow(null).default(null),
+    transferDate: dateRule.required(),
+    description: Joi.string().max(1000).allow(null, '').default(null),
+    createdAt: dateRule.required()
+  }),
+
+  'transactions.jsonl': Joi.object({
+    ref: refRule.required(),
+    investment: refRule.required(),
+    type: Joi.string().valid(...TRANSACTION_TYPES).required(),
+    amount: decimalRule.required(),
+    balance: decimalRule.allow(null).default(null),
+    percentage: decimalRule.allow(null).default(null),
+    transactionDate: dateRule.required(),
+    description: Joi.string().max(1000).allow(null, '').default(null),
+    reversalOf: refRule.allow(null).default(null),
+    transfer: refRule.allow(null).default(null),
+    createdAt: dateRule.required()
+  }),
+
+  'interest-calculations.jsonl': Joi.object({
+    ref: refRule.required(),
+    investment: refRule.required(),
+    calculationType: Joi.string().max(50).required(),
+    calculatedAt: dateRule.required(),
+    periodStart: dateRule.required(),
+    periodEnd: dateRule.required(),
+    principalAmount: decimalRule.required(),
+    interestRate: decimalRule.required(),
+    interestEarned: decimalRule.required(),
+    newBalance: decimalRule.required(),
+    transaction: refRule.allow(null).default(null),
+    isReverted: Joi.boolean().default(false),
+    revertedAt: dateRule.allow(null).default(null),
+    notes: Joi.string().max(1000).allow(null, '').default(null)
+  }),
+
+  'journal-entries.jsonl': Joi.object({
+    investment: refRule.required(),
+    entryType: Joi.string().max(50).required(),
+    transaction: refRule.allow(null).default(null),
+    interestCalculation: refRule.allow(null).default(null),
+    description: Joi.string().max(1000).allow(null, '').default(null),
+    effectiveDate: dateRule.required(),
+    createdAt: dateRule.required(),
+    lines: Joi.array()
+      .items(Joi.object({
+        account: Joi.string().valid(...LEDGER_ACCOUNTS).required(),
+        debit: decimalRule.required(),
+        credit: decimalRule.required()
+      }))
+      .min(1)
+      .required()
+  }),
+
+  'recurring-transactions.jsonl': Joi.object({
+    investment: refRule.required(),
+    type: Joi.string().valid(...TRANSACTION_TYPES).required(),
+    amount: decimalRule.required(),
+    description: Joi.string().max(1000).allow(null, '').default(null),
+    frequency: Joi.string().valid(...RECURRENCE_FREQUENCIES).required(),
+    interval: Joi.number().integer().min(1).default(1),
+    startDate: dateRule.required(),
+    endDate: dateRule.allow(null).default(null),
+    count: Joi.number().integer().min(1).allow(null).default(null),
+    occurrenceCount: Joi.number().integer().min(0).default(0),
+    nextOccurrence: dateRule.allow(null).default(null),
+    status: Joi.string().valid('ACTIVE', 'PAUSED', 'ENDED').required(),
+    lastError: Joi.string().allow(null, '').default(null),
+    createdAt: dateRule.required(),
+    occurrences: Joi.array()
+      .items(Joi.object({
+        occurrenceDate: dateRule.required(),
+        status: Joi.string().valid('PENDING', 'SKIPPED', 'POSTED').required(),
+        amount: decimalRule.allow(null).default(null),
+        description: Joi.string().max(1000).allow(null, '').default(null),
+        transaction: refRule.allow(null).default(null)
+      }))
+      .default([])
+  }),
+
+  'import-rules.jsonl': Joi.object({
+    investment: refRule.required(),
+    name: Joi.string().trim().min(1).max(100).required(),
+    accountReference: Joi.string().max(100).allow(null).default(null),
+    descriptionPattern: Joi.string().max(200).allow(null).default(null),
+    transactionType: Joi.string().valid(...TRANSACTION_TYPES).allow(null).default(null),
+    priority: Joi.number().integer().default(0)
+  }),
+
+  'settings.json': Joi.object({
+    lockDate: dateRule.allow(null).default(null)
+  })
+};
+
+/**
+ * Restore query validation schema
+ */
+const restoreQuerySchema = Joi.object({
+  onConflict: Joi.string()
+    .lowercase()
+    .valid(...CONFLICT_MODES)
+    .default('fail')
+    .messages({
+      'any.only': `onConflict must be one of: ${CONFLICT_MODES.join(', ')}`
+    })
+});
+
+/**
+ * Validate the archive manifest
+ * @param {Object} data - Parsed manifest.json
+ * @returns {Object} Validation result
+ */
+function validateManifest(data) {
+  const { error, value } = manifestSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate one record of an archive file
+ * @param {string} file - Archive file name, e.g. transactions.jsonl
+ * @param {Object} data - Parsed record
+ * @returns {Object} Validation result
+ */
+function validateBackupRecord(file, data) {
+  const { error, value } = backupRecordSchemas[file].validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate restore query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateRestoreQuery(data) {
+  const { error, value } = restoreQuerySchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+module.exports = {
+  validateManifest,
+  validateBackupRecord,
+  validateRestoreQuery,
+  manifestSchema,
+  backupRecordSchemas,
+  restoreQuerySchema,
+  CONFLICT_MODES
+};
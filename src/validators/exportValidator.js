@@ -0,0 +1,229 @@
+const Joi = require('joi');
+const { EXPORT_FORMATS } = require('../utils/exportWriters');
+const { queryFiltersSchema } = require('./investmentValidator');
+const { transactionQueryFiltersSchema } = require('./transactionValidator');
+const { reportPeriodKeys } = require('./reportValidator');
+
+const formatRule = Joi.string()
+  .lowercase()
+  .valid(...EXPORT_FORMATS)
+  .default('csv')
+  .messages({
+    'any.only': `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+  });
+
+// Exports contain every matching row, so paging parameters are ignored
+const exportKeys = {
+  format: formatRule,
+  limit: Joi.any().strip(),
+  offset: Joi.any().strip()
+};
+
+/**
+ * Investment export validation schema (investment list filters)
+ */
+const investmentExportSchema = queryFiltersSchema.keys(exportKeys);
+
+/**
+ * Transaction export validation schema (transaction list filters)
+ */
+const transactionExportSchema = transactionQueryFiltersSchema.keys(exportKeys);
+
+/**
+ * Interest calculation export validation schema
+ */
+const interestExportSchema = Joi.object({
+  format: formatRule,
+
+  investmentId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.uuid': 'Investment ID must be a valid UUID'
+    }),
+
+  startDate: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'Start date must be in ISO format (YYYY-MM-DD)'
+    }),
+
+  endDate: Joi.date()
+    .iso()
+    .when('startDate', {
+      is: Joi.date().exist(),
+      then: Joi.date().greater(Joi.ref('startDate')).optional(),
+      otherwise: Joi.date().optional()
+    })
+    .messages({
+      'date.format': 'End date must be in ISO format (YYYY-MM-DD)',
+      'date.greater': 'End date must be after start date'
+    }),
+
+  includeReverted: Joi.boolean()
+    .default(true)
+});
+
+/**
+ * Financial report export validation schema
+ */
+const reportExportSchema = Joi.object({
+  format: formatRule,
+
+  ...reportPeriodKeys,
+
+  baseCurrency: Joi.string()
+    .pattern(/^[A-Za-z]{3}$/)
+    .uppercase()
+    .optional()
+    .messages({
+      'string.pattern.base': 'Base currency must be a 3-letter ISO code'
+    }),
+
+  includeTransactions: Joi.boolean()
+    .default(true)
+})
+  .oxor('period', 'from')
+  .messages({
+    'object.oxor': 'Use either a period preset or a from date, not both'
+  });
+
+/**
+ * Validate investment export query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateInvestmentExport(data) {
+  const { error, value } = investmentExportSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate transaction export query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateTransactionExport(data) {
+  const { error, value } = transactionExportSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate interest calculation export query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateInterestExport(data) {
+  const { error, value } = interestExportSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate financial report export query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateReportExport(data) {
+  const { error, value } = reportExportSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+module.exports = {
+  validateInvestmentExport,
+  validateTransactionExport,
+  validateInterestExport,
+  validateReportExport,
+  investmentExportSchema,
+  transactionExportSchema,
+  interestExportSchema,
+  reportExportSchema
+};
@@ -0,0 +1,365 @@
+const Joi = require('joi');
+const { TRANSACTION_TYPES } = require('./transactionValidator');
+const { DATE_FORMATS } = require('../utils/statementParsers');
+const { usesRegexSyntax } = require('../utils/descriptionPattern');
+
+const IMPORT_FORMATS = ['CSV', 'OFX', 'CAMT053'];
+const IMPORT_BATCH_STATUSES = ['STAGED', 'COMMITTED', 'UNDONE'];
+
+// A CSV column, by header name or zero-based index
+const columnRule = Joi.alternatives()
+  .try(
+    Joi.string().trim().max(100),
+    Joi.number().integer().min(0).max(200)
+  )
+  .messages({
+    'alternatives.match': 'Columns must be a header name or a zero-based index'
+  });
+
+const investmentIdRule = Joi.string()
+  .uuid()
+  .messages({
+    'string.uuid': 'Investment ID must be a valid UUID'
+  });
+
+const transactionTypeRule = Joi.string()
+  .valid(...TRANSACTION_TYPES)
+  .messages({
+    'any.only': `Transaction type must be one of: ${TRANSACTION_TYPES.join(', ')}`
+  });
+
+/**
+ * CSV column mapping validation schema
+ */
+const csvMappingSchema = Joi.object({
+  date: columnRule.optional(),
+  amount: columnRule.optional(),
+  debit: columnRule.optional(),
+  credit: columnRule.optional(),
+  description: columnRule.optional(),
+  reference: columnRule.optional(),
+  accountReference: columnRule.optional(),
+  currency: columnRule.optional(),
+
+  dateFormat: Joi.string()
+    .valid(...DATE_FORMATS)
+    .default('YYYY-MM-DD')
+    .messages({
+      'any.only': `Date format must be one of: ${DATE_FORMATS.join(', ')}`
+    }),
+
+  decimalSeparator: Joi.string()
+    .valid('.', ',')
+    .default('.')
+    .messages({
+      'any.only': 'Decimal separator must be "." or ","'
+    }),
+
+  delimiter: Joi.string()
+    .valid(',', ';', '\t', '|')
+    .default(',')
+    .messages({
+      'any.only': 'Delimiter must be one of: comma, semicolon, tab, pipe'
+    }),
+
+  skipRows: Joi.number()
+    .integer()
+    .min(0)
+    .max(50)
+    .default(0)
+    .messages({
+      'number.integer': 'Skip rows must be an integer',
+      'number.max': 'Skip rows cannot exceed 50'
+    }),
+
+  hasHeader: Joi.boolean()
+    .default(true)
+}).oxor('amount', 'debit').oxor('amount', 'credit').messages({
+  'object.oxor': 'Map either an amount column or debit/credit columns, not both'
+});
+
+/**
+ * Statement import validation schema
+ * The statement is sent as text; CSV files can carry a column mapping.
+ */
+const createImportSchema = Joi.object({
+  format: Joi.string()
+    .valid(...IMPORT_FORMATS)
+    .required()
+    .messages({
+      'any.only': `Format must be one of: ${IMPORT_FORMATS.join(', ')}`,
+      'any.required': 'Format is required'
+    }),
+
+  content: Joi.string()
+    .min(1)
+    .required()
+    .messages({
+      'string.empty': 'Statement content cannot be empty',
+      'any.required': 'Statement content is required'
+    }),
+
+  filename: Joi.string()
+    .trim()
+    .max(255)
+    .optional()
+    .messages({
+      'string.max': 'Filename must be less than 255 characters'
+    }),
+
+  investmentId: investmentIdRule.optional(),
+
+  mapping: Joi.when('format', {
+    is: 'CSV',
+    then: csvMappingSchema.default({}),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'any.unknown': 'A column mapping is only used for CSV statements'
+  })
+});
+
+/**
+ * Import list query filters validation schema
+ */
+const importQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid(...IMPORT_BATCH_STATUSES)
+    .optional()
+    .messages({
+      'any.only': `Status must be one of: ${IMPORT_BATCH_STATUSES.join(', ')}`
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    }),
+
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.integer': 'Offset must be an integer',
+      'number.min': 'Offset cannot be negative'
+    })
+});
+
+/**
+ * Staged line review validation schema
+ */
+const updateImportLineSchema = Joi.object({
+  investmentId: investmentIdRule.optional(),
+
+  type: transactionTypeRule.optional(),
+
+  action: Joi.string()
+    .valid('include', 'exclude')
+    .optional()
+    .messages({
+      'any.only': 'Action must be include or exclude'
+    })
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+/**
+ * Import rule validation schema
+ * A rule matches when every condition it sets matches: the statement
+ * account reference and/or a regular expression on the description.
+ */
+const importRuleSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Rule name cannot be empty',
+      'string.max': 'Rule name must be less than 100 characters',
+      'any.required': 'Rule name is required'
+    }),
+
+  investmentId: investmentIdRule.required().messages({
+    'any.required': 'Investment ID is required'
+  }),
+
+  accountReference: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+    .messages({
+      'string.max': 'Account reference must be less than 100 characters'
+    }),
+
+  // Text the description contains; * and ? are wildcards (see utils/descriptionPattern)
+  descriptionPattern: Joi.string()
+    .trim()
+    .max(100)
+    .custom((value, helpers) => (usesRegexSyntax(value) ? helpers.error('string.regex') : value))
+    .optional()
+    .messages({
+      'string.empty': 'Description pattern cannot be empty',
+      'string.max': 'Description pattern must be less than 100 characters',
+      'string.regex': 'Description pattern uses * for any text and ? for any one character; regular expressions (\\, ^, $, .*, |, [ ]) are not supported'
+    }),
+
+  transactionType: transactionTypeRule.optional(),
+
+  priority: Joi.number()
+    .integer()
+    .min(-1000)
+    .max(1000)
+    .default(0)
+    .messages({
+      'number.integer': 'Priority must be an integer'
+    })
+}).or('accountReference', 'descriptionPattern').messages({
+  'object.missing': 'A rule needs an account reference or a description pattern'
+});
+
+/**
+ * Validate a statement import
+ * @param {Object} data - Import data to validate
+ * @returns {Object} Validation result
+ */
+function validateCreateImport(data) {
+  const { error, value } = createImportSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate import list query filters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateImportQuery(data) {
+  const { error, value } = importQuerySchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate a staged line review
+ * @param {Object} data - Line changes to validate
+ * @returns {Object} Validation result
+ */
+function validateUpdateImportLine(data) {
+  const { error, value } = updateImportLineSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate an import rule
+ * @param {Object} data - Rule data to validate
+ * @returns {Object} Validation result
+ */
+function validateImportRule(data) {
+  const { error, value } = importRuleSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+module.exports = {
+  validateCreateImport,
+  validateImportQuery,
+  validateUpdateImportLine,
+  validateImportRule,
+  createImportSchema,
+  csvMappingSchema,
+  importQuerySchema,
+  updateImportLineSchema,
+  importRuleSchema,
+  IMPORT_FORMATS
+};
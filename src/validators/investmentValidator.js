@@ -36,8 +36,8 @@ const createInvestmentSchema = Joi.object({
 
   initialAmount: Joi.number()
     .positive()
-    .precision(2)
-    .max(999999999999.99) // 15 digits total, 2 decimal places
+    .precision(4)
+    .max(999999999999.99) // up to 4 decimals; rounded to the currency minor unit on save
     .required()
     .messages({
       'number.positive': 'Initial amount must be a positive number',
@@ -141,7 +141,7 @@ const updateInvestmentSchema = Joi.object({
 
   initialAmount: Joi.number()
     .positive()
-    .precision(2)
+    .precision(4)
     .max(999999999999.99)
     .optional()
     .messages({
@@ -216,7 +216,7 @@ const statusUpdateSchema = Joi.object({
 const balanceUpdateSchema = Joi.object({
   currentBalance: Joi.number()
     .min(0)
-    .precision(2)
+    .precision(4)
     .max(999999999999.99)
     .required()
     .messages({
@@ -290,6 +290,14 @@ const queryFiltersSchema = Joi.object({
       'date.greater': 'End date filter must be after start date filter'
     }),
 
+  ownership: Joi.string()
+    .valid('all', 'owned', 'shared')
+    .default('all')
+    .optional()
+    .messages({
+      'any.only': 'Ownership filter must be one of: all, owned, shared'
+    }),
+
   limit: Joi.number()
     .integer()
     .min(1)
@@ -329,6 +337,31 @@ const queryFiltersSchema = Joi.object({
     })
 });
 
+/**
+ * Ledger query validation schema
+ */
+const ledgerQuerySchema = Joi.object({
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(50)
+    .messages({
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    }),
+
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.integer': 'Offset must be an integer',
+      'number.min': 'Offset cannot be negative'
+    })
+});
+
 /**
  * Validate investment creation input
  * @param {Object} data - Investment data to validate
@@ -488,15 +521,49 @@ function validateQueryFilters(data) {
   };
 }
 
+/**
+ * Validate ledger query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateLedgerQuery(data) {
+  const { error, value } = ledgerQuerySchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
 module.exports = {
   createInvestmentSchema,
   updateInvestmentSchema,
   statusUpdateSchema,
   balanceUpdateSchema,
   queryFiltersSchema,
+  ledgerQuerySchema,
   validateCreateInvestment,
   validateUpdateInvestment,
   validateStatusUpdate,
   validateBalanceUpdate,
-  validateQueryFilters
+  validateQueryFilters,
+  validateLedgerQuery
 };
@@ -0,0 +1,141 @@
+const Joi = require('joi');
+
+/**
+ * Period close validation schema
+ * The period is given as an explicit lock date, a month (YYYY-MM) or a year.
+ */
+const closePeriodSchema = Joi.object({
+  lockDate: Joi.date()
+    .iso()
+    .max('now')
+    .messages({
+      'date.format': 'Lock date must be in ISO format (YYYY-MM-DD)',
+      'date.max': 'Lock date cannot be in the future'
+    }),
+
+  month: Joi.string()
+    .pattern(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .messages({
+      'string.pattern.base': 'Month must be in YYYY-MM format'
+    }),
+
+  year: Joi.number()
+    .integer()
+    .min(1900)
+    .max(new Date().getFullYear())
+    .messages({
+      'number.integer': 'Year must be an integer',
+      'number.min': 'Year must be 1900 or later',
+      'number.max': 'Year cannot be in the future'
+    }),
+
+  note: Joi.string()
+    .trim()
+    .max(500)
+    .allow('')
+    .optional()
+    .messages({
+      'string.max': 'Note cannot exceed 500 characters'
+    })
+})
+  .xor('lockDate', 'month', 'year')
+  .messages({
+    'object.missing': 'Provide one of lockDate, month or year',
+    'object.xor': 'Provide only one of lockDate, month or year'
+  });
+
+/**
+ * Period reopen validation schema
+ */
+const reopenPeriodSchema = Joi.object({
+  lockDate: Joi.date()
+    .iso()
+    .allow(null)
+    .default(null)
+    .messages({
+      'date.format': 'Lock date must be in ISO format (YYYY-MM-DD)'
+    }),
+
+  reason: Joi.string()
+    .trim()
+    .min(3)
+    .max(500)
+    .required()
+    .messages({
+      'string.empty': 'A reason is required to reopen a period',
+      'string.min': 'Reason must be at least 3 characters long',
+      'string.max': 'Reason cannot exceed 500 characters',
+      'any.required': 'A reason is required to reopen a period'
+    })
+});
+
+/**
+ * Validate period close data
+ * @param {Object} data - Close data to validate
+ * @returns {Object} Validation result
+ */
+function validateClosePeriod(data) {
+  const { error, value } = closePeriodSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate period reopen data
+ * @param {Object} data - Reopen data to validate
+ * @returns {Object} Validation result
+ */
+function validateReopenPeriod(data) {
+  const { error, value } = reopenPeriodSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+module.exports = {
+  validateClosePeriod,
+  validateReopenPeriod,
+  closePeriodSchema,
+  reopenPeriodSchema
+};
@@ -0,0 +1,110 @@
+const Joi = require('joi');
+
+/**
+ * Reconciliation report query validation schema
+ */
+const reconciliationQuerySchema = Joi.object({
+  investmentId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Investment ID must be a valid UUID'
+    }),
+
+  discrepanciesOnly: Joi.boolean()
+    .default(false)
+});
+
+/**
+ * Reconciliation repair validation schema
+ */
+const reconciliationRepairSchema = Joi.object({
+  investmentIds: Joi.array()
+    .items(
+      Joi.string()
+        .uuid()
+        .messages({
+          'string.guid': 'Investment ID must be a valid UUID'
+        })
+    )
+    .min(1)
+    .max(100)
+    .unique()
+    .optional()
+    .messages({
+      'array.min': 'Provide at least one investment ID or leave investmentIds out to repair all',
+      'array.max': 'Cannot repair more than 100 investments at once',
+      'array.unique': 'Investment IDs must be unique'
+    })
+});
+
+/**
+ * Validate reconciliation report query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateReconciliationQuery(data) {
+  const { error, value } = reconciliationQuerySchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate reconciliation repair data
+ * @param {Object} data - Repair data to validate
+ * @returns {Object} Validation result
+ */
+function validateReconciliationRepair(data) {
+  const { error, value } = reconciliationRepairSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+module.exports = {
+  reconciliationQuerySchema,
+  reconciliationRepairSchema,
+  validateReconciliationQuery,
+  validateReconciliationRepair
+};
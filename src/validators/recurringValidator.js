@@ -0,0 +1,388 @@
+const Joi = require('joi');
+const { RECURRENCE_FREQUENCIES } = require('../utils/recurrence');
+
+// Transactions that can be scheduled to repeat
+const RECURRING_TRANSACTION_TYPES = ['DEPOSIT', 'WITHDRAWAL', 'FEE'];
+const RECURRING_STATUSES = ['ACTIVE', 'PAUSED', 'ENDED'];
+
+const amountRule = Joi.number()
+  .positive()
+  .precision(4)
+  .messages({
+    'number.base': 'Amount must be a number',
+    'number.positive': 'Amount must be positive'
+  });
+
+const descriptionRule = Joi.string()
+  .trim()
+  .max(500)
+  .allow('')
+  .allow(null)
+  .messages({
+    'string.max': 'Description must be less than 500 characters'
+  });
+
+const countRule = Joi.number()
+  .integer()
+  .min(1)
+  .max(1000)
+  .allow(null)
+  .messages({
+    'number.integer': 'Count must be an integer',
+    'number.min': 'Count must be at least 1',
+    'number.max': 'Count cannot exceed 1000'
+  });
+
+/**
+ * Recurring transaction creation validation schema
+ * The schedule follows iCalendar RRULE: a frequency and interval from the
+ * start date, ending on endDate (UNTIL), after count occurrences (COUNT), or never.
+ */
+const createRecurringSchema = Joi.object({
+  investmentId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.uuid': 'Investment ID must be a valid UUID',
+      'any.required': 'Investment ID is required'
+    }),
+
+  type: Joi.string()
+    .valid(...RECURRING_TRANSACTION_TYPES)
+    .required()
+    .messages({
+      'any.only': `Type must be one of: ${RECURRING_TRANSACTION_TYPES.join(', ')}`,
+      'any.required': 'Transaction type is required'
+    }),
+
+  amount: amountRule.required().messages({
+    'any.required': 'Amount is required'
+  }),
+
+  description: descriptionRule.optional(),
+
+  frequency: Joi.string()
+    .valid(...RECURRENCE_FREQUENCIES)
+    .required()
+    .messages({
+      'any.only': `Frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`,
+      'any.required': 'Frequency is required'
+    }),
+
+  interval: Joi.number()
+    .integer()
+    .min(1)
+    .max(366)
+    .default(1)
+    .messages({
+      'number.integer': 'Interval must be an integer',
+      'number.min': 'Interval must be at least 1',
+      'number.max': 'Interval cannot exceed 366'
+    }),
+
+  startDate: Joi.date()
+    .iso()
+    .required()
+    .messages({
+      'date.format': 'Start date must be in ISO format (YYYY-MM-DD)',
+      'any.required': 'Start date is required'
+    }),
+
+  endDate: Joi.date()
+    .iso()
+    .min(Joi.ref('startDate'))
+    .allow(null)
+    .optional()
+    .messages({
+      'date.format': 'End date must be in ISO format (YYYY-MM-DD)',
+      'date.min': 'End date cannot be before the start date'
+    }),
+
+  count: countRule.optional()
+}).oxor('endDate', 'count').messages({
+  'object.oxor': 'Provide either an end date or a count, not both'
+});
+
+/**
+ * Recurring transaction update validation schema
+ */
+const updateRecurringSchema = Joi.object({
+  amount: amountRule.optional(),
+
+  description: descriptionRule.optional(),
+
+  endDate: Joi.date()
+    .iso()
+    .allow(null)
+    .optional()
+    .messages({
+      'date.format': 'End date must be in ISO format (YYYY-MM-DD)'
+    }),
+
+  count: countRule.optional(),
+
+  status: Joi.string()
+    .valid('ACTIVE', 'PAUSED')
+    .optional()
+    .messages({
+      'any.only': 'Status must be ACTIVE or PAUSED'
+    })
+}).min(1).oxor('endDate', 'count').messages({
+  'object.min': 'At least one field must be provided for update',
+  'object.oxor': 'Provide either an end date or a count, not both'
+});
+
+/**
+ * Recurring transaction query filters validation schema
+ */
+const recurringQuerySchema = Joi.object({
+  investmentId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.uuid': 'Investment ID must be a valid UUID'
+    }),
+
+  status: Joi.string()
+    .valid(...RECURRING_STATUSES)
+    .optional()
+    .messages({
+      'any.only': `Status must be one of: ${RECURRING_STATUSES.join(', ')}`
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    }),
+
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.integer': 'Offset must be an integer',
+      'number.min': 'Offset cannot be negative'
+    })
+});
+
+/**
+ * Single occurrence validation schema
+ * Skip the occurrence, or override its amount and/or description.
+ */
+const occurrenceSchema = Joi.object({
+  date: Joi.date()
+    .iso()
+    .required()
+    .messages({
+      'date.format': 'Occurrence date must be in ISO format (YYYY-MM-DD)',
+      'any.required': 'Occurrence date is required'
+    }),
+
+  skip: Joi.boolean()
+    .optional(),
+
+  amount: amountRule
+    .when('skip', { is: true, then: Joi.forbidden() })
+    .optional(),
+
+  description: descriptionRule
+    .when('skip', { is: true, then: Joi.forbidden() })
+    .optional()
+})
+  .or('skip', 'amount', 'description')
+  .messages({
+    'any.unknown': 'A skipped occurrence cannot have an amount or description',
+    'object.missing': 'Provide skip, or an amount or description for this occurrence'
+  });
+
+/**
+ * Occurrence date (route parameter) validation schema
+ */
+const occurrenceDateSchema = Joi.object({
+  date: Joi.date()
+    .iso()
+    .required()
+    .messages({
+      'date.format': 'Occurrence date must be in ISO format (YYYY-MM-DD)',
+      'any.required': 'Occurrence date is required'
+    })
+});
+
+/**
+ * Validate recurring transaction creation data
+ * @param {Object} data - Recurring transaction data to validate
+ * @returns {Object} Validation result
+ */
+function validateCreateRecurring(data) {
+  const { error, value } = createRecurringSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate recurring transaction update data
+ * @param {Object} data - Update data to validate
+ * @returns {Object} Validation result
+ */
+function validateUpdateRecurring(data) {
+  const { error, value } = updateRecurringSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate recurring transaction query filters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateRecurringQuery(data) {
+  const { error, value } = recurringQuerySchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate a skip or override of one occurrence
+ * @param {Object} data - Occurrence data to validate
+ * @returns {Object} Validation result
+ */
+function validateOccurrence(data) {
+  const { error, value } = occurrenceSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate an occurrence date
+ * @param {Object} data - Route parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateOccurrenceDate(data) {
+  const { error, value } = occurrenceDateSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+module.exports = {
+  validateCreateRecurring,
+  validateUpdateRecurring,
+  validateRecurringQuery,
+  validateOccurrence,
+  validateOccurrenceDate,
+  createRecurringSchema,
+  updateRecurringSchema,
+  recurringQuerySchema,
+  occurrenceSchema,
+  RECURRING_TRANSACTION_TYPES
+};
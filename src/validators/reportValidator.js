@@ -0,0 +1,198 @@
+const Joi = require('joi');
+const { REPORT_PERIODS } = require('../utils/reportPeriod');
+
+// Report period: a preset anchored on `to`, or an explicit from/to (inclusive)
+const reportPeriodKeys = {
+  period: Joi.string()
+    .lowercase()
+    .valid(...REPORT_PERIODS)
+    .optional()
+    .messages({
+      'any.only': `Period must be one of: ${REPORT_PERIODS.join(', ')}`
+    }),
+
+  from: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'From date must be in ISO format (YYYY-MM-DD)'
+    }),
+
+  to: Joi.date()
+    .iso()
+    .when('from', {
+      is: Joi.date().exist(),
+      then: Joi.date().min(Joi.ref('from')).optional(),
+      otherwise: Joi.date().optional()
+    })
+    .messages({
+      'date.format': 'To date must be in ISO format (YYYY-MM-DD)',
+      'date.min': 'To date cannot be before from date'
+    })
+};
+
+const baseCurrencyRule = Joi.string()
+  .pattern(/^[A-Za-z]{3}$/)
+  .uppercase()
+  .optional()
+  .messages({
+    'string.pattern.base': 'Base currency must be a 3-letter ISO code'
+  });
+
+const periodMessages = {
+  'object.oxor': 'Use either a period preset or a from date, not both'
+};
+
+/**
+ * Report query validation schema (dashboard, portfolio summary, asset allocation)
+ */
+const reportQuerySchema = Joi.object({
+  ...reportPeriodKeys,
+  baseCurrency: baseCurrencyRule
+})
+  .oxor('period', 'from')
+  .messages(periodMessages);
+
+/**
+ * Performance trends query validation schema
+ * months counts back from `to` when no preset or from date is given.
+ */
+const performanceTrendsQuerySchema = Joi.object({
+  ...reportPeriodKeys,
+  months: Joi.number()
+    .integer()
+    .min(1)
+    .max(24)
+    .default(12)
+    .optional(),
+  investmentId: Joi.string()
+    .uuid()
+    .optional(),
+  includeReversed: Joi.boolean()
+    .default(false)
+})
+  .oxor('period', 'from')
+  .messages(periodMessages);
+
+/**
+ * Financial report request validation schema
+ */
+const financialReportSchema = Joi.object({
+  ...reportPeriodKeys,
+  baseCurrency: baseCurrencyRule,
+  includeTransactions: Joi.boolean()
+    .default(false)
+    .optional(),
+  format: Joi.string()
+    .valid('json')
+    .default('json')
+    .optional()
+})
+  .oxor('period', 'from')
+  .messages(periodMessages);
+
+/**
+ * Validate report query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateReportQuery(data) {
+  const { error, value } = reportQuerySchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate performance trends query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validatePerformanceTrendsQuery(data) {
+  const { error, value } = performanceTrendsQuerySchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate a financial report request
+ * @param {Object} data - Request body to validate
+ * @returns {Object} Validation result
+ */
+function validateFinancialReport(data) {
+  const { error, value } = financialReportSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+module.exports = {
+  validateReportQuery,
+  validatePerformanceTrendsQuery,
+  validateFinancialReport,
+  reportPeriodKeys,
+  reportQuerySchema,
+  performanceTrendsQuerySchema,
+  financialReportSchema
+};
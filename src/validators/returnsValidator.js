@@ -1,5 +1,16 @@
 const Joi = require('joi');
 
+// Manual entries that change the value of an investment
+const MANUAL_RETURN_TYPES = [
+  'RETURN',
+  'WITHDRAWAL',
+  'DEPOSIT',
+  'DIVIDEND',
+  'FEE',
+  'TAX_WITHHELD',
+  'INTEREST_ACCRUAL'
+];
+
 /**
  * Manual return validation schema
  */
@@ -13,7 +24,7 @@ const manualReturnSchema = Joi.object({
     }),
 
   amount: Joi.number()
-    .precision(2)
+    .precision(4)
     .optional()
     .messages({
       'number.base': 'Amount must be a number'
@@ -49,11 +60,11 @@ const manualReturnSchema = Joi.object({
     }),
 
   type: Joi.string()
-    .valid('RETURN', 'WITHDRAWAL', 'DEPOSIT', 'DIVIDEND')
+    .valid(...MANUAL_RETURN_TYPES)
     .default('RETURN')
     .optional()
     .messages({
-      'any.only': 'Type must be one of: RETURN, WITHDRAWAL, DEPOSIT, DIVIDEND'
+      'any.only': `Type must be one of: ${MANUAL_RETURN_TYPES.join(', ')}`
     })
 }).xor('amount', 'percentage').messages({
   'object.xor': 'Either amount or percentage must be specified, but not both'
@@ -166,10 +177,10 @@ const projectedReturnsSchema = Joi.object({
  */
 const returnsQueryFiltersSchema = Joi.object({
   type: Joi.string()
-    .valid('RETURN', 'WITHDRAWAL', 'DEPOSIT', 'DIVIDEND')
+    .valid(...MANUAL_RETURN_TYPES, 'TRANSFER', 'REVERSAL')
     .optional()
     .messages({
-      'any.only': 'Type must be one of: RETURN, WITHDRAWAL, DEPOSIT, DIVIDEND'
+      'any.only': `Type must be one of: ${[...MANUAL_RETURN_TYPES, 'TRANSFER', 'REVERSAL'].join(', ')}`
     }),
 
   startDate: Joi.date()
@@ -0,0 +1,158 @@
+const Joi = require('joi');
+
+const GRANT_ROLES = ['VIEWER', 'EDITOR'];
+
+/**
+ * Grant (invitation) creation validation schema
+ */
+const createGrantSchema = Joi.object({
+  email: Joi.string()
+    .email({ tlds: { allow: false } })
+    .required()
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    }),
+
+  role: Joi.string()
+    .valid(...GRANT_ROLES)
+    .default('VIEWER')
+    .messages({
+      'any.only': 'Role must be either VIEWER or EDITOR'
+    }),
+
+  investmentId: Joi.string()
+    .uuid()
+    .optional()
+    .allow(null)
+    .messages({
+      'string.guid': 'Investment ID must be a valid UUID'
+    })
+});
+
+/**
+ * Grant role update validation schema
+ */
+const updateGrantSchema = Joi.object({
+  role: Joi.string()
+    .valid(...GRANT_ROLES)
+    .required()
+    .messages({
+      'any.only': 'Role must be either VIEWER or EDITOR',
+      'any.required': 'Role is required'
+    })
+});
+
+/**
+ * Given grants list query validation schema
+ */
+const listGrantsSchema = Joi.object({
+  includeInactive: Joi.boolean()
+    .default(false)
+});
+
+/**
+ * Validate grant creation input
+ * @param {Object} data - Grant data to validate
+ * @returns {Object} Validation result
+ */
+function validateCreateGrant(data) {
+  const { error, value } = createGrantSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate grant role update input
+ * @param {Object} data - Update data to validate
+ * @returns {Object} Validation result
+ */
+function validateUpdateGrant(data) {
+  const { error, value } = updateGrantSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate given grants list query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateListGrants(data) {
+  const { error, value } = listGrantsSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+module.exports = {
+  GRANT_ROLES,
+  createGrantSchema,
+  updateGrantSchema,
+  listGrantsSchema,
+  validateCreateGrant,
+  validateUpdateGrant,
+  validateListGrants
+};
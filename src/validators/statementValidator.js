@@ -0,0 +1,70 @@
+const Joi = require('joi');
+
+/**
+ * Statement query validation schema
+ */
+const statementQuerySchema = Joi.object({
+  from: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'From date must be in ISO format (YYYY-MM-DD)'
+    }),
+
+  to: Joi.date()
+    .iso()
+    .when('from', {
+      is: Joi.date().exist(),
+      then: Joi.date().min(Joi.ref('from')).optional(),
+      otherwise: Joi.date().optional()
+    })
+    .messages({
+      'date.format': 'To date must be in ISO format (YYYY-MM-DD)',
+      'date.min': 'To date cannot be before from date'
+    }),
+
+  baseCurrency: Joi.string()
+    .pattern(/^[A-Za-z]{3}$/)
+    .uppercase()
+    .optional()
+    .messages({
+      'string.pattern.base': 'Base currency must be a 3-letter ISO code'
+    })
+});
+
+/**
+ * Validate statement query parameters
+ * @param {Object} data - Query parameters to validate
+ * @returns {Object} Validation result
+ */
+function validateStatementQuery(data) {
+  const { error, value } = statementQuerySchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+module.exports = {
+  validateStatementQuery,
+  statementQuerySchema
+};
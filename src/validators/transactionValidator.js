@@ -1,5 +1,18 @@
 const Joi = require('joi');
 
+// Types that can be recorded directly (REVERSAL rows are posted by reversals,
+// TRANSFER rows by transfers between investments)
+const TRANSACTION_TYPES = [
+  'RETURN',
+  'WITHDRAWAL',
+  'DEPOSIT',
+  'DIVIDEND',
+  'FEE',
+  'TAX_WITHHELD',
+  'INTEREST_ACCRUAL'
+];
+const QUERY_TRANSACTION_TYPES = [...TRANSACTION_TYPES, 'TRANSFER', 'REVERSAL'];
+
 /**
  * Transaction creation validation schema
  */
@@ -13,18 +26,23 @@ const createTransactionSchema = Joi.object({
     }),
 
   type: Joi.string()
-    .valid('RETURN', 'WITHDRAWAL', 'DEPOSIT', 'DIVIDEND')
+    .valid(...TRANSACTION_TYPES)
     .required()
     .messages({
-      'any.only': 'Type must be one of: RETURN, WITHDRAWAL, DEPOSIT, DIVIDEND',
+      'any.only': `Type must be one of: ${TRANSACTION_TYPES.join(', ')}`,
       'any.required': 'Transaction type is required'
     }),
 
   amount: Joi.number()
     .required()
-    .precision(2)
+    .precision(4)
+    .when('type', {
+      is: Joi.valid('FEE', 'TAX_WITHHELD'),
+      then: Joi.number().positive()
+    })
     .messages({
       'number.base': 'Amount must be a number',
+      'number.positive': 'Fee and tax amounts must be positive',
       'any.required': 'Amount is required'
     }),
 
@@ -57,7 +75,11 @@ const createTransactionSchema = Joi.object({
     .allow('')
     .messages({
       'string.max': 'Description must be less than 500 characters'
-    })
+    }),
+
+  // Re-run interest calculations posted after a backdated transaction
+  recalculateInterest: Joi.boolean()
+    .default(false)
 });
 
 /**
@@ -65,14 +87,14 @@ const createTransactionSchema = Joi.object({
  */
 const updateTransactionSchema = Joi.object({
   type: Joi.string()
-    .valid('RETURN', 'WITHDRAWAL', 'DEPOSIT', 'DIVIDEND')
+    .valid(...TRANSACTION_TYPES)
     .optional()
     .messages({
-      'any.only': 'Type must be one of: RETURN, WITHDRAWAL, DEPOSIT, DIVIDEND'
+      'any.only': `Type must be one of: ${TRANSACTION_TYPES.join(', ')}`
     }),
 
   amount: Joi.number()
-    .precision(2)
+    .precision(4)
     .optional()
     .messages({
       'number.base': 'Amount must be a number'
@@ -107,7 +129,10 @@ const updateTransactionSchema = Joi.object({
     .allow(null)
     .messages({
       'string.max': 'Description must be less than 500 characters'
-    })
+    }),
+
+  recalculateInterest: Joi.boolean()
+    .optional()
 }).min(1).messages({
   'object.min': 'At least one field must be provided for update'
 });
@@ -124,12 +149,15 @@ const transactionQueryFiltersSchema = Joi.object({
     }),
 
   type: Joi.string()
-    .valid('RETURN', 'WITHDRAWAL', 'DEPOSIT', 'DIVIDEND')
+    .valid(...QUERY_TRANSACTION_TYPES)
     .optional()
     .messages({
-      'any.only': 'Type must be one of: RETURN, WITHDRAWAL, DEPOSIT, DIVIDEND'
+      'any.only': `Type must be one of: ${QUERY_TRANSACTION_TYPES.join(', ')}`
     }),
 
+  includeReversed: Joi.boolean()
+    .default(true),
+
   startDate: Joi.date()
     .iso()
     .optional()
@@ -207,6 +235,86 @@ const transactionQueryFiltersSchema = Joi.object({
     })
 });
 
+/**
+ * Transaction reversal validation schema
+ */
+const reverseTransactionSchema = Joi.object({
+  transactionDate: Joi.date()
+    .iso()
+    .max('now')
+    .optional()
+    .messages({
+      'date.format': 'Reversal date must be in ISO format (YYYY-MM-DD)',
+      'date.max': 'Reversal date cannot be in the future'
+    }),
+
+  description: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Description must be less than 500 characters'
+    }),
+
+  recalculateInterest: Joi.boolean()
+    .default(false)
+});
+
+/**
+ * Transfer between investments validation schema
+ */
+const transferSchema = Joi.object({
+  fromInvestmentId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Source investment ID must be a valid UUID',
+      'any.required': 'Source investment ID is required'
+    }),
+
+  toInvestmentId: Joi.string()
+    .uuid()
+    .invalid(Joi.ref('fromInvestmentId'))
+    .required()
+    .messages({
+      'string.guid': 'Destination investment ID must be a valid UUID',
+      'any.invalid': 'Cannot transfer to the same investment',
+      'any.required': 'Destination investment ID is required'
+    }),
+
+  amount: Joi.number()
+    .positive()
+    .precision(4)
+    .required()
+    .messages({
+      'number.base': 'Amount must be a number',
+      'number.positive': 'Amount must be positive',
+      'any.required': 'Amount is required'
+    }),
+
+  transactionDate: Joi.date()
+    .iso()
+    .max('now')
+    .optional()
+    .messages({
+      'date.format': 'Transfer date must be in ISO format (YYYY-MM-DD)',
+      'date.max': 'Transfer date cannot be in the future'
+    }),
+
+  description: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Description must be less than 500 characters'
+    }),
+
+  recalculateInterest: Joi.boolean()
+    .default(false)
+});
+
 /**
  * Bulk transaction operations validation schema
  */
@@ -259,7 +367,10 @@ const transactionStatsQuerySchema = Joi.object({
     .optional()
     .messages({
       'any.only': 'Group by must be one of: type, investment, month, year'
-    })
+    }),
+
+  includeReversed: Joi.boolean()
+    .default(false)
 });
 
 /**
@@ -358,6 +469,70 @@ function validateTransactionQueryFilters(data) {
   };
 }
 
+/**
+ * Validate transaction reversal input
+ * @param {Object} data - Reversal data to validate
+ * @returns {Object} Validation result
+ */
+function validateReverseTransaction(data) {
+  const { error, value } = reverseTransactionSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
+/**
+ * Validate transfer data
+ * @param {Object} data - Transfer data to validate
+ * @returns {Object} Validation result
+ */
+function validateTransfer(data) {
+  const { error, value } = transferSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    return {
+      isValid: false,
+      errors,
+      data: null
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: null,
+    data: value
+  };
+}
+
 /**
  * Validate bulk transactions input
  * @param {Object} data - Bulk transactions data to validate
@@ -423,14 +598,20 @@ function validateTransactionStatsQuery(data) {
 }
 
 module.exports = {
+  TRANSACTION_TYPES,
+  QUERY_TRANSACTION_TYPES,
   createTransactionSchema,
   updateTransactionSchema,
   transactionQueryFiltersSchema,
+  reverseTransactionSchema,
+  transferSchema,
   bulkTransactionSchema,
   transactionStatsQuerySchema,
   validateCreateTransaction,
   validateUpdateTransaction,
   validateTransactionQueryFilters,
+  validateReverseTransaction,
+  validateTransfer,
   validateBulkTransactions,
   validateTransactionStatsQuery
 };
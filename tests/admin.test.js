@@ -0,0 +1,63 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const request = require('supertest');
+const app = require('../src/app');
+const { prisma } = require('../src/config/database');
+const { issueTokens, rotateRefreshToken } = require('../src/services/tokenService');
+const { updateUserRole } = require('../src/services/adminService');
+
+describe('admin console', () => {
+  let admin;
+  let member;
+
+  const bearer = async user => `Bearer ${(await issueTokens(user)).token}`;
+
+  beforeEach(async () => {
+    prisma.$reset();
+    admin = await prisma.user.create({
+      data: { email: 'admin@example.com', passwordHash: 'x', firstName: 'Ada', lastName: 'Obi', role: 'ADMIN' }
+    });
+    member = await prisma.user.create({
+      data: { email: 'member@example.com', passwordHash: 'x', firstName: 'Bo', lastName: 'Lee' }
+    });
+  });
+
+  test('only admins get through the role guard', async () => {
+    const denied = await request(app).get('/api/admin/users').set('Authorization', await bearer(member)).expect(403);
+    expect(denied.body.code).toBe('INSUFFICIENT_ROLE');
+
+    const allowed = await request(app).get('/api/admin/users').set('Authorization', await bearer(admin)).expect(200);
+    expect(JSON.stringify(allowed.body)).toContain('member@example.com');
+  });
+
+  test('a role change takes effect on the next request and is audited', async () => {
+    const token = await bearer(member);
+
+    await updateUserRole({ id: admin.id }, member.id, 'ADMIN');
+    await request(app).get('/api/admin/stats').set('Authorization', token).expect(200);
+
+    const [entry] = await prisma.adminAuditLog.findMany({ where: { targetId: member.id } });
+    expect(entry).toMatchObject({ actorId: admin.id, action: 'USER_ROLE_CHANGED', details: { from: 'USER', to: 'ADMIN' } });
+    await expect(updateUserRole({ id: admin.id }, admin.id, 'USER')).rejects.toMatchObject({ code: 'CANNOT_DEMOTE_SELF' });
+  });
+
+  test('disabling a user signs them out and blocks their requests', async () => {
+    const session = await issueTokens(member);
+
+    await request(app).post(`/api/admin/users/${member.id}/disable`)
+      .set('Authorization', await bearer(admin))
+      .send({ reason: 'Chargeback' })
+      .expect(200);
+
+    const blocked = await request(app).get('/api/investments').set('Authorization', `Bearer ${session.token}`).expect(401);
+    expect(blocked.body.code).toBe('AUTH_TOKEN_REVOKED');
+    await expect(rotateRefreshToken(session.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+
+    const fresh = await request(app).get('/api/investments').set('Authorization', await bearer(member)).expect(403);
+    expect(fresh.body.code).toBe('ACCOUNT_DISABLED');
+  });
+});
@@ -0,0 +1,69 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const request = require('supertest');
+const app = require('../src/app');
+const { prisma } = require('../src/config/database');
+const { issueTokens } = require('../src/services/tokenService');
+const { createApiKey, revokeApiKey } = require('../src/services/apiKeyService');
+const { hasScope } = require('../src/utils/apiKeys');
+
+describe('api key scopes', () => {
+  let user;
+
+  const investment = {
+    name: 'Savings',
+    category: 'Cash',
+    currency: 'USD',
+    initialAmount: 1000,
+    returnType: 'VARIABLE',
+    startDate: '2025-01-01'
+  };
+
+  const keyWith = async (...scopes) => (await createApiKey(user.id, { name: 'Script', scopes })).key;
+
+  beforeEach(async () => {
+    prisma.$reset();
+    user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+  });
+
+  test('a write scope implies read on the same resource only', () => {
+    expect(hasScope(['investments:write'], 'investments:read')).toBe(true);
+    expect(hasScope(['investments:read'], 'investments:write')).toBe(false);
+    expect(hasScope(['investments:write'], 'transactions:read')).toBe(false);
+  });
+
+  test('requests are limited to the scopes of the key', async () => {
+    const key = await keyWith('investments:read');
+
+    await request(app).get('/api/investments').set('X-API-Key', key).expect(200);
+    const write = await request(app).post('/api/investments').set('X-API-Key', key).send(investment).expect(403);
+    expect(write.body).toMatchObject({ code: 'INSUFFICIENT_SCOPE', requiredScope: 'investments:write' });
+    const other = await request(app).get('/api/transactions').set('Authorization', `Bearer ${key}`).expect(403);
+    expect(other.body.code).toBe('INSUFFICIENT_SCOPE');
+
+    const writer = await keyWith('investments:write');
+    await request(app).post('/api/investments').set('X-API-Key', writer).send(investment).expect(201);
+  });
+
+  test('keys cannot manage keys, and revoked keys are refused', async () => {
+    const key = await keyWith('investments:write');
+    const [{ id }] = await prisma.apiKey.findMany({ where: { userId: user.id } });
+
+    const minted = await request(app).post('/api/api-keys').set('X-API-Key', key)
+      .send({ name: 'Escalated', scopes: ['reports:read'] }).expect(403);
+    expect(minted.body.code).toBe('API_KEY_NOT_ALLOWED');
+
+    const { token } = await issueTokens(user);
+    await request(app).get('/api/api-keys').set('Authorization', `Bearer ${token}`).expect(200);
+
+    await revokeApiKey(id, user.id);
+    const revoked = await request(app).get('/api/investments').set('X-API-Key', key).expect(401);
+    expect(revoked.body.code).toBe('API_KEY_INVALID');
+  });
+});
@@ -0,0 +1,92 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+process.env.ATTACHMENT_MAX_BYTES = '1024';
+
+const { Readable } = require('stream');
+const { prisma } = require('../src/config/database');
+const { setStorageDriver } = require('../src/services/storageService');
+const { createInvestment } = require('../src/services/investmentService');
+const { addAttachment } = require('../src/services/attachmentService');
+const { rawUpload } = require('../src/middleware/upload');
+
+const PDF = Buffer.from('%PDF-1.4\n%%EOF\n', 'latin1');
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+describe('attachments', () => {
+  const stored = new Map();
+  let user;
+  let investment;
+
+  const attach = (contentType, content) => addAttachment(user.id, {
+    investmentId: investment.id,
+    filename: 'statement',
+    contentType,
+    content
+  });
+
+  beforeAll(() => {
+    setStorageDriver({
+      name: 'memory',
+      put: async (key, buffer) => { stored.set(key, buffer); },
+      get: async key => Readable.from([stored.get(key)]),
+      delete: async key => { stored.delete(key); },
+      list: async () => [...stored.keys()].map(key => ({ key }))
+    });
+  });
+
+  afterAll(() => {
+    setStorageDriver(null);
+  });
+
+  beforeEach(async () => {
+    prisma.$reset();
+    stored.clear();
+    user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+    investment = await createInvestment(user.id, {
+      name: 'Savings',
+      category: 'Cash',
+      currency: 'USD',
+      initialAmount: 1000,
+      returnType: 'VARIABLE',
+      startDate: '2025-01-01'
+    });
+  });
+
+  test('files are stored when their content matches the declared type', async () => {
+    const attachment = await attach('application/pdf', PDF);
+
+    expect(attachment.size).toBe(PDF.length);
+    expect(stored.get(attachment.checksum)).toEqual(PDF);
+    await expect(attach('application/pdf', PDF)).rejects.toMatchObject({ statusCode: 409, code: 'DUPLICATE_ATTACHMENT' });
+  });
+
+  test('content that does not match the declared type is refused without storing it', async () => {
+    await expect(attach('application/pdf', PNG)).rejects.toMatchObject({ statusCode: 415, code: 'UNSUPPORTED_MEDIA_TYPE' });
+    await expect(attach('image/png', PDF)).rejects.toMatchObject({ statusCode: 415, code: 'UNSUPPORTED_MEDIA_TYPE' });
+    await expect(attach('text/csv', PNG)).rejects.toMatchObject({ statusCode: 415, code: 'UNSUPPORTED_MEDIA_TYPE' });
+    await expect(attach('application/x-msdownload', PDF)).rejects.toMatchObject({ statusCode: 415 });
+
+    expect(stored.size).toBe(0);
+    expect(await prisma.attachment.count()).toBe(0);
+  });
+
+  test('files over ATTACHMENT_MAX_BYTES are refused', async () => {
+    const large = Buffer.concat([PDF, Buffer.alloc(1024 - PDF.length + 1, 0x20)]);
+
+    await expect(attach('application/pdf', large)).rejects.toMatchObject({ statusCode: 413, code: 'ATTACHMENT_TOO_LARGE' });
+    expect(stored.size).toBe(0);
+  });
+
+  test('uploads over the limit are refused before the body is read', async () => {
+    const req = Readable.from([Buffer.alloc(2048)]);
+    req.headers = { 'content-type': 'application/pdf', 'content-length': '2048' };
+
+    const error = await new Promise(resolve => rawUpload({ limit: 1024 })(req, {}, resolve));
+
+    expect(error).toMatchObject({ statusCode: 413, code: 'ATTACHMENT_TOO_LARGE' });
+  });
+});
@@ -0,0 +1,81 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+const { prisma } = require('../src/config/database');
+const { createInvestment, updateInvestmentBalance } = require('../src/services/investmentService');
+const { createTransaction, updateTransaction } = require('../src/services/transactionService');
+const { getAuditEvents } = require('../src/services/auditService');
+
+describe('audit events', () => {
+  let owner;
+  let investment;
+
+  const context = { actorId: null, requestId: 'req-1', ipAddress: '10.0.0.1', userAgent: 'jest' };
+
+  beforeEach(async () => {
+    prisma.$reset();
+    owner = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+    context.actorId = owner.id;
+    investment = await createInvestment(owner.id, {
+      name: 'Savings',
+      category: 'Cash',
+      currency: 'USD',
+      initialAmount: 1000,
+      returnType: 'VARIABLE',
+      startDate: '2025-01-01'
+    }, context);
+  });
+
+  test('financial changes are recorded with the actor, request and balances', async () => {
+    const { transaction } = await createTransaction(owner.id, {
+      investmentId: investment.id,
+      type: 'DEPOSIT',
+      amount: 100,
+      transactionDate: '2025-02-01'
+    }, context);
+    await updateTransaction(transaction.id, owner.id, { amount: 150 }, context);
+    await updateInvestmentBalance(investment.id, owner.id, { currentBalance: 1200 }, context);
+
+    const { events } = await getAuditEvents(owner.id, { sortOrder: 'asc' });
+
+    expect(events.map(event => event.action)).toEqual([
+      'INVESTMENT_CREATED',
+      'TRANSACTION_CREATED',
+      'TRANSACTION_UPDATED',
+      'INVESTMENT_BALANCE_UPDATED'
+    ]);
+    expect(events[1]).toMatchObject({
+      actorType: 'USER',
+      actorId: owner.id,
+      requestId: 'req-1',
+      ipAddress: '10.0.0.1',
+      entityId: transaction.id,
+      investmentId: investment.id
+    });
+    expect([events[2].balanceBefore, events[2].balanceAfter].map(String)).toEqual(['1100', '1150']);
+    expect(events[2].before.amount).not.toEqual(events[2].after.amount);
+  });
+
+  test('a rejected change leaves no event behind', async () => {
+    await expect(createTransaction(owner.id, {
+      investmentId: investment.id,
+      type: 'WITHDRAWAL',
+      amount: 5000,
+      transactionDate: '2025-02-01'
+    }, context)).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(await prisma.auditEvent.count({ where: { action: 'TRANSACTION_CREATED' } })).toBe(0);
+  });
+
+  test('users only see events of investments they can read', async () => {
+    const stranger = await prisma.user.create({
+      data: { email: 'other@example.com', passwordHash: 'x', firstName: 'Bo', lastName: 'Lee' }
+    });
+
+    expect((await getAuditEvents(stranger.id)).events).toEqual([]);
+    expect((await getAuditEvents(owner.id, { investmentId: investment.id })).pagination.total).toBe(1);
+  });
+});
@@ -0,0 +1,248 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const { prisma } = require('../src/config/database');
+const { createInvestment, updateInvestmentBalance } = require('../src/services/investmentService');
+const { createTransaction } = require('../src/services/transactionService');
+const { createTransfer } = require('../src/services/transferService');
+const { closePeriod } = require('../src/services/periodService');
+const { writeBackup, previewBackup, restoreBackup } = require('../src/services/backupService');
+const { createZipWriter, readZip } = require('../src/utils/zip');
+
+/**
+ * Stream a user's backup into a buffer
+ */
+async function backupOf(userId) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  await writeBackup(userId, output);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Zip archive entries back into a buffer
+ */
+async function zipFiles(files) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const zip = createZipWriter(output);
+  for (const [name, body] of files) {
+    await zip.addEntry(name, body);
+  }
+  await zip.finish();
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Rewrite archive entries, optionally keeping the manifest checksums in step
+ */
+async function rewrite(archive, changes, { updateManifest = true } = {}) {
+  const files = readZip(archive);
+  const manifest = JSON.parse(files.get('manifest.json').toString('utf8'));
+
+  for (const [name, change] of Object.entries(changes)) {
+    const body = Buffer.from(change(files.get(name).toString('utf8')), 'utf8');
+    files.set(name, body);
+    if (updateManifest) {
+      manifest.files[name].sha256 = crypto.createHash('sha256').update(body).digest('hex');
+    }
+  }
+  files.set('manifest.json', Buffer.from(JSON.stringify(manifest), 'utf8'));
+
+  return zipFiles(files);
+}
+
+describe('backups', () => {
+  let owner;
+  let other;
+  let archive;
+
+  beforeAll(async () => {
+    prisma.$reset();
+    const user = email => prisma.user.create({
+      data: { email, passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+    owner = await user('owner@example.com');
+    other = await user('other@example.com');
+
+    const investment = await createInvestment(owner.id, {
+      name: 'Savings',
+      category: 'Cash',
+      currency: 'USD',
+      initialAmount: 1000,
+      returnType: 'VARIABLE',
+      startDate: '2025-01-01'
+    });
+    await createTransaction(owner.id, {
+      investmentId: investment.id,
+      type: 'DEPOSIT',
+      amount: 250,
+      transactionDate: '2025-02-01'
+    });
+    await updateInvestmentBalance(investment.id, owner.id, { currentBalance: 1300 });
+
+    archive = await backupOf(owner.id);
+  });
+
+  test('a backup restores into another account with the same balances', async () => {
+    const preview = await previewBackup(other.id, archive);
+    expect(preview.counts).toMatchObject({ investments: 1, transactions: 1 });
+    expect(preview.hasConflicts).toBe(false);
+
+    await restoreBackup(other.id, archive);
+
+    const [restored] = await prisma.investment.findMany({ where: { userId: other.id } });
+    expect(restored.name).toBe('Savings');
+    expect(restored.currentBalance.toString()).toBe('1300');
+  });
+
+  test('names already in use stop the restore unless it renames', async () => {
+    await expect(restoreBackup(owner.id, archive)).rejects.toMatchObject({ statusCode: 409 });
+
+    await restoreBackup(owner.id, archive, { onConflict: 'rename' });
+    const names = (await prisma.investment.findMany({ where: { userId: owner.id } })).map(row => row.name);
+    expect(names).toHaveLength(2);
+    expect(names[0]).toBe('Savings');
+    expect(names[1]).not.toBe('Savings');
+  });
+
+  test('a file that does not match its checksum is rejected', async () => {
+    const tampered = await rewrite(archive, {
+      'transactions.jsonl': text => text.replace('"250', '"2500')
+    }, { updateManifest: false });
+
+    await expect(previewBackup(other.id, tampered)).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'INVALID_BACKUP',
+      message: expect.stringContaining('transactions.jsonl does not match its checksum')
+    });
+  });
+
+  test('records are validated and references must resolve', async () => {
+    const badCurrency = await rewrite(archive, {
+      'investments.jsonl': text => text.replace('"currency":"USD"', '"currency":"DOLLARS"')
+    });
+    await expect(previewBackup(other.id, badCurrency)).rejects.toMatchObject({
+      code: 'INVALID_BACKUP',
+      message: expect.stringContaining('investments.jsonl record 1')
+    });
+
+    const dangling = await rewrite(archive, {
+      'transactions.jsonl': text => text.replace(/"investment":"[^"]+"/, '"investment":"missing"')
+    });
+    await expect(previewBackup(other.id, dangling)).rejects.toMatchObject({ code: 'INVALID_BACKUP' });
+  });
+
+  test('archives from a newer schema version are refused', async () => {
+    const files = readZip(archive);
+    const manifest = JSON.parse(files.get('manifest.json').toString('utf8'));
+    files.set('manifest.json', Buffer.from(JSON.stringify({ ...manifest, schemaVersion: manifest.schemaVersion + 1 }), 'utf8'));
+
+    await expect(previewBackup(other.id, await zipFiles(files))).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'UNSUPPORTED_BACKUP_VERSION'
+    });
+  });
+});
+
+describe('restoring backups', () => {
+  let owner;
+  let other;
+  let archive;
+
+  beforeEach(async () => {
+    prisma.$reset();
+    const user = email => prisma.user.create({
+      data: { email, passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+    owner = await user('owner@example.com');
+    other = await user('other@example.com');
+
+    const investment = name => createInvestment(owner.id, {
+      name,
+      category: 'Cash',
+      currency: 'USD',
+      initialAmount: 1000,
+      returnType: 'VARIABLE',
+      startDate: '2025-01-01'
+    });
+    const savings = await investment('Savings');
+    const broker = await investment('Broker');
+    await createTransfer(owner.id, {
+      fromInvestmentId: savings.id,
+      toInvestmentId: broker.id,
+      amount: 200,
+      transactionDate: '2025-03-01'
+    });
+
+    archive = await backupOf(owner.id);
+  });
+
+  test('entries cannot be restored into a closed period', async () => {
+    await closePeriod(other.id, { lockDate: '2025-03-31' });
+
+    await expect(restoreBackup(other.id, archive)).rejects.toMatchObject({ statusCode: 400, code: 'PERIOD_LOCKED' });
+    expect(await prisma.investment.findMany({ where: { userId: other.id } })).toHaveLength(0);
+  });
+
+  test('skipping one side of a transfer stops the restore', async () => {
+    await createInvestment(other.id, {
+      name: 'Broker',
+      category: 'Cash',
+      currency: 'USD',
+      initialAmount: 50,
+      returnType: 'VARIABLE',
+      startDate: '2025-01-01'
+    });
+
+    await expect(restoreBackup(other.id, archive, { onConflict: 'skip' })).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'BACKUP_CONFLICT',
+      message: expect.stringContaining('Savings and Broker')
+    });
+
+    const restored = await restoreBackup(other.id, archive, { onConflict: 'rename' });
+    expect(restored.restored).toMatchObject({ investments: 2, transfers: 1, transactions: 2 });
+  });
+
+  test('running balance snapshots are replayed from the restored transactions', async () => {
+    const stale = await rewrite(archive, {
+      'transactions.jsonl': text => text.replace('"balance":"800"', '"balance":"750"')
+    });
+
+    await restoreBackup(other.id, stale);
+    const [leg] = await prisma.transaction.findMany({
+      where: { investment: { userId: other.id, name: 'Savings' } }
+    });
+    expect(leg.balance.toString()).toBe('800');
+  });
+
+  test('archives whose balances or transfers do not add up are rejected', async () => {
+    const wrongBalance = await rewrite(archive, {
+      'investments.jsonl': text => text.replace('"currentBalance":"800"', '"currentBalance":"900"')
+    });
+    await expect(restoreBackup(other.id, wrongBalance)).rejects.toMatchObject({
+      code: 'INVALID_BACKUP',
+      message: expect.stringContaining('investment Savings')
+    });
+
+    const missingLeg = await rewrite(archive, {
+      'transactions.jsonl': text => text.split('\n').filter(line => !line.includes('"amount":"200"')).join('\n')
+    });
+    const files = readZip(missingLeg);
+    const manifest = JSON.parse(files.get('manifest.json').toString('utf8'));
+    manifest.files['transactions.jsonl'].records = 1;
+    files.set('manifest.json', Buffer.from(JSON.stringify(manifest), 'utf8'));
+    await expect(previewBackup(other.id, await zipFiles(files))).rejects.toMatchObject({
+      code: 'INVALID_BACKUP',
+      message: expect.stringContaining('does not have one leg on each investment')
+    });
+
+    expect(await prisma.investment.findMany({ where: { userId: other.id } })).toHaveLength(0);
+  });
+});
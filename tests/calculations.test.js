@@ -0,0 +1,39 @@
+const { money, toMinorUnits } = require('../src/utils/money');
+const { calculateMonthlyReturn, calculatePeriodInterest } = require('../src/utils/calculations');
+
+describe('interest postings', () => {
+  // Reference: one posting per month in integer cents with half-even rounding
+  function monthlyInterestCents(balanceCents, ratePercent) {
+    const numerator = balanceCents * BigInt(ratePercent);
+    const denominator = 1200n;
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+
+    if (remainder * 2n > denominator || (remainder * 2n === denominator && quotient % 2n === 1n)) {
+      return quotient + 1n;
+    }
+    return quotient;
+  }
+
+  test('compound monthly returns stay exact over 100 years', () => {
+    let balance = money('1000.00');
+    let referenceCents = 100000n;
+
+    for (let month = 0; month < 1200; month++) {
+      const result = calculateMonthlyReturn(balance, 12, true, 'USD');
+      balance = balance.plus(money(result.monthlyReturn));
+      referenceCents += monthlyInterestCents(referenceCents, 12);
+    }
+
+    expect(toMinorUnits(balance, 'USD')).toBe(referenceCents);
+  });
+
+  test('period interest is rounded once to the currency minor unit', () => {
+    const { interest, newBalance } = calculatePeriodInterest(1000, 5, 'MONTHLY', 30, 'USD');
+    expect(interest.decimalPlaces()).toBeLessThanOrEqual(2);
+    expect(newBalance.eq(money(1000).plus(interest))).toBe(true);
+
+    const yen = calculatePeriodInterest(100000, 5, 'MONTHLY', 30, 'JPY');
+    expect(yen.interest.decimalPlaces()).toBe(0);
+  });
+});
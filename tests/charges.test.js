@@ -0,0 +1,54 @@
+const {
+  buildOpeningLines,
+  buildTransactionLines,
+  netByAccount,
+  assetBalance,
+  isBalanced
+} = require('../src/utils/ledger');
+const { money } = require('../src/utils/money');
+const { sumCharges } = require('../src/services/transactionService');
+
+describe('charges and accruals', () => {
+  test('fees, taxes, accruals and transfers move the balance by their impact', () => {
+    const lines = [...buildOpeningLines('1000.00')];
+    const post = (type, amount) => {
+      const entry = buildTransactionLines(type, amount, netByAccount(lines));
+      expect(isBalanced(entry)).toBe(true);
+      lines.push(...entry);
+    };
+
+    post('INTEREST_ACCRUAL', '25.00');
+    post('FEE', '10.00');
+    post('TAX_WITHHELD', '3.75');
+    post('TRANSFER', '200.00');
+    post('TRANSFER', '-50.00');
+
+    const net = netByAccount(lines);
+    expect(assetBalance(net).toFixed(2)).toBe('1161.25');
+    expect(net.FEES_EXPENSE.toFixed(2)).toBe('10.00');
+    expect(net.TAX_EXPENSE.toFixed(2)).toBe('3.75');
+    expect(net.TRANSFER_CLEARING.toFixed(2)).toBe('-150.00');
+    // Charges come out of accrued interest before principal
+    expect(net.ACCRUED_INTEREST.isZero()).toBe(true);
+  });
+
+  test('charges without an exchange rate are listed instead of counted as zero', () => {
+    const investments = [
+      { id: 'usd', currency: 'USD' },
+      { id: 'gbp', currency: 'GBP' }
+    ];
+    const charges = new Map([
+      ['usd', { fees: money(10), taxes: money(2) }],
+      ['gbp', { fees: money(5), taxes: money(1) }]
+    ]);
+
+    const converted = sumCharges(investments, charges, 'NGN');
+    expect(converted.fees.toString()).toBe('15000');
+    expect(converted.taxes.toString()).toBe('3000');
+    expect(converted.unconverted).toEqual([{ investmentId: 'gbp', currency: 'GBP', fees: money(5), taxes: money(1) }]);
+
+    const stored = sumCharges(investments, charges);
+    expect(stored.fees.toString()).toBe('15');
+    expect(stored.unconverted).toEqual([]);
+  });
+});
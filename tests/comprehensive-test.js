@@ -327,7 +327,7 @@ async function runComprehensiveTests() {
     try {
       const reportData = {
         includeTransactions: true,
-        period: 'all'
+        period: 'inception'
       };
 
       const reportResponse = await axios.post(`${BASE_URL}/api/reports/financial-report`, 
@@ -0,0 +1,73 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+const { prisma } = require('../src/config/database');
+const { hashPassword } = require('../src/utils/auth');
+const { setMailTransport } = require('../src/services/mailService');
+const { requestEmailChange, confirmEmailChange } = require('../src/services/authService');
+
+describe('email change', () => {
+  const sent = [];
+  let user;
+
+  const confirmToken = () => {
+    const message = sent.find(mail => /confirm-email/.test(mail.text));
+    return decodeURIComponent(message.text.match(/token=([^\s]+)/)[1]);
+  };
+
+  beforeAll(() => {
+    setMailTransport({ send: async message => sent.push(message) });
+  });
+
+  afterAll(() => {
+    setMailTransport(null);
+  });
+
+  beforeEach(async () => {
+    prisma.$reset();
+    sent.length = 0;
+    user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: await hashPassword('Password-1'), firstName: 'Ada', lastName: 'Obi' }
+    });
+  });
+
+  test('the email only changes once the new address confirms, and the link works once', async () => {
+    const { pendingEmail } = await requestEmailChange(user.id, { newEmail: 'New@Example.com', password: 'Password-1' });
+
+    expect(pendingEmail).toBe('new@example.com');
+    expect(sent.map(mail => mail.to).sort()).toEqual(['new@example.com', 'owner@example.com']);
+    expect((await prisma.user.findUnique({ where: { id: user.id } })).email).toBe('owner@example.com');
+
+    const token = confirmToken();
+    expect((await confirmEmailChange(token)).email).toBe('new@example.com');
+    await expect(confirmEmailChange(token)).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_EMAIL_CHANGE_TOKEN' });
+  });
+
+  test('the request needs the current password and a free address', async () => {
+    await prisma.user.create({
+      data: { email: 'taken@example.com', passwordHash: 'x', firstName: 'Bo', lastName: 'Lee' }
+    });
+
+    await expect(requestEmailChange(user.id, { newEmail: 'new@example.com', password: 'wrong' }))
+      .rejects.toMatchObject({ code: 'INVALID_PASSWORD' });
+    await expect(requestEmailChange(user.id, { newEmail: 'owner@example.com', password: 'Password-1' }))
+      .rejects.toMatchObject({ code: 'EMAIL_UNCHANGED' });
+    await expect(requestEmailChange(user.id, { newEmail: 'taken@example.com', password: 'Password-1' }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'EMAIL_ALREADY_EXISTS' });
+    expect(sent).toHaveLength(0);
+  });
+
+  test('an address taken before confirmation is refused and expired links are rejected', async () => {
+    await requestEmailChange(user.id, { newEmail: 'new@example.com', password: 'Password-1' });
+    const token = confirmToken();
+    await prisma.user.create({
+      data: { email: 'new@example.com', passwordHash: 'x', firstName: 'Bo', lastName: 'Lee' }
+    });
+
+    await expect(confirmEmailChange(token)).rejects.toMatchObject({ statusCode: 409, code: 'EMAIL_ALREADY_EXISTS' });
+
+    await prisma.emailChangeToken.updateMany({ data: { expiresAt: new Date(Date.now() - 1000) } });
+    await expect(confirmEmailChange(token)).rejects.toMatchObject({ code: 'INVALID_EMAIL_CHANGE_TOKEN' });
+  });
+});
@@ -0,0 +1,45 @@
+const { PassThrough } = require('stream');
+const { money } = require('../src/utils/money');
+const { createExportWriter } = require('../src/utils/exportWriters');
+
+describe('export writers', () => {
+  const exportText = async (format, rows) => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+
+    const writer = createExportWriter(format, output, { metadata: { export: 'test' } });
+    await writer.table({ key: 'rows', title: 'Rows' }, [
+      { key: 'date', header: 'Date', type: 'date' },
+      { key: 'amount', header: 'Amount' },
+      { key: 'description', header: 'Description' }
+    ], rows);
+    await writer.end();
+
+    return Buffer.concat(chunks).toString('utf8');
+  };
+
+  const rows = [
+    { date: new Date('2025-01-31T00:00:00Z'), amount: money('1234.5678'), description: 'Rent, "flat"' },
+    { date: new Date('2025-02-01T00:00:00Z'), amount: money('-0.0001'), description: '=HYPERLINK("x")' }
+  ];
+
+  test('CSV keeps exact amounts, quotes fields and defuses formulas', async () => {
+    const csv = await exportText('csv', rows);
+    expect(csv.replace(/^\uFEFF/, '').split('\r\n')).toEqual([
+      'Date,Amount,Description',
+      '2025-01-31,1234.5678,"Rent, ""flat"""',
+      '2025-02-01,-0.0001,"\'=HYPERLINK(""x"")"',
+      ''
+    ]);
+  });
+
+  test('JSON is one document with an array per table', async () => {
+    const json = JSON.parse(await exportText('json', rows));
+    expect(json.exportMetadata).toEqual({ export: 'test' });
+    expect(json.rows).toEqual([
+      { date: '2025-01-31', amount: '1234.5678', description: 'Rent, "flat"' },
+      { date: '2025-02-01', amount: '-0.0001', description: '=HYPERLINK("x")' }
+    ]);
+  });
+});
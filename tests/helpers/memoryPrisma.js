@@ -0,0 +1,678 @@
+// In-memory stand-in for the Prisma client, for service tests without a
+// database. Models, relations, defaults and unique constraints come from the
+// generated client's DMMF; queries support the where/select/include/orderBy
+// subset the services use. $transaction rolls back every table on error.
+
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+
+const { models } = Prisma.dmmf.datamodel;
+const modelsByName = new Map(models.map(model => [model.name, model]));
+
+const delegateName = name => name.charAt(0).toLowerCase() + name.slice(1);
+
+/**
+ * Prisma-like error (P2002 unique violation, P2025 record not found)
+ * @param {string} code - Prisma error code
+ * @param {string} message - Message
+ * @param {Object} meta - Error meta
+ * @returns {Error} Known request error
+ */
+function knownError(code, message, meta = {}) {
+  return new Prisma.PrismaClientKnownRequestError(message, { code, clientVersion: Prisma.prismaVersion.client, meta });
+}
+
+function field(model, name) {
+  return model.fields.find(candidate => candidate.name === name);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Date) && !Prisma.Decimal.isDecimal(value) && !Array.isArray(value);
+}
+
+/**
+ * Comparable form of a stored value
+ */
+function comparable(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (Prisma.Decimal.isDecimal(value)) {
+    return value.toNumber();
+  }
+  return value;
+}
+
+function coerce(fieldDef, value) {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  if (fieldDef.type === 'Decimal') {
+    return new Prisma.Decimal(Prisma.Decimal.isDecimal(value) ? value.toString() : value);
+  }
+  if (fieldDef.type === 'DateTime') {
+    return new Date(value);
+  }
+  if (fieldDef.type === 'BigInt') {
+    return BigInt(value);
+  }
+  return value;
+}
+
+function compareValues(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) {
+    return 0;
+  }
+  if (left == null) {
+    return -1;
+  }
+  if (right == null) {
+    return 1;
+  }
+  return left < right ? -1 : 1;
+}
+
+function createMemoryPrisma() {
+  let tables = Object.fromEntries(models.map(model => [model.name, []]));
+  const counters = {};
+
+  /**
+   * Records related to a record through a relation field
+   * @returns {Array} Related records
+   */
+  function related(model, record, relation) {
+    const target = tables[relation.type];
+
+    if (relation.relationFromFields && relation.relationFromFields.length > 0) {
+      return target.filter(other => relation.relationFromFields.every(
+        (from, index) => record[from] != null && compareValues(record[from], other[relation.relationToFields[index]]) === 0
+      ));
+    }
+
+    const opposite = modelsByName.get(relation.type).fields.find(candidate => (
+      candidate.relationName === relation.relationName
+      && candidate !== relation
+      && candidate.relationFromFields
+      && candidate.relationFromFields.length > 0
+    ));
+
+    return target.filter(other => opposite.relationFromFields.every(
+      (from, index) => other[from] != null && compareValues(other[from], record[opposite.relationToFields[index]]) === 0
+    ));
+  }
+
+  function matchesScalar(value, filter) {
+    if (!isPlainObject(filter)) {
+      return filter === null ? value == null : compareValues(value, filter) === 0 && value != null;
+    }
+
+    const insensitive = filter.mode === 'insensitive';
+    const text = candidate => (insensitive && typeof candidate === 'string' ? candidate.toLowerCase() : candidate);
+
+    return Object.entries(filter).every(([operator, operand]) => {
+      switch (operator) {
+        case 'equals':
+          return operand === null ? value == null : compareValues(text(value), text(operand)) === 0;
+        case 'in':
+          return operand.some(item => compareValues(value, item) === 0);
+        case 'notIn':
+          return !operand.some(item => compareValues(value, item) === 0);
+        case 'not':
+          return !matchesScalar(value, operand);
+        case 'lt':
+          return value != null && compareValues(value, operand) < 0;
+        case 'lte':
+          return value != null && compareValues(value, operand) <= 0;
+        case 'gt':
+          return value != null && compareValues(value, operand) > 0;
+        case 'gte':
+          return value != null && compareValues(value, operand) >= 0;
+        case 'contains':
+          return typeof value === 'string' && text(value).includes(text(operand));
+        case 'startsWith':
+          return typeof value === 'string' && text(value).startsWith(text(operand));
+        case 'endsWith':
+          return typeof value === 'string' && text(value).endsWith(text(operand));
+        case 'mode':
+          return true;
+        default:
+          throw new Error(`memoryPrisma: unsupported filter ${operator}`);
+      }
+    });
+  }
+
+  function matches(model, record, where) {
+    if (!where) {
+      return true;
+    }
+
+    return Object.entries(where).every(([key, filter]) => {
+      if (filter === undefined) {
+        return true;
+      }
+      if (key === 'AND') {
+        return [].concat(filter).every(part => matches(model, record, part));
+      }
+      if (key === 'OR') {
+        return filter.some(part => matches(model, record, part));
+      }
+      if (key === 'NOT') {
+        return ![].concat(filter).some(part => matches(model, record, part));
+      }
+
+      const fieldDef = field(model, key);
+      if (!fieldDef) {
+        // Compound unique key, e.g. { investmentId_occurrenceDate: { ... } }
+        return matches(model, record, filter);
+      }
+
+      if (fieldDef.kind !== 'object') {
+        return matchesScalar(record[key], filter);
+      }
+
+      const targetModel = modelsByName.get(fieldDef.type);
+      const others = related(model, record, fieldDef);
+
+      if (fieldDef.isList) {
+        if (filter.some) {
+          return others.some(other => matches(targetModel, other, filter.some));
+        }
+        if (filter.none) {
+          return !others.some(other => matches(targetModel, other, filter.none));
+        }
+        if (filter.every) {
+          return others.every(other => matches(targetModel, other, filter.every));
+        }
+        return true;
+      }
+
+      const other = others[0] || null;
+      if (filter === null) {
+        return other === null;
+      }
+      if ('is' in filter) {
+        return filter.is === null ? other === null : other !== null && matches(targetModel, other, filter.is);
+      }
+      if ('isNot' in filter) {
+        return filter.isNot === null ? other !== null : other === null || !matches(targetModel, other, filter.isNot);
+      }
+      return other !== null && matches(targetModel, other, filter);
+    });
+  }
+
+  function sortRecords(model, records, orderBy) {
+    if (!orderBy) {
+      return records;
+    }
+
+    const orders = [].concat(orderBy);
+    return [...records].sort((a, b) => {
+      for (const order of orders) {
+        for (const [key, direction] of Object.entries(order)) {
+          const fieldDef = field(model, key);
+          let result;
+
+          if (fieldDef && fieldDef.kind === 'object') {
+            const targetModel = modelsByName.get(fieldDef.type);
+            const left = related(model, a, fieldDef)[0] || {};
+            const right = related(model, b, fieldDef)[0] || {};
+            result = sortRecords(targetModel, [left, right], direction)[0] === left ? -1 : 1;
+            if (sortRecords(targetModel, [right, left], direction)[0] === left) {
+              result = compareRelated(targetModel, left, right, direction);
+            }
+          } else {
+            const sort = typeof direction === 'string' ? direction : direction.sort;
+            result = compareValues(a[key], b[key]) * (sort === 'desc' ? -1 : 1);
+          }
+
+          if (result !== 0) {
+            return result;
+          }
+        }
+      }
+      return 0;
+    });
+  }
+
+  function compareRelated(model, left, right, orderBy) {
+    for (const [key, direction] of Object.entries(orderBy)) {
+      const result = compareValues(left[key], right[key]) * (direction === 'desc' ? -1 : 1);
+      if (result !== 0) {
+        return result;
+      }
+    }
+    return 0;
+  }
+
+  function project(model, record, args = {}) {
+    const { select, include } = args;
+    const result = {};
+
+    if (!select) {
+      model.fields.filter(fieldDef => fieldDef.kind !== 'object').forEach((fieldDef) => {
+        result[fieldDef.name] = record[fieldDef.name] === undefined ? null : record[fieldDef.name];
+      });
+    }
+
+    const relations = select || include || {};
+    for (const [key, value] of Object.entries(relations)) {
+      if (!value) {
+        continue;
+      }
+
+      if (key === '_count') {
+        result._count = {};
+        for (const [relationName, countArgs] of Object.entries(value.select || {})) {
+          const relation = field(model, relationName);
+          const others = related(model, record, relation);
+          result._count[relationName] = countArgs && countArgs.where
+            ? others.filter(other => matches(modelsByName.get(relation.type), other, countArgs.where)).length
+            : others.length;
+        }
+        continue;
+      }
+
+      const fieldDef = field(model, key);
+      if (fieldDef.kind !== 'object') {
+        result[key] = record[key] === undefined ? null : record[key];
+        continue;
+      }
+
+      const targetModel = modelsByName.get(fieldDef.type);
+      const nested = value === true ? {} : value;
+      let others = related(model, record, fieldDef);
+
+      if (fieldDef.isList) {
+        others = others.filter(other => matches(targetModel, other, nested.where));
+        others = sortRecords(targetModel, others, nested.orderBy);
+        if (nested.skip) {
+          others = others.slice(nested.skip);
+        }
+        if (nested.take !== undefined) {
+          others = others.slice(0, nested.take);
+        }
+        result[key] = others.map(other => project(targetModel, other, nested));
+      } else {
+        result[key] = others[0] ? project(targetModel, others[0], nested) : null;
+      }
+    }
+
+    return result;
+  }
+
+  function findRecords(model, args = {}) {
+    let records = tables[model.name].filter(record => matches(model, record, args.where));
+    records = sortRecords(model, records, args.orderBy);
+
+    if (args.cursor) {
+      const index = records.findIndex(record => matches(model, record, args.cursor));
+      records = index === -1 ? [] : records.slice(index);
+    }
+    if (args.skip) {
+      records = records.slice(args.skip);
+    }
+    if (args.take !== undefined) {
+      records = args.take < 0 ? records.slice(args.take) : records.slice(0, args.take);
+    }
+    if (args.distinct) {
+      const seen = new Set();
+      records = records.filter((record) => {
+        const key = JSON.stringify([].concat(args.distinct).map(name => comparable(record[name])));
+        return seen.has(key) ? false : seen.add(key);
+      });
+    }
+
+    return records;
+  }
+
+  function uniqueKeys(model) {
+    return [
+      ...model.fields.filter(fieldDef => fieldDef.isId || fieldDef.isUnique).map(fieldDef => [fieldDef.name]),
+      ...(model.primaryKey ? [model.primaryKey.fields] : []),
+      ...model.uniqueFields
+    ];
+  }
+
+  function assertUnique(model, record, ignore = null) {
+    for (const keys of uniqueKeys(model)) {
+      if (keys.some(key => record[key] == null)) {
+        continue;
+      }
+      const clash = tables[model.name].find(other => other !== ignore
+        && keys.every(key => compareValues(other[key], record[key]) === 0));
+      if (clash) {
+        throw knownError('P2002', `Unique constraint failed on the fields: (${keys.join(', ')})`, { target: keys });
+      }
+    }
+  }
+
+  function defaultValue(model, fieldDef) {
+    if (fieldDef.isUpdatedAt) {
+      return new Date();
+    }
+    if (!fieldDef.hasDefaultValue) {
+      return fieldDef.isList ? [] : null;
+    }
+
+    const value = fieldDef.default;
+    if (isPlainObject(value) && value.name) {
+      switch (value.name) {
+        case 'uuid':
+        case 'cuid':
+          return crypto.randomUUID();
+        case 'now':
+          return new Date();
+        case 'autoincrement': {
+          const key = `${model.name}.${fieldDef.name}`;
+          counters[key] = (counters[key] || 0) + 1;
+          return counters[key];
+        }
+        case 'dbgenerated':
+          return null;
+        default:
+          throw new Error(`memoryPrisma: unsupported default ${value.name}`);
+      }
+    }
+
+    return coerce(fieldDef, value);
+  }
+
+  function applyScalar(fieldDef, current, value) {
+    if (isPlainObject(value) && fieldDef.type !== 'Json') {
+      if ('set' in value) {
+        return coerce(fieldDef, value.set);
+      }
+      const base = new Prisma.Decimal(comparable(current) || 0);
+      if ('increment' in value) {
+        return coerce(fieldDef, fieldDef.type === 'Decimal' ? base.plus(value.increment) : base.plus(value.increment).toNumber());
+      }
+      if ('decrement' in value) {
+        return coerce(fieldDef, fieldDef.type === 'Decimal' ? base.minus(value.decrement) : base.minus(value.decrement).toNumber());
+      }
+      if ('multiply' in value) {
+        return coerce(fieldDef, fieldDef.type === 'Decimal' ? base.times(value.multiply) : base.times(value.multiply).toNumber());
+      }
+    }
+    return coerce(fieldDef, value);
+  }
+
+  /**
+   * Write scalar and relation data onto a record; nested list creates run after
+   * @returns {Array} Deferred nested writes
+   */
+  function applyData(model, record, data) {
+    const deferred = [];
+
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined) {
+        continue;
+      }
+
+      const fieldDef = field(model, key);
+      if (!fieldDef) {
+        throw new Error(`memoryPrisma: unknown field ${model.name}.${key}`);
+      }
+
+      if (fieldDef.kind !== 'object') {
+        record[key] = applyScalar(fieldDef, record[key], value);
+        continue;
+      }
+
+      const targetModel = modelsByName.get(fieldDef.type);
+      const ownsKey = fieldDef.relationFromFields && fieldDef.relationFromFields.length > 0;
+
+      if (ownsKey) {
+        if (value.connect) {
+          const [target] = findRecords(targetModel, { where: value.connect });
+          if (!target) {
+            throw knownError('P2025', `No ${targetModel.name} found to connect`);
+          }
+          fieldDef.relationFromFields.forEach((from, index) => {
+            record[from] = target[fieldDef.relationToFields[index]];
+          });
+        } else if (value.disconnect) {
+          fieldDef.relationFromFields.forEach((from) => {
+            record[from] = null;
+          });
+        } else if (value.create) {
+          const created = createRecord(targetModel, value.create);
+          fieldDef.relationFromFields.forEach((from, index) => {
+            record[from] = created[fieldDef.relationToFields[index]];
+          });
+        }
+        continue;
+      }
+
+      deferred.push((parent) => {
+        const opposite = targetModel.fields.find(candidate => candidate.relationName === fieldDef.relationName
+          && candidate !== fieldDef && candidate.relationFromFields && candidate.relationFromFields.length > 0);
+        const link = child => opposite.relationFromFields.reduce((acc, from, index) => ({
+          ...acc,
+          [from]: parent[opposite.relationToFields[index]]
+        }), child);
+
+        if (value.create) {
+          [].concat(value.create).forEach(child => createRecord(targetModel, link({ ...child })));
+        }
+        if (value.createMany) {
+          value.createMany.data.forEach(child => createRecord(targetModel, link({ ...child })));
+        }
+        if (value.connect) {
+          [].concat(value.connect).forEach((where) => {
+            const [target] = findRecords(targetModel, { where });
+            Object.assign(target, link({}));
+          });
+        }
+        if (value.deleteMany) {
+          const scope = related(model, parent, fieldDef);
+          scope.filter(child => matches(targetModel, child, value.deleteMany)).forEach(child => removeRecord(targetModel, child));
+        }
+      });
+    }
+
+    return deferred;
+  }
+
+  function createRecord(model, data) {
+    const record = {};
+    model.fields.filter(fieldDef => fieldDef.kind !== 'object').forEach((fieldDef) => {
+      record[fieldDef.name] = defaultValue(model, fieldDef);
+    });
+
+    const deferred = applyData(model, record, data);
+    assertUnique(model, record);
+    tables[model.name].push(record);
+    deferred.forEach(write => write(record));
+    return record;
+  }
+
+  function removeRecord(model, record) {
+    // Follow onDelete rules of relations pointing at this model
+    for (const other of models) {
+      for (const fieldDef of other.fields) {
+        if (fieldDef.type !== model.name || !fieldDef.relationFromFields || fieldDef.relationFromFields.length === 0) {
+          continue;
+        }
+        const children = tables[other.name].filter(child => fieldDef.relationFromFields.every(
+          (from, index) => child[from] != null && compareValues(child[from], record[fieldDef.relationToFields[index]]) === 0
+        ));
+        if (fieldDef.relationOnDelete === 'Cascade') {
+          children.forEach(child => removeRecord(other, child));
+        } else if (fieldDef.relationOnDelete === 'SetNull') {
+          children.forEach((child) => {
+            fieldDef.relationFromFields.forEach((from) => {
+              child[from] = null;
+            });
+          });
+        }
+      }
+    }
+    tables[model.name] = tables[model.name].filter(candidate => candidate !== record);
+  }
+
+  function findUniqueRecord(model, where) {
+    return tables[model.name].find(record => matches(model, record, where)) || null;
+  }
+
+  function delegate(model) {
+    const read = (record, args) => (record ? project(model, record, args) : null);
+
+    return {
+      findUnique: async args => read(findUniqueRecord(model, args.where), args),
+      findUniqueOrThrow: async (args) => {
+        const record = findUniqueRecord(model, args.where);
+        if (!record) {
+          throw knownError('P2025', `No ${model.name} found`);
+        }
+        return read(record, args);
+      },
+      findFirst: async (args = {}) => read(findRecords(model, { ...args, take: 1 })[0], args),
+      findFirstOrThrow: async (args = {}) => {
+        const [record] = findRecords(model, { ...args, take: 1 });
+        if (!record) {
+          throw knownError('P2025', `No ${model.name} found`);
+        }
+        return read(record, args);
+      },
+      findMany: async (args = {}) => findRecords(model, args).map(record => read(record, args)),
+      count: async (args = {}) => findRecords(model, args).length,
+      create: async args => read(createRecord(model, args.data), args),
+      createMany: async (args) => {
+        let count = 0;
+        for (const data of args.data) {
+          try {
+            createRecord(model, data);
+            count += 1;
+          } catch (error) {
+            if (!(args.skipDuplicates && error.code === 'P2002')) {
+              throw error;
+            }
+          }
+        }
+        return { count };
+      },
+      update: async (args) => {
+        const record = findUniqueRecord(model, args.where);
+        if (!record) {
+          throw knownError('P2025', `No ${model.name} found to update`);
+        }
+        const next = { ...record };
+        const deferred = applyData(model, next, args.data);
+        model.fields.filter(fieldDef => fieldDef.isUpdatedAt).forEach((fieldDef) => {
+          next[fieldDef.name] = new Date();
+        });
+        assertUnique(model, next, record);
+        Object.assign(record, next);
+        deferred.forEach(write => write(record));
+        return read(record, args);
+      },
+      updateMany: async (args) => {
+        const records = findRecords(model, { where: args.where });
+        records.forEach(record => applyData(model, record, args.data));
+        return { count: records.length };
+      },
+      upsert: async (args) => {
+        const record = findUniqueRecord(model, args.where);
+        if (record) {
+          applyData(model, record, args.update);
+          return read(record, args);
+        }
+        return read(createRecord(model, args.create), args);
+      },
+      delete: async (args) => {
+        const record = findUniqueRecord(model, args.where);
+        if (!record) {
+          throw knownError('P2025', `No ${model.name} found to delete`);
+        }
+        const result = read(record, args);
+        removeRecord(model, record);
+        return result;
+      },
+      deleteMany: async (args = {}) => {
+        const records = findRecords(model, { where: args.where });
+        records.forEach(record => removeRecord(model, record));
+        return { count: records.length };
+      },
+      aggregate: async (args = {}) => summarize(model, findRecords(model, { where: args.where }), args),
+      groupBy: async (args) => {
+        const groups = new Map();
+        findRecords(model, { where: args.where }).forEach((record) => {
+          const key = JSON.stringify(args.by.map(name => comparable(record[name])));
+          if (!groups.has(key)) {
+            groups.set(key, []);
+          }
+          groups.get(key).push(record);
+        });
+        return [...groups.values()].map(records => ({
+          ...Object.fromEntries(args.by.map(name => [name, records[0][name]])),
+          ...summarize(model, records, args)
+        }));
+      }
+    };
+  }
+
+  function summarize(model, records, args) {
+    const result = {};
+
+    if (args._count) {
+      result._count = args._count === true
+        ? records.length
+        : Object.fromEntries(Object.keys(args._count).map(name => [
+          name,
+          name === '_all' ? records.length : records.filter(record => record[name] != null).length
+        ]));
+    }
+
+    const reduce = (operator, pick) => {
+      if (!args[operator]) {
+        return;
+      }
+      result[operator] = {};
+      for (const name of Object.keys(args[operator])) {
+        const values = records.map(record => record[name]).filter(value => value != null);
+        result[operator][name] = values.length === 0 ? null : pick(values, field(model, name));
+      }
+    };
+
+    reduce('_sum', (values, fieldDef) => {
+      const total = values.reduce((sum, value) => sum.plus(new Prisma.Decimal(comparable(value))), new Prisma.Decimal(0));
+      return fieldDef.type === 'Decimal' ? total : total.toNumber();
+    });
+    reduce('_min', values => values.reduce((min, value) => (compareValues(value, min) < 0 ? value : min)));
+    reduce('_max', values => values.reduce((max, value) => (compareValues(value, max) > 0 ? value : max)));
+
+    return result;
+  }
+
+  const client = {};
+  models.forEach((model) => {
+    client[delegateName(model.name)] = delegate(model);
+  });
+
+  client.$transaction = async (work) => {
+    const snapshot = Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.map(row => ({ ...row }))]));
+    try {
+      return typeof work === 'function' ? await work(client) : await Promise.all(work);
+    } catch (error) {
+      tables = snapshot;
+      throw error;
+    }
+  };
+  client.$connect = async () => {};
+  client.$disconnect = async () => {};
+
+  /**
+   * Empty every table (between tests)
+   */
+  client.$reset = () => {
+    tables = Object.fromEntries(models.map(model => [model.name, []]));
+  };
+
+  return client;
+}
+
+module.exports = {
+  createMemoryPrisma
+};
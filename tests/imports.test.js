@@ -0,0 +1,137 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+const { prisma } = require('../src/config/database');
+const { createInvestment } = require('../src/services/investmentService');
+const { createTransaction } = require('../src/services/transactionService');
+const { createImport, createImportRule, getImportRules, commitImport } = require('../src/services/importService');
+const { validateImportRule } = require('../src/validators/importValidator');
+
+describe('import rules', () => {
+  let user;
+  let savings;
+  let broker;
+
+  const stage = lines => createImport(user.id, {
+    format: 'CSV',
+    content: ['date,amount,description', ...lines].join('\n'),
+    investmentId: savings.id
+  });
+
+  beforeEach(async () => {
+    prisma.$reset();
+    user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+    const investment = name => createInvestment(user.id, {
+      name,
+      category: 'Cash',
+      currency: 'USD',
+      initialAmount: 1000,
+      returnType: 'VARIABLE',
+      startDate: '2025-01-01'
+    });
+    savings = await investment('Savings');
+    broker = await investment('Broker');
+  });
+
+  test('description patterns match text anywhere, ignoring case, with * and ? wildcards', async () => {
+    await createImportRule(user.id, { name: 'Broker', investmentId: broker.id, descriptionPattern: 'acme*div?dend', priority: 0 });
+
+    const { lines } = await stage([
+      '2025-02-01,12.50,Q1 ACME Corp dividend',
+      '2025-02-02,20.00,acme dividends paid',
+      '2025-02-03,30.00,Dividend ACME'
+    ]);
+
+    expect(lines.map(line => line.investmentId)).toEqual([broker.id, broker.id, savings.id]);
+  });
+
+  test('brackets and plus signs are literal and cannot stall matching', async () => {
+    await createImportRule(user.id, { name: 'Evil', investmentId: broker.id, descriptionPattern: '(a+)+', priority: 0 });
+
+    const started = Date.now();
+    const { lines } = await stage([
+      `2025-02-01,1.00,${'a'.repeat(5000)}!`,
+      '2025-02-02,1.00,paid (a+)+ literally'
+    ]);
+
+    expect(Date.now() - started).toBeLessThan(2000);
+    expect(lines.map(line => line.investmentId)).toEqual([savings.id, broker.id]);
+  });
+
+  test('regular expressions are rejected, and stored ones are flagged and not applied', async () => {
+    const rule = { name: 'Salary', investmentId: broker.id };
+    for (const pattern of ['^salary', 'salary$', 'salary.*acme', 'ref \\d+', 'a|b', '[0-9]']) {
+      expect(validateImportRule({ ...rule, descriptionPattern: pattern }).errors[0].field).toBe('descriptionPattern');
+    }
+    expect(validateImportRule({ ...rule, descriptionPattern: 'FEE+VAT (UK) $5 Ltd.' }).isValid).toBe(true);
+
+    await prisma.importRule.create({
+      data: { userId: user.id, investmentId: broker.id, name: 'Old', descriptionPattern: '^salary.*acme$', priority: 10 }
+    });
+    await createImportRule(user.id, { name: 'New', investmentId: broker.id, descriptionPattern: 'dividend', priority: 0 });
+
+    const { lines } = await stage(['2025-02-01,100.00,SALARY ACME', '2025-02-02,5.00,ACME dividend']);
+    expect(lines.map(line => line.investmentId)).toEqual([savings.id, broker.id]);
+    expect((await getImportRules(user.id)).map(r => [r.name, r.legacyPattern])).toEqual([['Old', true], ['New', false]]);
+  });
+
+  test('patterns are limited to 100 characters', () => {
+    const rule = { name: 'Long', investmentId: broker.id };
+
+    expect(validateImportRule({ ...rule, descriptionPattern: 'x'.repeat(100) }).isValid).toBe(true);
+    expect(validateImportRule({ ...rule, descriptionPattern: 'x'.repeat(101) }).errors[0].field).toBe('descriptionPattern');
+  });
+});
+
+describe('committing imports', () => {
+  let user;
+  let savings;
+
+  beforeEach(async () => {
+    prisma.$reset();
+    user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+    savings = await createInvestment(user.id, {
+      name: 'Savings',
+      category: 'Cash',
+      currency: 'USD',
+      initialAmount: 1000,
+      returnType: 'VARIABLE',
+      startDate: '2025-01-01'
+    });
+  });
+
+  test('recomputes running balances once per investment, after every line is posted', async () => {
+    await createTransaction(user.id, {
+      investmentId: savings.id,
+      type: 'DEPOSIT',
+      amount: 500,
+      transactionDate: '2025-06-01'
+    });
+    const lines = Array.from({ length: 30 }, (_, index) => `2025-03-${String(index + 1).padStart(2, '0')},10.00,Line ${index + 1}`);
+    const { batch } = await createImport(user.id, {
+      format: 'CSV',
+      content: ['date,amount,description', ...lines].join('\n'),
+      investmentId: savings.id
+    });
+
+    const replays = jest.spyOn(prisma.transaction, 'findMany');
+    const { committed } = await commitImport(batch.id, user.id);
+    const replayCount = replays.mock.calls.filter(([args]) => args.where.investmentId === savings.id).length;
+    replays.mockRestore();
+
+    expect(committed).toBe(30);
+    expect(replayCount).toBe(1);
+
+    const transactions = await prisma.transaction.findMany({
+      where: { investmentId: savings.id },
+      orderBy: { transactionDate: 'asc' }
+    });
+    expect(transactions.map(transaction => transaction.balance.toString()))
+      .toEqual([...lines.map((_, index) => String(1000 + 10 * (index + 1))), '1800']);
+  });
+});
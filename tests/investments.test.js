@@ -0,0 +1,72 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+const { prisma } = require('../src/config/database');
+const { createInvestment, updateInvestment } = require('../src/services/investmentService');
+const { createTransaction } = require('../src/services/transactionService');
+const { reconcileInvestment } = require('../src/services/reconciliationService');
+
+describe('updating the opening balance', () => {
+  let user;
+  let investment;
+
+  beforeEach(async () => {
+    prisma.$reset();
+    user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+    investment = await createInvestment(user.id, {
+      name: 'Savings',
+      category: 'Cash',
+      currency: 'USD',
+      initialAmount: 1000,
+      returnType: 'VARIABLE',
+      startDate: '2025-01-01'
+    });
+  });
+
+  test('moves the balance and journal while there are no transactions', async () => {
+    const updated = await updateInvestment(investment.id, user.id, { initialAmount: 1200 });
+
+    expect(updated.initialAmount.toString()).toBe('1200');
+    expect(updated.currentBalance.toString()).toBe('1200');
+    const report = await reconcileInvestment(investment.id);
+    expect(report.hasDiscrepancy).toBe(false);
+  });
+
+  test('is rejected once transactions are recorded', async () => {
+    await createTransaction(user.id, {
+      investmentId: investment.id,
+      type: 'DEPOSIT',
+      amount: 100,
+      transactionDate: '2025-02-01'
+    });
+
+    await expect(updateInvestment(investment.id, user.id, { initialAmount: 1200 }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVESTMENT_HAS_TRANSACTIONS' });
+    await expect(updateInvestment(investment.id, user.id, { currency: 'EUR' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVESTMENT_HAS_TRANSACTIONS' });
+  });
+
+  test('is rejected when the start date is in a closed period', async () => {
+    await prisma.user.update({ where: { id: user.id }, data: { lockDate: new Date('2025-03-31') } });
+
+    await expect(updateInvestment(investment.id, user.id, { initialAmount: 1200 }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'PERIOD_LOCKED' });
+  });
+
+  test('other fields can still be changed', async () => {
+    await createTransaction(user.id, {
+      investmentId: investment.id,
+      type: 'DEPOSIT',
+      amount: 100,
+      transactionDate: '2025-02-01'
+    });
+
+    const updated = await updateInvestment(investment.id, user.id, { name: 'Rainy day', initialAmount: 1000, currency: 'usd' });
+
+    expect(updated.name).toBe('Rainy day');
+    expect(updated.currentBalance.toString()).toBe('1100');
+  });
+});
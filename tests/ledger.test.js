@@ -0,0 +1,42 @@
+const { money, roundMoney, toMinorUnits } = require('../src/utils/money');
+const {
+  buildOpeningLines,
+  buildTransactionLines,
+  netByAccount,
+  assetBalance,
+  isBalanced
+} = require('../src/utils/ledger');
+
+describe('ledger totals', () => {
+  test('match the summed postings to the cent', () => {
+    const lines = [...buildOpeningLines('1000.00')];
+    const running = netByAccount(lines);
+    let expected = money('1000.00');
+    let expectedCents = 100000n;
+
+    for (let i = 1; i <= 5000; i++) {
+      const amount = roundMoney((i % 97) * 0.37 + 0.01, 'USD');
+      const type = i % 5 === 0 ? 'WITHDRAWAL' : i % 3 === 0 ? 'DIVIDEND' : 'RETURN';
+      const entry = buildTransactionLines(type, amount, running);
+
+      expect(isBalanced(entry)).toBe(true);
+      lines.push(...entry);
+      Object.entries(netByAccount(entry)).forEach(([account, net]) => {
+        running[account] = money(running[account]).plus(net);
+      });
+
+      if (type === 'WITHDRAWAL') {
+        expected = expected.minus(amount);
+        expectedCents -= toMinorUnits(amount, 'USD');
+      } else {
+        expected = expected.plus(amount);
+        expectedCents += toMinorUnits(amount, 'USD');
+      }
+    }
+
+    const balance = assetBalance(netByAccount(lines));
+    expect(balance.eq(expected)).toBe(true);
+    expect(toMinorUnits(balance, 'USD')).toBe(expectedCents);
+    expect(isBalanced(lines)).toBe(true);
+  });
+});
@@ -0,0 +1,52 @@
+const {
+  money,
+  roundMoney,
+  sumMoney,
+  getMinorUnits,
+  toMinorUnits,
+  fromMinorUnits
+} = require('../src/utils/money');
+
+describe('money', () => {
+  test('uses banker\'s rounding by default', () => {
+    expect(roundMoney('0.125', 'USD').toString()).toBe('0.12');
+    expect(roundMoney('0.135', 'USD').toString()).toBe('0.14');
+    expect(roundMoney('2.5', 'JPY').toString()).toBe('2');
+    expect(roundMoney('3.5', 'JPY').toString()).toBe('4');
+    expect(roundMoney('-0.125', 'USD').toString()).toBe('-0.12');
+  });
+
+  test('supports other rounding modes', () => {
+    expect(roundMoney('0.125', 'USD', 'HALF_UP').toString()).toBe('0.13');
+    expect(roundMoney('0.129', 'USD', 'DOWN').toString()).toBe('0.12');
+    expect(() => roundMoney('1', 'USD', 'SIDEWAYS')).toThrow('Unknown rounding mode');
+  });
+
+  test('knows currency minor units', () => {
+    expect(getMinorUnits('USD')).toBe(2);
+    expect(getMinorUnits('ngn')).toBe(2);
+    expect(getMinorUnits('JPY')).toBe(0);
+    expect(getMinorUnits('KWD')).toBe(3);
+    expect(getMinorUnits(undefined)).toBe(2);
+    expect(roundMoney('1.23456', 'KWD').toString()).toBe('1.235');
+  });
+
+  test('reads numbers by their decimal representation', () => {
+    expect(money(0.1).plus(money(0.2)).eq(money('0.3'))).toBe(true);
+    expect(money(null).isZero()).toBe(true);
+    expect(() => money('abc')).toThrow();
+    expect(() => money(Infinity)).toThrow('Invalid money amount');
+  });
+
+  test('converts to and from minor units', () => {
+    expect(toMinorUnits('12.345', 'USD')).toBe(1234n);
+    expect(toMinorUnits('1500', 'JPY')).toBe(1500n);
+    expect(fromMinorUnits(1234n, 'USD').toString()).toBe('12.34');
+    expect(fromMinorUnits(1234567n, 'KWD').toString()).toBe('1234.567');
+  });
+
+  test('sums many small amounts exactly', () => {
+    const total = sumMoney(Array.from({ length: 10000 }, () => 0.1));
+    expect(total.toFixed(2)).toBe('1000.00');
+  });
+});
@@ -0,0 +1,73 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { prisma } = require('../src/config/database');
+const { hashPassword, comparePassword } = require('../src/utils/auth');
+const { setMailTransport } = require('../src/services/mailService');
+const { issueTokens, rotateRefreshToken } = require('../src/services/tokenService');
+const { requestPasswordReset, resetPassword } = require('../src/services/authService');
+
+describe('password reset', () => {
+  const sent = [];
+  let user;
+
+  const resetToken = () => {
+    const [, token] = sent.at(-1).text.match(/token=([^\s]+)/);
+    return decodeURIComponent(token);
+  };
+
+  beforeAll(() => {
+    setMailTransport({ send: async message => sent.push(message) });
+  });
+
+  afterAll(() => {
+    setMailTransport(null);
+  });
+
+  beforeEach(async () => {
+    prisma.$reset();
+    sent.length = 0;
+    user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: await hashPassword('Old-password1'), firstName: 'Ada', lastName: 'Obi' }
+    });
+  });
+
+  test('a reset link works once and signs out every session', async () => {
+    const session = await issueTokens(user);
+    await requestPasswordReset('Owner@Example.com');
+    const token = resetToken();
+
+    await resetPassword({ token, password: 'New-password1' });
+
+    const stored = await prisma.user.findUnique({ where: { id: user.id } });
+    expect(await comparePassword('New-password1', stored.passwordHash)).toBe(true);
+    await expect(rotateRefreshToken(session.refreshToken)).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+    await expect(resetPassword({ token, password: 'Other-password1' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_RESET_TOKEN' });
+  });
+
+  test('expired and superseded links are rejected', async () => {
+    await requestPasswordReset(user.email);
+    const first = resetToken();
+    await requestPasswordReset(user.email);
+    const second = resetToken();
+
+    await expect(resetPassword({ token: first, password: 'New-password1' }))
+      .rejects.toMatchObject({ code: 'INVALID_RESET_TOKEN' });
+
+    await prisma.passwordResetToken.updateMany({
+      where: { userId: user.id },
+      data: { expiresAt: new Date(Date.now() - 1000) }
+    });
+    await expect(resetPassword({ token: second, password: 'New-password1' }))
+      .rejects.toMatchObject({ code: 'INVALID_RESET_TOKEN' });
+  });
+
+  test('unknown emails get no mail and no error', async () => {
+    await expect(requestPasswordReset('nobody@example.com')).resolves.toBeUndefined();
+    expect(sent).toHaveLength(0);
+  });
+});
@@ -0,0 +1,28 @@
+const { createPdfDocument, textWidth, wrapText } = require('../src/utils/pdf');
+
+describe('pdf documents', () => {
+  test('measures and wraps text with the Helvetica widths', () => {
+    expect(textWidth('1,000.00', 'regular', 10)).toBeCloseTo(38.92, 2);
+    expect(textWidth('W', 'bold', 10)).toBeCloseTo(9.44, 2);
+    expect(wrapText('one two three four', 40, 'regular', 10)).toEqual(['one two', 'three', 'four']);
+  });
+
+  test('long tables continue on new pages and every object is in the xref', () => {
+    const doc = createPdfDocument({ title: 'Statement (test)' });
+    doc.title('Investment statement', 'Bond - 2025');
+    doc.table(
+      [{ header: 'Date', width: 1 }, { header: 'Amount', width: 1, align: 'right' }],
+      Array.from({ length: 120 }, (_, index) => [`row ${index}`, '1,000.00'])
+    );
+
+    const pdf = doc.toBuffer().toString('latin1');
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toMatch(/\/Count 3 >>/);
+
+    const xrefOffset = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    const entries = pdf.slice(xrefOffset).split('\n').slice(3, 14);
+    entries.forEach((entry, index) => {
+      expect(pdf.startsWith(`${index + 1} 0 obj`, Number(entry.slice(0, 10)))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const request = require('supertest');
+const app = require('../src/app');
+const { prisma } = require('../src/config/database');
+const { createInvestment } = require('../src/services/investmentService');
+const { createTransaction, updateTransaction, reverseTransaction } = require('../src/services/transactionService');
+const { closePeriod, reopenPeriod, getPeriodStatus } = require('../src/services/periodService');
+const { issueTokens } = require('../src/services/tokenService');
+const { createApiKey } = require('../src/services/apiKeyService');
+
+describe('closed periods', () => {
+  let user;
+  let investment;
+
+  const deposit = async transactionDate => (await createTransaction(user.id, {
+    investmentId: investment.id,
+    type: 'DEPOSIT',
+    amount: 100,
+    transactionDate
+  })).transaction;
+
+  beforeEach(async () => {
+    prisma.$reset();
+    user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+    investment = await createInvestment(user.id, {
+      name: 'Savings',
+      category: 'Cash',
+      currency: 'USD',
+      initialAmount: 1000,
+      returnType: 'VARIABLE',
+      startDate: '2025-01-01'
+    });
+  });
+
+  test('entries dated on or before the lock date cannot be created, edited or reversed', async () => {
+    const closed = await deposit('2025-03-31');
+    const open = await deposit('2025-04-01');
+    await closePeriod(user.id, { lockDate: '2025-03-31' });
+
+    const locked = { statusCode: 400, code: 'PERIOD_LOCKED' };
+    await expect(deposit('2025-03-31')).rejects.toMatchObject(locked);
+    await expect(updateTransaction(closed.id, user.id, { amount: 150 })).rejects.toMatchObject(locked);
+    await expect(updateTransaction(open.id, user.id, { transactionDate: '2025-03-15' })).rejects.toMatchObject(locked);
+    await expect(reverseTransaction(closed.id, user.id)).rejects.toMatchObject(locked);
+
+    expect((await deposit('2025-04-02')).balance.toString()).toBe('1300');
+    const { reversal } = await reverseTransaction(open.id, user.id, { transactionDate: '2025-04-03' });
+    expect(reversal.type).toBe('REVERSAL');
+  });
+
+  test('the lock date only moves forward on close and back on reopen', async () => {
+    await closePeriod(user.id, { lockDate: '2025-03-31' });
+
+    await expect(closePeriod(user.id, { lockDate: '2025-02-28' }))
+      .rejects.toMatchObject({ code: 'PERIOD_ALREADY_CLOSED' });
+    await expect(closePeriod(user.id, { lockDate: new Date(Date.now() + 86400000 * 2) }))
+      .rejects.toMatchObject({ code: 'PERIOD_NOT_ENDED' });
+    await expect(reopenPeriod(user.id, { lockDate: '2025-04-30', reason: 'Late invoice' }))
+      .rejects.toMatchObject({ code: 'INVALID_LOCK_DATE' });
+
+    await reopenPeriod(user.id, { lockDate: null, reason: 'Late invoice' });
+    expect((await deposit('2025-03-15')).balance.toString()).toBe('1100');
+
+    const { lockDate, history } = await getPeriodStatus(user.id);
+    expect(lockDate).toBeNull();
+    expect(history.map(event => event.action).sort()).toEqual(['PERIOD_CLOSED', 'PERIOD_REOPENED']);
+  });
+
+  test('closing and reopening need a login, not an API key', async () => {
+    const { key } = await createApiKey(user.id, { name: 'Script', scopes: ['investments:write'] });
+
+    const refused = await request(app).post('/api/periods/close').set('X-API-Key', key)
+      .send({ lockDate: '2025-03-31' }).expect(403);
+    expect(refused.body.code).toBe('API_KEY_NOT_ALLOWED');
+    await request(app).get('/api/periods').set('X-API-Key', key).expect(403);
+
+    const { token } = await issueTokens(user);
+    await request(app).post('/api/periods/close').set('Authorization', `Bearer ${token}`)
+      .send({ lockDate: '2025-03-31' }).expect(200);
+    expect((await getPeriodStatus(user.id)).lockDate).not.toBeNull();
+  });
+});
@@ -0,0 +1,101 @@
+jest.mock('timers/promises', () => ({ setTimeout: jest.fn(async () => {}) }));
+
+const { EventEmitter } = require('events');
+const { setTimeout: sleep } = require('timers/promises');
+const { createRateLimiter, ipAndAccountKeys } = require('../src/middleware/rateLimiter');
+
+describe('rate limiter', () => {
+  const request = email => ({ ip: '10.0.0.1', body: { email } });
+
+  // Run a request through the limiter; finish(status) completes the response
+  const attempt = async (limiter, req = request('owner@example.com')) => {
+    const res = new EventEmitter();
+    const error = await new Promise(resolve => limiter(req, res, resolve));
+    const finish = (statusCode) => {
+      res.statusCode = statusCode;
+      res.emit('finish');
+      return new Promise(resolve => setImmediate(resolve));
+    };
+    return { error, finish };
+  };
+
+  const limiter = (options = {}) => createRateLimiter({
+    name: 'test',
+    maxAttempts: 3,
+    lockoutMs: 60 * 1000,
+    delayAfter: 10,
+    skipSuccessfulRequests: true,
+    keyGenerator: ipAndAccountKeys,
+    ...options
+  });
+
+  beforeEach(() => {
+    sleep.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('failed attempts lock the account until the lockout ends', async () => {
+    const login = limiter();
+
+    for (let i = 0; i < 3; i++) {
+      const { error, finish } = await attempt(login);
+      expect(error).toBeUndefined();
+      await finish(401);
+    }
+
+    const { error } = await attempt(login);
+    expect(error).toMatchObject({ statusCode: 429, code: 'ACCOUNT_LOCKED', retryAfter: 60 });
+
+    const later = Date.now() + 61 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    expect((await attempt(login)).error).toBeUndefined();
+  });
+
+  test('parallel requests are counted before they run', async () => {
+    const login = limiter();
+
+    const results = await Promise.all(Array.from({ length: 8 }, () => attempt(login)));
+
+    expect(results.filter(({ error }) => !error)).toHaveLength(3);
+    expect(results.filter(({ error }) => error?.code === 'ACCOUNT_LOCKED')).toHaveLength(5);
+  });
+
+  test('a success clears the account counter', async () => {
+    const login = limiter({ keyGenerator: req => [{ key: `account:${req.body.email}`, scope: 'account' }] });
+
+    await (await attempt(login)).finish(401);
+    await (await attempt(login)).finish(401);
+    await (await attempt(login)).finish(200);
+
+    // Both earlier failures are forgotten for the account
+    for (let i = 0; i < 2; i++) {
+      await (await attempt(login)).finish(401);
+    }
+    expect((await attempt(login)).error).toBeUndefined();
+  });
+
+  test('a success only gives back its own attempt on the IP counter', async () => {
+    const login = limiter();
+
+    await (await attempt(login, request('a@example.com'))).finish(401);
+    await (await attempt(login, request('b@example.com'))).finish(401);
+    await (await attempt(login, request('c@example.com'))).finish(200);
+    await (await attempt(login, request('d@example.com'))).finish(401);
+
+    const { error } = await attempt(login, request('e@example.com'));
+    expect(error).toMatchObject({ code: 'TOO_MANY_ATTEMPTS' });
+  });
+
+  test('repeated attempts are slowed down with a doubling delay', async () => {
+    const login = limiter({ maxAttempts: 10, delayAfter: 2, delayMs: 100, maxDelayMs: 300 });
+
+    for (let i = 0; i < 6; i++) {
+      await (await attempt(login)).finish(401);
+    }
+
+    expect(sleep.mock.calls.map(([delay]) => delay)).toEqual([100, 200, 300, 300]);
+  });
+});
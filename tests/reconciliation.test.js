@@ -0,0 +1,64 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+const { prisma } = require('../src/config/database');
+const { createInvestment, updateInvestmentBalance } = require('../src/services/investmentService');
+const { reconcileInvestment } = require('../src/services/reconciliationService');
+const { getLedgerBalance } = require('../src/services/ledgerService');
+
+describe('reconciliation', () => {
+  let user;
+  let investment;
+
+  beforeEach(async () => {
+    prisma.$reset();
+    user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+    investment = await createInvestment(user.id, {
+      name: 'Treasury bill',
+      category: 'Fixed income',
+      currency: 'USD',
+      initialAmount: 1000,
+      returnType: 'VARIABLE',
+      startDate: '2025-01-01'
+    });
+  });
+
+  test('a fresh investment reconciles cleanly', async () => {
+    const report = await reconcileInvestment(investment.id);
+
+    expect(report.hasDiscrepancy).toBe(false);
+    expect(report.expectedBalance).toBe(1000);
+  });
+
+  test('a manual balance update is not drift and a repair keeps it', async () => {
+    await updateInvestmentBalance(investment.id, user.id, { currentBalance: 1250.5 });
+
+    const report = await reconcileInvestment(investment.id, { repair: true });
+
+    expect(report.hasDiscrepancy).toBe(false);
+    expect(report.repaired).toBe(false);
+    expect(report.adjustmentCount).toBe(1);
+    expect(report.expectedBalance).toBe(1250.5);
+
+    const stored = await prisma.investment.findUnique({ where: { id: investment.id } });
+    expect(stored.currentBalance.toString()).toBe('1250.5');
+    expect((await getLedgerBalance(investment.id)).toString()).toBe('1250.5');
+  });
+
+  test('a repair corrects a tampered balance and stays corrected', async () => {
+    await updateInvestmentBalance(investment.id, user.id, { currentBalance: 900 });
+    await prisma.investment.update({ where: { id: investment.id }, data: { currentBalance: 5 } });
+
+    const repaired = await reconcileInvestment(investment.id, { repair: true });
+    expect(repaired.hasDiscrepancy).toBe(true);
+    expect(repaired.repaired).toBe(true);
+    expect(repaired.expectedBalance).toBe(900);
+
+    const again = await reconcileInvestment(investment.id);
+    expect(again.hasDiscrepancy).toBe(false);
+    expect(again.storedBalance).toBe(900);
+  });
+});
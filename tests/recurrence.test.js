@@ -0,0 +1,34 @@
+const { listOccurrences, getOccurrenceIndex, formatRRule } = require('../src/utils/recurrence');
+
+describe('recurring schedules', () => {
+  const days = occurrences => occurrences.map(({ date }) => date.toISOString().slice(0, 10));
+
+  test('monthly schedules keep the day of month and clamp to short months', () => {
+    const rule = { frequency: 'MONTHLY', interval: 1, startDate: '2024-01-31', count: 4 };
+    expect(days(listOccurrences(rule))).toEqual(['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']);
+    expect(formatRRule(rule)).toBe('FREQ=MONTHLY;INTERVAL=1;COUNT=4');
+  });
+
+  test('end dates and later starting points bound the occurrences', () => {
+    const rule = { frequency: 'WEEKLY', interval: 2, startDate: '2025-01-06', endDate: '2025-02-17' };
+    expect(days(listOccurrences(rule))).toEqual(['2025-01-06', '2025-01-20', '2025-02-03', '2025-02-17']);
+    expect(days(listOccurrences(rule, { fromIndex: 2, until: '2025-02-10' }))).toEqual(['2025-02-03']);
+  });
+
+  test('occurrence numbers are found without walking the schedule', () => {
+    const monthEnd = { frequency: 'MONTHLY', interval: 1, startDate: '2024-01-31' };
+    expect(getOccurrenceIndex(monthEnd, '2024-02-29')).toBe(1);
+    expect(getOccurrenceIndex(monthEnd, '2024-02-28')).toBeNull();
+    expect(getOccurrenceIndex(monthEnd, '9999-12-31')).toBe(95711);
+
+    const fortnightly = { frequency: 'WEEKLY', interval: 2, startDate: '2025-01-06', count: 3 };
+    expect(getOccurrenceIndex(fortnightly, '2025-02-03')).toBe(2);
+    expect(getOccurrenceIndex(fortnightly, '2025-01-13')).toBeNull();
+    expect(getOccurrenceIndex(fortnightly, '2025-02-17')).toBeNull();
+    expect(getOccurrenceIndex(fortnightly, '2024-12-23')).toBeNull();
+
+    const daily = { frequency: 'DAILY', interval: 3, startDate: '2025-01-01', endDate: '2025-01-10' };
+    expect(getOccurrenceIndex(daily, '2025-01-10')).toBe(3);
+    expect(getOccurrenceIndex(daily, '2275-01-01')).toBeNull();
+  });
+});
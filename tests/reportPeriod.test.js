@@ -0,0 +1,22 @@
+const { resolveReportPeriod, formatReportPeriod } = require('../src/utils/reportPeriod');
+
+describe('report periods', () => {
+  const now = new Date('2026-03-31T15:00:00Z');
+  const resolve = options => formatReportPeriod(resolveReportPeriod(options, now));
+
+  test('presets end today and trailing periods clamp to month ends', () => {
+    expect(resolve({ period: 'mtd' })).toEqual({ preset: 'mtd', from: '2026-03-01', to: '2026-03-31' });
+    expect(resolve({ period: 'qtd' }).from).toBe('2026-01-01');
+    expect(resolve({ period: 'last12months' }).from).toBe('2025-04-01');
+    expect(resolve({ period: 'last6months' }).from).toBe('2025-10-01');
+    expect(resolve({})).toEqual({ preset: 'inception', from: null, to: '2026-03-31' });
+  });
+
+  test('presets are anchored on to and a resolved period resolves to itself', () => {
+    const period = resolveReportPeriod({ period: 'ytd', to: '2025-06-30' }, now);
+    expect(formatReportPeriod(period)).toEqual({ preset: 'ytd', from: '2025-01-01', to: '2025-06-30' });
+    expect(period.end.toISOString()).toBe('2025-07-01T00:00:00.000Z');
+    expect(resolveReportPeriod({ period: period.preset, from: period.from, to: period.to })).toEqual(period);
+    expect(resolve({ from: '2025-01-05' })).toEqual({ preset: 'custom', from: '2025-01-05', to: '2026-03-31' });
+  });
+});
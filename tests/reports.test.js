@@ -0,0 +1,126 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+const zlib = require('zlib');
+const { prisma } = require('../src/config/database');
+const { createInvestment, updateInvestmentBalance } = require('../src/services/investmentService');
+const { createTransaction } = require('../src/services/transactionService');
+const { getReportPeriod, getLedgerHistory, buildLedger } = require('../src/services/reportService');
+const { generateInvestmentStatement } = require('../src/services/statementService');
+const { reconcileInvestment } = require('../src/services/reconciliationService');
+
+describe('report ledgers', () => {
+  let user;
+  let investment;
+
+  beforeEach(async () => {
+    prisma.$reset();
+    user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+    investment = await createInvestment(user.id, {
+      name: 'Equity fund',
+      category: 'Stocks',
+      currency: 'USD',
+      initialAmount: 1000,
+      returnType: 'VARIABLE',
+      startDate: '2025-01-01'
+    });
+  });
+
+  test('closing balance includes manual balance adjustments', async () => {
+    await createTransaction(user.id, {
+      investmentId: investment.id,
+      type: 'DEPOSIT',
+      amount: 200,
+      transactionDate: '2025-02-01'
+    });
+    await updateInvestmentBalance(investment.id, user.id, { currentBalance: 1500 });
+
+    const period = getReportPeriod({ period: 'inception' });
+    const history = await getLedgerHistory([investment.id], period);
+    const ledger = buildLedger(investment, history.get(investment.id), period);
+
+    expect(ledger.closing.toString()).toBe('1500');
+    expect(ledger.flows.deposits.toString()).toBe('200');
+    expect(ledger.flows.adjustments.toString()).toBe('300');
+    expect(ledger.netReturns.toString()).toBe('300');
+    expect(ledger.rows.map(row => row.type)).toEqual(['DEPOSIT', 'ADJUSTMENT']);
+  });
+
+  test('adjustments after the period end are left out', async () => {
+    await updateInvestmentBalance(investment.id, user.id, { currentBalance: 1500 });
+
+    const period = getReportPeriod({ from: '2025-01-01', to: '2025-12-31' });
+    const history = await getLedgerHistory([investment.id], period);
+    const ledger = buildLedger(investment, history.get(investment.id), period);
+
+    expect(ledger.closing.toString()).toBe('1000');
+    expect(ledger.flows.adjustments.toString()).toBe('0');
+  });
+
+  test('valuations carried by a legacy opening entry are replayed', async () => {
+    // Recorded before the ledger: a deposit plus a manual revaluation of 250
+    const legacy = await prisma.investment.create({
+      data: {
+        userId: user.id,
+        name: 'Legacy fund',
+        category: 'Stocks',
+        currency: 'USD',
+        initialAmount: 1000,
+        currentBalance: 1450,
+        returnType: 'VARIABLE',
+        startDate: new Date('2024-01-01')
+      }
+    });
+    await prisma.transaction.create({
+      data: { investmentId: legacy.id, type: 'DEPOSIT', amount: 200, balance: 1200, transactionDate: new Date('2024-02-01') }
+    });
+    await createTransaction(user.id, {
+      investmentId: legacy.id,
+      type: 'DEPOSIT',
+      amount: 100,
+      transactionDate: '2025-03-01'
+    });
+
+    const period = getReportPeriod({ period: 'inception' });
+    const history = await getLedgerHistory([legacy.id], period);
+    const ledger = buildLedger(legacy, history.get(legacy.id), period);
+    const stored = await prisma.investment.findUnique({ where: { id: legacy.id } });
+
+    expect(stored.currentBalance.toString()).toBe('1550');
+    expect(ledger.closing.toString()).toBe('1550');
+    expect(ledger.flows.adjustments.toString()).toBe('250');
+    const report = await reconcileInvestment(legacy.id);
+    expect(report).toMatchObject({ expectedBalance: 1550, ledgerBalance: 1550, difference: 0 });
+  });
+});
+
+describe('statements', () => {
+  test('an investment statement lists balance adjustments', async () => {
+    prisma.$reset();
+    const user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+    const investment = await createInvestment(user.id, {
+      name: 'Equity fund',
+      category: 'Stocks',
+      currency: 'USD',
+      initialAmount: 1000,
+      returnType: 'VARIABLE',
+      startDate: '2025-01-01'
+    });
+    await updateInvestmentBalance(investment.id, user.id, { currentBalance: 1500 });
+
+    const { content } = await generateInvestmentStatement(investment.id, user.id);
+    const pdf = content.toString('latin1');
+    const text = [...pdf.matchAll(/stream\n([\s\S]*?)\nendstream/g)]
+      .map(([, stream]) => zlib.inflateSync(Buffer.from(stream, 'latin1')).toString('latin1'))
+      .join('\n');
+
+    expect(pdf.startsWith('%PDF-')).toBe(true);
+    expect(text).toContain('Balance adjustment');
+    expect(text).toContain('1,500.00');
+  });
+});
@@ -0,0 +1,78 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../src/config/database');
+const { issueTokens, rotateRefreshToken } = require('../src/services/tokenService');
+const {
+  isAccessTokenRevoked,
+  logoutSession,
+  logoutAllSessions,
+  getActiveSessions,
+  revokeUserSession
+} = require('../src/services/sessionService');
+
+describe('sessions', () => {
+  let user;
+
+  const login = userAgent => issueTokens(user, { meta: { userAgent, ipAddress: '127.0.0.1' } });
+
+  beforeEach(async () => {
+    prisma.$reset();
+    user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+  });
+
+  test('active sessions are listed with the current one flagged', async () => {
+    const phone = await login('Phone');
+    const laptop = await login('Laptop');
+    await logoutSession(user.id, jwt.decode(phone.token));
+
+    const sessions = await getActiveSessions(user.id, laptop.sessionId);
+
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0]).toMatchObject({ id: laptop.sessionId, userAgent: 'Laptop', current: true });
+  });
+
+  test('logging out revokes the access token and the refresh tokens of the session', async () => {
+    const phone = await login('Phone');
+    const laptop = await login('Laptop');
+    const decoded = jwt.decode(phone.token);
+
+    expect(await isAccessTokenRevoked(decoded)).toBe(false);
+    await logoutSession(user.id, decoded);
+
+    expect(await isAccessTokenRevoked(decoded)).toBe(true);
+    await expect(rotateRefreshToken(phone.refreshToken)).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+    expect(await isAccessTokenRevoked(jwt.decode(laptop.token))).toBe(false);
+  });
+
+  test('another session can be revoked by id, but only by its owner', async () => {
+    const phone = await login('Phone');
+    const stranger = await prisma.user.create({
+      data: { email: 'other@example.com', passwordHash: 'x', firstName: 'Bo', lastName: 'Lee' }
+    });
+
+    await expect(revokeUserSession(stranger.id, phone.sessionId)).rejects.toMatchObject({ statusCode: 404, code: 'SESSION_NOT_FOUND' });
+    await expect(revokeUserSession(user.id, 'not-a-uuid')).rejects.toMatchObject({ statusCode: 400 });
+
+    await revokeUserSession(user.id, phone.sessionId);
+    expect(await isAccessTokenRevoked(jwt.decode(phone.token))).toBe(true);
+    await expect(revokeUserSession(user.id, phone.sessionId)).rejects.toMatchObject({ code: 'SESSION_NOT_FOUND' });
+  });
+
+  test('logging out everywhere revokes every session', async () => {
+    const phone = await login('Phone');
+    const laptop = await login('Laptop');
+
+    const { revokedSessions } = await logoutAllSessions(user.id, jwt.decode(laptop.token));
+
+    expect(revokedSessions).toBe(2);
+    expect(await getActiveSessions(user.id)).toEqual([]);
+    await expect(rotateRefreshToken(phone.refreshToken)).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+  });
+});
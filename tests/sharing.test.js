@@ -0,0 +1,104 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+const { prisma } = require('../src/config/database');
+const { setMailTransport } = require('../src/services/mailService');
+const { createGrant, respondToInvitation, updateGrantRole, revokeGrant } = require('../src/services/sharingService');
+const { createInvestment, getInvestmentById, updateInvestmentBalance } = require('../src/services/investmentService');
+const { createTransaction } = require('../src/services/transactionService');
+
+describe('shared access', () => {
+  const sent = [];
+  let owner;
+  let guest;
+  let shared;
+  let other;
+
+  const deposit = (userId, investment) => createTransaction(userId, {
+    investmentId: investment.id,
+    type: 'DEPOSIT',
+    amount: 10,
+    transactionDate: '2025-02-01'
+  });
+
+  const invite = async (role, investment = null) => {
+    const grant = await createGrant(owner.id, { email: guest.email, role, investmentId: investment?.id });
+    return respondToInvitation(grant.id, guest.id, true);
+  };
+
+  beforeAll(() => {
+    setMailTransport({ send: async message => sent.push(message) });
+  });
+
+  afterAll(() => {
+    setMailTransport(null);
+  });
+
+  beforeEach(async () => {
+    prisma.$reset();
+    sent.length = 0;
+    const user = email => prisma.user.create({
+      data: { email, passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+    owner = await user('owner@example.com');
+    guest = await user('guest@example.com');
+
+    const investment = name => createInvestment(owner.id, {
+      name,
+      category: 'Cash',
+      currency: 'USD',
+      initialAmount: 1000,
+      returnType: 'VARIABLE',
+      startDate: '2025-01-01'
+    });
+    shared = await investment('Shared');
+    other = await investment('Private');
+  });
+
+  test('nothing is shared until the invitation is accepted', async () => {
+    await createGrant(owner.id, { email: guest.email, role: 'EDITOR', investmentId: shared.id });
+
+    expect(sent.map(message => message.to)).toEqual([guest.email]);
+    await expect(getInvestmentById(shared.id, guest.id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('a viewer can read the shared investment but not change it or reach others', async () => {
+    await invite('VIEWER', shared);
+
+    expect((await getInvestmentById(shared.id, guest.id)).id).toBe(shared.id);
+    await expect(getInvestmentById(other.id, guest.id)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(deposit(guest.id, shared)).rejects.toMatchObject({ statusCode: 404, code: 'INVESTMENT_NOT_FOUND' });
+    await expect(updateInvestmentBalance(shared.id, guest.id, { currentBalance: 1 }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('an editor can record transactions, until the grant is downgraded or revoked', async () => {
+    const grant = await invite('EDITOR', shared);
+
+    const { transaction } = await deposit(guest.id, shared);
+    expect(transaction.balance.toString()).toBe('1010');
+
+    await updateGrantRole(grant.id, owner.id, 'VIEWER');
+    await expect(deposit(guest.id, shared)).rejects.toMatchObject({ code: 'INVESTMENT_NOT_FOUND' });
+
+    await revokeGrant(grant.id, owner.id);
+    await expect(getInvestmentById(shared.id, guest.id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('a portfolio grant covers every investment of the owner', async () => {
+    await invite('VIEWER');
+
+    expect((await getInvestmentById(shared.id, guest.id)).id).toBe(shared.id);
+    expect((await getInvestmentById(other.id, guest.id)).id).toBe(other.id);
+  });
+
+  test('only the invited user can answer an invitation, and only once', async () => {
+    const grant = await createGrant(owner.id, { email: guest.email, role: 'VIEWER', investmentId: shared.id });
+
+    await expect(respondToInvitation(grant.id, owner.id, true)).rejects.toMatchObject({ code: 'GRANT_NOT_FOUND' });
+    await respondToInvitation(grant.id, guest.id, false);
+    await expect(respondToInvitation(grant.id, guest.id, true)).rejects.toMatchObject({ code: 'INVITATION_NOT_PENDING' });
+    await expect(getInvestmentById(shared.id, guest.id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
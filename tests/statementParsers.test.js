@@ -0,0 +1,47 @@
+const { parseStatement, StatementParseError } = require('../src/utils/statementParsers');
+
+describe('statement parsers', () => {
+  const summarize = ({ lines }) => lines.map(line => [
+    line.transactionDate.toISOString().slice(0, 10),
+    line.amount.toString(),
+    line.reference
+  ]);
+
+  test('CSV columns are mapped by name with local date and decimal formats', () => {
+    const csv = '\uFEFFBooking date;Text;Out;In;Ref\n03.02.2025;"Rent; March";1.250,00;;A1\n04.02.2025;Salary;;3.000,50;A2\n';
+    const statement = parseStatement('CSV', csv, {
+      date: 'Booking date',
+      description: 'Text',
+      debit: 'Out',
+      credit: 'In',
+      reference: 'Ref',
+      delimiter: ';',
+      decimalSeparator: ',',
+      dateFormat: 'DD.MM.YYYY'
+    });
+
+    expect(summarize(statement)).toEqual([['2025-02-03', '-1250', 'A1'], ['2025-02-04', '3000.5', 'A2']]);
+    expect(statement.lines[0].description).toBe('Rent; March');
+    expect(() => parseStatement('CSV', 'date,amount\n2025-13-01,5', {})).toThrow(StatementParseError);
+  });
+
+  test('OFX and CAMT.053 statements give the same signed lines', () => {
+    const ofx = [
+      'OFXHEADER:100', '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>EUR',
+      '<BANKACCTFROM><ACCTID>DE001</BANKACCTFROM><BANKTRANLIST>',
+      '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250301120000<TRNAMT>-10.50<FITID>F1<NAME>Card</STMTTRN>',
+      '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+    ].join('\n');
+    const camt = `<Document><BkToCstmrStmt><Stmt><Acct><Id><IBAN>DE001</IBAN></Id></Acct>
+      <Ntry><Amt Ccy="EUR">10.50</Amt><CdtDbtInd>DBIT</CdtDbtInd><BookgDt><Dt>2025-03-01</Dt></BookgDt>
+      <AcctSvcrRef>F1</AcctSvcrRef><AddtlNtryInf>Card</AddtlNtryInf></Ntry></Stmt></BkToCstmrStmt></Document>`;
+
+    const fromOfx = parseStatement('OFX', ofx);
+    const fromCamt = parseStatement('CAMT053', camt);
+
+    expect(summarize(fromOfx)).toEqual([['2025-03-01', '-10.5', 'F1']]);
+    expect(summarize(fromCamt)).toEqual(summarize(fromOfx));
+    expect([fromOfx.accountReference, fromOfx.currency]).toEqual(['DE001', 'EUR']);
+    expect([fromCamt.accountReference, fromCamt.currency]).toEqual(['DE001', 'EUR']);
+  });
+});
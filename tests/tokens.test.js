@@ -0,0 +1,60 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { prisma } = require('../src/config/database');
+const { issueTokens, rotateRefreshToken } = require('../src/services/tokenService');
+
+describe('refresh token rotation', () => {
+  let user;
+
+  beforeEach(async () => {
+    prisma.$reset();
+    user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+  });
+
+  test('each refresh token can be exchanged once for a new pair', async () => {
+    const issued = await issueTokens(user);
+    const rotated = await rotateRefreshToken(issued.refreshToken);
+
+    expect(rotated.user.id).toBe(user.id);
+    expect(rotated.refreshToken).not.toBe(issued.refreshToken);
+
+    const old = await prisma.refreshToken.findUnique({ where: { id: issued.refreshTokenId } });
+    expect(old.revokedAt).not.toBeNull();
+    expect(old.replacedById).not.toBeNull();
+  });
+
+  test('reusing a rotated token revokes the whole session', async () => {
+    const issued = await issueTokens(user);
+    const rotated = await rotateRefreshToken(issued.refreshToken);
+
+    await expect(rotateRefreshToken(issued.refreshToken))
+      .rejects.toMatchObject({ statusCode: 401, code: 'REFRESH_TOKEN_REUSED' });
+
+    const session = await prisma.session.findUnique({ where: { id: issued.sessionId } });
+    expect(session.revokedAt).not.toBeNull();
+
+    // The token handed out by the legitimate rotation dies with the session
+    await expect(rotateRefreshToken(rotated.refreshToken))
+      .rejects.toMatchObject({ statusCode: 401, code: 'SESSION_REVOKED' });
+  });
+
+  test('unknown and expired tokens are rejected', async () => {
+    await expect(rotateRefreshToken('not-a-token'))
+      .rejects.toMatchObject({ statusCode: 401, code: 'REFRESH_TOKEN_INVALID' });
+
+    const issued = await issueTokens(user);
+    await prisma.refreshToken.update({
+      where: { id: issued.refreshTokenId },
+      data: { expiresAt: new Date(Date.now() - 1000) }
+    });
+
+    await expect(rotateRefreshToken(issued.refreshToken))
+      .rejects.toMatchObject({ statusCode: 401, code: 'REFRESH_TOKEN_EXPIRED' });
+  });
+});
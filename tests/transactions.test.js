@@ -0,0 +1,208 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+const { prisma } = require('../src/config/database');
+const { createInvestment, updateInvestmentBalance } = require('../src/services/investmentService');
+const { createTransaction, updateTransaction, reverseTransaction, deleteTransaction } = require('../src/services/transactionService');
+const { calculateInterestNow, revertLastInterestCalculation } = require('../src/services/interestService');
+
+describe('transactions', () => {
+  let user;
+  let investment;
+
+  beforeEach(async () => {
+    prisma.$reset();
+    user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+    investment = await createInvestment(user.id, {
+      name: 'Money market',
+      category: 'Cash',
+      currency: 'USD',
+      initialAmount: 1000,
+      returnType: 'VARIABLE',
+      startDate: '2025-01-01'
+    });
+  });
+
+  test('running balances include manual balance adjustments', async () => {
+    await updateInvestmentBalance(investment.id, user.id, { currentBalance: 1200 });
+
+    const { transaction: deposit } = await createTransaction(user.id, {
+      investmentId: investment.id,
+      type: 'DEPOSIT',
+      amount: 100,
+      transactionDate: new Date(Date.now() + 1000)
+    });
+
+    expect(deposit.balance.toString()).toBe('1300');
+  });
+
+  test('adjustments after a backdated transaction leave its snapshot alone', async () => {
+    await updateInvestmentBalance(investment.id, user.id, { currentBalance: 1200 });
+
+    const { transaction: deposit } = await createTransaction(user.id, {
+      investmentId: investment.id,
+      type: 'DEPOSIT',
+      amount: 100,
+      transactionDate: '2025-03-01'
+    });
+
+    expect(deposit.balance.toString()).toBe('1100');
+    const stored = await prisma.investment.findUnique({ where: { id: investment.id } });
+    expect(stored.currentBalance.toString()).toBe('1300');
+  });
+
+  test('a backdated withdrawal is checked against the balance on its date', async () => {
+    const post = (type, amount, transactionDate) => createTransaction(user.id, {
+      investmentId: investment.id,
+      type,
+      amount,
+      transactionDate
+    });
+    await post('DEPOSIT', 500, '2025-06-01');
+
+    await expect(post('WITHDRAWAL', 1200, '2025-03-01'))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INSUFFICIENT_BALANCE' });
+    const { transaction } = await post('WITHDRAWAL', 900, '2025-03-01');
+    expect(transaction.balance.toString()).toBe('100');
+
+    // Fits the balance on its own date, but would take the later one negative
+    await expect(post('WITHDRAWAL', 200, '2025-02-01'))
+      .rejects.toMatchObject({ statusCode: 400, code: 'NEGATIVE_BALANCE' });
+  });
+});
+
+describe('editing transactions', () => {
+  let user;
+  let investment;
+
+  beforeEach(async () => {
+    prisma.$reset();
+    user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+    investment = await createInvestment(user.id, {
+      name: 'Money market',
+      category: 'Cash',
+      currency: 'USD',
+      initialAmount: 1000,
+      returnType: 'VARIABLE',
+      startDate: '2025-01-01'
+    });
+  });
+
+  const deposit = async (amount, transactionDate) => (await createTransaction(user.id, {
+    investmentId: investment.id,
+    type: 'DEPOSIT',
+    amount,
+    transactionDate
+  })).transaction;
+
+  test('editing the description of an old transaction keeps its balance', async () => {
+    const old = await deposit(100, '2025-02-01');
+    await deposit(500, '2025-03-01');
+
+    const { transaction, recomputation } = await updateTransaction(old.id, user.id, { description: 'Salary' });
+
+    expect(transaction.description).toBe('Salary');
+    expect(transaction.balance.toString()).toBe('1100');
+    expect(recomputation).toBeNull();
+    const stored = await prisma.transaction.findUnique({ where: { id: old.id } });
+    expect(stored.balance.toString()).toBe('1100');
+  });
+
+  test('changing the amount of an old transaction replays later balances', async () => {
+    const old = await deposit(100, '2025-02-01');
+    const later = await deposit(500, '2025-03-01');
+
+    const { transaction } = await updateTransaction(old.id, user.id, { amount: 150 });
+
+    expect(transaction.balance.toString()).toBe('1150');
+    const stored = await prisma.transaction.findUnique({ where: { id: later.id } });
+    expect(stored.balance.toString()).toBe('1650');
+  });
+});
+
+describe('reversing transactions', () => {
+  let user;
+  let investment;
+  let original;
+
+  beforeEach(async () => {
+    prisma.$reset();
+    user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+    investment = await createInvestment(user.id, {
+      name: 'Money market',
+      category: 'Cash',
+      currency: 'USD',
+      initialAmount: 1000,
+      returnType: 'VARIABLE',
+      startDate: '2025-01-01'
+    });
+    ({ transaction: original } = await createTransaction(user.id, {
+      investmentId: investment.id,
+      type: 'DEPOSIT',
+      amount: 100,
+      transactionDate: '2025-02-01'
+    }));
+  });
+
+  const reversals = () => prisma.transaction.findMany({ where: { reversalOfId: original.id } });
+
+  test('a transaction is reversed once, and the reversal itself cannot be reversed', async () => {
+    const { reversal, newBalance } = await reverseTransaction(original.id, user.id, { transactionDate: '2025-02-02' });
+
+    expect(reversal.type).toBe('REVERSAL');
+    expect(newBalance.toString()).toBe('1000');
+    await expect(reverseTransaction(original.id, user.id))
+      .rejects.toMatchObject({ statusCode: 409, code: 'TRANSACTION_ALREADY_REVERSED' });
+    await expect(reverseTransaction(reversal.id, user.id))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_OPERATION' });
+    await expect(updateTransaction(original.id, user.id, { description: 'Edited' }))
+      .rejects.toMatchObject({ code: 'TRANSACTION_REVERSED' });
+
+    expect(await reversals()).toHaveLength(1);
+  });
+
+  test('a reversal that loses the race to another is rejected by the unique link', async () => {
+    await reverseTransaction(original.id, user.id);
+
+    // Both requests passed the already-reversed check before either committed
+    const lookup = jest.spyOn(prisma.transaction, 'findUnique').mockResolvedValueOnce(null);
+    await expect(reverseTransaction(original.id, user.id))
+      .rejects.toMatchObject({ statusCode: 409, code: 'TRANSACTION_ALREADY_REVERSED' });
+    expect(lookup.mock.calls[0][0].where).toEqual({ reversalOfId: original.id });
+    lookup.mockRestore();
+
+    expect(await reversals()).toHaveLength(1);
+    const stored = await prisma.investment.findUnique({ where: { id: investment.id } });
+    expect(stored.currentBalance.toString()).toBe('1000');
+  });
+
+  test('interest postings are reverted through their calculation, not reversed on their own', async () => {
+    const deposit = await createInvestment(user.id, {
+      name: 'Term deposit',
+      category: 'Fixed income',
+      currency: 'USD',
+      initialAmount: 1000,
+      returnType: 'FIXED',
+      interestRate: 10,
+      compoundingFrequency: 'MONTHLY',
+      startDate: '2025-01-01'
+    });
+    const { transaction } = await calculateInterestNow(deposit.id, user.id);
+
+    const linked = { statusCode: 400, code: 'INTEREST_LINKED' };
+    await expect(reverseTransaction(transaction.id, user.id)).rejects.toMatchObject(linked);
+    await expect(deleteTransaction(transaction.id, user.id)).rejects.toMatchObject(linked);
+
+    const { investment: reverted } = await revertLastInterestCalculation(deposit.id, user.id);
+    expect(reverted.lastInterestCalculated).toBeNull();
+    expect(reverted.currentBalance.toString()).toBe('1000');
+    expect(await prisma.transaction.findMany({ where: { reversalOfId: transaction.id } })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,98 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+process.env.FX_RATES_JSON = JSON.stringify({ USD: 1, NGN: 1500, EUR: 0.9 });
+
+const { prisma } = require('../src/config/database');
+const { createInvestment } = require('../src/services/investmentService');
+const { reverseTransaction } = require('../src/services/transactionService');
+const { createTransfer } = require('../src/services/transferService');
+
+describe('transfers', () => {
+  let user;
+  let dollars;
+
+  const investment = (name, currency) => createInvestment(user.id, {
+    name,
+    category: 'Cash',
+    currency,
+    initialAmount: 1000,
+    returnType: 'VARIABLE',
+    startDate: '2025-01-01'
+  });
+
+  const balanceOf = async ({ id }) => (await prisma.investment.findUnique({ where: { id } })).currentBalance.toString();
+
+  beforeEach(async () => {
+    prisma.$reset();
+    user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: 'x', firstName: 'Ada', lastName: 'Obi' }
+    });
+    dollars = await investment('Dollars', 'USD');
+  });
+
+  test('both legs are posted and linked, converted at the stored rate', async () => {
+    const naira = await investment('Naira', 'NGN');
+
+    const { transfer, from, to } = await createTransfer(user.id, {
+      fromInvestmentId: dollars.id,
+      toInvestmentId: naira.id,
+      amount: 100,
+      transactionDate: '2025-02-01'
+    });
+
+    expect(transfer).toMatchObject({ amount: 100, convertedAmount: 150000, exchangeRate: 1500 });
+    expect(from.transaction.amount.toString()).toBe('-100');
+    expect(to.transaction.amount.toString()).toBe('150000');
+    expect(await balanceOf(dollars)).toBe('900');
+    expect(await balanceOf(naira)).toBe('151000');
+
+    const legs = await prisma.transaction.findMany({ where: { transferId: transfer.id } });
+    expect(legs.map(leg => leg.type)).toEqual(['TRANSFER', 'TRANSFER']);
+  });
+
+  test('converted amounts are rounded to the destination currency', async () => {
+    const euros = await investment('Euros', 'EUR');
+
+    const { transfer } = await createTransfer(user.id, {
+      fromInvestmentId: dollars.id,
+      toInvestmentId: euros.id,
+      amount: 10.01,
+      transactionDate: '2025-02-01'
+    });
+
+    expect(transfer.convertedAmount).toBe(9.01);
+    expect(await balanceOf(euros)).toBe('1009.01');
+  });
+
+  test('a transfer is all or nothing', async () => {
+    const pounds = await investment('Pounds', 'GBP');
+    const euros = await investment('Euros', 'EUR');
+
+    await expect(createTransfer(user.id, { fromInvestmentId: dollars.id, toInvestmentId: pounds.id, amount: 10 }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'EXCHANGE_RATE_UNAVAILABLE' });
+    await expect(createTransfer(user.id, { fromInvestmentId: dollars.id, toInvestmentId: euros.id, amount: 1000.01 }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INSUFFICIENT_BALANCE' });
+
+    expect(await prisma.transfer.count()).toBe(0);
+    expect(await prisma.transaction.count()).toBe(0);
+    expect(await balanceOf(dollars)).toBe('1000');
+  });
+
+  test('reversing one leg reverses the other', async () => {
+    const euros = await investment('Euros', 'EUR');
+    const { from } = await createTransfer(user.id, {
+      fromInvestmentId: dollars.id,
+      toInvestmentId: euros.id,
+      amount: 100,
+      transactionDate: '2025-02-01'
+    });
+
+    const { counterpart } = await reverseTransaction(from.transaction.id, user.id, { transactionDate: '2025-02-02' });
+
+    expect(counterpart).toBeDefined();
+    expect(await balanceOf(dollars)).toBe('1000');
+    expect(await balanceOf(euros)).toBe('1000');
+  });
+});
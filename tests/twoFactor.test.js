@@ -0,0 +1,96 @@
+jest.mock('../src/config/database', () => ({
+  prisma: require('./helpers/memoryPrisma').createMemoryPrisma()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { prisma } = require('../src/config/database');
+const { hashPassword } = require('../src/utils/auth');
+const { generateHotp, generateTotp, verifyTotp, TOTP_STEP_SECONDS } = require('../src/utils/totp');
+const { loginUser } = require('../src/services/authService');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  completeTwoFactorLogin
+} = require('../src/services/twoFactorService');
+
+const STEP_MS = TOTP_STEP_SECONDS * 1000;
+
+describe('totp', () => {
+  // RFC 6238 test secret "12345678901234567890"
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  test('matches the RFC 6238 SHA-1 test vectors', () => {
+    expect(generateHotp(secret, 1)).toBe('287082');
+    expect(generateTotp(secret, 1111111109 * 1000)).toBe('081804');
+  });
+
+  test('accepts one step of clock drift and returns the matched step', () => {
+    const time = 1111111109 * 1000;
+    const step = Math.floor(time / STEP_MS);
+
+    expect(verifyTotp(secret, generateTotp(secret, time - STEP_MS), { time })).toBe(step - 1);
+    expect(verifyTotp(secret, generateTotp(secret, time - 2 * STEP_MS), { time })).toBeNull();
+    expect(verifyTotp(secret, '12345', { time })).toBeNull();
+  });
+});
+
+describe('two-factor authentication', () => {
+  let user;
+
+  const login = () => loginUser({ email: 'owner@example.com', password: 'Password-1' });
+
+  beforeEach(async () => {
+    // Codes are generated mid-step so a test never straddles a step boundary
+    const now = Math.floor(Date.now() / STEP_MS) * STEP_MS + STEP_MS / 2;
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    prisma.$reset();
+    user = await prisma.user.create({
+      data: { email: 'owner@example.com', passwordHash: await hashPassword('Password-1'), firstName: 'Ada', lastName: 'Obi' }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('enrolment needs a valid code and then login asks for a second factor', async () => {
+    const { secret, otpauthUri } = await setupTwoFactor(user.id);
+    expect(otpauthUri).toContain(`secret=${secret}`);
+
+    await expect(enableTwoFactor(user.id, '000000')).rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+    expect((await login()).token).toBeDefined();
+
+    const { recoveryCodes } = await enableTwoFactor(user.id, generateTotp(secret));
+    expect(recoveryCodes).toHaveLength(10);
+
+    const { twoFactorRequired, pendingToken, token } = await login();
+    expect(twoFactorRequired).toBe(true);
+    expect(token).toBeUndefined();
+
+    // The code used to enrol cannot be replayed; the next step's code can
+    await expect(completeTwoFactorLogin({ pendingToken, code: generateTotp(secret) }))
+      .rejects.toMatchObject({ statusCode: 401, code: 'TWO_FACTOR_CODE_REUSED' });
+    const session = await completeTwoFactorLogin({ pendingToken, code: generateTotp(secret, Date.now() + STEP_MS) });
+    expect(session.user.id).toBe(user.id);
+    expect(session.refreshToken).toBeDefined();
+  });
+
+  test('recovery codes work once and disabling needs the password and a factor', async () => {
+    const { secret } = await setupTwoFactor(user.id);
+    const { recoveryCodes: [recoveryCode] } = await enableTwoFactor(user.id, generateTotp(secret));
+    const { pendingToken } = await login();
+
+    await completeTwoFactorLogin({ pendingToken, recoveryCode });
+    await expect(completeTwoFactorLogin({ pendingToken, recoveryCode }))
+      .rejects.toMatchObject({ code: 'INVALID_RECOVERY_CODE' });
+    await expect(completeTwoFactorLogin({ pendingToken: 'forged', code: '123456' }))
+      .rejects.toMatchObject({ code: 'TWO_FACTOR_TOKEN_INVALID' });
+
+    await expect(disableTwoFactor(user.id, { password: 'wrong', code: generateTotp(secret, Date.now() + STEP_MS) }))
+      .rejects.toMatchObject({ code: 'INVALID_PASSWORD' });
+    await disableTwoFactor(user.id, { password: 'Password-1', code: generateTotp(secret, Date.now() + STEP_MS) });
+    expect((await login()).token).toBeDefined();
+  });
+});
@@ -0,0 +1,43 @@
+const { PassThrough } = require('stream');
+const { createZipWriter, readZip, ZipFormatError } = require('../src/utils/zip');
+
+describe('zip archives', () => {
+  test('reads back what the writer streams and rejects damaged entries', async () => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+
+    const zip = createZipWriter(output);
+    await zip.addEntry('settings.json', '{"lockDate":null}');
+    await zip.addEntry('rows.jsonl', (async function* () {
+      yield '{"ref":"txn-1"}\n';
+      yield Buffer.from('{"ref":"txn-2"}\n');
+    })());
+    await zip.finish();
+
+    const archive = Buffer.concat(chunks);
+    const files = readZip(archive);
+    expect([...files.keys()]).toEqual(['settings.json', 'rows.jsonl']);
+    expect(files.get('rows.jsonl').toString('utf8')).toBe('{"ref":"txn-1"}\n{"ref":"txn-2"}\n');
+
+    const damaged = Buffer.from(archive);
+    damaged[50] ^= 0xff;
+    expect(() => readZip(damaged)).toThrow(ZipFormatError);
+    expect(() => readZip(Buffer.from('not a zip'))).toThrow('Not a ZIP archive');
+  });
+
+  test('entries carry the standard CRC-32 of their content', async () => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+
+    const zip = createZipWriter(output);
+    await zip.addEntry('check.txt', '123456789');
+    await zip.finish();
+
+    const archive = Buffer.concat(chunks);
+    const central = archive.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    expect(archive.readUInt32LE(central + 16)).toBe(0xcbf43926);
+    expect(readZip(archive).get('check.txt').toString('utf8')).toBe('123456789');
+  });
+});